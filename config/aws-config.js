@@ -1,67 +1,275 @@
 /**
  * AWS Configuration Module
- * Manages AWS credentials and configuration for the beacon storage service
+ * Builds the configuration shared by the scanner, storage backends, scripts and dashboard server.
+ * Settings are layered: built-in defaults, then the config file (CONFIG_FILE, or
+ * config/beaconjs.yaml|yml|json when present), then environment variables. The result is
+ * checked against config/config-schema.json, and every problem is reported with the setting
+ * and the file or environment variable it came from.
  */
 
 require('dotenv').config();
 
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const schema = require('./config-schema.json');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// Config files picked up without CONFIG_FILE, first match wins
+const DEFAULT_CONFIG_FILES = ['beaconjs.yaml', 'beaconjs.yml', 'beaconjs.json'].map(name => path.join(__dirname, name));
+
+// Built-in settings; times in ms. The config file uses the same shape and units
+const DEFAULTS = {
+  storageBackend: 'dynamodb',
+  dataDir: path.join(PROJECT_ROOT, 'data', 'records'),
+  region: 'us-east-1',
+  tableName: 'BeaconRecords',
+  dynamodbEndpoint: null,
+  gatewayId: null,
+  gatewayName: null,
+  gatewayLocation: null,
+  queueDir: path.join(PROJECT_ROOT, 'data', 'queue'),
+  registryFile: path.join(PROJECT_ROOT, 'data', 'beacon-registry.json'),
+  advertisementFilterFile: null,
+  queueMaxRecords: 10000,
+  queueMaxAgeMs: 168 * 60 * 60 * 1000,
+  flushIntervalMs: 30000,
+  flushBatchSize: 25,
+  batchMaxSize: 25,
+  batchWindowMs: 1000,
+  mqttUrl: null,
+  mqttTopicTemplate: 'beacons/{gatewayId}/{beaconKey}',
+  mqttStatusTopic: 'beacons/{gatewayId}/status',
+  mqttQos: 0,
+  mqttRetainLastSeen: true,
+  scanner: {
+    // Scan continuously: a 100 ms window every 100 ms
+    intervalMs: 100,
+    windowMs: 100
+  },
+  reportingPolicy: {
+    minIntervalMs: 1000,
+    heartbeatMs: 60000,
+    rssiDelta: 8,
+    evictAfterMs: 300000,
+    overridesFile: null
+  },
+  signal: {
+    filter: 'kalman',
+    emaAlpha: 0.3,
+    pathLossExponent: 2,
+    calibrationFile: null
+  },
+  alerts: {
+    rulesFile: null,
+    checkIntervalMs: 30000,
+    smtp: {
+      host: null,
+      port: 587,
+      secure: false,
+      from: 'beaconjs@localhost'
+    }
+  },
+  heartbeat: {
+    intervalMs: 60000
+  },
+  retention: {
+    recordTtlDays: 0,
+    summaryTtlDays: 0,
+    storeRawData: true
+  },
+  floorPlansFile: path.join(PROJECT_ROOT, 'data', 'floor-plans.json'),
+  mapTiles: {
+    dir: null,
+    maxZoom: 19
+  },
+  positioning: {
+    windowMs: 10000,
+    minGateways: 3
+  },
+  metrics: {
+    port: 9464
+  },
+  dashboard: {
+    port: 3000,
+    authFile: null,
+    openAdmin: false,
+    sessionTtlMs: 12 * 60 * 60 * 1000,
+    corsOrigins: [],
+    tlsCertFile: null,
+    tlsKeyFile: null,
+    recentWindowMs: 30000,
+    beaconWindowMs: 5 * 60 * 1000,
+    presenceWindowMs: 60 * 60 * 1000,
+    gatewayOnlineWindowMs: 2 * 60 * 1000,
+    livePollIntervalMs: 5000,
+    historyDefaultLimit: 100,
+    historyMaxLimit: 1000,
+    loginMaxFailures: 10,
+    loginLockoutMs: 15 * 60 * 1000
+  },
+  presence: {
+    enabled: true,
+    enterRssi: -80,
+    exitRssi: -90,
+    exitTimeoutMs: 30000,
+    dwellIntervalMs: 300000
+  }
+};
+
+// Converters from environment variable text to setting values; text that does not parse is
+// passed through unchanged so the schema reports it
+const parse = {
+  text: value => value,
+  lowercase: value => value.toLowerCase(),
+  integer: value => (/^\s*-?\d+\s*$/.test(value) ? Number(value) : value),
+  number: value => (value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value),
+  boolean: value => (value === 'true' ? true : value === 'false' ? false : value),
+  list: value => value.split(',').map(item => item.trim()).filter(Boolean),
+  seconds: value => scaled(value, 1000),
+  minutes: value => scaled(value, 60 * 1000),
+  hours: value => scaled(value, 60 * 60 * 1000)
+};
+
+// Environment variable, setting it overrides, converter
+const ENV_SETTINGS = [
+  ['STORAGE_BACKEND', 'storageBackend', parse.lowercase],
+  ['BEACON_DATA_DIR', 'dataDir', parse.text],
+  ['AWS_REGION', 'region', parse.text],
+  ['BEACON_TABLE_NAME', 'tableName', parse.text],
+  ['DYNAMODB_ENDPOINT', 'dynamodbEndpoint', parse.text],
+  ['GATEWAY_ID', 'gatewayId', parse.text],
+  ['GATEWAY_NAME', 'gatewayName', parse.text],
+  ['GATEWAY_LOCATION', 'gatewayLocation', parse.text],
+  ['BEACON_QUEUE_DIR', 'queueDir', parse.text],
+  ['BEACON_REGISTRY_FILE', 'registryFile', parse.text],
+  ['ADVERTISEMENT_FILTER_FILE', 'advertisementFilterFile', parse.text],
+  ['BEACON_QUEUE_MAX_RECORDS', 'queueMaxRecords', parse.integer],
+  ['BEACON_QUEUE_MAX_AGE_HOURS', 'queueMaxAgeMs', parse.hours],
+  ['BEACON_FLUSH_INTERVAL_SECONDS', 'flushIntervalMs', parse.seconds],
+  ['BEACON_FLUSH_BATCH_SIZE', 'flushBatchSize', parse.integer],
+  ['BEACON_BATCH_SIZE', 'batchMaxSize', parse.integer],
+  ['BEACON_BATCH_WINDOW_MS', 'batchWindowMs', parse.integer],
+  ['MQTT_URL', 'mqttUrl', parse.text],
+  ['MQTT_USERNAME', 'mqttUsername', parse.text],
+  ['MQTT_PASSWORD', 'mqttPassword', parse.text],
+  ['MQTT_TOPIC_TEMPLATE', 'mqttTopicTemplate', parse.text],
+  ['MQTT_STATUS_TOPIC', 'mqttStatusTopic', parse.text],
+  ['MQTT_QOS', 'mqttQos', parse.integer],
+  ['MQTT_RETAIN', 'mqttRetainLastSeen', parse.boolean],
+  ['SCAN_INTERVAL_MS', 'scanner.intervalMs', parse.integer],
+  ['SCAN_WINDOW_MS', 'scanner.windowMs', parse.integer],
+  ['REPORT_MIN_INTERVAL_MS', 'reportingPolicy.minIntervalMs', parse.integer],
+  ['REPORT_HEARTBEAT_SECONDS', 'reportingPolicy.heartbeatMs', parse.seconds],
+  ['REPORT_RSSI_DELTA', 'reportingPolicy.rssiDelta', parse.number],
+  ['REPORT_EVICT_AFTER_SECONDS', 'reportingPolicy.evictAfterMs', parse.seconds],
+  ['REPORTING_POLICY_FILE', 'reportingPolicy.overridesFile', parse.text],
+  ['RSSI_FILTER', 'signal.filter', parse.lowercase],
+  ['RSSI_EMA_ALPHA', 'signal.emaAlpha', parse.number],
+  ['PATH_LOSS_EXPONENT', 'signal.pathLossExponent', parse.number],
+  ['SIGNAL_CALIBRATION_FILE', 'signal.calibrationFile', parse.text],
+  ['ALERT_RULES_FILE', 'alerts.rulesFile', parse.text],
+  ['ALERT_CHECK_INTERVAL_SECONDS', 'alerts.checkIntervalMs', parse.seconds],
+  ['SMTP_HOST', 'alerts.smtp.host', parse.text],
+  ['SMTP_PORT', 'alerts.smtp.port', parse.integer],
+  ['SMTP_SECURE', 'alerts.smtp.secure', parse.boolean],
+  ['SMTP_USER', 'alerts.smtp.user', parse.text],
+  ['SMTP_PASSWORD', 'alerts.smtp.password', parse.text],
+  ['ALERT_EMAIL_FROM', 'alerts.smtp.from', parse.text],
+  ['HEARTBEAT_INTERVAL_SECONDS', 'heartbeat.intervalMs', parse.seconds],
+  ['CPU_TEMPERATURE_FILE', 'heartbeat.temperatureFile', parse.text],
+  ['RECORD_TTL_DAYS', 'retention.recordTtlDays', parse.number],
+  ['SUMMARY_TTL_DAYS', 'retention.summaryTtlDays', parse.number],
+  ['STORE_RAW_DATA', 'retention.storeRawData', parse.boolean],
+  ['FLOOR_PLANS_FILE', 'floorPlansFile', parse.text],
+  ['MAP_TILES_DIR', 'mapTiles.dir', parse.text],
+  ['MAP_TILES_MAX_ZOOM', 'mapTiles.maxZoom', parse.integer],
+  ['POSITION_WINDOW_SECONDS', 'positioning.windowMs', parse.seconds],
+  ['POSITION_MIN_GATEWAYS', 'positioning.minGateways', parse.integer],
+  ['METRICS_PORT', 'metrics.port', parse.integer],
+  ['DASHBOARD_PORT', 'dashboard.port', parse.integer],
+  ['DASHBOARD_AUTH_FILE', 'dashboard.authFile', parse.text],
+  ['DASHBOARD_OPEN_ADMIN', 'dashboard.openAdmin', parse.boolean],
+  ['DASHBOARD_SESSION_HOURS', 'dashboard.sessionTtlMs', parse.hours],
+  ['DASHBOARD_CORS_ORIGINS', 'dashboard.corsOrigins', parse.list],
+  ['DASHBOARD_TLS_CERT', 'dashboard.tlsCertFile', parse.text],
+  ['DASHBOARD_TLS_KEY', 'dashboard.tlsKeyFile', parse.text],
+  ['DASHBOARD_RECENT_WINDOW_SECONDS', 'dashboard.recentWindowMs', parse.seconds],
+  ['DASHBOARD_BEACON_WINDOW_SECONDS', 'dashboard.beaconWindowMs', parse.seconds],
+  ['DASHBOARD_PRESENCE_WINDOW_SECONDS', 'dashboard.presenceWindowMs', parse.seconds],
+  ['DASHBOARD_GATEWAY_ONLINE_SECONDS', 'dashboard.gatewayOnlineWindowMs', parse.seconds],
+  ['DASHBOARD_POLL_INTERVAL_MS', 'dashboard.livePollIntervalMs', parse.integer],
+  ['DASHBOARD_HISTORY_DEFAULT_LIMIT', 'dashboard.historyDefaultLimit', parse.integer],
+  ['DASHBOARD_HISTORY_MAX_LIMIT', 'dashboard.historyMaxLimit', parse.integer],
+  ['DASHBOARD_LOGIN_MAX_FAILURES', 'dashboard.loginMaxFailures', parse.integer],
+  ['DASHBOARD_LOGIN_LOCKOUT_MINUTES', 'dashboard.loginLockoutMs', parse.minutes],
+  ['PRESENCE_ENABLED', 'presence.enabled', parse.boolean],
+  ['PRESENCE_ENTER_RSSI', 'presence.enterRssi', parse.number],
+  ['PRESENCE_EXIT_RSSI', 'presence.exitRssi', parse.number],
+  ['PRESENCE_EXIT_TIMEOUT_SECONDS', 'presence.exitTimeoutMs', parse.seconds],
+  ['PRESENCE_DWELL_INTERVAL_SECONDS', 'presence.dwellIntervalMs', parse.seconds]
+];
+
+// Settings holding paths; relative paths in the config file are relative to the file
+const PATH_SETTINGS = new Set([
+  'dataDir', 'queueDir', 'registryFile', 'advertisementFilterFile', 'floorPlansFile',
+  'reportingPolicy.overridesFile', 'signal.calibrationFile', 'alerts.rulesFile',
+  'heartbeat.temperatureFile', 'mapTiles.dir', 'dashboard.authFile',
+  'dashboard.tlsCertFile', 'dashboard.tlsKeyFile'
+]);
+
+const validateSchema = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(schema);
+
 /**
- * Reads AWS configuration from environment variables
- * @returns {Object} Configuration object with AWS settings
+ * Builds the configuration from defaults, the config file and environment variables
+ * @returns {Object} Configuration object; configFile is the config file used, or null
+ * @throws {Error} With code ERR_INVALID_CONFIG and an `errors` list of messages if the
+ *   config file cannot be read or a setting is invalid
  */
 function getAWSConfig() {
-  const config = {
-    region: process.env.AWS_REGION || 'us-east-1',
-    credentials: undefined,
-    tableName: process.env.BEACON_TABLE_NAME || 'BeaconRecords',
-    gatewayId: process.env.GATEWAY_ID || null,
-    gatewayName: process.env.GATEWAY_NAME || null,
-    gatewayLocation: process.env.GATEWAY_LOCATION || null
-  };
-
-  // If explicit credentials are provided in environment, use them
-  if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
-    config.credentials = {
-      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    };
+  const { config, errors } = loadConfig();
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    error.code = 'ERR_INVALID_CONFIG';
+    error.errors = errors;
+    throw error;
   }
-  // Otherwise, credentials will be undefined and AWS SDK will use default credential chain
-  // (credential files, IAM roles, etc.)
-
   return config;
 }
 
 /**
- * Validates AWS configuration
- * Checks for required credentials and valid region format
+ * Validates the configuration at scanner startup
+ * Reports every invalid setting, then checks the gateway settings and the files the scanner reads
+ * AWS settings are only checked when the DynamoDB storage backend is selected
  * @returns {boolean} True if configuration is valid, false otherwise
  */
 function validateConfig() {
-  console.log('[AWSConfig] Validating AWS configuration...');
-  const config = getAWSConfig();
-
-  // Check if region is provided and has valid format (e.g., us-east-1, eu-west-1)
-  const regionPattern = /^[a-z]{2}-[a-z]+-\d+$/;
-  if (!config.region) {
-    console.error('[AWSConfig] Configuration validation failed: AWS region is not set');
-    console.error('[AWSConfig] Please set AWS_REGION environment variable');
+  console.log('[AWSConfig] Validating configuration...');
+  let config;
+  try {
+    config = getAWSConfig();
+  } catch (error) {
+    if (error.code !== 'ERR_INVALID_CONFIG') {
+      throw error;
+    }
+    console.error('[AWSConfig] Configuration validation failed:');
+    error.errors.forEach(message => console.error(`[AWSConfig]   ${message}`));
     return false;
   }
-  
-  if (!regionPattern.test(config.region)) {
-    console.error('[AWSConfig] Configuration validation failed: Invalid AWS region format');
-    console.error(`[AWSConfig] Provided region: ${config.region}`);
-    console.error('[AWSConfig] Expected format: xx-xxxx-# (e.g., us-east-1, eu-west-2)');
+
+  console.log(`[AWSConfig] Config file: ${config.configFile ? displayPath(config.configFile) : 'none (defaults and environment variables)'}`);
+  console.log(`[AWSConfig] Storage backend: ${config.storageBackend}`);
+
+  if (config.storageBackend === 'dynamodb' && !validateAWSSettings(config)) {
     return false;
   }
-  
-  console.log(`[AWSConfig] Region validation passed: ${config.region}`);
 
   // Validate gateway configuration
   if (!config.gatewayId) {
     console.error('[AWSConfig] Configuration validation failed: GATEWAY_ID is required');
-    console.error('[AWSConfig] Please set GATEWAY_ID environment variable for multi-gateway deployment');
+    console.error('[AWSConfig] Please set GATEWAY_ID (or gatewayId in the config file) for multi-gateway deployment');
     return false;
   }
   console.log(`[AWSConfig] Gateway ID validation passed: ${config.gatewayId}`);
@@ -76,6 +284,97 @@ function validateConfig() {
     console.log(`[AWSConfig] Gateway Location: ${config.gatewayLocation}`);
   }
 
+  if (config.mqttUrl) {
+    console.log(`[AWSConfig] MQTT sink enabled: ${config.mqttUrl} (QoS ${config.mqttQos})`);
+  }
+
+  // Validate reporting policy overrides file if set
+  const policyFile = config.reportingPolicy.overridesFile;
+  if (policyFile) {
+    try {
+      JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+    } catch (error) {
+      console.error('[AWSConfig] Configuration validation failed: Invalid REPORTING_POLICY_FILE');
+      console.error(`[AWSConfig] ${policyFile}: ${error.message}`);
+      return false;
+    }
+    console.log(`[AWSConfig] Reporting policy overrides: ${policyFile}`);
+  }
+
+  // Validate advertisement filter file if set (rules are checked when the filter loads it)
+  if (config.advertisementFilterFile) {
+    try {
+      JSON.parse(fs.readFileSync(config.advertisementFilterFile, 'utf8'));
+    } catch (error) {
+      console.error('[AWSConfig] Configuration validation failed: Invalid ADVERTISEMENT_FILTER_FILE');
+      console.error(`[AWSConfig] ${config.advertisementFilterFile}: ${error.message}`);
+      return false;
+    }
+    console.log(`[AWSConfig] Advertisement filter: ${config.advertisementFilterFile}`);
+  }
+
+  // Validate alert rules file if set (rules and channels are checked when the engine starts)
+  if (config.alerts.rulesFile) {
+    if (!fs.existsSync(config.alerts.rulesFile)) {
+      console.error('[AWSConfig] Configuration validation failed: ALERT_RULES_FILE does not exist');
+      console.error(`[AWSConfig] ${config.alerts.rulesFile}`);
+      return false;
+    }
+    console.log(`[AWSConfig] Alert rules: ${config.alerts.rulesFile}`);
+  }
+
+  // Validate the beacon registry if it exists (a missing file is an empty registry)
+  if (fs.existsSync(config.registryFile)) {
+    try {
+      JSON.parse(fs.readFileSync(config.registryFile, 'utf8'));
+    } catch (error) {
+      console.error('[AWSConfig] Configuration validation failed: Invalid BEACON_REGISTRY_FILE');
+      console.error(`[AWSConfig] ${config.registryFile}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Validate signal calibration file if set
+  if (config.signal.calibrationFile) {
+    try {
+      JSON.parse(fs.readFileSync(config.signal.calibrationFile, 'utf8'));
+    } catch (error) {
+      console.error('[AWSConfig] Configuration validation failed: Invalid SIGNAL_CALIBRATION_FILE');
+      console.error(`[AWSConfig] ${config.signal.calibrationFile}: ${error.message}`);
+      return false;
+    }
+  }
+  console.log(`[AWSConfig] RSSI filter: ${config.signal.filter}, Path-loss exponent: ${config.signal.pathLossExponent}`);
+
+  if (config.presence.enabled) {
+    console.log(`[AWSConfig] Presence events: enter >= ${config.presence.enterRssi} dBm, exit < ${config.presence.exitRssi} dBm for ${config.presence.exitTimeoutMs / 1000}s`);
+  }
+
+  // Configuration is valid
+  console.log('[AWSConfig] Configuration validation successful');
+  return true;
+}
+
+/**
+ * Validates region and credential settings for the DynamoDB backend
+ * @param {Object} config - Configuration from getAWSConfig()
+ * @returns {boolean} True if AWS settings are valid, false otherwise
+ */
+function validateAWSSettings(config) {
+  // Check if region has valid format (e.g., us-east-1, eu-west-1)
+  const regionPattern = /^[a-z]{2}-[a-z]+-\d+$/;
+  if (!regionPattern.test(config.region)) {
+    console.error('[AWSConfig] Configuration validation failed: Invalid AWS region format');
+    console.error(`[AWSConfig] Provided region: ${config.region}`);
+    console.error('[AWSConfig] Expected format: xx-xxxx-# (e.g., us-east-1, eu-west-2)');
+    return false;
+  }
+  
+  console.log(`[AWSConfig] Region validation passed: ${config.region}`);
+  if (config.dynamodbEndpoint) {
+    console.log(`[AWSConfig] DynamoDB endpoint: ${config.dynamodbEndpoint}`);
+  }
+
   // If credentials are explicitly set in environment, validate them
   if (process.env.AWS_ACCESS_KEY_ID || process.env.AWS_SECRET_ACCESS_KEY) {
     if (!process.env.AWS_ACCESS_KEY_ID) {
@@ -96,11 +395,186 @@ function validateConfig() {
     console.log('[AWSConfig] Credential chain includes: ~/.aws/credentials, IAM roles, etc.');
   }
 
-  // Configuration is valid
-  console.log('[AWSConfig] Configuration validation successful');
   return true;
 }
 
+// Layers defaults, the config file and environment variables; returns { config, errors }
+function loadConfig() {
+  const config = structuredClone(DEFAULTS);
+  const sources = new Map(); // setting -> { file } or { env, value }
+
+  let configFile;
+  try {
+    configFile = findConfigFile();
+    if (configFile) {
+      mergeSettings(config, readConfigFile(configFile), '', { file: configFile }, sources);
+    }
+  } catch (error) {
+    return { config, errors: [error.message] };
+  }
+
+  for (const [name, setting, convert] of ENV_SETTINGS) {
+    const value = process.env[name];
+    // Empty variables (e.g. `GATEWAY_NAME=` in .env) count as unset
+    if (value === undefined || value === '') {
+      continue;
+    }
+    setSetting(config, setting, convert(value));
+    sources.set(setting, { env: name, value });
+  }
+
+  if (!validateSchema(config)) {
+    return { config, errors: validateSchema.errors.map(error => describeSchemaError(error, config, sources)) };
+  }
+  const errors = checkSettings(config, sources);
+
+  // Credentials are only read from the environment; without them the AWS SDK uses its
+  // default credential chain (credential files, IAM roles, etc.)
+  config.credentials = process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+    ? { accessKeyId: process.env.AWS_ACCESS_KEY_ID, secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY }
+    : undefined;
+  config.configFile = configFile || null;
+  return { config, errors };
+}
+
+// Rules between settings that the schema cannot express
+function checkSettings(config, sources) {
+  const errors = [];
+  const notAbove = (lower, upper) => {
+    if (getSetting(config, lower) > getSetting(config, upper)) {
+      errors.push(`${lower} (${describeOrigin(lower, config, sources)}) must not be above ${upper} (${describeOrigin(upper, config, sources)})`);
+    }
+  };
+  notAbove('scanner.windowMs', 'scanner.intervalMs');
+  notAbove('dashboard.historyDefaultLimit', 'dashboard.historyMaxLimit');
+  // The exit threshold must not be stricter than the entry one
+  if (config.presence.enabled) {
+    notAbove('presence.exitRssi', 'presence.enterRssi');
+  }
+  return errors;
+}
+
+// CONFIG_FILE, else the first default config file that exists
+function findConfigFile() {
+  const configured = process.env.CONFIG_FILE;
+  if (configured) {
+    const filePath = path.resolve(configured);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`CONFIG_FILE ${configured} does not exist`);
+    }
+    return filePath;
+  }
+  return DEFAULT_CONFIG_FILES.find(filePath => fs.existsSync(filePath)) || null;
+}
+
+// Parses a YAML or JSON config file (by extension); an empty file has no settings
+function readConfigFile(filePath) {
+  let settings;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    settings = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : loadYamlDocument(content);
+  } catch (error) {
+    throw new Error(`${displayPath(filePath)}: ${error.message}`);
+  }
+  if (settings === undefined || settings === null) {
+    return {};
+  }
+  if (!isPlainObject(settings)) {
+    throw new Error(`${displayPath(filePath)}: must contain an object of settings`);
+  }
+  return settings;
+}
+
+// js-yaml's load() rejects a file without a document (empty or only comments); that is no settings here
+function loadYamlDocument(content) {
+  const documents = yaml.loadAll(content);
+  if (documents.length > 1) {
+    throw new Error('expected a single document, but found more');
+  }
+  return documents[0];
+}
+
+// Copies file settings over the defaults; sections are merged, everything else replaced
+function mergeSettings(target, settings, prefix, source, sources) {
+  for (const [key, value] of Object.entries(settings)) {
+    const setting = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeSettings(target[key], value, setting, source, sources);
+      continue;
+    }
+    target[key] = PATH_SETTINGS.has(setting) && typeof value === 'string'
+      ? path.resolve(path.dirname(source.file), value)
+      : value;
+    sources.set(setting, source);
+  }
+}
+
+// Turns an Ajv error into "<setting> <problem> (<where the value came from>)"
+function describeSchemaError(error, config, sources) {
+  const setting = error.instancePath.slice(1).split('/').join('.');
+  if (error.keyword === 'additionalProperties') {
+    const unknown = setting ? `${setting}.${error.params.additionalProperty}` : error.params.additionalProperty;
+    return `${unknown} is not a known setting (${describeOrigin(unknown, config, sources)})`;
+  }
+  let problem = error.message;
+  if (error.keyword === 'enum') {
+    problem = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  } else if (error.keyword === 'type') {
+    problem = `must be ${[].concat(error.params.type).join(' or ')}`;
+  }
+  return `${setting || 'The configuration'} ${problem} (${describeOrigin(setting, config, sources)})`;
+}
+
+// Where a setting's value came from: "NAME=text", "value in file" or "default value"
+function describeOrigin(setting, config, sources) {
+  let source;
+  for (let key = setting; key && !source; key = key.includes('.') ? key.slice(0, key.lastIndexOf('.')) : '') {
+    source = sources.get(key);
+  }
+  if (source && source.env) {
+    return `${source.env}=${source.value}`;
+  }
+  const value = JSON.stringify(getSetting(config, setting));
+  return source ? `got ${value} in ${displayPath(source.file)}` : `default ${value}`;
+}
+
+// Reads a dotted setting such as 'dashboard.port'
+function getSetting(config, setting) {
+  return setting.split('.').reduce((value, key) => (value == null ? undefined : value[key]), config);
+}
+
+// Writes a dotted setting; a section the config file replaced with a non-object is left for the schema to report
+function setSetting(config, setting, value) {
+  const keys = setting.split('.');
+  const last = keys.pop();
+  let section = config;
+  for (const key of keys) {
+    if (section[key] === undefined) {
+      section[key] = {};
+    }
+    if (!isPlainObject(section[key])) {
+      return;
+    }
+    section = section[key];
+  }
+  section[last] = value;
+}
+
+function scaled(value, factor) {
+  const number = parse.number(value);
+  return typeof number === 'number' ? number * factor : value;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Paths inside the project are shown relative to it
+function displayPath(filePath) {
+  const relative = path.relative(PROJECT_ROOT, filePath);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative;
+}
+
 module.exports = {
   getAWSConfig,
   validateConfig
@@ -1,29 +1,115 @@
 /**
  * Dashboard API Server
  * Provides real-time beacon data to the web dashboard
+ * Browsers subscribe to /api/stream (Server-Sent Events); one shared poller
+ * feeds every connected browser, so storage load does not grow with viewers
  */
 
 const http = require('http');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, QueryCommand } = require('@aws-sdk/lib-dynamodb');
 const { getAWSConfig } = require('./config/aws-config');
+const { createStorageAdapter } = require('./services/storage');
+const { estimateDistance, proximityZone } = require('./services/signal-processor');
+const RecordExporter = require('./services/record-exporter');
+const RecordAggregator = require('./services/record-aggregator');
+const BeaconRegistry = require('./services/beacon-registry');
+const DashboardAuth = require('./services/dashboard-auth');
+const BeaconPositioner = require('./services/beacon-positioner');
+const FloorPlanStore = require('./services/floor-plan-store');
+const { metrics, sendMetrics } = require('./services/metrics');
 
-const PORT = 3000;
-const RECENT_TIME_WINDOW = 30000; // 30 seconds
+// Settings from the config file and environment; exit with every invalid setting listed
+let awsConfig;
+try {
+  awsConfig = getAWSConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-// Initialize AWS
-const awsConfig = getAWSConfig();
-const client = new DynamoDBClient({
-  region: awsConfig.region,
-  credentials: awsConfig.credentials
-});
-const docClient = DynamoDBDocumentClient.from(client);
+const PORT = awsConfig.dashboard.port;
+const RECENT_TIME_WINDOW = awsConfig.dashboard.recentWindowMs; // Beacons seen this recently count as active now
+const PRESENCE_TIME_WINDOW = awsConfig.dashboard.presenceWindowMs; // Presence events shown on the dashboard
+const BEACON_TIME_WINDOW = awsConfig.dashboard.beaconWindowMs; // Sightings per gateway kept in the live feed
+const GATEWAY_DISCOVERY_WINDOW = 24 * 60 * 60 * 1000; // Gateways with records in the last 24 hours
+const GATEWAY_CACHE_TTL = 60000; // Re-discover gateways at most once a minute
+const GATEWAY_ONLINE_WINDOW = awsConfig.dashboard.gatewayOnlineWindowMs; // Gateway shown online if it stored a record this recently
+const HEARTBEAT_LOOKBACK = 60 * 60 * 1000; // A gateway's latest heartbeat is looked for in the last hour
+const HEARTBEAT_LATE_FACTOR = 2.5; // Heartbeat is late once 2.5 of the gateway's heartbeat intervals have passed
+const PATH_TIME_WINDOW = 60 * 60 * 1000; // 1 hour of beacon path
+const PATH_BUCKET_MS = 10000; // Strongest gateway is picked per 10 second bucket
+const LIVE_POLL_INTERVAL = awsConfig.dashboard.livePollIntervalMs; // Shared storage poll while stream clients are connected
+const LIVE_OVERLAP_MS = 10000; // Re-read this much before the cursor to catch late-arriving records
+const COUNT_LAG_MS = 5000; // Count records only up to now - 5 s so late batch writes are not missed
+const HISTORY_DEFAULT_WINDOW = 60 * 60 * 1000; // History queries without `from` cover the last hour
+const HISTORY_DEFAULT_LIMIT = awsConfig.dashboard.historyDefaultLimit;
+const HISTORY_MAX_LIMIT = awsConfig.dashboard.historyMaxLimit;
+const MAX_TIME = 8.64e15; // Largest epoch milliseconds a Date can hold, in either direction
+const MAX_BODY_BYTES = 64 * 1024; // Largest accepted JSON request body
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // Largest accepted floor-plan image
+const LOGIN_MAX_FAILURES = awsConfig.dashboard.loginMaxFailures; // Failed logins allowed per client address in LOGIN_LOCKOUT_MS
+const LOGIN_LOCKOUT_MS = awsConfig.dashboard.loginLockoutMs;
+// Paths counted under their own route label in beaconjs_http_requests_total
+const METRIC_ROUTES = new Set([
+  '/', '/index.html', '/fleet', '/registry', '/floorplan', '/login', '/metrics',
+  '/api/login', '/api/logout', '/api/me', '/api/gateway-info', '/api/beacons', '/api/stream', '/api/presence',
+  '/api/gateways', '/api/fleet/beacons', '/api/positions', '/api/records', '/api/export', '/api/aggregate', '/api/registry',
+  '/api/floorplans'
+]);
+
+// Initialize storage backend (same adapter the scanner writes through)
+const storage = createStorageAdapter(awsConfig);
+const aggregator = new RecordAggregator({ storage });
+
+// Estimates beacon positions from the gateways that hear them
+const positioner = new BeaconPositioner(awsConfig.positioning);
+
+// Beacon names, owners and tags, kept in storage when the backend supports it so remote gateways read them
+const registry = new BeaconRegistry({ filePath: awsConfig.registryFile, storage });
+registry.watch();
+
+// Floor-plan images and gateway pins edited on the floor plan page
+const floorPlans = new FloorPlanStore({ filePath: awsConfig.floorPlansFile });
+floorPlans.watch();
+
+// Users and API tokens; without DASHBOARD_AUTH_FILE every request is treated as a viewer,
+// or as an admin when DASHBOARD_OPEN_ADMIN opts into an open dashboard
+const auth = awsConfig.dashboard.authFile
+  ? new DashboardAuth({ filePath: awsConfig.dashboard.authFile, sessionTtlMs: awsConfig.dashboard.sessionTtlMs })
+  : null;
+const ANONYMOUS_USER = { username: null, role: awsConfig.dashboard.openAdmin ? 'admin' : 'viewer', via: 'none' };
+const failedLogins = new Map(); // client address -> { count, resetAt }
+if (auth) {
+  auth.watch();
+}
 
-// Track records since server start
+// Serve HTTPS when a certificate and key are configured
+const tlsOptions = loadTlsOptions();
+
+// Track records since server start; counted incrementally up to countedUntil
 let serverStartTime = Date.now();
 let totalRecordsSinceStart = 0;
+let countedUntil = serverStartTime;
+let countInProgress = null;
+
+// Live stream state shared by all /api/stream clients
+const streamClients = new Map(); // response -> { tag } (the client's tag filter, or null)
+const liveFeed = {
+  beacons: new Map(), // beaconKey -> beacon (last BEACON_TIME_WINDOW)
+  seenRecordIds: new Map(), // recordId -> timestamp, to skip records re-read in the overlap
+  cursor: null, // Timestamp of the newest record read
+  ready: null, // Promise of the initial load, shared by clients connecting meanwhile
+  timer: null,
+  polling: false
+};
+
+// Gateway list from storage, re-read at most every GATEWAY_CACHE_TTL
+let gatewayCache = { gateways: null, fetchedAt: 0 };
+
+// Latest heartbeat per gateway; later reads only cover heartbeats stored since the previous one
+const heartbeatCache = new Map(); // gatewayId -> { heartbeat, checkedUntil }
 
 // MIME types
 const mimeTypes = {
@@ -38,35 +124,207 @@ const mimeTypes = {
   '.ico': 'image/x-icon'
 };
 
-// Create HTTP server
-const server = http.createServer(async (req, res) => {
+// Create HTTP(S) server
+// A handler that throws answers its request with 400/413/500 instead of ending the process
+const server = (tlsOptions ? https : http).createServer(tlsOptions || {}, async (req, res) => {
   console.log(`${req.method} ${req.url}`);
 
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // Count the request once it is answered (event streams count when they close)
+  let route = 'other';
+  res.on('close', () => {
+    metrics.httpRequests.inc({ route, method: req.method, status: res.statusCode });
+  });
 
+  try {
+    // Route on the path only; pages like beacon.html take query parameters
+    const { pathname, searchParams } = parseRequestUrl(req);
+    route = routeLabel(pathname);
+    await routeRequest(req, res, pathname, searchParams);
+  } catch (error) {
+    sendRequestError(req, res, error);
+  }
+});
+
+// Dispatch a request to its handler
+async function routeRequest(req, res, pathname, searchParams) {
+  // Cross-origin requests are only allowed from DASHBOARD_CORS_ORIGINS
+  setCorsHeaders(req, res);
+
+  // Preflight requests carry no credentials, so they are answered before authentication
   if (req.method === 'OPTIONS') {
-    res.writeHead(200);
+    res.writeHead(204);
     res.end();
     return;
   }
 
+  // The login page and login/logout endpoints are the only routes open without credentials
+  if (pathname === '/login') {
+    if (auth) {
+      serveFile(res, 'dashboard/login.html');
+    } else {
+      res.writeHead(302, { 'Location': '/' });
+      res.end();
+    }
+    return;
+  } else if (pathname === '/dashboard/login.js') {
+    serveFile(res, 'dashboard/login.js');
+    return;
+  } else if (pathname === '/api/login') {
+    await handleLogin(req, res);
+    return;
+  } else if (pathname === '/api/logout') {
+    handleLogout(req, res);
+    return;
+  }
+
+  const user = auth ? auth.authenticate(req) : ANONYMOUS_USER;
+  if (!user) {
+    rejectUnauthenticated(req, res, pathname);
+    return;
+  }
+
+  // Viewers can only read; anything that changes data needs the admin role
+  if (pathname.startsWith('/api/') && req.method !== 'GET' && req.method !== 'HEAD' && user.role !== 'admin') {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Forbidden', message: 'This action needs the admin role' }));
+    return;
+  }
+
+  const pathMatch = pathname.match(/^\/api\/beacons\/([^/]+)\/path$/);
+  const historyMatch = pathname.match(/^\/api\/beacons\/([^/]+)\/history$/);
+  const registryMatch = pathname.match(/^\/api\/registry\/([^/]+)$/);
+  const floorPlanMatch = pathname.match(/^\/api\/floorplans\/([^/]+)$/);
+  const floorPlanImageMatch = pathname.match(/^\/api\/floorplans\/([^/]+)\/image$/);
+  const pinMatch = pathname.match(/^\/api\/gateways\/([^/]+)\/pin$/);
+  const tileMatch = pathname.match(/^\/tiles\/(\d+)\/(\d+)\/(\d+)\.png$/);
+
   // API Routes
-  if (req.url === '/api/gateway-info') {
-    await handleGatewayInfo(req, res);
-  } else if (req.url === '/api/beacons') {
-    await handleBeacons(req, res);
-  } else if (req.url === '/' || req.url === '/index.html') {
+  if (pathname === '/api/gateway-info') {
+    await handleGatewayInfo(req, res, user);
+  } else if (pathname === '/api/me') {
+    handleMe(req, res, user);
+  } else if (pathname === '/api/beacons') {
+    await handleBeacons(req, res, searchParams);
+  } else if (pathname === '/api/stream') {
+    await handleStream(req, res, searchParams);
+  } else if (pathname === '/api/presence') {
+    await handlePresence(req, res);
+  } else if (pathname === '/api/gateways') {
+    await handleGateways(req, res);
+  } else if (pathname === '/api/fleet/beacons') {
+    await handleFleetBeacons(req, res, searchParams);
+  } else if (pathname === '/api/positions') {
+    await handlePositions(req, res, searchParams);
+  } else if (pathMatch) {
+    await handleBeaconPath(req, res, decodePathParam(pathMatch[1]));
+  } else if (pathname === '/api/records') {
+    await handleHistory(req, res, searchParams);
+  } else if (historyMatch) {
+    await handleHistory(req, res, searchParams, decodePathParam(historyMatch[1]));
+  } else if (pathname === '/api/export') {
+    await handleExport(req, res, searchParams);
+  } else if (pathname === '/api/aggregate') {
+    await handleAggregate(req, res, searchParams);
+  } else if (pathname === '/metrics') {
+    await sendMetrics(res);
+  } else if (pathname === '/api/registry') {
+    handleRegistryList(req, res, searchParams);
+  } else if (registryMatch) {
+    await handleRegistryEntry(req, res, decodePathParam(registryMatch[1]));
+  } else if (pathname === '/api/floorplans') {
+    handleFloorPlanList(req, res);
+  } else if (floorPlanMatch) {
+    await handleFloorPlanEntry(req, res, decodePathParam(floorPlanMatch[1]));
+  } else if (floorPlanImageMatch) {
+    await handleFloorPlanImage(req, res, decodePathParam(floorPlanImageMatch[1]));
+  } else if (pinMatch) {
+    await handleGatewayPin(req, res, decodePathParam(pinMatch[1]));
+  } else if (tileMatch && awsConfig.mapTiles.dir) {
+    serveTile(res, tileMatch.slice(1));
+  } else if (pathname === '/' || pathname === '/index.html') {
     serveFile(res, 'dashboard/index.html');
-  } else if (req.url.startsWith('/dashboard/')) {
-    serveFile(res, req.url.substring(1));
+  } else if (pathname === '/fleet') {
+    serveFile(res, 'dashboard/fleet.html');
+  } else if (pathname === '/registry') {
+    serveFile(res, 'dashboard/registry.html');
+  } else if (pathname === '/floorplan') {
+    serveFile(res, 'dashboard/floorplan.html');
+  } else if (pathname.startsWith('/dashboard/')) {
+    serveFile(res, pathname.substring(1));
   } else {
     res.writeHead(404, { 'Content-Type': 'text/plain' });
     res.end('Not Found');
   }
-});
+}
+
+// Parse the request URL against a fixed base; the Host header is client input and is not needed
+// Throws with statusCode 400 if the URL is malformed
+function parseRequestUrl(req) {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch (parseError) {
+    const error = new Error(`Malformed request URL: ${parseError.message}`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+// Decode a percent-encoded path parameter (beacon key, plan or gateway ID)
+// Throws with statusCode 400 if the encoding is malformed
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (decodeError) {
+    const error = new Error(`Malformed percent-encoding in path: ${value}`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+// Answer a request whose handler threw: 400/413 for the client's mistakes, 500 otherwise
+// Once a response has started (e.g. an event stream) the connection is cut instead
+function sendRequestError(req, res, error) {
+  if (!error.statusCode) {
+    console.error(`Error handling ${req.method} ${req.url}:`, error);
+  }
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  if (error.statusCode) {
+    res.writeHead(error.statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: error.statusCode === 413 ? 'Payload too large' : 'Bad request', message: error.message }));
+    return;
+  }
+  res.writeHead(500, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Internal server error' }));
+}
+
+// Route label for request metrics: path parameters are replaced and unknown paths grouped
+// as 'other', so requests for arbitrary URLs cannot create new time series
+function routeLabel(pathname) {
+  if (METRIC_ROUTES.has(pathname)) {
+    return pathname;
+  }
+  const beaconMatch = pathname.match(/^\/api\/beacons\/[^/]+\/(path|history)$/);
+  if (beaconMatch) {
+    return `/api/beacons/:beaconKey/${beaconMatch[1]}`;
+  }
+  if (/^\/api\/registry\/[^/]+$/.test(pathname)) {
+    return '/api/registry/:beaconKey';
+  }
+  const floorPlanMatch = pathname.match(/^\/api\/floorplans\/[^/]+(\/image)?$/);
+  if (floorPlanMatch) {
+    return `/api/floorplans/:planId${floorPlanMatch[1] || ''}`;
+  }
+  if (/^\/api\/gateways\/[^/]+\/pin$/.test(pathname)) {
+    return '/api/gateways/:gatewayId/pin';
+  }
+  if (pathname.startsWith('/tiles/')) {
+    return '/tiles/*';
+  }
+  return pathname.startsWith('/dashboard/') ? '/dashboard/*' : 'other';
+}
 
 // Serve static files
 function serveFile(res, filePath) {
@@ -87,16 +345,19 @@ function serveFile(res, filePath) {
   });
 }
 
-// Handle gateway info request
-async function handleGatewayInfo(req, res) {
+// Handle gateway info request; the AWS region and table name are only shown to admins
+async function handleGatewayInfo(req, res, user) {
   try {
     const info = {
       gatewayId: awsConfig.gatewayId,
       gatewayName: awsConfig.gatewayName || awsConfig.gatewayId,
       gatewayLocation: formatLocation(awsConfig.gatewayLocation),
-      region: awsConfig.region,
-      tableName: awsConfig.tableName
+      storageBackend: storage.name
     };
+    if (user.role === 'admin') {
+      info.region = awsConfig.region;
+      info.tableName = awsConfig.tableName;
+    }
 
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(info));
@@ -107,95 +368,1284 @@ async function handleGatewayInfo(req, res) {
   }
 }
 
-// Handle beacons request
-async function handleBeacons(req, res) {
+// Handle current user request - who is logged in, and whether login is enabled at all
+function handleMe(req, res, user) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    authEnabled: Boolean(auth),
+    username: user.username,
+    role: user.role,
+    via: user.via
+  }));
+}
+
+// Handle login request: POST { username, password } starts a session and sets its cookie
+// Each client address gets LOGIN_MAX_FAILURES wrong passwords per LOGIN_LOCKOUT_MS
+async function handleLogin(req, res) {
+  if (!auth) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found', message: 'Dashboard login is not enabled (DASHBOARD_AUTH_FILE is not set)' }));
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'POST' });
+    res.end(JSON.stringify({ error: 'Method not allowed' }));
+    return;
+  }
+
+  const now = Date.now();
+  const client = req.socket.remoteAddress;
+  const failures = failedLogins.get(client);
+  if (failures && failures.resetAt <= now) {
+    failedLogins.delete(client);
+  } else if (failures && failures.count >= LOGIN_MAX_FAILURES) {
+    res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(Math.ceil((failures.resetAt - now) / 1000)) });
+    res.end(JSON.stringify({ error: 'Too many requests', message: 'Too many failed logins, try again later' }));
+    return;
+  }
+
+  try {
+    const { username, password } = await readJsonBody(req) || {};
+    const session = await auth.login(username, password);
+    if (!session) {
+      const entry = failedLogins.get(client) || { count: 0, resetAt: now + LOGIN_LOCKOUT_MS };
+      entry.count++;
+      failedLogins.set(client, entry);
+      console.warn(`Failed login for '${username}' from ${client}`);
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Unauthorized', message: 'Wrong username or password' }));
+      return;
+    }
+
+    failedLogins.delete(client);
+    console.log(`User '${session.username}' logged in from ${client}`);
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'Set-Cookie': sessionCookie(session.sessionId, Math.floor(awsConfig.dashboard.sessionTtlMs / 1000))
+    });
+    res.end(JSON.stringify({ username: session.username, role: session.role, expiresAt: session.expiresAt }));
+  } catch (error) {
+    if (error.statusCode) {
+      res.writeHead(error.statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.statusCode === 413 ? 'Payload too large' : 'Bad request', message: error.message }));
+      return;
+    }
+    console.error('Error logging in:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error' }));
+  }
+}
+
+// Handle logout request: ends the session and clears its cookie
+function handleLogout(req, res) {
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'POST' });
+    res.end(JSON.stringify({ error: 'Method not allowed' }));
+    return;
+  }
+
+  const user = auth && auth.authenticate(req);
+  if (user && user.sessionId) {
+    auth.logout(user.sessionId);
+  }
+  res.writeHead(204, { 'Set-Cookie': sessionCookie('', 0) });
+  res.end();
+}
+
+// Answer a request without valid credentials: pages redirect to the login page, the API gets a 401
+function rejectUnauthenticated(req, res, pathname) {
+  if (pathname.startsWith('/api/')) {
+    res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+    res.end(JSON.stringify({ error: 'Unauthorized', message: 'Log in or send an API token (Authorization: Bearer <token>)' }));
+    return;
+  }
+  res.writeHead(302, { 'Location': `/login?next=${encodeURIComponent(req.url)}` });
+  res.end();
+}
+
+// Session cookie header; HttpOnly keeps it from scripts, SameSite=Strict from other sites' requests
+function sessionCookie(value, maxAgeSeconds) {
+  return `${DashboardAuth.SESSION_COOKIE}=${value}; Path=/; Max-Age=${maxAgeSeconds}; HttpOnly; SameSite=Strict` +
+    (tlsOptions ? '; Secure' : '');
+}
+
+// Allow cross-origin API calls from the origins in DASHBOARD_CORS_ORIGINS only
+// A listed origin may send cookies; '*' lets any origin call the API with a token instead
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin;
+  const allowed = awsConfig.dashboard.corsOrigins;
+  if (allowed.length === 0) {
+    return;
+  }
+  res.setHeader('Vary', 'Origin');
+  if (origin && allowed.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  } else if (allowed.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    return;
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+// Read the TLS certificate and key; null (plain HTTP) unless both are configured
+function loadTlsOptions() {
+  const { tlsCertFile, tlsKeyFile } = awsConfig.dashboard;
+  if (!tlsCertFile && !tlsKeyFile) {
+    return null;
+  }
+  if (!tlsCertFile || !tlsKeyFile) {
+    console.error('DASHBOARD_TLS_CERT and DASHBOARD_TLS_KEY must be set together');
+    process.exit(1);
+  }
+  try {
+    return { cert: fs.readFileSync(tlsCertFile), key: fs.readFileSync(tlsKeyFile) };
+  } catch (error) {
+    console.error(`Failed to read the dashboard TLS certificate: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Handle beacons request; ?tag= limits the beacons (and statistics) to one registry tag
+async function handleBeacons(req, res, searchParams) {
   try {
     // Query recent records from this gateway (last 5 minutes for display)
     const now = Date.now();
-    const fiveMinutesAgo = now - (5 * 60 * 1000);
-
-    const command = new QueryCommand({
-      TableName: awsConfig.tableName,
-      IndexName: 'GatewayIndex',
-      KeyConditionExpression: 'gatewayId = :gid AND #ts > :time',
-      ExpressionAttributeNames: {
-        '#ts': 'timestamp'
-      },
-      ExpressionAttributeValues: {
-        ':gid': awsConfig.gatewayId,
-        ':time': fiveMinutesAgo
-      },
-      ScanIndexForward: false, // Most recent first
-      Limit: 100
-    });
+    const fiveMinutesAgo = now - BEACON_TIME_WINDOW;
 
-    const response = await docClient.send(command);
-    const records = response.Items || [];
-
-    // Count records since server start
-    const countCommand = new QueryCommand({
-      TableName: awsConfig.tableName,
-      IndexName: 'GatewayIndex',
-      KeyConditionExpression: 'gatewayId = :gid AND #ts > :startTime',
-      ExpressionAttributeNames: {
-        '#ts': 'timestamp'
-      },
-      ExpressionAttributeValues: {
-        ':gid': awsConfig.gatewayId,
-        ':startTime': serverStartTime
-      },
-      Select: 'COUNT'
+    const records = await storage.queryRecords({
+      gatewayId: awsConfig.gatewayId,
+      from: fiveMinutesAgo,
+      newestFirst: true, // Most recent first
+      limit: 100,
+      recordType: 'sighting'
     });
 
-    const countResponse = await docClient.send(countCommand);
-    totalRecordsSinceStart = countResponse.Count || 0;
+    await updateTotalRecords(now);
 
     // Process records to get unique beacons with latest data
     const beaconMap = new Map();
-    
-    records.forEach(record => {
-      const key = `${record.uuid}-${record.major}-${record.minor}`;
-      
-      if (!beaconMap.has(key) || record.timestamp > beaconMap.get(key).timestamp) {
-        beaconMap.set(key, {
-          uuid: record.uuid,
-          major: record.major,
-          minor: record.minor,
-          rssi: record.rssi,
-          txPower: record.txPower,
-          name: record.rawData?.localName || null,
-          lastSeen: record.timestamp,
-          detectedAt: record.detectedAt
+    records.forEach(record => mergeRecord(beaconMap, record));
+
+    const data = buildBeaconsPayload(beaconMap, now, searchParams.get('tag'));
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    console.error('Error getting beacons:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+  }
+}
+
+// Handle live stream request (Server-Sent Events)
+// Sends a 'snapshot' with the same payload as /api/beacons, then an 'update' per poll
+// with changed beacons, beacon keys that aged out, and fresh statistics
+// ?tag= limits the stream to beacons with that registry tag
+async function handleStream(req, res, searchParams) {
+  const tag = searchParams.get('tag') || null;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(`retry: ${LIVE_POLL_INTERVAL}\n\n`);
+
+  streamClients.set(res, { tag });
+  metrics.streamClients.set(streamClients.size);
+  console.log(`Stream client connected (${streamClients.size} connected)`);
+  req.on('close', () => {
+    streamClients.delete(res);
+    metrics.streamClients.set(streamClients.size);
+    console.log(`Stream client disconnected (${streamClients.size} connected)`);
+    if (streamClients.size === 0) {
+      stopLiveFeed();
+    }
+  });
+
+  try {
+    // Clients connecting while the initial window loads wait for the same load
+    if (!liveFeed.ready) {
+      liveFeed.ready = startLiveFeed();
+    }
+    await liveFeed.ready;
+    sendEvent(res, 'snapshot', buildBeaconsPayload(liveFeed.beacons, Date.now(), tag));
+  } catch (error) {
+    console.error('Error starting live stream:', error);
+    sendEvent(res, 'server-error', { error: 'Internal server error', message: error.message });
+  }
+}
+
+// Load the initial beacon window and start the shared poll loop
+async function startLiveFeed() {
+  const now = Date.now();
+  liveFeed.beacons = new Map();
+  liveFeed.seenRecordIds = new Map();
+  liveFeed.cursor = now - BEACON_TIME_WINDOW;
+  try {
+    await readLiveRecords(now);
+  } catch (error) {
+    liveFeed.ready = null;
+    throw error;
+  }
+
+  // The last client may have gone during the load, when stopLiveFeed had no timer to clear
+  if (streamClients.size === 0) {
+    liveFeed.ready = null;
+    return;
+  }
+  // A start that overlapped this one (client reconnecting mid-load) may already have a timer
+  clearInterval(liveFeed.timer);
+  liveFeed.timer = setInterval(pollLiveFeed, LIVE_POLL_INTERVAL);
+  console.log('Live feed started');
+}
+
+// Stop polling once the last stream client has gone
+function stopLiveFeed() {
+  liveFeed.ready = null;
+  if (liveFeed.timer) {
+    clearInterval(liveFeed.timer);
+    liveFeed.timer = null;
+    console.log('Live feed stopped');
+  }
+}
+
+// One shared poll: read new records and push the changes to every client
+async function pollLiveFeed() {
+  if (liveFeed.polling) {
+    return;
+  }
+  liveFeed.polling = true;
+
+  try {
+    const now = Date.now();
+    const changed = await readLiveRecords(now);
+
+    // Beacons not heard within the display window leave the dashboard
+    const removed = [];
+    for (const [key, beacon] of liveFeed.beacons) {
+      if (now - beacon.lastSeen > BEACON_TIME_WINDOW) {
+        liveFeed.beacons.delete(key);
+        changed.delete(key);
+        removed.push(key);
+      }
+    }
+
+    // One update per tag filter in use; a changed beacon outside a client's tag (e.g. one
+    // whose tag was just removed) is sent as removed so the client drops it
+    const updates = new Map();
+    for (const [client, { tag }] of streamClients) {
+      if (!updates.has(tag)) {
+        const { beacons, ...stats } = buildBeaconsPayload(liveFeed.beacons, now, tag);
+        const shown = new Set(beacons.map(beacon => beacon.beaconKey));
+        updates.set(tag, {
+          beacons: beacons.filter(beacon => changed.has(beacon.beaconKey)),
+          removed: [...removed, ...Array.from(changed).filter(key => !shown.has(key))],
+          ...stats
         });
       }
+      sendEvent(client, 'update', updates.get(tag));
+    }
+  } catch (error) {
+    console.error('Error polling live feed:', error);
+    for (const client of streamClients.keys()) {
+      sendEvent(client, 'server-error', { error: 'Internal server error', message: error.message });
+    }
+  } finally {
+    liveFeed.polling = false;
+  }
+}
+
+// Read records since the cursor (with overlap) into the live beacon map
+// Returns the keys of beacons that changed
+async function readLiveRecords(now) {
+  const pageSize = 500;
+  const changed = new Set();
+  let from = liveFeed.cursor - LIVE_OVERLAP_MS;
+  let records;
+
+  do {
+    records = await storage.queryRecords({
+      gatewayId: awsConfig.gatewayId,
+      from,
+      newestFirst: false,
+      limit: pageSize,
+      recordType: 'sighting'
+    });
+
+    records.forEach(record => {
+      if (liveFeed.seenRecordIds.has(record.recordId)) {
+        return;
+      }
+      liveFeed.seenRecordIds.set(record.recordId, record.timestamp);
+      liveFeed.cursor = Math.max(liveFeed.cursor, record.timestamp);
+      if (now - record.timestamp <= BEACON_TIME_WINDOW) {
+        mergeRecord(liveFeed.beacons, record);
+        changed.add(beaconKeyOf(record));
+      }
     });
 
-    const beacons = Array.from(beaconMap.values())
-      .sort((a, b) => b.rssi - a.rssi); // Sort by signal strength
+    // Full page: continue after it (without overlap, which could return the same page)
+    from = liveFeed.cursor;
+  } while (records.length === pageSize);
+
+  // Only ids inside the overlap window can be read again
+  for (const [recordId, timestamp] of liveFeed.seenRecordIds) {
+    if (timestamp < liveFeed.cursor - LIVE_OVERLAP_MS) {
+      liveFeed.seenRecordIds.delete(recordId);
+    }
+  }
 
-    // Calculate statistics
-    const activeBeacons = beacons.filter(b => (now - b.lastSeen) < RECENT_TIME_WINDOW).length;
-    const strongestSignal = beacons.length > 0 ? beacons[0].rssi : null;
+  await updateTotalRecords(now);
+  return changed;
+}
+
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Add records stored since the last count to the since-start total
+// Each count query only covers the interval since the previous one; concurrent
+// callers share the count in progress so no interval is counted twice
+function updateTotalRecords(now) {
+  if (!countInProgress) {
+    countInProgress = (async () => {
+      const countTo = now - COUNT_LAG_MS;
+      if (countTo <= countedUntil) {
+        return;
+      }
+      totalRecordsSinceStart += await storage.countRecords({
+        gatewayId: awsConfig.gatewayId,
+        from: countedUntil,
+        to: countTo,
+        recordType: 'sighting'
+      });
+      countedUntil = countTo;
+    })().finally(() => {
+      countInProgress = null;
+    });
+  }
+  return countInProgress;
+}
+
+// Merge a sighting into a beaconKey -> beacon map, keeping the latest record per beacon
+function mergeRecord(beaconMap, record) {
+  const key = beaconKeyOf(record);
+  const existing = beaconMap.get(key);
+
+  if (!existing || record.timestamp > existing.lastSeen) {
+    beaconMap.set(key, {
+      ...toBeacon(record),
+      // TLM frames arrive separately; keep the latest telemetry seen for this beacon
+      telemetry: record.telemetry || existing?.telemetry || null
+    });
+  } else if (!existing.telemetry && record.telemetry) {
+    existing.telemetry = record.telemetry;
+  }
+}
+
+// Build the /api/beacons payload (beacons sorted by signal, plus statistics)
+// Registry entries are applied here so edits show up without a new sighting;
+// with a tag, beacons and statistics only cover beacons carrying that tag
+function buildBeaconsPayload(beaconMap, now, tag) {
+  const beacons = Array.from(beaconMap.values())
+    .map(withRegistry)
+    .filter(beacon => !tag || beacon.tags.includes(tag))
+    .sort((a, b) => (b.smoothedRssi ?? b.rssi) - (a.smoothedRssi ?? a.rssi)); // Sort by signal strength
+
+  // Calculate statistics
+  const activeBeacons = beacons.filter(b => (now - b.lastSeen) < RECENT_TIME_WINDOW).length;
+  const strongestSignal = beacons.length > 0 ? (beacons[0].smoothedRssi ?? beacons[0].rssi) : null;
+
+  return {
+    beacons,
+    uniqueBeacons: beacons.length,
+    activeBeacons,
+    strongestSignal,
+    totalRecords: totalRecordsSinceStart,
+    serverUptime: Math.floor((now - serverStartTime) / 1000), // seconds
+    timestamp: now
+  };
+}
+
+// Handle presence events request
+async function handlePresence(req, res) {
+  try {
+    const now = Date.now();
+    const events = await storage.queryRecords({
+      gatewayId: awsConfig.gatewayId,
+      from: now - PRESENCE_TIME_WINDOW,
+      newestFirst: true,
+      limit: 100,
+      recordType: 'presence'
+    });
+
+    // A beacon is present if its latest event is an enter or dwell
+    const latestByBeacon = new Map();
+    events.forEach(event => {
+      if (!latestByBeacon.has(event.beaconKey)) {
+        latestByBeacon.set(event.beaconKey, event);
+      }
+    });
+    const present = Array.from(latestByBeacon.values())
+      .filter(event => event.eventType !== 'exit')
+      .map(event => ({
+        beaconKey: event.beaconKey,
+        beaconType: event.beaconType,
+        enteredAt: event.enteredAt,
+        dwellSeconds: Math.round((now - event.enteredAt) / 1000)
+      }));
 
     const data = {
-      beacons,
-      uniqueBeacons: beacons.length,
-      activeBeacons,
-      strongestSignal,
-      totalRecords: totalRecordsSinceStart,
-      serverUptime: Math.floor((now - serverStartTime) / 1000), // seconds
+      events: events.map(event => ({
+        eventType: event.eventType,
+        beaconKey: event.beaconKey,
+        beaconType: event.beaconType,
+        timestamp: event.timestamp,
+        enteredAt: event.enteredAt,
+        dwellSeconds: event.dwellSeconds,
+        rssi: event.rssi
+      })),
+      present,
       timestamp: now
     };
 
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(data));
   } catch (error) {
-    console.error('Error getting beacons:', error);
+    console.error('Error getting presence events:', error);
     res.writeHead(500, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
   }
 }
 
+// Handle fleet gateway list request
+// Each gateway comes with its latest heartbeat and whether that heartbeat is late
+async function handleGateways(req, res) {
+  try {
+    const now = Date.now();
+    const gateways = await getGateways();
+
+    // Count beacons each gateway heard recently
+    const summaries = await Promise.all(gateways.map(async gateway => {
+      const [records, heartbeat] = await Promise.all([
+        getRecentSightings(gateway.gatewayId, now),
+        getLatestHeartbeat(gateway.gatewayId, now)
+      ]);
+      return {
+        gatewayId: gateway.gatewayId,
+        gatewayName: gateway.gatewayName,
+        gatewayLocation: formatLocation(gateway.gatewayLocation),
+        lastSeen: gateway.lastSeen,
+        online: (now - gateway.lastSeen) < GATEWAY_ONLINE_WINDOW,
+        beaconCount: new Set(records.map(beaconKeyOf)).size,
+        isLocal: gateway.gatewayId === awsConfig.gatewayId,
+        heartbeat: heartbeat && toHeartbeat(heartbeat),
+        heartbeatStatus: heartbeatStatus(heartbeat, now)
+      };
+    }));
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ gateways: summaries, timestamp: now }));
+  } catch (error) {
+    console.error('Error getting gateways:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+  }
+}
+
+// Handle fleet beacons request - which gateway hears each beacon most strongly
+// ?tag= limits the list to beacons with that registry tag
+async function handleFleetBeacons(req, res, searchParams) {
+  const tag = searchParams.get('tag');
+  try {
+    const now = Date.now();
+    const gateways = await getGateways();
+
+    const beaconKeys = await getRecentBeaconKeys(gateways, now, tag);
+
+    // Per beacon, compare the latest sighting from each gateway
+    const beacons = await Promise.all(beaconKeys.map(async beaconKey => {
+      const records = await getLatestByGateway(beaconKey, now);
+
+      const heardBy = records
+        .map(record => ({
+          gatewayId: record.gatewayId,
+          gatewayName: record.gatewayName || record.gatewayId,
+          rssi: record.smoothedRssi ?? record.rssi,
+          distance: toBeacon(record).distance,
+          lastSeen: record.timestamp
+        }))
+        .sort((a, b) => b.rssi - a.rssi);
+
+      // Strongest among gateways that still hear the beacon; otherwise whoever heard it last
+      const current = heardBy.filter(gateway => (now - gateway.lastSeen) < RECENT_TIME_WINDOW);
+      const strongest = current[0] || heardBy.slice().sort((a, b) => b.lastSeen - a.lastSeen)[0] || null;
+      const latest = records[0];
+
+      return {
+        ...(latest ? toBeacon(latest) : { beaconKey }),
+        strongestGateway: strongest,
+        gateways: heardBy
+      };
+    }));
+
+    beacons.sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ beacons, gatewayCount: gateways.length, timestamp: now }));
+  } catch (error) {
+    console.error('Error getting fleet beacons:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+  }
+}
+
+// Handle positions request - each beacon's estimated position from the gateways that hear it
+// (trilateration with 3+ gateways that have coordinates, otherwise the strongest gateway's location)
+// ?tag= limits the list to beacons with that registry tag, ?beaconKey= to one beacon
+async function handlePositions(req, res, searchParams) {
+  const tag = searchParams.get('tag');
+  const onlyBeaconKey = searchParams.get('beaconKey');
+  try {
+    const now = Date.now();
+    const gateways = await getGateways();
+    const beaconKeys = onlyBeaconKey ? [onlyBeaconKey] : await getRecentBeaconKeys(gateways, now, tag);
+
+    const positions = (await Promise.all(beaconKeys.map(async beaconKey => {
+      const records = await getLatestByGateway(beaconKey, now);
+      if (records.length === 0) {
+        return null;
+      }
+      const position = positioner.locate(records.map(record => ({
+        gatewayId: record.gatewayId,
+        gatewayName: record.gatewayName || record.gatewayId,
+        gatewayLocation: floorPlans.applyPin(record.gatewayId, record.gatewayLocation),
+        rssi: record.smoothedRssi ?? record.rssi,
+        distance: toBeacon(record).distance,
+        timestamp: record.timestamp
+      })));
+      return { ...toBeacon(records[0]), position };
+    }))).filter(Boolean);
+
+    positions.sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+
+    const data = {
+      positions,
+      gateways: gateways.map(gateway => ({
+        gatewayId: gateway.gatewayId,
+        gatewayName: gateway.gatewayName || gateway.gatewayId,
+        gatewayLocation: formatLocation(gateway.gatewayLocation),
+        coordinates: BeaconPositioner.coordinatesOf(floorPlans.applyPin(gateway.gatewayId, gateway.gatewayLocation))
+      })),
+      timestamp: now
+    };
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    console.error('Error getting positions:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+  }
+}
+
+// Handle beacon path request - the beacon's recent route across gateways
+async function handleBeaconPath(req, res, beaconKey) {
+  try {
+    const now = Date.now();
+    const records = await storage.queryRecords({
+      beaconKey,
+      from: now - PATH_TIME_WINDOW,
+      newestFirst: false,
+      limit: 1000,
+      recordType: 'sighting'
+    });
+
+    // Strongest gateway per time bucket, then merge consecutive buckets into path segments
+    const buckets = new Map();
+    records.forEach(record => {
+      const bucket = Math.floor(record.timestamp / PATH_BUCKET_MS);
+      const rssi = record.smoothedRssi ?? record.rssi;
+      const best = buckets.get(bucket);
+      if (!best || rssi > best.rssi) {
+        buckets.set(bucket, { record, rssi });
+      }
+    });
+
+    const segments = [];
+    Array.from(buckets.values()).forEach(({ record, rssi }) => {
+      const last = segments[segments.length - 1];
+      if (last && last.gatewayId === record.gatewayId) {
+        last.to = record.timestamp;
+        last.peakRssi = Math.max(last.peakRssi, rssi);
+        last.samples++;
+      } else {
+        segments.push({
+          gatewayId: record.gatewayId,
+          gatewayName: record.gatewayName || record.gatewayId,
+          gatewayLocation: formatLocation(record.gatewayLocation),
+          from: record.timestamp,
+          to: record.timestamp,
+          peakRssi: rssi,
+          samples: 1
+        });
+      }
+    });
+
+    const latest = records[records.length - 1];
+    const data = {
+      beacon: latest ? toBeacon(latest) : { beaconKey },
+      segments,
+      recordCount: records.length,
+      timestamp: now
+    };
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    console.error('Error getting beacon path:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+  }
+}
+
+// Handle historical records request - /api/records (one gateway) or
+// /api/beacons/:beaconKey/history (one beacon, all gateways unless gatewayId is given)
+async function handleHistory(req, res, searchParams, beaconKey) {
+  const { query, error } = parseHistoryQuery(searchParams);
+  if (error) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Bad request', message: error }));
+    return;
+  }
+
+  if (beaconKey !== undefined) {
+    query.beaconKey = beaconKey;
+  } else if (query.gatewayId === undefined) {
+    query.gatewayId = awsConfig.gatewayId;
+  }
+
+  try {
+    // Storage treats `from` as exclusive; the API's `from` is inclusive
+    const page = await storage.queryRecordsPage({ ...query, from: query.from - 1 });
+    const data = {
+      records: page.records,
+      count: page.records.length,
+      nextCursor: page.cursor,
+      query: {
+        gatewayId: query.gatewayId,
+        beaconKey: query.beaconKey,
+        from: query.from,
+        to: query.to,
+        order: query.newestFirst ? 'desc' : 'asc',
+        limit: query.limit,
+        recordType: query.recordType || 'all',
+        ...query.filters
+      }
+    };
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    // A cursor from another query (or edited by hand) is the caller's mistake
+    if (error.code === 'ERR_INVALID_CURSOR' || error.name === 'ValidationException') {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Bad request', message: error.message }));
+      return;
+    }
+    console.error('Error getting record history:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+  }
+}
+
+// Handle export request - streams records as CSV, NDJSON or Parquet
+// Takes the history parameters (except limit, order and cursor) plus format, rawFields
+// and gatewayId as a comma-separated list or 'all'
+async function handleExport(req, res, searchParams) {
+  const { query, error } = parseHistoryQuery(searchParams);
+  const format = searchParams.get('format') || 'csv';
+  const exportError = error ||
+    (!RecordExporter.FORMATS[format] ? `\`format\` must be one of: ${Object.keys(RecordExporter.FORMATS).join(', ')}` : null);
+  if (exportError) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Bad request', message: exportError }));
+    return;
+  }
+
+  const exporter = new RecordExporter({
+    storage,
+    rawDataFields: searchParams.has('rawFields')
+      ? searchParams.get('rawFields').split(',').map(field => field.trim()).filter(Boolean)
+      : undefined
+  });
+
+  let gatewayIds;
+  try {
+    gatewayIds = (query.gatewayId || awsConfig.gatewayId).split(',').map(id => id.trim()).filter(Boolean);
+    if (gatewayIds.includes('all')) {
+      // Not the cached fleet list: that only covers the last 24 hours
+      gatewayIds = (await storage.listGateways({ from: query.from - 1 })).map(gateway => gateway.gatewayId);
+    }
+  } catch (error) {
+    console.error('Error listing gateways for export:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+    return;
+  }
+
+  // parseHistoryQuery keeps from and to within the range a Date can hold, so toISOString cannot throw
+  const { contentType, extension } = RecordExporter.FORMATS[format];
+  const fileName = `beacon-records-${new Date(query.from).toISOString()}-${new Date(query.to).toISOString()}.${extension}`;
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${fileName.replace(/:/g, '-')}"`
+  });
+
+  try {
+    const count = await exporter.export(res, {
+      format,
+      gatewayIds,
+      // Storage treats `from` as exclusive; the API's `from` is inclusive
+      from: query.from - 1,
+      to: query.to,
+      recordType: query.recordType,
+      filters: query.filters
+    });
+    console.log(`Exported ${count} record(s) as ${format}`);
+  } catch (error) {
+    // Headers are already sent; cutting the connection tells the client the file is incomplete
+    console.error('Error exporting records:', error);
+    res.destroy();
+  }
+}
+
+// Handle aggregation request - chart data bucketed on the server
+// metric=rssi (one beacon, per gateway), detections (per gateway) or dwell (histogram)
+async function handleAggregate(req, res, searchParams) {
+  const { query, error } = parseAggregateQuery(searchParams);
+  if (error) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Bad request', message: error }));
+    return;
+  }
+
+  try {
+    // Storage treats `from` as exclusive; the API's `from` is inclusive
+    const range = { from: query.from - 1, to: query.to };
+    const { metric, bucket, bucketMs } = query;
+    const data = { metric, from: query.from, to: query.to, timestamp: Date.now() };
+
+    if (metric === 'rssi') {
+      data.bucket = bucket;
+      data.beaconKey = query.beaconKey;
+      data.series = await aggregator.rssiSeries({ ...range, beaconKey: query.beaconKey, gatewayId: query.gatewayId, bucketMs });
+    } else {
+      const gatewayIds = await resolveGatewayIds(query.gatewayId);
+      if (metric === 'detections') {
+        data.bucket = bucket;
+        data.series = await aggregator.detectionSeries({ ...range, gatewayIds, bucketMs, filters: query.filters });
+      } else {
+        Object.assign(data, await aggregator.dwellHistogram({ ...range, gatewayIds }));
+      }
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    console.error('Error aggregating records:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+  }
+}
+
+// Parse aggregation parameters: the history time range and filters plus metric, bucket
+// and beaconKey; returns { query } or { error }
+function parseAggregateQuery(searchParams) {
+  const { query, error } = parseHistoryQuery(searchParams);
+  if (error) {
+    return { error };
+  }
+
+  query.metric = searchParams.get('metric');
+  query.bucket = searchParams.get('bucket') || 'minute';
+  query.bucketMs = RecordAggregator.BUCKETS[query.bucket];
+  query.beaconKey = searchParams.get('beaconKey') || undefined;
+
+  if (!['rssi', 'detections', 'dwell'].includes(query.metric)) {
+    return { error: '`metric` must be rssi, detections or dwell' };
+  }
+  if (!query.bucketMs) {
+    return { error: `\`bucket\` must be one of: ${Object.keys(RecordAggregator.BUCKETS).join(', ')}` };
+  }
+  if (query.metric !== 'dwell' && (query.to - query.from) / query.bucketMs > RecordAggregator.MAX_BUCKETS) {
+    return { error: `Time range holds more than ${RecordAggregator.MAX_BUCKETS} ${query.bucket} buckets; use a larger bucket or a shorter range` };
+  }
+  if (query.metric === 'rssi' && !query.beaconKey) {
+    return { error: '`beaconKey` is required for metric=rssi' };
+  }
+  return { query };
+}
+
+// Resolve a gatewayId parameter: comma-separated IDs, 'all' (known gateways) or this gateway
+async function resolveGatewayIds(gatewayIdParam) {
+  const gatewayIds = (gatewayIdParam || awsConfig.gatewayId).split(',').map(id => id.trim()).filter(Boolean);
+  if (gatewayIds.includes('all')) {
+    return (await getGateways()).map(gateway => gateway.gatewayId);
+  }
+  return gatewayIds;
+}
+
+// Handle beacon registry list request; ?tag= limits the list to one tag
+function handleRegistryList(req, res, searchParams) {
+  if (req.method !== 'GET') {
+    res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'GET' });
+    res.end(JSON.stringify({ error: 'Method not allowed' }));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    beacons: registry.list({ tag: searchParams.get('tag') || undefined }),
+    tags: registry.tags(),
+    timestamp: Date.now()
+  }));
+}
+
+// Handle one registry entry: GET reads it, PUT creates or replaces it from a JSON body
+// ({ name, assetType, owner, tags }), DELETE removes it
+async function handleRegistryEntry(req, res, beaconKey) {
+  try {
+    if (req.method === 'GET') {
+      const entry = registry.get(beaconKey);
+      res.writeHead(entry ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(entry ? { beaconKey, ...entry } : { error: 'Not found', message: `Beacon '${beaconKey}' is not registered` }));
+    } else if (req.method === 'PUT') {
+      const entry = await registry.upsert(beaconKey, await readJsonBody(req));
+      console.log(`Registered beacon ${beaconKey} as '${entry.name}'`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(entry));
+    } else if (req.method === 'DELETE') {
+      if (!await registry.remove(beaconKey)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found', message: `Beacon '${beaconKey}' is not registered` }));
+        return;
+      }
+      console.log(`Unregistered beacon ${beaconKey}`);
+      res.writeHead(204);
+      res.end();
+    } else {
+      res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'GET, PUT, DELETE' });
+      res.end(JSON.stringify({ error: 'Method not allowed' }));
+    }
+  } catch (error) {
+    if (error.statusCode || error.code === 'ERR_INVALID_REGISTRY_ENTRY') {
+      res.writeHead(error.statusCode || 400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.statusCode === 413 ? 'Payload too large' : 'Bad request', message: error.message }));
+      return;
+    }
+    console.error('Error updating beacon registry:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+  }
+}
+
+// Handle floor plan list request - plans, gateway pins and whether offline map tiles are served
+function handleFloorPlanList(req, res) {
+  const data = {
+    plans: floorPlans.listPlans(),
+    pins: floorPlans.listPins(),
+    tiles: awsConfig.mapTiles.dir ? { url: '/tiles/{z}/{x}/{y}.png', maxZoom: awsConfig.mapTiles.maxZoom } : null
+  };
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Handle floor plan request - read, create/update (JSON details) or delete one plan
+async function handleFloorPlanEntry(req, res, planId) {
+  try {
+    if (req.method === 'GET') {
+      const plan = floorPlans.getPlan(planId);
+      res.writeHead(plan ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(plan || { error: 'Not found', message: `Floor plan '${planId}' does not exist` }));
+    } else if (req.method === 'PUT') {
+      const plan = await floorPlans.upsertPlan(planId, await readJsonBody(req));
+      console.log(`Saved floor plan ${planId} '${plan.name}'`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(plan));
+    } else if (req.method === 'DELETE') {
+      if (!await floorPlans.removePlan(planId)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found', message: `Floor plan '${planId}' does not exist` }));
+        return;
+      }
+      console.log(`Removed floor plan ${planId}`);
+      res.writeHead(204);
+      res.end();
+    } else {
+      res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'GET, PUT, DELETE' });
+      res.end(JSON.stringify({ error: 'Method not allowed' }));
+    }
+  } catch (error) {
+    sendFloorPlanError(res, error);
+  }
+}
+
+// Handle floor plan image request - GET serves it, PUT uploads the raw image (PNG, JPEG or WebP)
+async function handleFloorPlanImage(req, res, planId) {
+  try {
+    if (req.method === 'GET') {
+      const image = floorPlans.getImage(planId);
+      if (!image) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found', message: `Floor plan '${planId}' has no image` }));
+        return;
+      }
+      const data = await fs.promises.readFile(image.filePath);
+      res.writeHead(200, { 'Content-Type': image.contentType, 'X-Content-Type-Options': 'nosniff', 'Cache-Control': 'no-cache' });
+      res.end(data);
+    } else if (req.method === 'PUT') {
+      const plan = await floorPlans.setImage(planId, await readBody(req, MAX_IMAGE_BYTES), req.headers['content-type']);
+      console.log(`Uploaded image for floor plan ${planId}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(plan));
+    } else {
+      res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'GET, PUT' });
+      res.end(JSON.stringify({ error: 'Method not allowed' }));
+    }
+  } catch (error) {
+    sendFloorPlanError(res, error);
+  }
+}
+
+// Handle gateway pin request - PUT { planId, x, y } places the gateway on a floor plan, DELETE removes it
+async function handleGatewayPin(req, res, gatewayId) {
+  try {
+    if (req.method === 'PUT') {
+      const pin = await floorPlans.pin(gatewayId, await readJsonBody(req));
+      console.log(`Pinned gateway ${gatewayId} on floor plan ${pin.planId} at ${pin.x}, ${pin.y}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(pin));
+    } else if (req.method === 'DELETE') {
+      if (!await floorPlans.unpin(gatewayId)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found', message: `Gateway '${gatewayId}' is not pinned` }));
+        return;
+      }
+      console.log(`Unpinned gateway ${gatewayId}`);
+      res.writeHead(204);
+      res.end();
+    } else {
+      res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'PUT, DELETE' });
+      res.end(JSON.stringify({ error: 'Method not allowed' }));
+    }
+  } catch (error) {
+    sendFloorPlanError(res, error);
+  }
+}
+
+// Answer a failed floor plan or pin request: 400/413 for invalid input, 500 otherwise
+function sendFloorPlanError(res, error) {
+  if (error.statusCode || error.code === 'ERR_INVALID_FLOOR_PLAN') {
+    res.writeHead(error.statusCode || 400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: error.statusCode === 413 ? 'Payload too large' : 'Bad request', message: error.message }));
+    return;
+  }
+  console.error('Error updating floor plans:', error);
+  res.writeHead(500, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+}
+
+// Serve an offline map tile from MAP_TILES_DIR/{z}/{x}/{y}.png
+function serveTile(res, [z, x, y]) {
+  fs.readFile(path.join(awsConfig.mapTiles.dir, z, x, `${y}.png`), (err, data) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Tile not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'max-age=86400' });
+    res.end(data);
+  });
+}
+
+// Read a request body into a Buffer
+// Rejects with statusCode 413 if it exceeds maxBytes
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        const error = new Error(`Request body exceeds ${maxBytes} bytes`);
+        error.statusCode = 413;
+        reject(error);
+        // Drain the rest without buffering so the 413 response can still be sent
+        req.removeAllListeners('data');
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Read and parse a JSON request body
+// Rejects with statusCode 413 if it exceeds MAX_BODY_BYTES, or 400 if it is not valid JSON
+async function readJsonBody(req) {
+  const body = await readBody(req, MAX_BODY_BYTES);
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (parseError) {
+    const error = new Error(`Request body is not valid JSON: ${parseError.message}`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+// Parse history query-string parameters; returns { query } or { error }
+function parseHistoryQuery(searchParams) {
+  const now = Date.now();
+  const to = parseTime(searchParams.get('to'), now);
+  const from = parseTime(searchParams.get('from'), to - HISTORY_DEFAULT_WINDOW);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: '`from` and `to` must be epoch milliseconds or ISO 8601 dates' };
+  }
+  if (Math.abs(from) > MAX_TIME || Math.abs(to) > MAX_TIME) {
+    return { error: `\`from\` and \`to\` must be within ${MAX_TIME} milliseconds of 1970-01-01` };
+  }
+  if (from >= to) {
+    return { error: '`from` must be before `to`' };
+  }
+
+  const limit = searchParams.has('limit') ? Number(searchParams.get('limit')) : HISTORY_DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+    return { error: `\`limit\` must be an integer from 1 to ${HISTORY_MAX_LIMIT}` };
+  }
+
+  const order = searchParams.get('order') || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: '`order` must be asc or desc' };
+  }
+
+  const recordType = searchParams.get('recordType') || 'sighting';
+  if (!['sighting', 'presence', 'heartbeat', 'summary', 'all'].includes(recordType)) {
+    return { error: '`recordType` must be sighting, presence, heartbeat, summary or all' };
+  }
+
+  const filters = {};
+  if (searchParams.has('uuid')) {
+    filters.uuid = searchParams.get('uuid');
+  }
+  for (const name of ['major', 'minor', 'minRssi', 'maxRssi']) {
+    if (searchParams.has(name)) {
+      const value = Number(searchParams.get(name));
+      if (searchParams.get(name) === '' || !Number.isInteger(value)) {
+        return { error: `\`${name}\` must be an integer` };
+      }
+      filters[name] = value;
+    }
+  }
+
+  return {
+    query: {
+      gatewayId: searchParams.get('gatewayId') || undefined,
+      from,
+      to,
+      limit,
+      newestFirst: order === 'desc',
+      recordType: recordType === 'all' ? undefined : recordType,
+      filters,
+      cursor: searchParams.get('cursor') || undefined
+    }
+  };
+}
+
+// Parse epoch milliseconds or an ISO 8601 date; NaN if invalid
+function parseTime(value, defaultValue) {
+  if (value === null || value === '') {
+    return defaultValue;
+  }
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// Get known gateways (cached); this dashboard's own gateway is always listed
+async function getGateways() {
+  const now = Date.now();
+  if (!gatewayCache.gateways || now - gatewayCache.fetchedAt > GATEWAY_CACHE_TTL) {
+    gatewayCache = {
+      gateways: await storage.listGateways({ from: now - GATEWAY_DISCOVERY_WINDOW }),
+      fetchedAt: now
+    };
+  }
+
+  const gateways = gatewayCache.gateways;
+  if (awsConfig.gatewayId && !gateways.some(g => g.gatewayId === awsConfig.gatewayId)) {
+    return [...gateways, {
+      gatewayId: awsConfig.gatewayId,
+      gatewayName: awsConfig.gatewayName || awsConfig.gatewayId,
+      gatewayLocation: awsConfig.gatewayLocation,
+      lastSeen: null
+    }];
+  }
+  return gateways;
+}
+
+// Get a gateway's sightings from the last few minutes
+async function getRecentSightings(gatewayId, now) {
+  return await storage.queryRecords({
+    gatewayId,
+    from: now - BEACON_TIME_WINDOW,
+    newestFirst: true,
+    limit: 100,
+    recordType: 'sighting'
+  });
+}
+
+// Get the keys of beacons heard by any gateway in the last few minutes, optionally only those with a registry tag
+async function getRecentBeaconKeys(gateways, now, tag) {
+  const beaconKeys = new Set();
+  for (const gateway of gateways) {
+    const records = await getRecentSightings(gateway.gatewayId, now);
+    records
+      .filter(record => !tag || registry.get(beaconKeyOf(record))?.tags.includes(tag))
+      .forEach(record => beaconKeys.add(beaconKeyOf(record)));
+  }
+  return Array.from(beaconKeys);
+}
+
+// Get a beacon's latest sighting from each gateway in the last few minutes via BeaconIndex, newest first
+async function getLatestByGateway(beaconKey, now) {
+  const records = await storage.queryRecords({
+    beaconKey,
+    from: now - BEACON_TIME_WINDOW,
+    newestFirst: true,
+    limit: 100,
+    recordType: 'sighting'
+  });
+
+  const latestByGateway = new Map();
+  records.forEach(record => {
+    if (!latestByGateway.has(record.gatewayId)) {
+      latestByGateway.set(record.gatewayId, record);
+    }
+  });
+  return Array.from(latestByGateway.values());
+}
+
+// Get a gateway's most recent heartbeat record from the last HEARTBEAT_LOOKBACK (null if none)
+async function getLatestHeartbeat(gatewayId, now) {
+  const cached = heartbeatCache.get(gatewayId);
+  // Re-read a little before the last check to catch heartbeats still in a write batch
+  const from = cached ? cached.checkedUntil - LIVE_OVERLAP_MS : now - HEARTBEAT_LOOKBACK;
+  let heartbeat = cached ? cached.heartbeat : null;
+
+  for await (const record of storage.iterateRecords({ gatewayId, from, recordType: 'heartbeat', limit: 50 })) {
+    // Newest first, so the first record is the latest
+    if (!heartbeat || record.timestamp > heartbeat.timestamp) {
+      heartbeat = record;
+    }
+    break;
+  }
+
+  heartbeatCache.set(gatewayId, { heartbeat, checkedUntil: now });
+  return heartbeat;
+}
+
+// 'ok', 'late' once HEARTBEAT_LATE_FACTOR intervals passed without a heartbeat, or 'none' if no
+// heartbeat was found (heartbeats disabled, or none since HEARTBEAT_LOOKBACK before server start)
+function heartbeatStatus(heartbeat, now) {
+  if (!heartbeat) {
+    return 'none';
+  }
+  const intervalMs = (heartbeat.intervalSeconds || 60) * 1000;
+  return now - heartbeat.timestamp > intervalMs * HEARTBEAT_LATE_FACTOR ? 'late' : 'ok';
+}
+
+// Convert a stored heartbeat record to the shape used by the fleet view
+function toHeartbeat(record) {
+  return {
+    timestamp: record.timestamp,
+    intervalSeconds: record.intervalSeconds,
+    uptimeSeconds: record.uptimeSeconds,
+    advertisementsPerSecond: record.advertisementsPerSecond,
+    acceptedPerSecond: record.acceptedPerSecond,
+    reportedPerSecond: record.reportedPerSecond,
+    bufferSize: record.bufferSize,
+    droppedRecordCount: record.droppedRecordCount,
+    storageStatus: record.storageStatus,
+    cpuTemperature: record.cpuTemperature ?? null,
+    loadAverage: record.loadAverage ?? null,
+    softwareVersion: record.softwareVersion,
+    nodeVersion: record.nodeVersion
+  };
+}
+
+// Records written before beaconKey/beaconType existed were always iBeacons
+function beaconKeyOf(record) {
+  return record.beaconKey || `${record.uuid}-${record.major}-${record.minor}`;
+}
+
+// Convert a stored record to the beacon shape used by dashboard cards
+function toBeacon(record) {
+  let beaconType = record.beaconType || (record.uuid ? 'iBeacon' : 'unknown');
+  // A TLM frame matched to a UID beacon is shown as that UID beacon
+  if (beaconType === 'eddystoneTlm' && record.namespace) {
+    beaconType = 'eddystoneUid';
+  }
+
+  // Records from before gateway-side smoothing get the same path-loss estimate from raw RSSI
+  const distance = record.smoothedRssi !== undefined
+    ? record.distance
+    : estimateDistance(record.rssi, record.txPower, awsConfig.signal.pathLossExponent);
+
+  return withRegistry({
+    beaconKey: beaconKeyOf(record),
+    beaconType,
+    uuid: record.uuid,
+    major: record.major,
+    minor: record.minor,
+    namespace: record.namespace || null,
+    instance: record.instance || null,
+    url: record.url || null,
+    altBeaconId: record.altBeaconId || null,
+    address: record.address || null,
+    rssi: record.rssi,
+    smoothedRssi: record.smoothedRssi ?? null,
+    txPower: record.txPower,
+    distance,
+    proximity: record.proximity || proximityZone(distance),
+    name: record.beaconName || record.rawData?.localName || null,
+    assetType: record.assetType || null,
+    owner: record.owner || null,
+    tags: record.tags || [],
+    lastSeen: record.timestamp,
+    detectedAt: record.detectedAt
+  });
+}
+
+// Overlay the beacon's current registry entry (records keep the entry from when they were stored)
+function withRegistry(beacon) {
+  const entry = registry.get(beacon.beaconKey);
+  if (!entry) {
+    return beacon;
+  }
+  return {
+    ...beacon,
+    name: entry.name,
+    assetType: entry.assetType,
+    owner: entry.owner,
+    tags: entry.tags
+  };
+}
+
 // Format location for display
 function formatLocation(location) {
   if (!location) return 'Not specified';
@@ -207,18 +1657,39 @@ function formatLocation(location) {
 
 // Start server
 server.listen(PORT, () => {
+  const baseUrl = `${tlsOptions ? 'https' : 'http'}://localhost:${PORT}`;
   console.log('=== Beacon Dashboard Server ===');
-  console.log(`Server running at http://localhost:${PORT}/`);
+  console.log(`Server running at ${baseUrl}/`);
   console.log(`Gateway: ${awsConfig.gatewayName || awsConfig.gatewayId}`);
   console.log(`Location: ${formatLocation(awsConfig.gatewayLocation)}`);
+  console.log(`Storage: ${storage.name}`);
+  console.log(`Config file: ${awsConfig.configFile || 'none (defaults and environment variables)'}`);
+  if (!auth && awsConfig.dashboard.openAdmin) {
+    console.warn('Login: disabled - anyone who can reach this port can view and edit data (set DASHBOARD_AUTH_FILE)');
+  } else if (!auth) {
+    console.warn('Login: disabled - anyone who can reach this port can view data; changes are refused (set DASHBOARD_AUTH_FILE)');
+  } else if (auth.listUsers().length === 0) {
+    console.warn('Login: no users yet - add one with: node scripts/dashboard-users.js add-user <name> --role admin');
+  } else {
+    console.log(`Login: ${auth.listUsers().length} user(s), ${auth.listTokens().length} API token(s)`);
+  }
   console.log('');
-  console.log('Open http://localhost:3000 in your browser');
+  console.log(`Open ${baseUrl} in your browser`);
+  console.log(`Fleet view: ${baseUrl}/fleet`);
+  console.log(`Beacon registry: ${baseUrl}/registry`);
+  console.log(`Floor plan: ${baseUrl}/floorplan`);
+  console.log(`Prometheus metrics: ${baseUrl}/metrics`);
   console.log('Press Ctrl+C to stop');
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\nShutting down dashboard server...');
+  // Open event streams would keep server.close() waiting
+  stopLiveFeed();
+  for (const client of streamClients.keys()) {
+    client.end();
+  }
   server.close(() => {
     console.log('Server stopped');
     process.exit(0);
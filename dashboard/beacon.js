@@ -0,0 +1,93 @@
+// Beacon path view: where one beacon was heard most strongly over the last hour
+// Uses CONFIG, BEACON_TYPE_LABELS and the formatting helpers from common.js
+
+const beaconKey = new URLSearchParams(window.location.search).get('beaconKey');
+
+// Initialize beacon view
+async function initBeacon() {
+    if (!beaconKey) {
+        document.getElementById('pathContainer').textContent = 'No beacon selected';
+        return;
+    }
+    await loadPath();
+    setInterval(loadPath, CONFIG.refreshInterval);
+    loadSignalChart();
+    setInterval(loadSignalChart, CONFIG.chartRefreshInterval);
+}
+
+// Load per-minute signal strength from every gateway that heard the beacon
+async function loadSignalChart() {
+    const now = Date.now();
+    const hourAgo = now - 60 * 60 * 1000;
+    const container = document.getElementById('rssiChart');
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/aggregate?metric=rssi&bucket=minute&beaconKey=${encodeURIComponent(beaconKey)}&from=${hourAgo}&to=${now}`);
+        const data = await response.json();
+
+        container.className = '';
+        renderLineChart(container, data.series, {
+            valueKey: 'avg',
+            unit: 'dBm',
+            from: hourAgo,
+            to: now,
+            emptyText: 'No sightings of this beacon in the last hour'
+        });
+    } catch (error) {
+        console.error('Error loading signal chart:', error);
+        container.className = 'empty';
+        container.textContent = 'Could not load chart';
+    }
+}
+
+// Load the beacon's path
+async function loadPath() {
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/beacons/${encodeURIComponent(beaconKey)}/path`);
+        const data = await response.json();
+
+        renderBeaconHeader(data.beacon);
+        renderPath(data.segments);
+        updateLastUpdated();
+    } catch (error) {
+        console.error('Error loading beacon path:', error);
+        document.getElementById('pathContainer').textContent = 'Could not connect to the API server';
+    }
+}
+
+// Render beacon name and identity
+function renderBeaconHeader(beacon) {
+    const typeLabel = BEACON_TYPE_LABELS[beacon.beaconType] || beacon.beaconType || BEACON_TYPE_LABELS.unknown;
+    document.getElementById('beaconTitle').textContent = beacon.name || beacon.beaconKey;
+    document.getElementById('beaconMeta').textContent = beacon.lastSeen
+        ? `${typeLabel} · ${beacon.beaconKey} · last seen ${getTimeAgo(beacon.lastSeen)}`
+        : beacon.beaconKey;
+}
+
+// Render path segments, most recent first
+function renderPath(segments) {
+    const container = document.getElementById('pathContainer');
+
+    if (!segments || segments.length === 0) {
+        container.className = 'empty';
+        container.textContent = 'No sightings of this beacon in the last hour';
+        return;
+    }
+
+    container.className = '';
+    container.innerHTML = `
+        <ul class="path">
+            ${segments.slice().reverse().map((segment, index) => `
+            <li class="path-segment ${index === 0 ? 'current' : ''}">
+                <div class="segment-gateway">${escapeHtml(segment.gatewayName)}</div>
+                <div class="segment-meta">📍 ${escapeHtml(segment.gatewayLocation)}</div>
+                <div class="segment-meta">
+                    ${new Date(segment.from).toLocaleTimeString()} – ${new Date(segment.to).toLocaleTimeString()}
+                    (${formatUptime(Math.round((segment.to - segment.from) / 1000))})
+                </div>
+                <div class="segment-meta">Peak RSSI: ${segment.peakRssi} dBm</div>
+            </li>`).join('')}
+        </ul>
+    `;
+}
+
+document.addEventListener('DOMContentLoaded', initBeacon);
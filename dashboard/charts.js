@@ -0,0 +1,103 @@
+// Minimal SVG charts for /api/aggregate data (no chart library needed)
+// Loaded after common.js on pages that show charts
+
+const CHART_COLORS = ['#667eea', '#10b981', '#f59e0b', '#ef4444', '#764ba2', '#06b6d4', '#ec4899', '#84cc16'];
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 10, right: 15, bottom: 30, left: 50 };
+
+// Render one line per series; points are { t, [valueKey] }
+function renderLineChart(container, series, options) {
+    const lines = (series || []).filter(line => line.points.length > 0);
+    if (lines.length === 0) {
+        container.innerHTML = chartEmpty(options.emptyText);
+        return;
+    }
+
+    const values = lines.flatMap(line => line.points.map(point => point[options.valueKey]));
+    let minValue = options.minValue ?? Math.min(...values);
+    let maxValue = Math.max(...values);
+    if (minValue === maxValue) {
+        minValue -= 1;
+        maxValue += 1;
+    }
+
+    const x = t => CHART_PADDING.left +
+        (t - options.from) / (options.to - options.from) * (CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right);
+    const y = value => CHART_HEIGHT - CHART_PADDING.bottom -
+        (value - minValue) / (maxValue - minValue) * (CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom);
+
+    const paths = lines.map((line, index) => {
+        const d = line.points.map((point, pointIndex) =>
+            `${pointIndex === 0 ? 'M' : 'L'}${x(point.t).toFixed(1)},${y(point[options.valueKey]).toFixed(1)}`
+        ).join(' ');
+        return `<path d="${d}" fill="none" stroke="${CHART_COLORS[index % CHART_COLORS.length]}" stroke-width="2"/>`;
+    }).join('');
+
+    container.innerHTML = `
+        <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" style="width: 100%; height: auto;">
+            ${chartAxes(minValue, maxValue, options.unit)}
+            <text x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 8}" font-size="12" fill="#666">${new Date(options.from).toLocaleTimeString()}</text>
+            <text x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 8}" font-size="12" fill="#666" text-anchor="end">${new Date(options.to).toLocaleTimeString()}</text>
+            ${paths}
+        </svg>
+        ${chartLegend(lines.map(line => line.gatewayName))}
+    `;
+}
+
+// Render a bar per bin; bins are { label, count }
+function renderBarChart(container, bins, options) {
+    const maxCount = Math.max(...bins.map(bin => bin.count));
+    if (!bins.length || maxCount === 0) {
+        container.innerHTML = chartEmpty(options.emptyText);
+        return;
+    }
+
+    const slot = (CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right) / bins.length;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const bars = bins.map((bin, index) => {
+        const height = bin.count / maxCount * plotHeight;
+        const left = CHART_PADDING.left + index * slot;
+        return `
+            <rect x="${(left + slot * 0.15).toFixed(1)}" y="${(CHART_HEIGHT - CHART_PADDING.bottom - height).toFixed(1)}"
+                  width="${(slot * 0.7).toFixed(1)}" height="${height.toFixed(1)}" fill="${CHART_COLORS[0]}" rx="3"/>
+            <text x="${(left + slot / 2).toFixed(1)}" y="${CHART_HEIGHT - 8}" font-size="12" fill="#666" text-anchor="middle">${bin.label}</text>
+            <text x="${(left + slot / 2).toFixed(1)}" y="${(CHART_HEIGHT - CHART_PADDING.bottom - height - 4).toFixed(1)}" font-size="12" fill="#333" text-anchor="middle">${bin.count}</text>`;
+    }).join('');
+
+    container.innerHTML = `
+        <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" style="width: 100%; height: auto;">
+            ${chartAxes(0, maxCount, options.unit)}
+            ${bars}
+        </svg>
+    `;
+}
+
+// Y axis labels (min/max) and baseline
+function chartAxes(minValue, maxValue, unit) {
+    const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+    return `
+        <line x1="${CHART_PADDING.left}" y1="${bottom}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${bottom}" stroke="#e5e7eb"/>
+        <line x1="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" x2="${CHART_PADDING.left}" y2="${bottom}" stroke="#e5e7eb"/>
+        <text x="${CHART_PADDING.left - 6}" y="${CHART_PADDING.top + 10}" font-size="12" fill="#666" text-anchor="end">${Math.round(maxValue)}</text>
+        <text x="${CHART_PADDING.left - 6}" y="${bottom}" font-size="12" fill="#666" text-anchor="end">${Math.round(minValue)}</text>
+        <text x="12" y="${(CHART_PADDING.top + bottom) / 2}" font-size="12" fill="#666" text-anchor="middle"
+              transform="rotate(-90 12 ${(CHART_PADDING.top + bottom) / 2})">${unit}</text>
+    `;
+}
+
+// Placeholder shown when there is nothing to chart
+function chartEmpty(text) {
+    return `<p style="text-align: center; color: #666; padding: 40px 20px;">${text}</p>`;
+}
+
+// Color key for multi-series charts
+function chartLegend(names) {
+    if (names.length < 2) return '';
+    return `
+        <div style="display: flex; flex-wrap: wrap; gap: 15px; margin-top: 10px; font-size: 0.85em; color: #666;">
+            ${names.map((name, index) => `
+            <span><span style="display: inline-block; width: 12px; height: 12px; border-radius: 3px; background: ${CHART_COLORS[index % CHART_COLORS.length]}; vertical-align: middle;"></span> ${name}</span>`).join('')}
+        </div>
+    `;
+}
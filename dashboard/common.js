@@ -0,0 +1,106 @@
+// Shared dashboard configuration, formatting helpers and login state
+// Loaded before charts.js, dashboard.js, fleet.js, beacon.js, registry.js and floorplan.js
+
+// Dashboard Configuration
+const CONFIG = {
+    apiUrl: '/api', // Use relative URL
+    refreshInterval: 5000, // 5 seconds
+    chartRefreshInterval: 60000, // Charts use minute buckets
+    recentTimeWindow: 30000 // 30 seconds for "active now"
+};
+
+// Display names for beacon types
+const BEACON_TYPE_LABELS = {
+    iBeacon: 'iBeacon',
+    eddystoneUid: 'Eddystone UID',
+    eddystoneUrl: 'Eddystone URL',
+    eddystoneTlm: 'Eddystone TLM',
+    altBeacon: 'AltBeacon',
+    unknown: 'Unknown'
+};
+
+// Format uptime in human-readable format
+function formatUptime(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}h ${minutes}m`;
+}
+
+// Format estimated distance
+function formatDistance(distance) {
+    if (distance === null || distance === undefined) return 'Unknown';
+    
+    if (distance < 1) return `${(distance * 100).toFixed(0)} cm`;
+    if (distance < 10) return `${distance.toFixed(1)} m`;
+    return `${distance.toFixed(0)} m`;
+}
+
+// Get RSSI strength category
+function getRSSIStrength(rssi) {
+    if (rssi >= -60) return 'strong';
+    if (rssi >= -75) return 'medium';
+    return 'weak';
+}
+
+// Get time ago string
+function getTimeAgo(timestamp) {
+    const now = Date.now();
+    const diff = now - timestamp;
+    
+    if (diff < 1000) return 'Just now';
+    if (diff < 60000) return `${Math.floor(diff / 1000)}s ago`;
+    if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+    return `${Math.floor(diff / 3600000)}h ago`;
+}
+
+// Escape text typed into the beacon registry before it goes into innerHTML
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Update last updated timestamp
+function updateLastUpdated() {
+    const now = new Date();
+    document.getElementById('lastUpdated').textContent = 
+        `Last updated: ${now.toLocaleTimeString()}`;
+}
+
+// Fetch from the API; a 401 means the session expired or was revoked, so go to the login page
+async function apiFetch(url, options) {
+    const response = await fetch(url, options);
+    if (response.status === 401) {
+        window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+        throw new Error('Not logged in');
+    }
+    return response;
+}
+
+// Show who is logged in (when login is enabled) and mark the page with the user's role,
+// so pages can hide controls with `.role-viewer .admin-only { display: none; }`
+async function loadCurrentUser() {
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/me`);
+        const user = await response.json();
+        document.body.classList.add(`role-${user.role}`);
+
+        const menu = document.getElementById('userMenu');
+        if (menu && user.authEnabled) {
+            menu.innerHTML = `${escapeHtml(user.username)} (${escapeHtml(user.role)}) ` +
+                (user.via === 'session' ? '<button class="logout-btn" onclick="logout()">Log out</button>' : '');
+        }
+    } catch (error) {
+        console.error('Error loading current user:', error);
+    }
+}
+
+// End the session and return to the login page
+async function logout() {
+    await fetch(`${CONFIG.apiUrl}/logout`, { method: 'POST' });
+    window.location.href = '/login';
+}
+
+document.addEventListener('DOMContentLoaded', loadCurrentUser);
@@ -1,23 +1,27 @@
-// Dashboard Configuration
-const CONFIG = {
-    apiUrl: '/api', // Use relative URL
-    refreshInterval: 5000, // 5 seconds
-    recentTimeWindow: 30000 // 30 seconds for "active now"
-};
-
 let autoRefreshInterval = null;
+let trendsRefreshInterval = null;
+
+// Live beacon stream (null when polling is used instead)
+let beaconStream = null;
+
+// Beacons currently shown, by beaconKey; kept current by stream updates
+let beaconState = new Map();
+
+// Registry tag the beacon list is filtered by ('' for all beacons)
+let tagFilter = '';
 
 // Initialize dashboard
 async function init() {
     await loadGatewayInfo();
-    await loadBeacons();
-    startAutoRefresh();
+    await loadTags();
+    await loadPresence();
+    startLiveUpdates();
 }
 
 // Load gateway information
 async function loadGatewayInfo() {
     try {
-        const response = await fetch(`${CONFIG.apiUrl}/gateway-info`);
+        const response = await apiFetch(`${CONFIG.apiUrl}/gateway-info`);
         const data = await response.json();
         
         document.getElementById('gatewayName').textContent = data.gatewayName || data.gatewayId;
@@ -29,12 +33,43 @@ async function loadGatewayInfo() {
     }
 }
 
+// Load registry tags into the tag filter
+async function loadTags() {
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/registry`);
+        const data = await response.json();
+        
+        document.getElementById('tagFilter').innerHTML = '<option value="">All tags</option>' +
+            data.tags.map(tag => `<option value="${escapeHtml(tag)}"${tag === tagFilter ? ' selected' : ''}>${escapeHtml(tag)}</option>`).join('');
+    } catch (error) {
+        console.error('Error loading registry tags:', error);
+    }
+}
+
+// Show only beacons with the selected tag; the server filters the list and statistics
+function setTagFilter(tag) {
+    tagFilter = tag;
+    if (beaconStream) {
+        // Reconnecting gets a fresh snapshot for the new filter
+        stopBeaconStream();
+        startBeaconStream();
+    } else {
+        loadBeacons();
+    }
+}
+
+// Query string selecting the current tag filter
+function tagQuery() {
+    return tagFilter ? `?tag=${encodeURIComponent(tagFilter)}` : '';
+}
+
 // Load beacons data
 async function loadBeacons() {
     try {
-        const response = await fetch(`${CONFIG.apiUrl}/beacons`);
+        const response = await apiFetch(`${CONFIG.apiUrl}/beacons${tagQuery()}`);
         const data = await response.json();
         
+        beaconState = new Map(data.beacons.map(beacon => [beacon.beaconKey, beacon]));
         updateStats(data);
         renderBeacons(data.beacons);
         updateLastUpdated();
@@ -44,6 +79,128 @@ async function loadBeacons() {
     }
 }
 
+// Subscribe to the server's live beacon stream
+// The server sends a full 'snapshot' on (re)connect, then an 'update' with changed beacons every few seconds
+function startBeaconStream() {
+    beaconStream = new EventSource(`${CONFIG.apiUrl}/stream${tagQuery()}`);
+    
+    beaconStream.addEventListener('snapshot', event => {
+        const data = JSON.parse(event.data);
+        beaconState = new Map(data.beacons.map(beacon => [beacon.beaconKey, beacon]));
+        updateStats(data);
+        renderBeacons(data.beacons);
+        updateLastUpdated();
+    });
+    
+    beaconStream.addEventListener('update', event => {
+        const data = JSON.parse(event.data);
+        data.beacons.forEach(beacon => beaconState.set(beacon.beaconKey, beacon));
+        data.removed.forEach(beaconKey => beaconState.delete(beaconKey));
+        updateStats(data);
+        renderBeacons(sortBySignal(Array.from(beaconState.values())));
+        updateLastUpdated();
+    });
+    
+    beaconStream.addEventListener('server-error', event => {
+        console.error('Live stream error:', JSON.parse(event.data).message);
+    });
+    
+    // EventSource reconnects by itself; the server then sends a fresh snapshot
+    beaconStream.onerror = () => {
+        console.warn('Live stream disconnected, reconnecting...');
+    };
+}
+
+// Close the live beacon stream
+function stopBeaconStream() {
+    if (beaconStream) {
+        beaconStream.close();
+        beaconStream = null;
+    }
+}
+
+// Sort beacons strongest first, as the server does
+function sortBySignal(beacons) {
+    return beacons.sort((a, b) => (b.smoothedRssi ?? b.rssi) - (a.smoothedRssi ?? a.rssi));
+}
+
+// Load presence events (enter/dwell/exit) and beacons currently present
+async function loadPresence() {
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/presence`);
+        const data = await response.json();
+        
+        renderPresence(data);
+    } catch (error) {
+        console.error('Error loading presence events:', error);
+        document.getElementById('presenceContainer').innerHTML =
+            '<p class="no-beacons">Could not load presence events</p>';
+    }
+}
+
+// Render currently present beacons and the recent event list
+function renderPresence(data) {
+    const current = document.getElementById('presenceCurrent');
+    const container = document.getElementById('presenceContainer');
+    
+    current.innerHTML = (data.present || []).map(beacon => `
+        <span class="presence-chip">${escapeHtml(beacon.beaconKey)} · ${formatUptime(beacon.dwellSeconds)}</span>
+    `).join('');
+    
+    if (!data.events || data.events.length === 0) {
+        container.innerHTML = '<p class="no-beacons">No presence events in the last hour</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="presence-table">
+            <thead>
+                <tr><th>Event</th><th>Beacon</th><th>Time</th><th>Dwell</th><th>RSSI</th></tr>
+            </thead>
+            <tbody>
+                ${data.events.map(event => `
+                <tr>
+                    <td><span class="presence-event presence-event-${escapeHtml(event.eventType)}">${escapeHtml(event.eventType.toUpperCase())}</span></td>
+                    <td>${escapeHtml(event.beaconKey)}</td>
+                    <td>${new Date(event.timestamp).toLocaleTimeString()}</td>
+                    <td>${event.eventType === 'enter' ? '-' : formatUptime(event.dwellSeconds)}</td>
+                    <td>${event.rssi ?? '-'} dBm</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Load the detections and visit-length charts
+async function loadTrends() {
+    const now = Date.now();
+    const hourAgo = now - 60 * 60 * 1000;
+    try {
+        const [detectionsResponse, dwellResponse] = await Promise.all([
+            apiFetch(`${CONFIG.apiUrl}/aggregate?metric=detections&bucket=minute&from=${hourAgo}&to=${now}`),
+            apiFetch(`${CONFIG.apiUrl}/aggregate?metric=dwell&from=${now - 24 * 60 * 60 * 1000}&to=${now}`)
+        ]);
+        const detections = await detectionsResponse.json();
+        const dwell = await dwellResponse.json();
+
+        renderLineChart(document.getElementById('detectionsChart'), detections.series, {
+            valueKey: 'count',
+            unit: 'sightings',
+            minValue: 0,
+            from: hourAgo,
+            to: now,
+            emptyText: 'No sightings in the last hour'
+        });
+        renderBarChart(document.getElementById('dwellChart'), dwell.bins, {
+            unit: 'visits',
+            emptyText: 'No completed visits in the last 24 hours'
+        });
+    } catch (error) {
+        console.error('Error loading trends:', error);
+        document.getElementById('detectionsChart').innerHTML = '<p class="no-beacons">Could not load trends</p>';
+    }
+}
+
 // Update statistics
 function updateStats(data) {
     document.getElementById('totalBeacons').textContent = data.uniqueBeacons || 0;
@@ -58,15 +215,6 @@ function updateStats(data) {
     }
 }
 
-// Format uptime in human-readable format
-function formatUptime(seconds) {
-    if (seconds < 60) return `${seconds}s`;
-    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    return `${hours}h ${minutes}m`;
-}
-
 // Render beacon cards
 function renderBeacons(beacons) {
     const container = document.getElementById('beaconsContainer');
@@ -91,34 +239,38 @@ function renderBeacons(beacons) {
 
 // Create individual beacon card
 function createBeaconCard(beacon) {
-    const rssiStrength = getRSSIStrength(beacon.rssi);
-    const rssiPercentage = getRSSIPercentage(beacon.rssi);
+    // Smoothed RSSI and distance are computed on the gateway (or by the server for older records)
+    const rssi = beacon.smoothedRssi ?? beacon.rssi;
+    const rssiStrength = getRSSIStrength(rssi);
+    const rssiPercentage = getRSSIPercentage(rssi);
     const timeAgo = getTimeAgo(beacon.lastSeen);
-    const proximity = getProximity(beacon.rssi, beacon.txPower);
+    const proximity = formatDistance(beacon.distance);
+    const typeLabel = escapeHtml(BEACON_TYPE_LABELS[beacon.beaconType] || beacon.beaconType || BEACON_TYPE_LABELS.unknown);
+    const identity = getBeaconIdentity(beacon);
     
     return `
-        <div class="beacon-card">
+        <div class="beacon-card beacon-type-${escapeHtml(beacon.beaconType || 'unknown')}">
             <div class="beacon-header">
                 <div>
-                    <div class="beacon-name">${beacon.name || 'Unknown Beacon'}</div>
+                    <div class="beacon-name">${beacon.name ? escapeHtml(beacon.name) : `${typeLabel} Beacon`}</div>
                     <div class="beacon-time">${timeAgo}</div>
                 </div>
+                <span class="beacon-type-badge">${typeLabel}</span>
             </div>
             
-            <div class="beacon-uuid">UUID: ${beacon.uuid}</div>
+            <div class="beacon-uuid">${identity}</div>
+            
+            ${createRegistrySection(beacon)}
             
             <div class="beacon-details">
+                ${getTypeDetails(beacon).map(([label, value]) => `
                 <div class="detail-item">
-                    <div class="detail-label">Major</div>
-                    <div class="detail-value">${beacon.major || '-'}</div>
-                </div>
-                <div class="detail-item">
-                    <div class="detail-label">Minor</div>
-                    <div class="detail-value">${beacon.minor || '-'}</div>
-                </div>
+                    <div class="detail-label">${label}</div>
+                    <div class="detail-value">${value}</div>
+                </div>`).join('')}
                 <div class="detail-item">
                     <div class="detail-label">RSSI</div>
-                    <div class="detail-value">${beacon.rssi} dBm</div>
+                    <div class="detail-value">${rssi} dBm</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Distance</div>
@@ -126,6 +278,8 @@ function createBeaconCard(beacon) {
                 </div>
             </div>
             
+            ${beacon.telemetry ? createTelemetrySection(beacon.telemetry) : ''}
+            
             <div class="rssi-indicator">
                 <span style="font-size: 0.85em; color: #666;">Signal:</span>
                 <div class="rssi-bar">
@@ -133,54 +287,87 @@ function createBeaconCard(beacon) {
                 </div>
                 <span style="font-size: 0.85em; font-weight: 600; color: #333;">${rssiStrength.toUpperCase()}</span>
             </div>
+            
+            <a class="beacon-path-link" href="/dashboard/beacon.html?beaconKey=${encodeURIComponent(beacon.beaconKey)}">Path across gateways →</a>
         </div>
     `;
 }
 
-// Get RSSI strength category
-function getRSSIStrength(rssi) {
-    if (rssi >= -60) return 'strong';
-    if (rssi >= -75) return 'medium';
-    return 'weak';
+// Create the owner / asset type line and tag chips for registered beacons
+function createRegistrySection(beacon) {
+    const owner = [beacon.assetType, beacon.owner].filter(Boolean).map(escapeHtml).join(' · ');
+    const tags = beacon.tags || [];
+    if (!owner && tags.length === 0) {
+        return '';
+    }
+    
+    return `
+            <div class="beacon-registry">
+                ${owner ? `<span class="beacon-owner">${owner}</span>` : ''}
+                ${tags.map(tag => `<span class="beacon-tag">${escapeHtml(tag)}</span>`).join('')}
+            </div>
+    `;
 }
 
-// Get RSSI as percentage (for progress bar)
-function getRSSIPercentage(rssi) {
-    // RSSI typically ranges from -100 (weakest) to -30 (strongest)
-    const min = -100;
-    const max = -30;
-    const percentage = ((rssi - min) / (max - min)) * 100;
-    return Math.max(0, Math.min(100, percentage));
+// Get the identifying line shown under the beacon name (HTML)
+// Every value is broadcast by the beacon, so any nearby device can choose it: all are escaped,
+// and an Eddystone URL is only linked if it is http(s)
+function getBeaconIdentity(beacon) {
+    switch (beacon.beaconType) {
+        case 'eddystoneUid':
+        case 'eddystoneTlm':
+            return beacon.namespace ? `Namespace: ${escapeHtml(beacon.namespace)}` : `Address: ${escapeHtml(beacon.address || '-')}`;
+        case 'eddystoneUrl':
+            return /^https?:\/\//i.test(beacon.url || '')
+                ? `URL: <a href="${escapeHtml(beacon.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(beacon.url)}</a>`
+                : `URL: ${escapeHtml(beacon.url || '-')}`;
+        case 'altBeacon':
+            return `Beacon ID: ${escapeHtml(beacon.altBeaconId)}`;
+        case 'iBeacon':
+            return `UUID: ${escapeHtml(beacon.uuid)}`;
+        default:
+            return `Address: ${escapeHtml(beacon.address || beacon.beaconKey)}`;
+    }
 }
 
-// Calculate proximity/distance
-function getProximity(rssi, txPower) {
-    if (!txPower) return 'Unknown';
-    
-    // Calculate distance using path loss formula
-    const distance = Math.pow(10, (txPower - rssi) / (10 * 2));
-    
-    if (distance < 1) return `${(distance * 100).toFixed(0)} cm`;
-    if (distance < 10) return `${distance.toFixed(1)} m`;
-    return `${distance.toFixed(0)} m`;
+// Get type-specific detail tiles as [label, value] pairs
+function getTypeDetails(beacon) {
+    switch (beacon.beaconType) {
+        case 'eddystoneUid':
+        case 'eddystoneTlm':
+            return [['Instance', escapeHtml(beacon.instance || '-')]];
+        case 'iBeacon':
+            return [['Major', escapeHtml(beacon.major ?? '-')], ['Minor', escapeHtml(beacon.minor ?? '-')]];
+        default:
+            return [];
+    }
 }
 
-// Get time ago string
-function getTimeAgo(timestamp) {
-    const now = Date.now();
-    const diff = now - timestamp;
+// Create Eddystone TLM telemetry section
+function createTelemetrySection(telemetry) {
+    const battery = telemetry.batteryVoltage ? `${(telemetry.batteryVoltage / 1000).toFixed(2)} V` : '-';
+    const temperature = telemetry.temperature !== null && telemetry.temperature !== undefined
+        ? `${Number(telemetry.temperature).toFixed(1)} °C`
+        : '-';
+    const uptime = telemetry.uptime !== null && telemetry.uptime !== undefined ? formatUptime(telemetry.uptime) : '-';
     
-    if (diff < 1000) return 'Just now';
-    if (diff < 60000) return `${Math.floor(diff / 1000)}s ago`;
-    if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
-    return `${Math.floor(diff / 3600000)}h ago`;
+    return `
+            <div class="beacon-telemetry">
+                <span>🔋 ${battery}</span>
+                <span>🌡️ ${temperature}</span>
+                <span>📶 ${telemetry.advCount ?? '-'} adv</span>
+                <span>⏱️ ${uptime}</span>
+            </div>
+    `;
 }
 
-// Update last updated timestamp
-function updateLastUpdated() {
-    const now = new Date();
-    document.getElementById('lastUpdated').textContent = 
-        `Last updated: ${now.toLocaleTimeString()}`;
+// Get RSSI as percentage (for progress bar)
+function getRSSIPercentage(rssi) {
+    // RSSI typically ranges from -100 (weakest) to -30 (strongest)
+    const min = -100;
+    const max = -30;
+    const percentage = ((rssi - min) / (max - min)) * 100;
+    return Math.max(0, Math.min(100, percentage));
 }
 
 // Show error message
@@ -196,12 +383,39 @@ function showError() {
     `;
 }
 
-// Start auto-refresh
+// Start live beacon updates (stream, or polling in browsers without EventSource) and presence refresh
+function startLiveUpdates() {
+    if (window.EventSource) {
+        startBeaconStream();
+    } else {
+        loadBeacons();
+    }
+    startAutoRefresh();
+}
+
+// Stop all live updates
+function stopLiveUpdates() {
+    stopBeaconStream();
+    stopAutoRefresh();
+}
+
+// Start auto-refresh (beacons are only polled when the stream is not in use)
 function startAutoRefresh() {
     if (autoRefreshInterval) {
         clearInterval(autoRefreshInterval);
     }
-    autoRefreshInterval = setInterval(loadBeacons, CONFIG.refreshInterval);
+    autoRefreshInterval = setInterval(() => {
+        if (!beaconStream) {
+            loadBeacons();
+        }
+        loadPresence();
+    }, CONFIG.refreshInterval);
+
+    if (trendsRefreshInterval) {
+        clearInterval(trendsRefreshInterval);
+    }
+    loadTrends();
+    trendsRefreshInterval = setInterval(loadTrends, CONFIG.chartRefreshInterval);
 }
 
 // Stop auto-refresh
@@ -210,16 +424,20 @@ function stopAutoRefresh() {
         clearInterval(autoRefreshInterval);
         autoRefreshInterval = null;
     }
+    if (trendsRefreshInterval) {
+        clearInterval(trendsRefreshInterval);
+        trendsRefreshInterval = null;
+    }
 }
 
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', init);
 
-// Stop refresh when page is hidden
+// Stop live updates when page is hidden
 document.addEventListener('visibilitychange', () => {
     if (document.hidden) {
-        stopAutoRefresh();
+        stopLiveUpdates();
     } else {
-        startAutoRefresh();
+        startLiveUpdates();
     }
 });
@@ -0,0 +1,148 @@
+// Fleet view: all gateways and the gateway that hears each beacon most strongly
+// Uses CONFIG, BEACON_TYPE_LABELS and the formatting helpers from common.js
+
+let fleetRefreshInterval = null;
+let fleetChartInterval = null;
+
+// Initialize fleet view
+async function initFleet() {
+    await loadFleet();
+    fleetRefreshInterval = setInterval(loadFleet, CONFIG.refreshInterval);
+    loadFleetDetections();
+    fleetChartInterval = setInterval(loadFleetDetections, CONFIG.chartRefreshInterval);
+}
+
+// Load detections per minute for every gateway
+async function loadFleetDetections() {
+    const now = Date.now();
+    const hourAgo = now - 60 * 60 * 1000;
+    const container = document.getElementById('fleetDetectionsChart');
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/aggregate?metric=detections&bucket=minute&gatewayId=all&from=${hourAgo}&to=${now}`);
+        const data = await response.json();
+
+        container.className = '';
+        renderLineChart(container, data.series, {
+            valueKey: 'count',
+            unit: 'sightings',
+            minValue: 0,
+            from: hourAgo,
+            to: now,
+            emptyText: 'No sightings in the last hour'
+        });
+    } catch (error) {
+        console.error('Error loading fleet detections:', error);
+        container.className = 'empty';
+        container.textContent = 'Could not load chart';
+    }
+}
+
+// Load gateways and fleet beacons
+async function loadFleet() {
+    try {
+        const [gatewaysResponse, beaconsResponse] = await Promise.all([
+            apiFetch(`${CONFIG.apiUrl}/gateways`),
+            apiFetch(`${CONFIG.apiUrl}/fleet/beacons`)
+        ]);
+        const gatewaysData = await gatewaysResponse.json();
+        const beaconsData = await beaconsResponse.json();
+
+        renderHealthAlert(gatewaysData.gateways);
+        renderGateways(gatewaysData.gateways);
+        renderFleetBeacons(beaconsData.beacons);
+        updateLastUpdated();
+    } catch (error) {
+        console.error('Error loading fleet:', error);
+        document.getElementById('gatewaysContainer').innerHTML =
+            '<div class="empty">Could not connect to the API server</div>';
+    }
+}
+
+// Warn about gateways whose heartbeat is late
+function renderHealthAlert(gateways) {
+    const alert = document.getElementById('healthAlert');
+    const late = (gateways || []).filter(gateway => gateway.heartbeatStatus === 'late');
+
+    alert.style.display = late.length > 0 ? '' : 'none';
+    alert.innerHTML = late.length > 0
+        ? `⚠️ ${late.length} gateway(s) with a late heartbeat: ` +
+            late.map(gateway => `<strong>${escapeHtml(gateway.gatewayName)}</strong> (last ${getTimeAgo(gateway.heartbeat.timestamp)})`).join(', ')
+        : '';
+}
+
+// Heartbeat lines of a gateway card: age, rates, queue and device health
+function renderHeartbeat(gateway) {
+    const heartbeat = gateway.heartbeat;
+    if (!heartbeat) {
+        return '<div class="gateway-meta">💓 No heartbeat</div>';
+    }
+    return `
+            <div class="gateway-meta">💓 Heartbeat ${getTimeAgo(heartbeat.timestamp)}, up ${formatUptime(heartbeat.uptimeSeconds)}, v${escapeHtml(heartbeat.softwareVersion)}</div>
+            <div class="gateway-meta">📶 ${heartbeat.advertisementsPerSecond} adv/s, ${heartbeat.reportedPerSecond} stored/s</div>
+            <div class="gateway-meta">📦 Buffered: ${heartbeat.bufferSize}, dropped: ${heartbeat.droppedRecordCount} (storage ${escapeHtml(heartbeat.storageStatus)})</div>
+            <div class="gateway-meta">🌡️ CPU: ${heartbeat.cpuTemperature !== null ? `${heartbeat.cpuTemperature} °C` : '-'}, load ${heartbeat.loadAverage ?? '-'}</div>`;
+}
+
+// Render gateway cards
+function renderGateways(gateways) {
+    const container = document.getElementById('gatewaysContainer');
+
+    if (!gateways || gateways.length === 0) {
+        container.className = 'empty';
+        container.textContent = 'No gateways have stored records in the last 24 hours';
+        return;
+    }
+
+    container.className = 'gateway-grid';
+    container.innerHTML = gateways.map(gateway => `
+        <div class="gateway-card ${gateway.online ? '' : 'offline'} ${gateway.heartbeatStatus === 'late' ? 'late' : ''} ${gateway.isLocal ? 'local' : ''}">
+            <div class="gateway-name">${escapeHtml(gateway.gatewayName)}</div>
+            <div class="gateway-meta">ID: ${escapeHtml(gateway.gatewayId)}${gateway.isLocal ? ' (this dashboard)' : ''}</div>
+            <div class="gateway-meta">📍 ${escapeHtml(gateway.gatewayLocation)}</div>
+            <div class="gateway-meta">📡 ${gateway.beaconCount} beacon(s) in the last 5 minutes</div>
+            <div class="gateway-meta">Last record: ${gateway.lastSeen ? getTimeAgo(gateway.lastSeen) : 'never'}</div>
+            ${renderHeartbeat(gateway)}
+            <span class="status ${gateway.online ? '' : 'inactive'}">${gateway.online ? 'Online' : 'Silent'}</span>
+            ${gateway.heartbeatStatus === 'late' ? '<span class="status late">Heartbeat late</span>' : ''}
+        </div>
+    `).join('');
+}
+
+// Render beacons with their strongest gateway
+function renderFleetBeacons(beacons) {
+    const container = document.getElementById('fleetBeaconsContainer');
+
+    if (!beacons || beacons.length === 0) {
+        container.className = 'empty';
+        container.textContent = 'No beacons heard by any gateway in the last 5 minutes';
+        return;
+    }
+
+    container.className = '';
+    container.innerHTML = `
+        <table class="fleet-table">
+            <thead>
+                <tr><th>Beacon</th><th>Type</th><th>Strongest Gateway</th><th>RSSI</th><th>Distance</th><th>Heard By</th><th>Last Seen</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${beacons.map(beacon => {
+                    const strongest = beacon.strongestGateway;
+                    const typeLabel = BEACON_TYPE_LABELS[beacon.beaconType] || beacon.beaconType || BEACON_TYPE_LABELS.unknown;
+                    return `
+                <tr>
+                    <td>${escapeHtml(beacon.name || beacon.beaconKey)}</td>
+                    <td>${escapeHtml(typeLabel)}</td>
+                    <td>${strongest ? escapeHtml(strongest.gatewayName) : '-'}</td>
+                    <td>${strongest && strongest.rssi !== null ? `${strongest.rssi} dBm` : '-'}</td>
+                    <td>${strongest ? formatDistance(strongest.distance) : '-'}</td>
+                    <td>${beacon.gateways.map(gateway => escapeHtml(gateway.gatewayName)).join(', ')}</td>
+                    <td>${beacon.lastSeen ? getTimeAgo(beacon.lastSeen) : '-'}</td>
+                    <td><a href="/dashboard/beacon.html?beaconKey=${encodeURIComponent(beacon.beaconKey)}">Path →</a></td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+document.addEventListener('DOMContentLoaded', initFleet);
@@ -0,0 +1,405 @@
+// Floor plan: uploaded floor-plan images (or offline map tiles) with pinned gateways and
+// each beacon's estimated position, refreshed whenever the live beacon stream updates
+// Uses CONFIG and the formatting helpers from common.js
+
+// Last /api/positions response and /api/floorplans response
+let floorPlanData = null;
+let floorPlanConfig = { plans: [], pins: [], tiles: null };
+
+// Gateway waiting for a click on the plan to be pinned there (null when not pinning)
+let pinningGatewayId = null;
+
+// Live stream used only as a refresh signal; positions need every gateway's sightings
+let positionStream = null;
+
+// Meters per degree of latitude, for drawing lat/lng gateways on a flat plan
+const METERS_PER_DEGREE = 111320;
+
+// Beacons fade out over the positions window (5 minutes), so stale markers stand out
+const RECENCY_FADE_MS = 5 * 60 * 1000;
+
+// RSSI strength colors, as on the dashboard's signal bars
+const RSSI_COLORS = { strong: '#10b981', medium: '#f59e0b', weak: '#ef4444' };
+
+// Initialize floor plan view
+async function initFloorPlan() {
+    await loadFloorPlans();
+    await loadPositions();
+    if (window.EventSource) {
+        startPositionStream();
+    } else {
+        setInterval(loadPositions, CONFIG.refreshInterval);
+    }
+}
+
+// Reload positions on every live stream snapshot or update (about every 5 seconds)
+function startPositionStream() {
+    positionStream = new EventSource(`${CONFIG.apiUrl}/stream`);
+    positionStream.addEventListener('snapshot', loadPositions);
+    positionStream.addEventListener('update', loadPositions);
+
+    // EventSource reconnects by itself
+    positionStream.onerror = () => {
+        console.warn('Live stream disconnected, reconnecting...');
+    };
+}
+
+// Load floor plans, gateway pins and the offline tile settings
+async function loadFloorPlans() {
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/floorplans`);
+        floorPlanConfig = await response.json();
+    } catch (error) {
+        console.error('Error loading floor plans:', error);
+    }
+}
+
+// Load beacon positions and gateway coordinates
+async function loadPositions() {
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/positions`);
+        floorPlanData = await response.json();
+
+        renderAreaSelect();
+        renderGatewaySelect();
+        renderFloorPlan();
+        renderPositions(floorPlanData.positions);
+        updateLastUpdated();
+    } catch (error) {
+        console.error('Error loading positions:', error);
+        const container = document.getElementById('floorPlanContainer');
+        container.className = 'empty';
+        container.textContent = 'Could not connect to the API server';
+    }
+}
+
+// Key of the plane a point is drawn on: coordinate frame, building and floor
+function areaKey(point) {
+    const frame = point.frame || (point.x !== undefined ? 'xy' : 'latlng');
+    return `${frame}|${point.building ?? ''}|${point.floor ?? ''}`;
+}
+
+// Human-readable name of an area key
+function areaLabel(key) {
+    const [frame, building, floor] = key.split('|');
+    const parts = [];
+    if (building) parts.push(`Building ${building}`);
+    if (floor) parts.push(`Floor ${floor}`);
+    return `${parts.join(', ') || 'Site'}${frame === 'latlng' ? ' (lat/lng)' : ''}`;
+}
+
+// The floor plan or area picked in the list: { plan, key }
+function selectedArea() {
+    const value = document.getElementById('areaSelect').value;
+    if (value.startsWith('plan:')) {
+        const plan = floorPlanConfig.plans.find(p => p.planId === value.slice('plan:'.length));
+        if (plan) {
+            return { plan, key: areaKey({ frame: 'xy', building: plan.building, floor: plan.floor }) };
+        }
+    }
+    return { plan: null, key: value.slice('area:'.length) };
+}
+
+// Fill the plan/area picker: every floor plan, then building/floors with gateway coordinates but no plan
+function renderAreaSelect() {
+    const select = document.getElementById('areaSelect');
+    const selected = select.value;
+    const planKeys = new Set(floorPlanConfig.plans.map(plan => areaKey({ frame: 'xy', building: plan.building, floor: plan.floor })));
+    const areaKeys = Array.from(new Set(floorPlanData.gateways
+        .filter(gateway => gateway.coordinates)
+        .map(gateway => areaKey(gateway.coordinates))))
+        .filter(key => !planKeys.has(key))
+        .sort();
+
+    const options = [
+        ...floorPlanConfig.plans.map(plan => ({ value: `plan:${plan.planId}`, label: plan.name })),
+        ...areaKeys.map(key => ({ value: `area:${key}`, label: areaLabel(key) }))
+    ];
+    select.style.display = options.length > 1 ? '' : 'none';
+    select.innerHTML = options.map(option =>
+        `<option value="${escapeHtml(option.value)}"${option.value === selected ? ' selected' : ''}>${escapeHtml(option.label)}</option>`).join('');
+}
+
+// Fill the gateway list of the pin controls, keeping the current choice
+function renderGatewaySelect() {
+    const select = document.getElementById('pinGateway');
+    const selected = select.value;
+    select.innerHTML = floorPlanData.gateways.map(gateway => {
+        const pin = floorPlanConfig.pins.find(p => p.gatewayId === gateway.gatewayId);
+        const label = `${gateway.gatewayName}${pin ? ' (pinned)' : ''}`;
+        return `<option value="${escapeHtml(gateway.gatewayId)}"${gateway.gatewayId === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    }).join('');
+}
+
+// Draw the selected floor plan or area as SVG, in meters
+function renderFloorPlan() {
+    const container = document.getElementById('floorPlanContainer');
+    const { plan, key } = selectedArea();
+    document.getElementById('pinControls').style.display = plan ? '' : 'none';
+    document.getElementById('deletePlanButton').style.display = plan ? '' : 'none';
+
+    const gateways = floorPlanData.gateways.filter(gateway => gateway.coordinates && areaKey(gateway.coordinates) === key);
+    if (!plan && gateways.length === 0) {
+        container.className = 'empty';
+        container.textContent = 'Upload a floor plan, or give gateways x/y or lat/lng in GATEWAY_LOCATION';
+        return;
+    }
+
+    // Lat/lng is drawn north-up in meters from the first gateway; x/y is drawn as given (y down)
+    const origin = gateways[0]?.coordinates;
+    const isLatLng = key.startsWith('latlng|');
+    const project = point => (isLatLng
+        ? {
+            x: (point.lng - origin.lng) * METERS_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180),
+            y: -(point.lat - origin.lat) * METERS_PER_DEGREE
+        }
+        : { x: point.x, y: point.y });
+
+    const gatewayPoints = gateways.map(gateway => ({ gateway, ...project(gateway.coordinates) }));
+    const beaconPoints = floorPlanData.positions
+        .filter(beacon => beacon.position && (beacon.position.x !== undefined || beacon.position.lat !== undefined) &&
+            areaKey(beacon.position) === key)
+        .map(beacon => ({ beacon, ...project(beacon.position) }));
+
+    // Fit the plan image and all markers; marker and text sizes follow the plan's size
+    const bounds = [...gatewayPoints, ...beaconPoints];
+    if (plan) {
+        bounds.push({ x: 0, y: 0 }, { x: plan.widthMeters, y: plan.heightMeters });
+    }
+    const margin = plan ? 0 : 2;
+    const minX = Math.min(...bounds.map(p => p.x)) - margin;
+    const minY = Math.min(...bounds.map(p => p.y)) - margin;
+    const width = Math.max(...bounds.map(p => p.x)) + margin - minX;
+    const height = Math.max(...bounds.map(p => p.y)) + margin - minY;
+    const unit = Math.max(width, height) / 100;
+    const now = Date.now();
+
+    const background = plan
+        ? (plan.hasImage
+            ? `<image href="${CONFIG.apiUrl}/floorplans/${encodeURIComponent(plan.planId)}/image?v=${plan.updatedAt}" x="0" y="0" width="${plan.widthMeters}" height="${plan.heightMeters}" preserveAspectRatio="none"></image>`
+            : `<rect class="plan-outline" x="0" y="0" width="${plan.widthMeters}" height="${plan.heightMeters}" stroke-width="${0.2 * unit}"></rect>`)
+        : (isLatLng ? renderTiles(origin, minX, minY, width, height) : '');
+
+    container.className = '';
+    container.innerHTML = `
+        <svg class="floor-plan ${pinningGatewayId ? 'pinning' : ''}" id="floorPlanSvg" viewBox="${minX} ${minY} ${width} ${height}" preserveAspectRatio="xMidYMid meet">
+            ${background}
+            ${gatewayPoints.map(({ gateway, x, y }) => `
+            <rect class="gateway-marker" x="${x - unit}" y="${y - unit}" width="${2 * unit}" height="${2 * unit}"></rect>
+            <text x="${x + 1.5 * unit}" y="${y - 1.5 * unit}" font-size="${2.2 * unit}">📡 ${escapeHtml(gateway.gatewayName)}</text>`).join('')}
+            ${beaconPoints.map(({ beacon, x, y }) => {
+                const position = beacon.position;
+                const rssi = position.gateways[0]?.rssi;
+                const color = RSSI_COLORS[getRSSIStrength(rssi)];
+                const opacity = Math.max(1 - (now - beacon.lastSeen) / RECENCY_FADE_MS, 0.25);
+                const fallback = position.method !== 'trilateration' ? 'fallback' : '';
+                return `
+            <g opacity="${opacity.toFixed(2)}">
+                <circle class="accuracy-ring ${fallback}" cx="${x}" cy="${y}" r="${Math.max(position.accuracy || 0, unit)}" fill="${color}" stroke="${color}" stroke-width="${0.2 * unit}" stroke-dasharray="${fallback ? `${unit} ${0.6 * unit}` : 'none'}"></circle>
+                <circle class="beacon-marker" cx="${x}" cy="${y}" r="${0.8 * unit}" fill="${color}">
+                    <title>${escapeHtml(beacon.name || beacon.beaconKey)} - ${rssi} dBm, ${getTimeAgo(beacon.lastSeen)}</title>
+                </circle>
+                <text x="${x + unit}" y="${y + 3 * unit}" font-size="${1.8 * unit}">${escapeHtml(beacon.name || beacon.beaconKey)}</text>
+            </g>`;
+            }).join('')}
+        </svg>
+    `;
+    document.getElementById('floorPlanSvg').addEventListener('click', placePin);
+}
+
+// Offline map tiles under a lat/lng area, at the highest zoom where the view spans about 4 tiles
+function renderTiles(origin, minX, minY, width, height) {
+    const tiles = floorPlanConfig.tiles;
+    if (!tiles) {
+        return '';
+    }
+
+    // View corners in lat/lng (the inverse of project() in renderFloorPlan)
+    const metersPerDegreeLng = METERS_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180);
+    const west = origin.lng + minX / metersPerDegreeLng;
+    const east = origin.lng + (minX + width) / metersPerDegreeLng;
+    const north = origin.lat - minY / METERS_PER_DEGREE;
+    const south = origin.lat - (minY + height) / METERS_PER_DEGREE;
+
+    const zoom = Math.max(0, Math.min(tiles.maxZoom, Math.floor(Math.log2((4 * 360) / Math.max(east - west, north - south)))));
+    const n = Math.pow(2, zoom);
+    const tileX = lng => Math.floor(((lng + 180) / 360) * n);
+    const tileY = lat => Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * n);
+    const tileLng = x => (x / n) * 360 - 180;
+    const tileLat = y => Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n))) * 180 / Math.PI;
+
+    const images = [];
+    for (let x = tileX(west); x <= tileX(east); x++) {
+        for (let y = tileY(north); y <= tileY(south); y++) {
+            const left = (tileLng(x) - origin.lng) * metersPerDegreeLng;
+            const right = (tileLng(x + 1) - origin.lng) * metersPerDegreeLng;
+            const top = -(tileLat(y) - origin.lat) * METERS_PER_DEGREE;
+            const bottom = -(tileLat(y + 1) - origin.lat) * METERS_PER_DEGREE;
+            const url = tiles.url.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
+            images.push(`<image href="${url}" x="${left}" y="${top}" width="${right - left}" height="${bottom - top}" preserveAspectRatio="none"></image>`);
+        }
+    }
+    return images.join('');
+}
+
+// Start pinning the selected gateway; the next click on the plan places it
+function startPinning() {
+    pinningGatewayId = document.getElementById('pinGateway').value || null;
+    if (pinningGatewayId) {
+        showMessage('Click on the floor plan where this gateway is mounted');
+        renderFloorPlan();
+    }
+}
+
+// Pin the gateway being placed at the clicked point, in plan meters
+async function placePin(event) {
+    const { plan } = selectedArea();
+    if (!pinningGatewayId || !plan) {
+        return;
+    }
+    const svg = event.currentTarget;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+
+    const gatewayId = pinningGatewayId;
+    pinningGatewayId = null;
+    await sendFloorPlanRequest(`${CONFIG.apiUrl}/gateways/${encodeURIComponent(gatewayId)}/pin`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            planId: plan.planId,
+            x: Math.round(Math.min(Math.max(x, 0), plan.widthMeters) * 100) / 100,
+            y: Math.round(Math.min(Math.max(y, 0), plan.heightMeters) * 100) / 100
+        })
+    }, `Pinned ${gatewayId}`);
+}
+
+// Remove the selected gateway's pin; it falls back to the coordinates in its GATEWAY_LOCATION
+async function removePin() {
+    const gatewayId = document.getElementById('pinGateway').value;
+    if (gatewayId) {
+        await sendFloorPlanRequest(`${CONFIG.apiUrl}/gateways/${encodeURIComponent(gatewayId)}/pin`, { method: 'DELETE' }, `Unpinned ${gatewayId}`);
+    }
+}
+
+// Create or update a floor plan from the upload form; the image's aspect ratio gives its height in meters
+async function uploadFloorPlan(event) {
+    event.preventDefault();
+    const planId = document.getElementById('planId').value.trim();
+    const file = document.getElementById('planImage').files[0];
+    const widthMeters = parseFloat(document.getElementById('planWidth').value);
+    const existing = floorPlanConfig.plans.find(plan => plan.planId === planId);
+
+    let heightMeters = existing ? existing.heightMeters * (widthMeters / existing.widthMeters) : widthMeters;
+    if (file) {
+        const image = await createImageBitmap(file);
+        heightMeters = Math.round(widthMeters * (image.height / image.width) * 100) / 100;
+        image.close();
+    }
+
+    const details = {
+        name: document.getElementById('planName').value,
+        building: document.getElementById('planBuilding').value,
+        floor: document.getElementById('planFloor').value,
+        widthMeters,
+        heightMeters
+    };
+    const saved = await sendFloorPlanRequest(`${CONFIG.apiUrl}/floorplans/${encodeURIComponent(planId)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(details)
+    }, `Saved ${details.name}`);
+    if (saved && file) {
+        await sendFloorPlanRequest(`${CONFIG.apiUrl}/floorplans/${encodeURIComponent(planId)}/image`, {
+            method: 'PUT',
+            headers: { 'Content-Type': file.type },
+            body: file
+        }, `Uploaded ${details.name}`);
+    }
+    if (saved) {
+        document.getElementById('areaSelect').value = `plan:${planId}`;
+        document.getElementById('floorPlanForm').reset();
+        renderFloorPlan();
+    }
+}
+
+// Delete the selected floor plan and the pins on it
+async function deleteFloorPlan() {
+    const { plan } = selectedArea();
+    if (plan && confirm(`Delete floor plan '${plan.name}' and its gateway pins?`)) {
+        await sendFloorPlanRequest(`${CONFIG.apiUrl}/floorplans/${encodeURIComponent(plan.planId)}`, { method: 'DELETE' }, `Deleted ${plan.name}`);
+    }
+}
+
+// Send a floor plan change, show the result and reload plans and positions; returns whether it succeeded
+async function sendFloorPlanRequest(url, options, successText) {
+    try {
+        const response = await apiFetch(url, options);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            showMessage(data.message || 'Could not save the change', true);
+            return false;
+        }
+        showMessage(successText);
+        await loadFloorPlans();
+        await loadPositions();
+        return true;
+    } catch (error) {
+        console.error('Error saving floor plan:', error);
+        showMessage('Could not connect to the API server', true);
+        return false;
+    }
+}
+
+// Show a message next to the floor plan controls
+function showMessage(text, isError) {
+    const message = document.getElementById('formMessage');
+    message.textContent = text;
+    message.className = isError ? 'form-message error' : 'form-message';
+}
+
+// Format a position's coordinates
+function formatPosition(position) {
+    if (position.x !== undefined) return `x ${position.x.toFixed(1)} m, y ${position.y.toFixed(1)} m`;
+    if (position.lat !== undefined) return `${position.lat.toFixed(6)}, ${position.lng.toFixed(6)}`;
+    return '-';
+}
+
+// Render the table of estimated positions
+function renderPositions(positions) {
+    const container = document.getElementById('positionsContainer');
+
+    if (!positions || positions.length === 0) {
+        container.className = 'empty';
+        container.textContent = 'No beacons heard by any gateway in the last 5 minutes';
+        return;
+    }
+
+    container.className = '';
+    container.innerHTML = `
+        <table class="fleet-table">
+            <thead>
+                <tr><th>Beacon</th><th>Method</th><th>Position</th><th>Accuracy</th><th>Room</th><th>Gateways</th><th>Last Seen</th></tr>
+            </thead>
+            <tbody>
+                ${positions.map(beacon => {
+                    const position = beacon.position;
+                    return `
+                <tr>
+                    <td><a href="/dashboard/beacon.html?beaconKey=${encodeURIComponent(beacon.beaconKey)}">${escapeHtml(beacon.name || beacon.beaconKey)}</a></td>
+                    <td>${position.method === 'trilateration' ? 'Trilateration' : 'Strongest gateway'}</td>
+                    <td>${formatPosition(position)}</td>
+                    <td>${position.accuracy !== null ? `± ${formatDistance(position.accuracy)}` : '-'}</td>
+                    <td>${escapeHtml(position.room ?? '-')}</td>
+                    <td>${position.gateways.map(gateway => escapeHtml(gateway.gatewayName)).join(', ')}</td>
+                    <td>${getTimeAgo(beacon.lastSeen)}</td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+document.addEventListener('DOMContentLoaded', initFloorPlan);
@@ -0,0 +1,34 @@
+// Login page; served without a session, so it does not load common.js
+
+// Page to return to after logging in; only paths on this server are accepted
+function nextPage() {
+    const next = new URLSearchParams(window.location.search).get('next') || '/';
+    return /^\/(?![/\\])/.test(next) ? next : '/';
+}
+
+// Log in and go back to the page that sent us here
+async function login(event) {
+    event.preventDefault();
+    const message = document.getElementById('formMessage');
+    message.textContent = '';
+
+    try {
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('username').value,
+                password: document.getElementById('password').value
+            })
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            message.textContent = data.message || 'Could not log in';
+            return;
+        }
+        window.location.href = nextPage();
+    } catch (error) {
+        console.error('Error logging in:', error);
+        message.textContent = 'Could not connect to the API server';
+    }
+}
@@ -0,0 +1,221 @@
+// Beacon registry: names, asset types, owners and tags for beacons
+// Uses CONFIG and the formatting helpers from common.js
+
+// Registered beacons by beaconKey, as last loaded
+let registryEntries = new Map();
+
+// Initialize registry page
+async function initRegistry() {
+    await loadRegistry();
+    await loadUnregistered();
+    setInterval(loadUnregistered, CONFIG.refreshInterval);
+}
+
+// Load registered beacons and the tag list; the table shows the selected tag only
+async function loadRegistry() {
+    const container = document.getElementById('registryContainer');
+    const tag = document.getElementById('tagFilter').value;
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/registry`);
+        const data = await response.json();
+
+        registryEntries = new Map(data.beacons.map(entry => [entry.beaconKey, entry]));
+        renderTagFilter(data.tags, tag);
+        renderRegistry(data.beacons.filter(entry => !tag || entry.tags.includes(tag)));
+        updateLastUpdated();
+    } catch (error) {
+        console.error('Error loading registry:', error);
+        container.className = 'empty';
+        container.textContent = 'Could not connect to the API server';
+    }
+}
+
+// Beacons heard by any gateway recently that have no registry entry
+async function loadUnregistered() {
+    const container = document.getElementById('unregisteredContainer');
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/fleet/beacons`);
+        const data = await response.json();
+
+        renderUnregistered(data.beacons.filter(beacon => !registryEntries.has(beacon.beaconKey)));
+    } catch (error) {
+        console.error('Error loading beacons:', error);
+        container.className = 'empty';
+        container.textContent = 'Could not load beacons';
+    }
+}
+
+// Fill the tag filter, keeping the current selection
+function renderTagFilter(tags, selected) {
+    document.getElementById('tagFilter').innerHTML = '<option value="">All tags</option>' +
+        tags.map(tag => `<option value="${escapeHtml(tag)}"${tag === selected ? ' selected' : ''}>${escapeHtml(tag)}</option>`).join('');
+}
+
+// Render the registered beacons table
+function renderRegistry(entries) {
+    const container = document.getElementById('registryContainer');
+
+    if (!entries || entries.length === 0) {
+        container.className = 'empty';
+        container.textContent = 'No registered beacons';
+        return;
+    }
+
+    container.className = '';
+    container.innerHTML = `
+        <table class="registry-table">
+            <thead>
+                <tr><th>Name</th><th>Beacon Key</th><th>Asset Type</th><th>Owner</th><th>Tags</th><th>Updated</th><th class="admin-only"></th></tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => `
+                <tr>
+                    <td>${escapeHtml(entry.name)}</td>
+                    <td>${escapeHtml(entry.beaconKey)}</td>
+                    <td>${escapeHtml(entry.assetType || '-')}</td>
+                    <td>${escapeHtml(entry.owner || '-')}</td>
+                    <td>${entry.tags.map(tag => `<span class="beacon-tag">${escapeHtml(tag)}</span>`).join('')}</td>
+                    <td>${entry.updatedAt ? getTimeAgo(entry.updatedAt) : '-'}</td>
+                    <td class="actions admin-only">
+                        <button class="button small secondary" data-key="${escapeHtml(entry.beaconKey)}" onclick="editEntry(this.dataset.key)">Edit</button>
+                        <button class="button small danger" data-key="${escapeHtml(entry.beaconKey)}" onclick="deleteEntry(this.dataset.key)">Delete</button>
+                    </td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Render recently heard beacons without an entry, each with a Register button
+function renderUnregistered(beacons) {
+    const container = document.getElementById('unregisteredContainer');
+
+    if (beacons.length === 0) {
+        container.className = 'empty';
+        container.textContent = 'Every beacon heard in the last few minutes is registered';
+        return;
+    }
+
+    container.className = '';
+    container.innerHTML = `
+        <table class="registry-table">
+            <thead>
+                <tr><th>Beacon Key</th><th>Type</th><th>Advertised Name</th><th>Strongest Gateway</th><th>Last Seen</th><th class="admin-only"></th></tr>
+            </thead>
+            <tbody>
+                ${beacons.map(beacon => `
+                <tr>
+                    <td>${escapeHtml(beacon.beaconKey)}</td>
+                    <td>${BEACON_TYPE_LABELS[beacon.beaconType] || beacon.beaconType || BEACON_TYPE_LABELS.unknown}</td>
+                    <td>${escapeHtml(beacon.name || '-')}</td>
+                    <td>${beacon.strongestGateway ? escapeHtml(beacon.strongestGateway.gatewayName) : '-'}</td>
+                    <td>${beacon.lastSeen ? getTimeAgo(beacon.lastSeen) : '-'}</td>
+                    <td class="actions admin-only">
+                        <button class="button small" data-key="${escapeHtml(beacon.beaconKey)}" data-name="${escapeHtml(beacon.name || '')}"
+                                onclick="registerBeacon(this.dataset.key, this.dataset.name)">Register</button>
+                    </td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Load an entry into the form for editing
+function editEntry(beaconKey) {
+    const entry = registryEntries.get(beaconKey);
+    if (!entry) return;
+
+    fillForm(entry.beaconKey, entry.name, entry.assetType, entry.owner, entry.tags);
+    document.getElementById('formTitle').textContent = `Edit ${entry.name}`;
+}
+
+// Start a new entry for an unregistered beacon, using its advertised name if any
+function registerBeacon(beaconKey, name) {
+    fillForm(beaconKey, name, '', '', []);
+    document.getElementById('formTitle').textContent = 'Register a Beacon';
+    document.getElementById('name').focus();
+}
+
+// Fill the form fields and scroll to it
+function fillForm(beaconKey, name, assetType, owner, tags) {
+    document.getElementById('beaconKey').value = beaconKey;
+    document.getElementById('name').value = name || '';
+    document.getElementById('assetType').value = assetType || '';
+    document.getElementById('owner').value = owner || '';
+    document.getElementById('tags').value = tags.join(', ');
+    showMessage('');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// Clear the form
+function resetForm() {
+    document.getElementById('registryForm').reset();
+    document.getElementById('formTitle').textContent = 'Register a Beacon';
+    showMessage('');
+}
+
+// Save the form as a registry entry (creates or replaces it)
+async function saveEntry(event) {
+    event.preventDefault();
+    const beaconKey = document.getElementById('beaconKey').value.trim();
+    const entry = {
+        name: document.getElementById('name').value,
+        assetType: document.getElementById('assetType').value,
+        owner: document.getElementById('owner').value,
+        tags: document.getElementById('tags').value.split(',').map(tag => tag.trim()).filter(Boolean)
+    };
+
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/registry/${encodeURIComponent(beaconKey)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showMessage(data.message || 'Could not save the beacon', true);
+            return;
+        }
+
+        resetForm();
+        showMessage(`Saved ${data.name}`);
+        await loadRegistry();
+        await loadUnregistered();
+    } catch (error) {
+        console.error('Error saving registry entry:', error);
+        showMessage('Could not connect to the API server', true);
+    }
+}
+
+// Remove a registry entry after confirmation
+async function deleteEntry(beaconKey) {
+    const entry = registryEntries.get(beaconKey);
+    if (!entry || !confirm(`Remove ${entry.name} (${entry.beaconKey}) from the registry?`)) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${CONFIG.apiUrl}/registry/${encodeURIComponent(beaconKey)}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            const data = await response.json();
+            showMessage(data.message || 'Could not remove the beacon', true);
+            return;
+        }
+
+        await loadRegistry();
+        await loadUnregistered();
+    } catch (error) {
+        console.error('Error removing registry entry:', error);
+        showMessage('Could not connect to the API server', true);
+    }
+}
+
+// Show a status or error message next to the form buttons
+function showMessage(text, isError) {
+    const message = document.getElementById('formMessage');
+    message.textContent = text;
+    message.className = isError ? 'form-message error' : 'form-message';
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', initRegistry);
@@ -1,6 +1,14 @@
 const BeaconScanner = require('node-beacon-scanner');
 const { getAWSConfig, validateConfig } = require('./config/aws-config');
 const BeaconStorage = require('./services/beacon-storage');
+const MqttPublisher = require('./services/mqtt-publisher');
+const ReportingPolicy = require('./services/reporting-policy');
+const PresenceTracker = require('./services/presence-tracker');
+const AdvertisementFilter = require('./services/advertisement-filter');
+const AlertEngine = require('./services/alert-engine');
+const AlertNotifier = require('./services/alert-notifier');
+const GatewayHeartbeat = require('./services/gateway-heartbeat');
+const { metrics, trackStorage, startMetricsServer } = require('./services/metrics');
 
 // Initialize beacon scanner
 const scanner = new BeaconScanner();
@@ -8,9 +16,27 @@ const scanner = new BeaconScanner();
 // Global reference to storage service
 let beaconStorage = null;
 
-// Rate limiting for beacon storage (reduce AWS calls)
-const beaconLastSeen = new Map(); // Track last storage time per beacon
-const STORAGE_INTERVAL_MS = 5000; // Only store each beacon once per 5 seconds
+// Global reference to MQTT sink (null when MQTT_URL is not set)
+let mqttPublisher = null;
+
+// Decides which advertisements are stored (arrivals, significant changes, heartbeats)
+let reportingPolicy = null;
+
+// Derives enter/exit/dwell events from sightings (null when PRESENCE_ENABLED=false)
+let presenceTracker = null;
+
+// Drops unwanted advertisements before they are logged or stored (accepts all without ADVERTISEMENT_FILTER_FILE)
+let advertisementFilter = null;
+
+// Evaluates alert rules and notifies webhooks / email (null when ALERT_RULES_FILE is not set)
+let alertEngine = null;
+let alertNotifier = null;
+
+// Stores a gateway health record every HEARTBEAT_INTERVAL_SECONDS (null when set to 0)
+let gatewayHeartbeat = null;
+
+// Serves Prometheus metrics on METRICS_PORT (null when set to 0)
+let metricsServer = null;
 
 /**
  * Initialize the application
@@ -20,20 +46,24 @@ async function initialize() {
     console.log('=== Beacon Scanner with AWS Storage ===');
     console.log('[Application] Starting initialization...');
     
-    // Load and validate AWS configuration
-    console.log('[Application] Loading AWS configuration...');
-    const awsConfig = getAWSConfig();
-    
+    // Validate and load configuration (config file and environment variables)
+    console.log('[Application] Loading configuration...');
     if (!validateConfig()) {
-      console.error('[Application] AWS configuration validation failed');
-      console.error('[Application] Please check your environment variables and try again');
+      console.error('[Application] Configuration validation failed');
+      console.error('[Application] Please check your config file and environment variables and try again');
       process.exit(1);
     }
+    const awsConfig = getAWSConfig();
     
     console.log('[Application] AWS Configuration Summary:');
-    console.log(`[Application]   Region: ${awsConfig.region}`);
-    console.log(`[Application]   DynamoDB Table: ${awsConfig.tableName}`);
-    console.log(`[Application]   Credentials: ${awsConfig.credentials ? 'Explicit (from env)' : 'Default chain'}`);
+    console.log(`[Application]   Storage Backend: ${awsConfig.storageBackend}`);
+    if (awsConfig.storageBackend === 'dynamodb') {
+      console.log(`[Application]   Region: ${awsConfig.region}`);
+      console.log(`[Application]   DynamoDB Table: ${awsConfig.tableName}`);
+      console.log(`[Application]   Credentials: ${awsConfig.credentials ? 'Explicit (from env)' : 'Default chain'}`);
+    } else if (awsConfig.storageBackend === 'file') {
+      console.log(`[Application]   Data Directory: ${awsConfig.dataDir}`);
+    }
     
     // Initialize BeaconStorage instance
     console.log('[Application] Initializing BeaconStorage service...');
@@ -42,23 +72,141 @@ async function initialize() {
     
     console.log('[Application] BeaconStorage initialized successfully');
     
+    // Expose counters, buffer depth and DynamoDB latency for Prometheus
+    if (awsConfig.metrics.port > 0) {
+      trackStorage(beaconStorage);
+      metricsServer = startMetricsServer(awsConfig.metrics.port);
+    }
+    
+    // Log connectivity changes reported by the storage service
+    beaconStorage.on('status', ({ status, previous, bufferSize }) => {
+      console.log(`[Application] Storage status: ${previous} -> ${status} (buffered: ${bufferSize})`);
+    });
+    
+    // Retry buffered records in the background, including any recovered from a previous run
+    if (beaconStorage.getBufferSize() > 0) {
+      console.log(`[Application] ${beaconStorage.getBufferSize()} queued record(s) from previous run will be replayed`);
+    }
+    beaconStorage.startAutoFlush();
+    
+    // Connect the MQTT sink if configured
+    if (awsConfig.mqttUrl) {
+      console.log('[Application] Initializing MQTT publisher...');
+      mqttPublisher = new MqttPublisher(awsConfig);
+      await mqttPublisher.connect();
+    }
+    
+    // Set up the reporting policy that throttles storage per beacon
+    reportingPolicy = new ReportingPolicy(awsConfig.reportingPolicy);
+    const policy = reportingPolicy.defaults;
+    console.log(`[Application] Reporting policy - Min interval: ${policy.minIntervalMs}ms, Heartbeat: ${policy.heartbeatMs}ms, RSSI delta: ${policy.rssiDelta} dB`);
+    
+    // Derive presence events from every sighting and store them as 'presence' records
+    if (awsConfig.presence.enabled) {
+      presenceTracker = new PresenceTracker(awsConfig.presence);
+      presenceTracker.on('presence', event => {
+        console.log(`[Application] Presence ${event.eventType}: ${event.beaconKey} (dwell ${event.dwellSeconds}s)`);
+        beaconStorage.storeRecord(beaconStorage.buildPresenceRecord(event)).catch(error => {
+          console.error('[Application] Failed to store presence event');
+          console.error(`[Application] Error Message: ${error.message}`);
+        });
+      });
+      presenceTracker.start();
+      console.log(`[Application] Presence tracking - Enter: ${presenceTracker.enterRssi} dBm, Exit: ${presenceTracker.exitRssi} dBm, Timeout: ${presenceTracker.exitTimeoutMs}ms`);
+    }
+    
+    // Evaluate alert rules against sightings and the storage buffer
+    if (awsConfig.alerts.rulesFile) {
+      const rules = AlertEngine.loadRulesFile(awsConfig.alerts.rulesFile);
+      alertNotifier = new AlertNotifier({ channels: rules.channels, smtp: awsConfig.alerts.smtp });
+      alertEngine = new AlertEngine({
+        rules,
+        gatewayId: awsConfig.gatewayId,
+        notifier: alertNotifier,
+        registry: beaconStorage.registry,
+        getBufferSize: () => beaconStorage.getBufferSize(),
+        checkIntervalMs: awsConfig.alerts.checkIntervalMs
+      });
+      alertEngine.on('alert', alert => {
+        console.log(`[Application] Alert ${alert.ruleId}: ${alert.message}`);
+      });
+      alertEngine.start();
+      console.log(`[Application] Alerting - ${alertEngine.rules.length} rule(s) for this gateway, ${Object.keys(alertNotifier.channels).length} channel(s)`);
+    }
+    
+    // Store a heartbeat record so the fleet view can tell this gateway is alive
+    if (awsConfig.heartbeat.intervalMs > 0) {
+      gatewayHeartbeat = new GatewayHeartbeat({
+        intervalMs: awsConfig.heartbeat.intervalMs,
+        storage: beaconStorage,
+        temperatureFile: awsConfig.heartbeat.temperatureFile
+      });
+      gatewayHeartbeat.on('heartbeat', heartbeat => {
+        beaconStorage.storeRecord(beaconStorage.buildHeartbeatRecord(heartbeat)).catch(error => {
+          console.error('[Application] Failed to store heartbeat');
+          console.error(`[Application] Error Message: ${error.message}`);
+        });
+      });
+      gatewayHeartbeat.start();
+      console.log(`[Application] Heartbeat every ${gatewayHeartbeat.intervalMs / 1000}s`);
+    }
+    
+    // Load the allow/deny rules; edits to the file apply without a restart
+    advertisementFilter = new AdvertisementFilter({ filePath: awsConfig.advertisementFilterFile });
+    advertisementFilter.watch();
+    
     // Set up advertisement handler
     scanner.onadvertisement = (ad) => {
-      // Keep existing console.log for debugging
-      console.log(JSON.stringify(ad, null, '  '));
-      
-      // Rate limit storage to reduce AWS calls and improve scanning performance
-      const beaconId = ad.id || ad.address;
-      const now = Date.now();
-      const lastSeen = beaconLastSeen.get(beaconId);
-      
-      // Only store if we haven't stored this beacon recently
-      if (!lastSeen || (now - lastSeen) >= STORAGE_INTERVAL_MS) {
-        beaconLastSeen.set(beaconId, now);
+      // A failure while handling one advertisement must not stop the scan (or the process)
+      try {
+        // Filtered-out devices are not logged, tracked or stored (only counted for the heartbeat)
+        const accepted = advertisementFilter.accepts(ad);
+        metrics.advertisementsReceived.inc();
+        if (!accepted) {
+          metrics.advertisementsFiltered.inc();
+        }
+        if (gatewayHeartbeat) {
+          gatewayHeartbeat.countAdvertisement(accepted);
+        }
+        if (!accepted) {
+          return;
+        }
+        
+        // Keep existing console.log for debugging
+        console.log(JSON.stringify(ad, null, '  '));
+        
+        // Build the record once so the policy and every sink see the same shape
+        const record = beaconStorage.buildRecord(ad);
+        
+        // Presence sees every sighting, not only the reported ones
+        if (presenceTracker) {
+          presenceTracker.observe(record);
+        }
+        
+        // So do the alert rules (last seen, unexpected gateway, TLM battery)
+        if (alertEngine) {
+          alertEngine.observe(record);
+        }
+        
+        // Only store arrivals, significant RSSI/proximity changes and heartbeats
+        const decision = reportingPolicy.evaluate(record);
+        if (!decision.report) {
+          console.log(`[Application] Skipping storage (no significant change) - ${record.beaconKey}`);
+          return;
+        }
+        console.log(`[Application] Reporting ${record.beaconKey} (${decision.reason})`);
+        if (gatewayHeartbeat) {
+          gatewayHeartbeat.countReport();
+        }
+        
+        // Publish to MQTT (fire-and-forget; failures are logged by the publisher)
+        if (mqttPublisher) {
+          mqttPublisher.publishRecord(record);
+        }
         
         // Store beacon record (fire-and-forget to avoid blocking scanner)
         // Don't await - let it run in background
-        beaconStorage.storeBeaconRecord(ad).catch(error => {
+        beaconStorage.storeRecord(record).catch(error => {
           // Log error details without interrupting beacon detection
           console.error('[Application] AWS Storage Error - Beacon scanning continues');
           console.error(`[Application] Error Type: ${error.constructor.name}`);
@@ -68,23 +216,25 @@ async function initialize() {
             console.error('[Application] Stack trace:', error.stack);
           }
         });
-      } else {
-        console.log(`[Application] Skipping storage (rate limited) - last stored ${Math.round((now - lastSeen) / 1000)}s ago`);
+      } catch (error) {
+        console.error(`[Application] Failed to process advertisement from ${ad.address || 'unknown device'}: ${error.message}`);
+        if (error.stack) {
+          console.error('[Application] Stack trace:', error.stack);
+        }
       }
     };
     
-    // Start scanning with optimized parameters
-    console.log('[Application] Starting beacon scanner...');
-    // Use faster scan parameters: scan more frequently with shorter intervals
+    // Start scanning with the configured parameters (default: 100 ms window every 100 ms)
+    console.log(`[Application] Starting beacon scanner (interval ${awsConfig.scanner.intervalMs}ms, window ${awsConfig.scanner.windowMs}ms)...`);
     await scanner.startScan({
       // Report all advertisements, even duplicates (critical for Pi)
       duplicates: true,
       // Scan interval: how often to scan (in milliseconds)
       // Lower = more frequent scanning = faster detection
-      interval: 100,  // Default is often 1000ms, we use 100ms for faster scanning
+      interval: awsConfig.scanner.intervalMs,
       // Scan window: how long each scan lasts (in milliseconds)
-      // Higher = more time listening = better detection
-      window: 100     // Match interval for continuous scanning
+      // Higher = more time listening = better detection; a window equal to the interval scans continuously
+      window: awsConfig.scanner.windowMs
     });
     console.log('[Application] Beacon scanner started successfully');
     console.log('[Application] Listening for beacon advertisements...');
@@ -109,8 +259,36 @@ async function shutdown(signal) {
   console.log('[Application] Initiating graceful shutdown...');
   
   try {
+    // Stop heartbeats; the dashboard flags this gateway once the next one is late
+    if (gatewayHeartbeat) {
+      gatewayHeartbeat.stop();
+    }
+    
+    // Stop evaluating alert rules and close the SMTP connection
+    if (alertEngine) {
+      alertEngine.stop();
+      alertNotifier.close();
+    }
+    
+    // Report how many advertisements the filter dropped
+    if (advertisementFilter) {
+      advertisementFilter.unwatch();
+      const filterStats = advertisementFilter.getStats();
+      console.log(`[Application] Advertisement filter - Accepted: ${filterStats.accepted}, Dropped: ${filterStats.dropped}`);
+    }
+    
+    // Stop deriving presence events; beacons still present get no exit event
+    if (presenceTracker) {
+      presenceTracker.stop();
+    }
+    
     // Flush any buffered records
     if (beaconStorage) {
+      beaconStorage.stopAutoFlush();
+      
+      // Send the in-flight micro-batch; failures land in the buffer flushed below
+      await beaconStorage.flushPendingBatch();
+      
       const bufferSize = beaconStorage.getBufferSize();
       if (bufferSize > 0) {
         console.log(`[Application] Flushing ${bufferSize} buffered record(s) before shutdown...`);
@@ -130,6 +308,21 @@ async function shutdown(signal) {
       } else {
         console.log('[Application] No buffered records to flush');
       }
+      
+      // Unflushed records stay in the on-disk queue for the next run
+      beaconStorage.close();
+      const queueMetrics = beaconStorage.getBufferMetrics();
+      console.log(`[Application] Offline queue - Pending: ${queueMetrics.depth}, Replayed: ${queueMetrics.replayed}, Dropped: ${queueMetrics.dropped}`);
+    }
+    
+    // Announce the gateway offline and disconnect from the MQTT broker
+    if (mqttPublisher) {
+      await mqttPublisher.close();
+    }
+    
+    // Stop serving metrics
+    if (metricsServer) {
+      metricsServer.close();
     }
     
     // Stop beacon scanner
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * beaconjs command line
+ * The `db` commands manage the DynamoDB table (BEACON_TABLE_NAME, AWS_REGION and DYNAMODB_ENDPOINT
+ * in .env or the config file); they work against DynamoDB Local as well as AWS
+ *
+ * Usage:
+ *   node scripts/beaconjs.js db <command> [options]    (or: npx beaconjs db <command>)
+ *
+ * Commands:
+ *   db init                 Create the table with GatewayIndex and BeaconIndex if it does not exist,
+ *                           enable TTL on expiresAt and record the schema version; safe to run again
+ *   db status               Show the table, its indexes, TTL and schema version and how they differ from
+ *                           what the code expects; exits with 1 if the table is missing or needs changes
+ *   db migrate              Apply the schema migrations the table has not had yet
+ *
+ * Options:
+ *   --endpoint <url>        DynamoDB endpoint, e.g. http://localhost:8000 for DynamoDB Local (default: DYNAMODB_ENDPOINT)
+ *   --read-capacity <n>     init: create a provisioned table with this read capacity (default: on-demand)
+ *   --write-capacity <n>    init: create a provisioned table with this write capacity (default: on-demand)
+ *   --dry-run               migrate: list the pending migrations without applying them
+ *   --timeout <minutes>     Longest wait for the table or a new index to become active (default: 30)
+ */
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const { parseArgs } = require('util');
+const { getAWSConfig } = require('../config/aws-config');
+const DynamoDBSchema = require('../services/storage/dynamodb-schema');
+
+const DB_COMMANDS = ['init', 'status', 'migrate'];
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      endpoint: { type: 'string' },
+      'read-capacity': { type: 'string' },
+      'write-capacity': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      timeout: { type: 'string', default: '30' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const [group, command] = positionals;
+
+  if (values.help || !group) {
+    console.log('Usage: node scripts/beaconjs.js db init [--read-capacity <n> --write-capacity <n>] [--endpoint <url>] [--timeout <minutes>]');
+    console.log('       node scripts/beaconjs.js db status [--endpoint <url>]');
+    console.log('       node scripts/beaconjs.js db migrate [--dry-run] [--endpoint <url>] [--timeout <minutes>]');
+    return;
+  }
+  if (group !== 'db' || !DB_COMMANDS.includes(command)) {
+    throw new Error(`Unknown command '${positionals.join(' ')}'. Expected one of: ${DB_COMMANDS.map(name => `db ${name}`).join(', ')}`);
+  }
+
+  const readCapacity = parseCount(values['read-capacity'], '--read-capacity');
+  const writeCapacity = parseCount(values['write-capacity'], '--write-capacity');
+  const timeoutMinutes = Number(values.timeout);
+  if (!(timeoutMinutes > 0)) {
+    throw new Error('--timeout must be a number of minutes greater than 0');
+  }
+
+  const awsConfig = getAWSConfig();
+  if (values.endpoint !== undefined) {
+    if (!/^https?:\/\//.test(values.endpoint)) {
+      throw new Error('--endpoint must be an http:// or https:// URL');
+    }
+    awsConfig.dynamodbEndpoint = values.endpoint;
+  }
+  if (awsConfig.storageBackend !== 'dynamodb') {
+    console.warn(`[DB] Note: STORAGE_BACKEND is '${awsConfig.storageBackend}', so the scanner and dashboard do not use this table`);
+  }
+  console.log(`[DB] Table ${awsConfig.tableName} in ${awsConfig.region}${awsConfig.dynamodbEndpoint ? ` at ${awsConfig.dynamodbEndpoint}` : ''}`);
+
+  const schema = new DynamoDBSchema(awsConfig, { timeoutMs: timeoutMinutes * 60 * 1000 });
+  try {
+    if (command === 'status') {
+      printStatus(await schema.status());
+    } else if (command === 'init') {
+      const result = await schema.init({ readCapacity, writeCapacity });
+      console.log(result.created ? '[DB] Table created' : '[DB] Table already exists');
+      printMigrations(result, false);
+    } else {
+      const result = await schema.migrate({ dryRun: values['dry-run'] });
+      printMigrations(result, values['dry-run']);
+    }
+  } finally {
+    schema.close();
+  }
+}
+
+// Prints the table description; sets exit code 1 if the table is missing or needs changes
+function printStatus(status) {
+  if (!status.exists) {
+    console.log('[DB] Table does not exist. Create it with: node scripts/beaconjs.js db init');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { table, ttl } = status;
+  const billing = table.BillingModeSummary?.BillingMode === 'PAY_PER_REQUEST'
+    ? 'on-demand'
+    : `provisioned ${table.ProvisionedThroughput.ReadCapacityUnits}/${table.ProvisionedThroughput.WriteCapacityUnits} RCU/WCU`;
+  console.log(`[DB] Status: ${table.TableStatus}, ${table.ItemCount || 0} item(s), ${billing}`);
+  const indexes = (table.GlobalSecondaryIndexes || []).map(index => `${index.IndexName} (${index.IndexStatus}${index.Backfilling ? ', backfilling' : ''})`);
+  console.log(`[DB] Indexes: ${indexes.length > 0 ? indexes.join(', ') : 'none'}`);
+  console.log(`[DB] TTL: ${ttl.AttributeName ? `${ttl.AttributeName} (${ttl.TimeToLiveStatus})` : 'disabled'}`);
+  console.log(`[DB] Schema version: ${status.version} (latest ${status.latestVersion})`);
+
+  status.problems.forEach(problem => console.log(`[DB] Problem: ${problem}`));
+  status.pending.forEach(migration => console.log(`[DB] Pending migration ${migration.version}: ${migration.description}${migration.changed ? '' : ' (already in the table, only the version is recorded)'}`));
+  if (status.problems.length > 0) {
+    console.log('[DB] Migrations cannot fix these problems; the table has to be recreated or changed by hand');
+  } else if (status.pending.length > 0) {
+    console.log('[DB] Apply the pending migrations with: node scripts/beaconjs.js db migrate');
+  } else {
+    console.log('[DB] Table matches the schema the code expects');
+  }
+  if (status.problems.length > 0 || status.pending.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Prints the migrations applied (or, on a dry run, pending) and the resulting version
+function printMigrations({ from, to, applied }, dryRun) {
+  if (applied.length === 0) {
+    console.log(`[DB] Schema is up to date (version ${to})`);
+    return;
+  }
+  for (const migration of applied) {
+    const verb = dryRun ? 'Would apply' : migration.changed ? 'Applied' : 'Recorded';
+    console.log(`[DB] ${verb} migration ${migration.version}: ${migration.description}${migration.changed ? '' : ' (already in the table)'}`);
+  }
+  console.log(dryRun ? `[DB] Schema version ${from}; run without --dry-run to migrate` : `[DB] Schema version ${from} -> ${to}`);
+}
+
+// Parse a positive whole number option; undefined if not given
+function parseCount(value, option) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error(`${option} must be a whole number of 1 or more`);
+  }
+  return Number(value);
+}
+
+main().catch(error => {
+  console.error(`[DB] Command failed: ${error.message}`);
+  process.exit(1);
+});
@@ -1,6 +1,8 @@
 #!/usr/bin/env python3
 """
 Script to clear all records from BeaconRecords DynamoDB table
+Items the application keeps in the table (recordId starting with _beaconjs_,
+e.g. beacon registry entries) are left in place
 """
 
 import boto3
@@ -9,6 +11,12 @@ import sys
 TABLE_NAME = "BeaconRecords"
 REGION = "us-east-1"
 
+# Only beacon records; application items such as the beacon registry are kept
+RECORDS_ONLY = {
+    'FilterExpression': 'NOT begins_with(recordId, :internal)',
+    'ExpressionAttributeValues': {':internal': '_beaconjs_'}
+}
+
 def main():
     print(f"=== Clearing all records from {TABLE_NAME} ===")
     print()
@@ -18,7 +26,7 @@ def main():
     table = dynamodb.Table(TABLE_NAME)
     
     # Get count
-    response = table.scan(Select='COUNT')
+    response = table.scan(Select='COUNT', **RECORDS_ONLY)
     count = response['Count']
     
     print(f"Found {count} records to delete")
@@ -37,14 +45,15 @@ def main():
     deleted = 0
     scan_kwargs = {
         'ProjectionExpression': 'recordId, #ts',
-        'ExpressionAttributeNames': {'#ts': 'timestamp'}
+        'ExpressionAttributeNames': {'#ts': 'timestamp'},
+        **RECORDS_ONLY
     }
     
     while True:
         response = table.scan(**scan_kwargs)
         items = response.get('Items', [])
         
-        if not items:
+        if not items and 'LastEvaluatedKey' not in response:
             break
         
         # Delete items
@@ -71,7 +80,7 @@ def main():
     print(f"Total deleted: {deleted} records")
     
     # Verify
-    response = table.scan(Select='COUNT')
+    response = table.scan(Select='COUNT', **RECORDS_ONLY)
     remaining = response['Count']
     print(f"Remaining records: {remaining}")
 
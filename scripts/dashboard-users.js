@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Manage dashboard users and API tokens (DASHBOARD_AUTH_FILE)
+ * A running dashboard server picks up changes within a few seconds
+ *
+ * Usage:
+ *   node scripts/dashboard-users.js <command> [options]
+ *
+ * Commands:
+ *   list                                   List users and API tokens
+ *   add-user <name> [--role viewer|admin]  Add a user or reset their password and role (default role: viewer)
+ *   remove-user <name>                     Remove a user and end their sessions
+ *   add-token <name> [--role viewer|admin] Create an API token; it is printed once and cannot be shown again
+ *   revoke-token <id>                      Revoke an API token
+ *
+ * Passwords are prompted for, or read from the first line of stdin when it is not a terminal.
+ */
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { getAWSConfig } = require('../config/aws-config');
+const DashboardAuth = require('../services/dashboard-auth');
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      role: { type: 'string', default: 'viewer' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const [command, name] = positionals;
+
+  if (values.help || !command) {
+    console.log('Usage: node scripts/dashboard-users.js list');
+    console.log('       node scripts/dashboard-users.js add-user <name> [--role viewer|admin]');
+    console.log('       node scripts/dashboard-users.js remove-user <name>');
+    console.log('       node scripts/dashboard-users.js add-token <name> [--role viewer|admin]');
+    console.log('       node scripts/dashboard-users.js revoke-token <id>');
+    return;
+  }
+
+  const { authFile } = getAWSConfig().dashboard;
+  if (!authFile) {
+    throw new Error('DASHBOARD_AUTH_FILE is not set');
+  }
+  const auth = new DashboardAuth({ filePath: authFile });
+
+  if (command === 'list') {
+    console.log('Users:');
+    auth.listUsers().forEach(user => console.log(`  ${user.username} (${user.role})`));
+    console.log('API tokens:');
+    auth.listTokens().forEach(token => console.log(`  ${token.id}  ${token.name} (${token.role}), created ${new Date(token.createdAt).toISOString()}`));
+    return;
+  }
+
+  if (!name) {
+    throw new Error(`${command} needs a name or id`);
+  }
+  if (!DashboardAuth.ROLES.includes(values.role)) {
+    throw new Error(`--role must be one of: ${DashboardAuth.ROLES.join(', ')}`);
+  }
+
+  if (command === 'add-user') {
+    await auth.setUser(name, await readPassword(), values.role);
+    console.log(`Saved user '${name}' (${values.role}) to ${authFile}`);
+  } else if (command === 'remove-user') {
+    if (!await auth.removeUser(name)) {
+      throw new Error(`No user '${name}'`);
+    }
+    console.log(`Removed user '${name}'`);
+  } else if (command === 'add-token') {
+    const { id, token } = await auth.createToken(name, values.role);
+    console.log(`Created API token ${id} '${name}' (${values.role}). Send it as 'Authorization: Bearer <token>':`);
+    console.log(token);
+  } else if (command === 'revoke-token') {
+    if (!await auth.revokeToken(name)) {
+      throw new Error(`No API token '${name}'`);
+    }
+    console.log(`Revoked API token ${name}`);
+  } else {
+    throw new Error(`Unknown command '${command}'. Run with --help for usage`);
+  }
+}
+
+// Prompt for a password twice without echoing it, or read it from piped stdin
+async function readPassword() {
+  if (!process.stdin.isTTY) {
+    const rl = readline.createInterface({ input: process.stdin });
+    for await (const line of rl) {
+      rl.close();
+      return line;
+    }
+    throw new Error('No password on stdin');
+  }
+
+  const password = await prompt('Password: ');
+  if (await prompt('Repeat password: ') !== password) {
+    throw new Error('Passwords do not match');
+  }
+  return password;
+}
+
+// Ask one question with the typed answer hidden
+function prompt(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = text => {
+      if (text.startsWith(question)) {
+        process.stdout.write(question);
+      }
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+main().catch(error => {
+  console.error(`[DashboardUsers] ${error.message}`);
+  process.exit(1);
+});
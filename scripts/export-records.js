@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Export stored beacon records as CSV, NDJSON or Parquet
+ * Reads through the configured storage backend (STORAGE_BACKEND in .env)
+ *
+ * Usage:
+ *   node scripts/export-records.js [options]
+ *
+ * Options:
+ *   --from <time>          Start time, inclusive: epoch ms or ISO 8601 (default: 24 hours before --to)
+ *   --to <time>            End time, inclusive: epoch ms or ISO 8601 (default: now)
+ *   --gateway <id>         Gateway to export; repeat for several, or 'all' (default: GATEWAY_ID)
+ *   --format <format>      csv, ndjson or parquet (default: from --output extension, else csv)
+ *   --output <file>        Output file (default: stdout)
+ *   --record-type <type>   sighting, presence, heartbeat, summary or all (default: sighting)
+ *   --raw-fields <fields>  Comma-separated rawData fields, e.g. localName,iBeacon.txPower
+ */
+
+// Keep dotenv's banner out of stdout, which may be the export itself
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { getAWSConfig } = require('../config/aws-config');
+const { createStorageAdapter } = require('../services/storage');
+const RecordExporter = require('../services/record-exporter');
+
+const DEFAULT_EXPORT_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_TIME = 8.64e15; // Largest epoch milliseconds a Date can hold, in either direction
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      gateway: { type: 'string', multiple: true },
+      format: { type: 'string' },
+      output: { type: 'string' },
+      'record-type': { type: 'string', default: 'sighting' },
+      'raw-fields': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log('Usage: node scripts/export-records.js [--from <time>] [--to <time>] [--gateway <id>|all]...');
+    console.log('         [--format csv|ndjson|parquet] [--output <file>] [--record-type sighting|presence|heartbeat|summary|all]');
+    console.log('         [--raw-fields <field,...>]');
+    return;
+  }
+
+  const to = parseTime(values.to, Date.now());
+  const from = parseTime(values.from, to - DEFAULT_EXPORT_WINDOW);
+  if (Number.isNaN(from) || Number.isNaN(to) || from >= to || Math.abs(from) > MAX_TIME || Math.abs(to) > MAX_TIME) {
+    throw new Error('--from and --to must be epoch milliseconds or ISO 8601 dates, with --from before --to');
+  }
+
+  const format = values.format || (values.output ? path.extname(values.output).slice(1) : 'csv');
+  if (!RecordExporter.FORMATS[format]) {
+    throw new Error(`Unknown format '${format}'. Expected one of: ${Object.keys(RecordExporter.FORMATS).join(', ')}`);
+  }
+
+  const recordType = values['record-type'];
+  if (!['sighting', 'presence', 'heartbeat', 'summary', 'all'].includes(recordType)) {
+    throw new Error('--record-type must be sighting, presence, heartbeat, summary or all');
+  }
+
+  const awsConfig = getAWSConfig();
+  const storage = createStorageAdapter(awsConfig);
+
+  let gatewayIds = values.gateway || [awsConfig.gatewayId].filter(Boolean);
+  if (gatewayIds.includes('all')) {
+    const gateways = await storage.listGateways({ from });
+    gatewayIds = gateways.map(gateway => gateway.gatewayId);
+  }
+  if (gatewayIds.length === 0) {
+    throw new Error('No gateway selected: pass --gateway or set GATEWAY_ID');
+  }
+
+  const exporter = new RecordExporter({
+    storage,
+    rawDataFields: values['raw-fields'] ? values['raw-fields'].split(',').map(field => field.trim()).filter(Boolean) : undefined
+  });
+  const output = values.output ? fs.createWriteStream(values.output) : process.stdout;
+
+  // Progress goes to stderr so stdout can be piped
+  console.error(`[Export] ${format.toUpperCase()} export of ${gatewayIds.join(', ')} from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}`);
+  const count = await exporter.export(output, {
+    format,
+    gatewayIds,
+    // Storage treats `from` as exclusive; --from is inclusive
+    from: from - 1,
+    to,
+    recordType: recordType === 'all' ? undefined : recordType
+  });
+  console.error(`[Export] Exported ${count} record(s)${values.output ? ` to ${values.output}` : ''}`);
+}
+
+// Parse epoch milliseconds or an ISO 8601 date; NaN if invalid
+function parseTime(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+main().catch(error => {
+  console.error(`[Export] Export failed: ${error.message}`);
+  process.exit(1);
+});
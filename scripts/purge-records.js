@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Delete selected records through the configured storage backend (STORAGE_BACKEND in .env)
+ * Unlike scripts/clear-records.py, only the records matching the options are deleted
+ *
+ * Usage:
+ *   node scripts/purge-records.js [options]
+ *
+ * Options:
+ *   --gateway <id>          Only this gateway's records; repeat for several
+ *   --beacon <key>          Only this beacon's records; repeat for several
+ *   --from <time>           Start time, inclusive: epoch ms or ISO 8601 (default: the beginning)
+ *   --to <time>             End time, inclusive: epoch ms or ISO 8601 (default: now)
+ *   --record-type <type>    sighting, presence, heartbeat, summary or all (default: all)
+ *   --expired               Only records whose expiresAt has passed (for backends without TTL, e.g. file)
+ *   --dry-run               Count the matching records without deleting them
+ *   --yes                   Do not ask for confirmation
+ *
+ * At least one of --gateway, --beacon, --from, --to or --expired is required.
+ */
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { getAWSConfig } = require('../config/aws-config');
+const { createStorageAdapter } = require('../services/storage');
+
+const RECORD_TYPES = ['sighting', 'presence', 'heartbeat', 'summary', 'all'];
+
+// Records deleted per deleteRecords() call
+const DELETE_CHUNK = 500;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      gateway: { type: 'string', multiple: true },
+      beacon: { type: 'string', multiple: true },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'record-type': { type: 'string', default: 'all' },
+      expired: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      yes: { type: 'boolean', short: 'y', default: false },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log('Usage: node scripts/purge-records.js [--gateway <id>]... [--beacon <key>]... [--from <time>] [--to <time>]');
+    console.log('         [--record-type sighting|presence|heartbeat|summary|all] [--expired] [--dry-run] [--yes]');
+    return;
+  }
+
+  if (!values.gateway && !values.beacon && values.from === undefined && values.to === undefined && !values.expired) {
+    throw new Error('Select records with --gateway, --beacon, --from, --to or --expired (use clear-records.py to delete everything)');
+  }
+
+  const to = parseTime(values.to, Date.now());
+  const from = parseTime(values.from, 0);
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    throw new Error('--from and --to must be epoch milliseconds or ISO 8601 dates, with --from before --to');
+  }
+
+  const recordType = values['record-type'];
+  if (!RECORD_TYPES.includes(recordType)) {
+    throw new Error(`--record-type must be one of: ${RECORD_TYPES.join(', ')}`);
+  }
+
+  const storage = createStorageAdapter(getAWSConfig());
+  const queries = await buildQueries(storage, {
+    gatewayIds: values.gateway,
+    beaconKeys: values.beacon,
+    from,
+    to,
+    recordType: recordType === 'all' ? undefined : recordType
+  });
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const matches = record => !values.expired || (typeof record.expiresAt === 'number' && record.expiresAt <= nowSeconds);
+
+  console.log(`[Purge] Counting ${recordType === 'all' ? '' : `${recordType} `}records from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}...`);
+  let count = 0;
+  for (const query of queries) {
+    for await (const record of storage.iterateRecords(query)) {
+      if (matches(record)) count++;
+    }
+  }
+  console.log(`[Purge] ${count} record(s) match`);
+
+  if (count === 0 || values['dry-run']) {
+    return;
+  }
+  if (!values.yes && await ask(`Delete ${count} record(s)? (yes/no): `) !== 'yes') {
+    console.log('[Purge] Cancelled');
+    return;
+  }
+
+  let deleted = 0;
+  let failed = 0;
+  for (const query of queries) {
+    let chunk = [];
+    for await (const record of storage.iterateRecords(query)) {
+      if (!matches(record)) continue;
+      chunk.push(record);
+      if (chunk.length >= DELETE_CHUNK) {
+        ({ deleted, failed } = await deleteChunk(storage, chunk, deleted, failed));
+        chunk = [];
+      }
+    }
+    ({ deleted, failed } = await deleteChunk(storage, chunk, deleted, failed));
+  }
+
+  console.log(`[Purge] Deleted ${deleted} record(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+  storage.close();
+  if (failed > 0) {
+    throw new Error(`${failed} record(s) could not be deleted; run the command again to retry them`);
+  }
+}
+
+// One storage query per gateway and/or beacon; every gateway with records in the range when neither is given.
+// `from` and `to` are both inclusive, like --from and --to
+async function buildQueries(storage, { gatewayIds, beaconKeys, from, to, recordType }) {
+  // Storage treats `from` as exclusive
+  const after = from - 1;
+  if (beaconKeys) {
+    return beaconKeys.flatMap(beaconKey => (gatewayIds || [undefined])
+      .map(gatewayId => ({ beaconKey, gatewayId, from: after, to, recordType })));
+  }
+  const ids = gatewayIds || (await storage.listGateways({ from: after })).map(gateway => gateway.gatewayId);
+  return ids.map(gatewayId => ({ gatewayId, from: after, to, recordType }));
+}
+
+// Delete a chunk of records and add the outcome to the running totals
+async function deleteChunk(storage, records, deleted, failed) {
+  if (records.length === 0) {
+    return { deleted, failed };
+  }
+  const result = await storage.deleteRecords(records);
+  console.log(`[Purge] Deleted ${deleted + result.deleted.length} record(s) so far`);
+  return { deleted: deleted + result.deleted.length, failed: failed + result.failed.length };
+}
+
+// Parse epoch milliseconds or an ISO 8601 date; NaN if invalid
+function parseTime(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// Ask one question on the terminal
+function ask(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer.trim().toLowerCase());
+    });
+  });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`[Purge] Purge failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildQueries };
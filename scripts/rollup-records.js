@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Roll raw sightings up into hourly and daily summary records (recordType 'summary')
+ * Run it regularly (e.g. hourly from cron) so every hour and day is summarized before its
+ * sightings expire (RECORD_TTL_DAYS); buckets that already have a summary are skipped
+ *
+ * Usage:
+ *   node scripts/rollup-records.js [options]
+ *
+ * Options:
+ *   --from <time>           Start time: epoch ms or ISO 8601 (default: 48 hours before --to)
+ *   --to <time>             End time: epoch ms or ISO 8601; only buckets that ended by then are rolled up (default: now)
+ *   --gateway <id>          Gateway to roll up; repeat for several (default: every gateway with records since --from)
+ *   --granularity <name>    hour or day; repeat for both (default: both)
+ *   --dry-run               Count the summaries without writing them
+ */
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const { parseArgs } = require('util');
+const { getAWSConfig } = require('../config/aws-config');
+const { createStorageAdapter } = require('../services/storage');
+const RecordRollup = require('../services/record-rollup');
+
+// Covers yesterday's whole UTC day whenever the job runs
+const DEFAULT_ROLLUP_WINDOW = 48 * 60 * 60 * 1000; // 48 hours
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      gateway: { type: 'string', multiple: true },
+      granularity: { type: 'string', multiple: true },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log('Usage: node scripts/rollup-records.js [--from <time>] [--to <time>] [--gateway <id>]...');
+    console.log('         [--granularity hour|day]... [--dry-run]');
+    return;
+  }
+
+  const to = parseTime(values.to, Date.now());
+  const from = parseTime(values.from, to - DEFAULT_ROLLUP_WINDOW);
+  if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+    throw new Error('--from and --to must be epoch milliseconds or ISO 8601 dates, with --from before --to');
+  }
+
+  const granularities = values.granularity || Object.keys(RecordRollup.GRANULARITIES);
+  const unknown = granularities.find(granularity => !RecordRollup.GRANULARITIES[granularity]);
+  if (unknown) {
+    throw new Error(`Unknown granularity '${unknown}'. Expected one of: ${Object.keys(RecordRollup.GRANULARITIES).join(', ')}`);
+  }
+
+  const awsConfig = getAWSConfig();
+  const storage = createStorageAdapter(awsConfig);
+  const rollup = new RecordRollup({ storage, summaryTtlDays: awsConfig.retention.summaryTtlDays });
+
+  const gatewayIds = values.gateway || (await storage.listGateways({ from })).map(gateway => gateway.gatewayId);
+  if (gatewayIds.length === 0) {
+    console.log('[Rollup] No gateways with records in the time range');
+    return;
+  }
+
+  console.log(`[Rollup] ${granularities.join(' and ')} summaries of ${gatewayIds.length} gateway(s) from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}${values['dry-run'] ? ' (dry run)' : ''}`);
+  let failed = 0;
+  for (const gatewayId of gatewayIds) {
+    const result = await rollup.rollupGateway({ gatewayId, from, to, granularities, dryRun: values['dry-run'] });
+    console.log(`[Rollup] ${gatewayId}: ${result.sightings} sighting(s) -> ${result.summaries} new summary record(s)` +
+      (values['dry-run'] ? '' : `, ${result.written} written`) +
+      (result.failed > 0 ? `, ${result.failed} failed` : '') +
+      (result.skipped > 0 ? ` (${result.skipped} already rolled up)` : ''));
+    failed += result.failed;
+  }
+
+  await storage.flushPending();
+  storage.close();
+  if (failed > 0) {
+    throw new Error(`${failed} summary record(s) could not be written; run the job again to retry them`);
+  }
+}
+
+// Parse epoch milliseconds or an ISO 8601 date; NaN if invalid
+function parseTime(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+main().catch(error => {
+  console.error(`[Rollup] Rollup failed: ${error.message}`);
+  process.exit(1);
+});
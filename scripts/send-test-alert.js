@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Send a test alert to the channels in the alert rules file
+ * Checks webhook URLs and SMTP settings without waiting for a rule to fire
+ *
+ * Usage:
+ *   node scripts/send-test-alert.js [options]
+ *
+ * Options:
+ *   --rules <file>      Rules file (default: ALERT_RULES_FILE)
+ *   --channel <name>    Channel to test; repeat for several (default: every channel)
+ */
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const { parseArgs } = require('util');
+const { getAWSConfig } = require('../config/aws-config');
+const AlertEngine = require('../services/alert-engine');
+const AlertNotifier = require('../services/alert-notifier');
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      rules: { type: 'string' },
+      channel: { type: 'string', multiple: true },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log('Usage: node scripts/send-test-alert.js [--rules <file>] [--channel <name>]...');
+    return;
+  }
+
+  const awsConfig = getAWSConfig();
+  const rulesFile = values.rules || awsConfig.alerts.rulesFile;
+  if (!rulesFile) {
+    throw new Error('No rules file: pass --rules or set ALERT_RULES_FILE');
+  }
+
+  const rules = AlertEngine.loadRulesFile(rulesFile);
+  const notifier = new AlertNotifier({ channels: rules.channels, smtp: awsConfig.alerts.smtp });
+  const channelNames = values.channel || Object.keys(notifier.channels);
+  if (channelNames.length === 0) {
+    throw new Error(`${rulesFile} defines no channels`);
+  }
+
+  const now = Date.now();
+  const alert = {
+    ruleId: 'test',
+    type: 'test',
+    gatewayId: awsConfig.gatewayId,
+    subject: awsConfig.gatewayId,
+    message: `Test alert from gateway ${awsConfig.gatewayId}`,
+    details: { rulesFile },
+    timestamp: now,
+    firedAt: new Date(now).toISOString()
+  };
+
+  let failed = 0;
+  for (const name of channelNames) {
+    try {
+      await notifier.sendTo(name, alert);
+      console.log(`[TestAlert] ${name}: delivered`);
+    } catch (error) {
+      console.error(`[TestAlert] ${name}: failed - ${error.message}`);
+      failed++;
+    }
+  }
+  notifier.close();
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`[TestAlert] ${error.message}`);
+  process.exit(1);
+});
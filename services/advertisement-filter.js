@@ -0,0 +1,256 @@
+/**
+ * Advertisement Filter
+ * Drops unwanted advertisements (neighbours' phones, random BLE devices) before they
+ * are logged, parsed or stored. Rules come from a JSON file that is reloaded when it changes:
+ *   {
+ *     "minRssi": -90,
+ *     "allow": [
+ *       { "uuid": "fda50693-a4e2-4fb1-afcf-c6eb07647825", "major": [10000, 10999] },
+ *       { "beaconType": ["eddystoneUid", "eddystoneTlm"], "addressPrefix": "c4:7c:8d" }
+ *     ],
+ *     "deny": [
+ *       { "uuid": "fda50693-a4e2-4fb1-afcf-c6eb07647825", "minor": 19641 }
+ *     ]
+ *   }
+ *
+ * An advertisement is accepted if its RSSI is at least minRssi, it matches at least one
+ * allow rule (or there are none) and it matches no deny rule. Within a rule every field
+ * given must match:
+ *   uuid           iBeacon UUID, or a list of them (case-insensitive)
+ *   major / minor  iBeacon value, or an inclusive [min, max] range
+ *   addressPrefix  MAC address prefix, or a list of them (case-insensitive, ':' optional)
+ *   beaconType     iBeacon, eddystoneUid, eddystoneUrl, eddystoneTlm, altBeacon, ... or a list
+ *   minRssi        Minimum RSSI in dBm for this rule to match
+ */
+
+const fs = require('fs');
+
+const RULE_FIELDS = ['uuid', 'major', 'minor', 'addressPrefix', 'beaconType', 'minRssi'];
+
+class AdvertisementFilter {
+  /**
+   * Creates a new AdvertisementFilter instance and loads its rules
+   * Without a file every advertisement is accepted
+   * @param {Object} options - Filter options
+   * @param {string} options.filePath - Rules JSON file (optional)
+   * @throws {Error} If the file cannot be read or its rules are invalid
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.rules = { minRssi: null, allow: [], deny: [] };
+    this.watching = false;
+    this.stats = { accepted: 0, dropped: 0 };
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  /**
+   * (Re)loads the rules file
+   * @throws {Error} If the file cannot be read, parsed, or holds an invalid rule
+   */
+  load() {
+    try {
+      this.rules = this._compile(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+    } catch (error) {
+      throw new Error(`Failed to load advertisement filter from '${this.filePath}': ${error.message}`);
+    }
+
+    console.log(`[AdvertisementFilter] Loaded ${this.rules.allow.length} allow rule(s), ${this.rules.deny.length} deny rule(s)` +
+      (this.rules.minRssi !== null ? `, min RSSI ${this.rules.minRssi} dBm` : ''));
+  }
+
+  /**
+   * Reloads the rules whenever the file changes on disk
+   * A file that fails to load (e.g. mid-edit) is logged and the previous rules are kept
+   * @param {number} intervalMs - Polling interval (default: 5000)
+   */
+  watch(intervalMs = 5000) {
+    if (!this.filePath || this.watching) {
+      return;
+    }
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: intervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) {
+        return;
+      }
+      try {
+        this.load();
+      } catch (error) {
+        console.error(`[AdvertisementFilter] ${error.message}; keeping the previous rules`);
+      }
+    });
+  }
+
+  /**
+   * Stops watching the rules file
+   */
+  unwatch() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Decides whether an advertisement should be processed
+   * @param {Object} advertisement - Advertisement from node-beacon-scanner
+   * @returns {boolean} True to accept, false to drop
+   */
+  accepts(advertisement) {
+    const accepted = this._evaluate(advertisement);
+    this.stats[accepted ? 'accepted' : 'dropped']++;
+    return accepted;
+  }
+
+  /**
+   * Gets accepted/dropped counters
+   * @returns {Object} { accepted, dropped }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Applies the global RSSI floor, allow rules and deny rules
+   * @param {Object} advertisement - Advertisement from node-beacon-scanner
+   * @returns {boolean} True to accept
+   * @private
+   */
+  _evaluate(advertisement) {
+    const { minRssi, allow, deny } = this.rules;
+    if (minRssi !== null && !(advertisement.rssi >= minRssi)) {
+      return false;
+    }
+    if (allow.length > 0 && !allow.some(rule => this._matches(rule, advertisement))) {
+      return false;
+    }
+    return !deny.some(rule => this._matches(rule, advertisement));
+  }
+
+  /**
+   * Checks whether an advertisement matches every field of a compiled rule
+   * @param {Object} rule - Compiled rule
+   * @param {Object} advertisement - Advertisement from node-beacon-scanner
+   * @returns {boolean} True if it matches
+   * @private
+   */
+  _matches(rule, advertisement) {
+    const iBeacon = advertisement.iBeacon || {};
+    if (rule.uuid && !rule.uuid.includes(String(iBeacon.uuid).toLowerCase())) {
+      return false;
+    }
+    if (rule.major && !inRange(iBeacon.major, rule.major)) {
+      return false;
+    }
+    if (rule.minor && !inRange(iBeacon.minor, rule.minor)) {
+      return false;
+    }
+    if (rule.addressPrefix) {
+      const address = normalizeAddress(advertisement.address);
+      if (!rule.addressPrefix.some(prefix => address.startsWith(prefix))) {
+        return false;
+      }
+    }
+    if (rule.beaconType && !rule.beaconType.includes(advertisement.beaconType || 'unknown')) {
+      return false;
+    }
+    if (rule.minRssi !== undefined && !(advertisement.rssi >= rule.minRssi)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validates the parsed file and normalizes it for matching
+   * @param {Object} parsed - Parsed rules file
+   * @returns {Object} { minRssi, allow, deny }
+   * @throws {Error} If a rule is invalid
+   * @private
+   */
+  _compile(parsed) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Advertisement filter must be a JSON object');
+    }
+    if (parsed.minRssi !== undefined && typeof parsed.minRssi !== 'number') {
+      throw new Error('`minRssi` must be a number');
+    }
+
+    const compileList = name => {
+      const rules = parsed[name] ?? [];
+      if (!Array.isArray(rules)) {
+        throw new Error(`\`${name}\` must be an array of rules`);
+      }
+      return rules.map((rule, index) => this._compileRule(rule, `${name}[${index}]`));
+    };
+
+    return {
+      minRssi: parsed.minRssi ?? null,
+      allow: compileList('allow'),
+      deny: compileList('deny')
+    };
+  }
+
+  /**
+   * Validates one rule and normalizes lists, ranges and case
+   * @param {Object} rule - Rule from the file
+   * @param {string} label - Rule position for error messages, e.g. 'allow[0]'
+   * @returns {Object} Compiled rule
+   * @throws {Error} If the rule is empty or a field is invalid
+   * @private
+   */
+  _compileRule(rule, label) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${label} must be an object`);
+    }
+    const unknown = Object.keys(rule).filter(field => !RULE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`${label} has unknown field(s): ${unknown.join(', ')}. Expected: ${RULE_FIELDS.join(', ')}`);
+    }
+    if (Object.keys(rule).length === 0) {
+      throw new Error(`${label} is empty and would match every advertisement`);
+    }
+
+    const strings = field => {
+      const values = [].concat(rule[field]);
+      if (values.length === 0 || values.some(value => typeof value !== 'string' || value === '')) {
+        throw new Error(`${label}.${field} must be a string or a list of strings`);
+      }
+      return values;
+    };
+    const range = field => {
+      const value = rule[field];
+      const [min, max] = Array.isArray(value) ? value : [value, value];
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min > max || (Array.isArray(value) && value.length !== 2)) {
+        throw new Error(`${label}.${field} must be an integer or an inclusive [min, max] range`);
+      }
+      return { min, max };
+    };
+
+    const compiled = {};
+    if (rule.uuid !== undefined) compiled.uuid = strings('uuid').map(uuid => uuid.toLowerCase());
+    if (rule.major !== undefined) compiled.major = range('major');
+    if (rule.minor !== undefined) compiled.minor = range('minor');
+    if (rule.addressPrefix !== undefined) compiled.addressPrefix = strings('addressPrefix').map(normalizeAddress);
+    if (rule.beaconType !== undefined) compiled.beaconType = strings('beaconType');
+    if (rule.minRssi !== undefined) {
+      if (typeof rule.minRssi !== 'number') {
+        throw new Error(`${label}.minRssi must be a number`);
+      }
+      compiled.minRssi = rule.minRssi;
+    }
+    return compiled;
+  }
+}
+
+// Check an integer against an inclusive { min, max } range
+function inRange(value, { min, max }) {
+  return typeof value === 'number' && value >= min && value <= max;
+}
+
+// Lowercase a MAC address (or prefix) and drop separators so 'C4:7C' matches 'c47c8d...'
+function normalizeAddress(address) {
+  return String(address || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+module.exports = AdvertisementFilter;
@@ -0,0 +1,333 @@
+/**
+ * Alert Engine
+ * Evaluates alert rules on the gateway against the records it builds and its own
+ * storage buffer, and hands alerts to AlertNotifier. Rules live in a JSON or YAML file:
+ *
+ *   cooldownMinutes: 60            # default for every rule
+ *   channels:
+ *     ops-webhook: { type: webhook, url: "http://localhost:9000/alerts" }
+ *     ops-email:   { type: email, to: [ops@example.com] }
+ *   rules:
+ *     - id: forklift-missing
+ *       type: beacon-missing       # selected beacons not seen by this gateway for `minutes`
+ *       tag: forklift
+ *       gateways: [gateway-charging-dock]
+ *       minutes: 10
+ *       channels: [ops-webhook, ops-email]
+ *
+ * Rule types:
+ *   beacon-missing      minutes, gateways; beacons default to every registered beacon. Each gateway
+ *                       only knows what it hears itself, so the rule names the gateways that should
+ *                       hear the beacons (otherwise every gateway out of range would alert)
+ *   unexpected-gateway  expectedGateways; fires when a selected beacon is heard by any other gateway
+ *   low-battery         belowMillivolts; Eddystone TLM battery voltage
+ *   buffer-growth       minRecords, checks; the offline buffer grew on `checks` checks in a row
+ *                       and holds at least minRecords
+ *
+ * Beacons are selected with `beacons` (beaconKeys) or `tag` (beacon registry tag); without
+ * either, a rule covers every beacon. `gateways` limits a rule to the listed gateways.
+ *
+ * Each rule fires at most once per subject (beacon or gateway) per cool-down, so a
+ * condition that persists or flaps does not flood the channels.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const RULE_TYPES = ['beacon-missing', 'unexpected-gateway', 'low-battery', 'buffer-growth'];
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+class AlertEngine extends EventEmitter {
+  /**
+   * Creates a new AlertEngine instance
+   * @param {Object} options - Engine options
+   * @param {Object} options.rules - Parsed rules file, see loadRulesFile()
+   * @param {string} options.gatewayId - This gateway
+   * @param {AlertNotifier} options.notifier - Delivers alerts (optional; alerts are only emitted without one)
+   * @param {BeaconRegistry} options.registry - Resolves `tag` selectors and beacon names (optional)
+   * @param {Function} options.getBufferSize - Returns the storage buffer depth, for buffer-growth rules (optional)
+   * @param {number} options.checkIntervalMs - How often time-based rules are checked (default: 30000)
+   * @throws {Error} If a rule is invalid or names an unknown channel
+   */
+  constructor(options) {
+    super();
+    this.gatewayId = options.gatewayId;
+    this.notifier = options.notifier || null;
+    this.registry = options.registry || null;
+    this.getBufferSize = options.getBufferSize || null;
+    this.checkIntervalMs = options.checkIntervalMs || 30000;
+
+    const defaultCooldownMinutes = options.rules.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+    const channelNames = Object.keys(options.rules.channels || {});
+    const rules = (options.rules.rules || []).map((rule, index) => this._validateRule(rule, index, channelNames, defaultCooldownMinutes));
+    const duplicate = rules.find((rule, index) => rules.findIndex(other => other.id === rule.id) !== index);
+    if (duplicate) {
+      throw new Error(`Alert rule '${duplicate.id}' is defined more than once`);
+    }
+    // Rules limited to other gateways are dropped here
+    this.rules = rules.filter(rule => !rule.gateways || rule.gateways.includes(this.gatewayId));
+
+    this.startedAt = Date.now();
+    this.lastSeen = new Map(); // beaconKey -> timestamp of its latest sighting here
+    this.lastFired = new Map(); // ruleId:subject -> timestamp of its latest alert
+    this.bufferHistory = []; // Buffer depths at recent checks, oldest first
+    this.timer = null;
+  }
+
+  /**
+   * Reads a rules file; .yaml/.yml files are parsed as YAML, anything else as JSON
+   * @param {string} filePath - Rules file
+   * @returns {Object} Parsed rules file
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  static loadRulesFile(filePath) {
+    try {
+      const text = fs.readFileSync(filePath, 'utf8');
+      const parsed = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase()) ? yaml.load(text) : JSON.parse(text);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('expected an object with `channels` and `rules`');
+      }
+      return parsed;
+    } catch (error) {
+      throw new Error(`Failed to load alert rules from '${filePath}': ${error.message}`);
+    }
+  }
+
+  /**
+   * Starts the periodic check of time-based rules
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stops the periodic check
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Feeds a sighting (record built by BeaconStorage.buildRecord) to the record-based rules
+   * @param {Object} record - Beacon record
+   * @param {number} now - Current time in ms (default: record.timestamp)
+   */
+  observe(record, now = record.timestamp) {
+    this.lastSeen.set(record.beaconKey, now);
+
+    for (const rule of this.rules) {
+      if (!this._selects(rule, record.beaconKey)) {
+        continue;
+      }
+
+      if (rule.type === 'unexpected-gateway' && !rule.expectedGateways.includes(record.gatewayId)) {
+        this._fire(rule, record.beaconKey, now,
+          `${this._beaconLabel(record.beaconKey)} heard by unexpected gateway ${record.gatewayName || record.gatewayId}`,
+          { beaconKey: record.beaconKey, expectedGateways: rule.expectedGateways, rssi: record.smoothedRssi ?? record.rssi });
+      } else if (rule.type === 'low-battery') {
+        const voltage = record.telemetry?.batteryVoltage;
+        // 0 mV means the beacon is externally powered
+        if (voltage > 0 && voltage < rule.belowMillivolts) {
+          this._fire(rule, record.beaconKey, now,
+            `${this._beaconLabel(record.beaconKey)} battery low: ${voltage} mV`,
+            { beaconKey: record.beaconKey, batteryVoltage: voltage, belowMillivolts: rule.belowMillivolts });
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks the time-based rules: missing beacons and buffer growth
+   * @param {number} now - Current time in ms (default: Date.now())
+   */
+  check(now = Date.now()) {
+    const bufferSize = this.getBufferSize ? this.getBufferSize() : null;
+    if (bufferSize !== null) {
+      this.bufferHistory.push(bufferSize);
+      const maxChecks = Math.max(0, ...this.rules.filter(rule => rule.type === 'buffer-growth').map(rule => rule.checks));
+      this.bufferHistory = this.bufferHistory.slice(-(maxChecks + 1));
+    }
+
+    for (const rule of this.rules) {
+      if (rule.type === 'beacon-missing') {
+        for (const beaconKey of this._trackedBeacons(rule)) {
+          const lastSeen = this.lastSeen.get(beaconKey) ?? this.startedAt;
+          const minutesAgo = Math.floor((now - lastSeen) / 60000);
+          if (now - lastSeen >= rule.minutes * 60000) {
+            this._fire(rule, beaconKey, now,
+              `${this._beaconLabel(beaconKey)} not seen by ${this.gatewayId} for ${minutesAgo} minute(s)`,
+              { beaconKey, lastSeen: this.lastSeen.get(beaconKey) ?? null, minutes: rule.minutes });
+          }
+        }
+      } else if (rule.type === 'buffer-growth' && bufferSize !== null) {
+        const recent = this.bufferHistory.slice(-(rule.checks + 1));
+        const growing = recent.length === rule.checks + 1 && recent.every((depth, i) => i === 0 || depth > recent[i - 1]);
+        if (growing && bufferSize >= rule.minRecords) {
+          this._fire(rule, this.gatewayId, now,
+            `Gateway ${this.gatewayId} storage buffer keeps growing: ${bufferSize} record(s)`,
+            { bufferSize, history: recent, minRecords: rule.minRecords });
+        }
+      }
+    }
+  }
+
+  /**
+   * Raises an alert unless the same rule fired for the same subject within its cool-down
+   * @param {Object} rule - Rule
+   * @param {string} subject - beaconKey or gatewayId
+   * @param {number} now - Current time in ms
+   * @param {string} message - One-line description
+   * @param {Object} details - Rule-specific values
+   * @private
+   */
+  _fire(rule, subject, now, message, details) {
+    const key = `${rule.id}:${subject}`;
+    const lastFired = this.lastFired.get(key);
+    if (lastFired !== undefined && now - lastFired < rule.cooldownMinutes * 60000) {
+      return;
+    }
+    this.lastFired.set(key, now);
+
+    const alert = {
+      ruleId: rule.id,
+      type: rule.type,
+      gatewayId: this.gatewayId,
+      subject,
+      message,
+      details,
+      timestamp: now,
+      firedAt: new Date(now).toISOString()
+    };
+    this.emit('alert', alert);
+
+    if (this.notifier) {
+      this.notifier.send(alert, rule.channels).catch(error => {
+        console.error(`[AlertEngine] Failed to deliver alert '${rule.id}': ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Checks whether a rule's beacon selector covers a beacon
+   * @param {Object} rule - Rule
+   * @param {string} beaconKey - Beacon key
+   * @returns {boolean} True if selected
+   * @private
+   */
+  _selects(rule, beaconKey) {
+    if (rule.beacons) {
+      return rule.beacons.includes(beaconKey);
+    }
+    if (rule.tag) {
+      return Boolean(this.registry?.get(beaconKey)?.tags.includes(rule.tag));
+    }
+    return true;
+  }
+
+  /**
+   * Beacons a beacon-missing rule watches; without a selector, every registered beacon
+   * @param {Object} rule - Rule
+   * @returns {Array<string>} Beacon keys
+   * @private
+   */
+  _trackedBeacons(rule) {
+    if (rule.beacons) {
+      return rule.beacons;
+    }
+    if (!this.registry) {
+      return [];
+    }
+    return this.registry.list({ tag: rule.tag }).map(entry => entry.beaconKey);
+  }
+
+  /**
+   * Registry name and key for messages, e.g. "Forklift 3 (fda5...-1-2)"
+   * @param {string} beaconKey - Beacon key
+   * @returns {string} Label
+   * @private
+   */
+  _beaconLabel(beaconKey) {
+    const entry = this.registry?.get(beaconKey);
+    return entry ? `${entry.name} (${beaconKey})` : beaconKey;
+  }
+
+  /**
+   * Checks a rule and fills in defaults
+   * @param {Object} rule - Rule from the file
+   * @param {number} index - Position in the file, for error messages
+   * @param {Array<string>} channelNames - Channels defined in the file
+   * @param {number} defaultCooldownMinutes - File-wide cool-down
+   * @returns {Object} Rule
+   * @throws {Error} If the rule is invalid
+   * @private
+   */
+  _validateRule(rule, index, channelNames, defaultCooldownMinutes) {
+    const label = `Alert rule ${rule?.id ? `'${rule.id}'` : `#${index + 1}`}`;
+    const positive = (name, value) => {
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`${label}: \`${name}\` must be a positive number`);
+      }
+      return value;
+    };
+    const strings = (name, value) => {
+      if (!Array.isArray(value) || value.length === 0 || value.some(item => typeof item !== 'string')) {
+        throw new Error(`${label}: \`${name}\` must be a non-empty list of strings`);
+      }
+      return value;
+    };
+
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      throw new Error(`${label}: \`id\` is required`);
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw new Error(`${label}: \`type\` must be one of ${RULE_TYPES.join(', ')}`);
+    }
+    const channels = strings('channels', rule.channels);
+    const unknown = channels.filter(name => !channelNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`${label}: unknown channel(s) ${unknown.join(', ')}`);
+    }
+
+    const validated = {
+      id: rule.id,
+      type: rule.type,
+      channels,
+      cooldownMinutes: rule.cooldownMinutes === undefined
+        ? defaultCooldownMinutes
+        : positive('cooldownMinutes', rule.cooldownMinutes),
+      beacons: rule.beacons === undefined ? null : strings('beacons', rule.beacons),
+      tag: rule.tag === undefined ? null : String(rule.tag).toLowerCase(),
+      gateways: rule.gateways === undefined ? null : strings('gateways', rule.gateways)
+    };
+
+    if (rule.type === 'beacon-missing') {
+      validated.minutes = positive('minutes', rule.minutes);
+      if (!validated.gateways) {
+        throw new Error(`${label}: \`gateways\` is required for beacon-missing rules (the gateways that should hear the beacons)`);
+      }
+    } else if (rule.type === 'unexpected-gateway') {
+      validated.expectedGateways = strings('expectedGateways', rule.expectedGateways);
+    } else if (rule.type === 'low-battery') {
+      validated.belowMillivolts = positive('belowMillivolts', rule.belowMillivolts);
+    } else {
+      validated.minRecords = rule.minRecords === undefined ? 1 : positive('minRecords', rule.minRecords);
+      validated.checks = rule.checks === undefined ? 3 : positive('checks', rule.checks);
+      if (!Number.isInteger(validated.checks)) {
+        throw new Error(`${label}: \`checks\` must be a whole number`);
+      }
+    }
+    return validated;
+  }
+}
+
+AlertEngine.RULE_TYPES = RULE_TYPES;
+
+module.exports = AlertEngine;
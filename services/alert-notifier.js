@@ -0,0 +1,182 @@
+/**
+ * Alert Notifier
+ * Delivers alerts raised by AlertEngine to the channels named in the rules file:
+ *   webhook  POSTs the alert as JSON to `url` (with optional `headers`)
+ *   email    Sends a plain-text mail to `to` through the SMTP server from the environment
+ *
+ * Delivery is best effort: a failed channel is logged and does not stop the others.
+ */
+
+const nodemailer = require('nodemailer');
+
+const CHANNEL_TYPES = ['webhook', 'email'];
+
+class AlertNotifier {
+  /**
+   * Creates a new AlertNotifier instance
+   * @param {Object} options - Notifier options
+   * @param {Object} options.channels - Channel name -> { type: 'webhook', url, headers } or { type: 'email', to }
+   * @param {Object} options.smtp - SMTP settings for email channels: { host, port, secure, user, password, from }
+   * @param {number} options.timeoutMs - Webhook request timeout (default: 10000)
+   * @throws {Error} If a channel is invalid, or an email channel is configured without an SMTP host
+   */
+  constructor(options) {
+    this.channels = options.channels || {};
+    this.smtp = options.smtp || {};
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.transport = null;
+    this.stats = { sent: 0, failed: 0 };
+
+    for (const [name, channel] of Object.entries(this.channels)) {
+      this._validateChannel(name, channel);
+    }
+  }
+
+  /**
+   * Sends an alert to the given channels
+   * @param {Object} alert - Alert from AlertEngine
+   * @param {Array<string>} channelNames - Channels to deliver to
+   * @returns {Promise<Object>} { sent, failed } counts for this alert
+   */
+  async send(alert, channelNames) {
+    const results = await Promise.allSettled(channelNames.map(name => this.sendTo(name, alert)));
+
+    let sent = 0;
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        sent++;
+      } else {
+        console.error(`[AlertNotifier] Failed to deliver alert '${alert.ruleId}' to '${channelNames[index]}': ${result.reason.message}`);
+      }
+    });
+    this.stats.sent += sent;
+    this.stats.failed += results.length - sent;
+    return { sent, failed: results.length - sent };
+  }
+
+  /**
+   * Sends an alert to one channel
+   * @param {string} name - Channel name
+   * @param {Object} alert - Alert from AlertEngine
+   * @returns {Promise<void>}
+   * @throws {Error} If the channel is unknown or delivery fails
+   */
+  async sendTo(name, alert) {
+    const channel = this.channels[name];
+    if (!channel) {
+      throw new Error(`Unknown alert channel '${name}'`);
+    }
+    if (channel.type === 'webhook') {
+      await this._sendWebhook(channel, alert);
+    } else {
+      await this._sendEmail(channel, alert);
+    }
+  }
+
+  /**
+   * Gets delivery counters
+   * @returns {Object} { sent, failed }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Closes the SMTP connection pool, if one was opened
+   */
+  close() {
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+  }
+
+  /**
+   * POSTs the alert as JSON
+   * @param {Object} channel - Webhook channel
+   * @param {Object} alert - Alert
+   * @returns {Promise<void>}
+   * @throws {Error} On a network error, timeout or non-2xx response
+   * @private
+   */
+  async _sendWebhook(channel, alert) {
+    const response = await fetch(channel.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...channel.headers },
+      body: JSON.stringify(alert),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+
+  /**
+   * Mails the alert as plain text
+   * @param {Object} channel - Email channel
+   * @param {Object} alert - Alert
+   * @returns {Promise<void>}
+   * @throws {Error} If the SMTP server rejects the message or cannot be reached
+   * @private
+   */
+  async _sendEmail(channel, alert) {
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: this.smtp.host,
+        port: this.smtp.port,
+        secure: this.smtp.secure,
+        auth: this.smtp.user ? { user: this.smtp.user, pass: this.smtp.password } : undefined,
+        pool: true
+      });
+    }
+
+    await this.transport.sendMail({
+      from: this.smtp.from,
+      to: channel.to,
+      subject: `[beaconjs] ${alert.message}`,
+      text: [
+        alert.message,
+        '',
+        `Rule: ${alert.ruleId} (${alert.type})`,
+        `Gateway: ${alert.gatewayId}`,
+        `Subject: ${alert.subject}`,
+        `Time: ${alert.firedAt}`,
+        '',
+        JSON.stringify(alert.details, null, 2)
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Checks one channel definition
+   * @param {string} name - Channel name
+   * @param {Object} channel - Channel definition
+   * @throws {Error} If the channel is invalid
+   * @private
+   */
+  _validateChannel(name, channel) {
+    if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+      throw new Error(`Alert channel '${name}' must have a type of ${CHANNEL_TYPES.join(' or ')}`);
+    }
+    if (channel.type === 'webhook') {
+      if (!/^https?:\/\//.test(channel.url || '')) {
+        throw new Error(`Alert channel '${name}' needs an http(s) url`);
+      }
+      if (channel.headers !== undefined && (typeof channel.headers !== 'object' || Array.isArray(channel.headers))) {
+        throw new Error(`Alert channel '${name}' headers must be an object`);
+      }
+    } else {
+      const to = [].concat(channel.to || []);
+      if (to.length === 0 || to.some(address => typeof address !== 'string' || !address.includes('@'))) {
+        throw new Error(`Alert channel '${name}' needs one or more \`to\` addresses`);
+      }
+      if (!this.smtp.host) {
+        throw new Error(`Alert channel '${name}' sends email but SMTP_HOST is not set`);
+      }
+    }
+  }
+}
+
+AlertNotifier.CHANNEL_TYPES = CHANNEL_TYPES;
+
+module.exports = AlertNotifier;
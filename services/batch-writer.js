@@ -0,0 +1,212 @@
+/**
+ * Batch Writer
+ * Groups beacon records into DynamoDB BatchWriteItem requests (micro-batching)
+ * A batch is sent when it reaches maxBatchSize records or when the time window elapses
+ * Also deletes records in batches, for the purge command
+ */
+
+const { EventEmitter } = require('events');
+const { BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { metrics, timeDynamoDB } = require('./metrics');
+
+// DynamoDB hard limit for BatchWriteItem
+const MAX_BATCH_ITEMS = 25;
+
+class BatchWriter extends EventEmitter {
+  /**
+   * Creates a new BatchWriter instance
+   * @param {Object} options - Writer options
+   * @param {Object} options.docClient - DynamoDB DocumentClient
+   * @param {string} options.tableName - DynamoDB table name
+   * @param {Function} options.retry - Retry wrapper: (operation) => Promise<{success, data, error}>
+   * @param {number} options.maxBatchSize - Records per batch, capped at 25 (default: 25)
+   * @param {number} options.maxWaitMs - Time window before a partial batch is sent (default: 1000)
+   * @param {number} options.maxUnprocessedRetries - Retries for UnprocessedItems (default: 5)
+   */
+  constructor(options) {
+    super();
+    this.docClient = options.docClient;
+    this.tableName = options.tableName;
+    this.retry = options.retry;
+    this.maxBatchSize = Math.min(options.maxBatchSize || MAX_BATCH_ITEMS, MAX_BATCH_ITEMS);
+    this.maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : 1000;
+    this.maxUnprocessedRetries = options.maxUnprocessedRetries !== undefined ? options.maxUnprocessedRetries : 5;
+
+    this.pending = [];
+    this.timer = null;
+    this.batchCount = 0;
+  }
+
+  /**
+   * Queues a record for the next batch
+   * @param {Object} record - Beacon record to write
+   * @returns {Promise<boolean>} Resolves true once written, false if the write failed
+   */
+  add(record) {
+    return new Promise(resolve => {
+      this.pending.push({ record, resolve });
+
+      if (this.pending.length >= this.maxBatchSize) {
+        this._sendPending();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this._sendPending(), this.maxWaitMs);
+      }
+    });
+  }
+
+  /**
+   * Sends all pending records immediately
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const sends = [];
+    while (this.pending.length > 0) {
+      sends.push(this._sendPending());
+    }
+    await Promise.all(sends);
+  }
+
+  /**
+   * Writes a list of records using as many BatchWriteItem requests as needed
+   * @param {Array<Object>} records - Beacon records to write
+   * @returns {Promise<Object>} Written and failed records: { written: [], failed: [], batches: [] }
+   */
+  async writeRecords(records) {
+    const outcome = { written: [], failed: [], batches: [] };
+
+    for (let i = 0; i < records.length; i += this.maxBatchSize) {
+      const chunk = records.slice(i, i + this.maxBatchSize);
+      const result = await this._writeBatch(chunk);
+      outcome.written.push(...result.written);
+      outcome.failed.push(...result.failed);
+      outcome.batches.push(result.report);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Deletes a list of records by key (recordId, timestamp) using as many BatchWriteItem requests as needed
+   * @param {Array<Object>} records - Records to delete (at least recordId and timestamp)
+   * @returns {Promise<Object>} Deleted and failed records: { deleted: [], failed: [], batches: [] }
+   */
+  async deleteRecords(records) {
+    const outcome = { deleted: [], failed: [], batches: [] };
+
+    for (let i = 0; i < records.length; i += MAX_BATCH_ITEMS) {
+      const chunk = records.slice(i, i + MAX_BATCH_ITEMS);
+      const result = await this._writeBatch(chunk, 'delete');
+      outcome.deleted.push(...result.written);
+      outcome.failed.push(...result.failed);
+      outcome.batches.push(result.report);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Takes up to maxBatchSize pending records and writes them
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendPending() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const entries = this.pending.splice(0, this.maxBatchSize);
+    if (this.pending.length > 0 && !this.timer) {
+      this.timer = setTimeout(() => this._sendPending(), this.maxWaitMs);
+    }
+    if (entries.length === 0) {
+      return;
+    }
+
+    let result;
+    try {
+      result = await this._writeBatch(entries.map(entry => entry.record));
+    } catch (error) {
+      console.error('[BatchWriter] Unexpected error writing batch');
+      console.error(`[BatchWriter] Error Message: ${error.message}`);
+      entries.forEach(entry => entry.resolve(false));
+      return;
+    }
+
+    const writtenIds = new Set(result.written.map(record => record.recordId));
+    entries.forEach(entry => entry.resolve(writtenIds.has(entry.record.recordId)));
+  }
+
+  /**
+   * Writes a single batch (at most 25 records), retrying UnprocessedItems with backoff
+   * @param {Array<Object>} records - Records in this batch
+   * @param {string} operation - 'put' to write the records, 'delete' to delete them by key (default: 'put')
+   * @returns {Promise<Object>} { written, failed, report }; for deletes, written holds the deleted records
+   * @private
+   */
+  async _writeBatch(records, operation = 'put') {
+    const batchId = ++this.batchCount;
+    const startedAt = Date.now();
+    let remaining = records.map(record => (operation === 'delete'
+      ? { DeleteRequest: { Key: { recordId: record.recordId, timestamp: record.timestamp } } }
+      : { PutRequest: { Item: record } }));
+    let unprocessedRetries = 0;
+    let error = null;
+
+    while (remaining.length > 0) {
+      const requestItems = remaining;
+      const result = await this.retry(async () => {
+        const command = new BatchWriteCommand({
+          RequestItems: { [this.tableName]: requestItems }
+        });
+        return await timeDynamoDB('BatchWriteItem', () => this.docClient.send(command));
+      });
+
+      if (!result.success) {
+        error = result.error;
+        break;
+      }
+
+      remaining = result.data.UnprocessedItems?.[this.tableName] || [];
+      if (remaining.length === 0) {
+        break;
+      }
+
+      if (unprocessedRetries >= this.maxUnprocessedRetries) {
+        console.error(`[BatchWriter] Batch ${batchId}: ${remaining.length} item(s) still unprocessed after ${unprocessedRetries} retries`);
+        break;
+      }
+
+      // Back off before resubmitting unprocessed items: 100ms, 200ms, 400ms, ...
+      unprocessedRetries++;
+      metrics.dynamodbUnprocessedRetries.inc();
+      const delay = Math.pow(2, unprocessedRetries - 1) * 100;
+      console.warn(`[BatchWriter] Batch ${batchId}: retrying ${remaining.length} unprocessed item(s) after ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    const failedIds = new Set(remaining.map(request => (request.PutRequest ? request.PutRequest.Item : request.DeleteRequest.Key).recordId));
+    const written = records.filter(record => !failedIds.has(record.recordId));
+    const failed = records.filter(record => failedIds.has(record.recordId));
+
+    const report = {
+      batchId,
+      size: records.length,
+      written: written.length,
+      failed: failed.length,
+      unprocessedRetries,
+      durationMs: Date.now() - startedAt,
+      error: error ? (error.code || error.name || error.message) : null
+    };
+
+    console.log(`[BatchWriter] Batch ${batchId}: ${report.written}/${report.size} ${operation === 'delete' ? 'deleted' : 'written'} in ${report.durationMs}ms` +
+      (report.failed > 0 ? `, ${report.failed} failed` : ''));
+    if (operation === 'put') {
+      this.emit('batch', report);
+    }
+
+    return { written, failed, report };
+  }
+}
+
+module.exports = BatchWriter;
@@ -0,0 +1,161 @@
+/**
+ * Beacon Parser
+ * Maps node-beacon-scanner advertisements to the beacon record schema fields
+ * Supports iBeacon, Eddystone (UID, URL, TLM) and AltBeacon
+ *
+ * beaconKey formats:
+ *   iBeacon       <uuid>-<major>-<minor>
+ *   Eddystone UID eddystone-uid-<namespace>-<instance>
+ *   Eddystone URL eddystone-url-<address>
+ *   Eddystone TLM key of the UID beacon broadcast by the same device,
+ *                 or eddystone-tlm-<address> until that UID frame is seen
+ *   AltBeacon     altbeacon-<beaconId>
+ *   Other         unknown-<id>
+ */
+
+// Eddystone txPower is calibrated at 0 m; iBeacon/AltBeacon use 1 m
+const EDDYSTONE_0M_TO_1M_DB = 41;
+
+// Forget per-device Eddystone state after this long without a frame
+const DEVICE_STATE_TTL_MS = 10 * 60 * 1000;
+
+class BeaconParser {
+  constructor() {
+    // Device id -> { uid, telemetry, updatedAt } for pairing TLM frames with UID frames
+    this.eddystoneDevices = new Map();
+  }
+
+  /**
+   * Extracts schema fields from an advertisement
+   * @param {Object} advertisement - Advertisement from node-beacon-scanner
+   * @returns {Object} beaconType, beaconKey and type-specific fields (null when not applicable)
+   */
+  parse(advertisement) {
+    const deviceId = advertisement.id || advertisement.address;
+    const fields = {
+      beaconType: advertisement.beaconType || 'unknown',
+      beaconKey: `unknown-${advertisement.id}`,
+      uuid: null,
+      major: null,
+      minor: null,
+      txPower: null,
+      distance: null,
+      proximity: null,
+      namespace: null,
+      instance: null,
+      url: null,
+      altBeaconId: null,
+      mfrId: null,
+      telemetry: null
+    };
+
+    if (advertisement.iBeacon) {
+      const { uuid, major, minor, txPower, distance, proximity } = advertisement.iBeacon;
+      Object.assign(fields, {
+        beaconType: 'iBeacon',
+        beaconKey: `${uuid}-${major}-${minor}`,
+        uuid,
+        major,
+        minor,
+        txPower: txPower ?? null,
+        distance: distance ?? null,
+        proximity: proximity ?? null
+      });
+    } else if (advertisement.eddystoneUid) {
+      const { namespace, instance, txPower } = advertisement.eddystoneUid;
+      const uid = { namespace, instance, beaconKey: `eddystone-uid-${namespace}-${instance}` };
+      const device = this._touchDevice(deviceId);
+      device.uid = uid;
+      Object.assign(fields, {
+        beaconType: 'eddystoneUid',
+        beaconKey: uid.beaconKey,
+        namespace,
+        instance,
+        txPower: this._eddystoneTxPower(txPower),
+        telemetry: device.telemetry
+      });
+    } else if (advertisement.eddystoneUrl) {
+      const { url, txPower } = advertisement.eddystoneUrl;
+      Object.assign(fields, {
+        beaconType: 'eddystoneUrl',
+        beaconKey: `eddystone-url-${advertisement.address || advertisement.id}`,
+        url,
+        txPower: this._eddystoneTxPower(txPower)
+      });
+    } else if (advertisement.eddystoneTlm) {
+      const telemetry = this._parseTelemetry(advertisement.eddystoneTlm);
+      const device = this._touchDevice(deviceId);
+      device.telemetry = telemetry;
+      Object.assign(fields, {
+        beaconType: 'eddystoneTlm',
+        beaconKey: device.uid ? device.uid.beaconKey : `eddystone-tlm-${advertisement.address || advertisement.id}`,
+        namespace: device.uid ? device.uid.namespace : null,
+        instance: device.uid ? device.uid.instance : null,
+        telemetry
+      });
+    } else if (advertisement.altBeacon) {
+      const { beaconId, mfrId, txPower } = advertisement.altBeacon;
+      Object.assign(fields, {
+        beaconType: 'altBeacon',
+        beaconKey: `altbeacon-${beaconId}`,
+        altBeaconId: beaconId,
+        mfrId: mfrId ?? null,
+        txPower: txPower ?? null
+      });
+    }
+
+    return fields;
+  }
+
+  /**
+   * Normalizes Eddystone TLM frame fields
+   * @param {Object} tlm - eddystoneTlm from node-beacon-scanner
+   * @returns {Object} batteryVoltage (mV), temperature (°C), advCount, uptime (seconds)
+   * @private
+   */
+  _parseTelemetry(tlm) {
+    return {
+      batteryVoltage: tlm.batteryVoltage ?? null,
+      temperature: tlm.temperature ?? null,
+      advCount: tlm.advCnt ?? null,
+      // secCnt counts 0.1 s intervals since power-on
+      uptime: tlm.secCnt !== undefined && tlm.secCnt !== null ? Math.floor(tlm.secCnt / 10) : null,
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Converts Eddystone 0 m txPower to the 1 m reference used by iBeacon
+   * @param {number} txPower - Eddystone txPower
+   * @returns {number|null} txPower at 1 m
+   * @private
+   */
+  _eddystoneTxPower(txPower) {
+    return typeof txPower === 'number' ? txPower - EDDYSTONE_0M_TO_1M_DB : null;
+  }
+
+  /**
+   * Gets (or creates) Eddystone state for a device and prunes stale devices
+   * @param {string} deviceId - Advertisement id or address
+   * @returns {Object} Device state
+   * @private
+   */
+  _touchDevice(deviceId) {
+    const now = Date.now();
+    for (const [id, state] of this.eddystoneDevices) {
+      if (now - state.updatedAt > DEVICE_STATE_TTL_MS) {
+        this.eddystoneDevices.delete(id);
+      }
+    }
+
+    let device = this.eddystoneDevices.get(deviceId);
+    if (!device) {
+      device = { uid: null, telemetry: null, updatedAt: now };
+      this.eddystoneDevices.set(deviceId, device);
+    }
+    device.updatedAt = now;
+    return device;
+  }
+}
+
+module.exports = BeaconParser;
@@ -0,0 +1,245 @@
+/**
+ * Beacon Positioner
+ * Estimates where a beacon is from near-simultaneous sightings by several gateways.
+ *
+ * Gateways need coordinates in their GATEWAY_LOCATION JSON, either on a floor plan in
+ * meters ({"building":"A","floor":2,"room":"201","x":12.5,"y":4}) or as lat/lng. With at
+ * least minGateways such gateways on the strongest gateway's building and floor, the
+ * position is found by weighted trilateration: least squares over the distances estimated
+ * from RSSI, with closer (more reliable) gateways weighted more. Otherwise the strongest
+ * gateway's location is used (room-level).
+ */
+
+// Gauss-Newton iterations and the step (m) below which the solution counts as converged
+const MAX_ITERATIONS = 50;
+const CONVERGED_M = 0.001;
+
+// Distances below this (m) are clamped so one very close gateway does not get an infinite weight
+const MIN_DISTANCE_M = 0.1;
+
+// Meters per degree of latitude; a degree of longitude is this times cos(latitude)
+const METERS_PER_DEGREE = 111320;
+
+class BeaconPositioner {
+  /**
+   * Creates a new BeaconPositioner instance
+   * @param {Object} options - Positioning options
+   * @param {number} options.windowMs - Sightings this close to the newest one count as simultaneous (default: 10000)
+   * @param {number} options.minGateways - Gateways with coordinates needed for trilateration, at least 3 (default: 3)
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 10000;
+    this.minGateways = Math.max(options.minGateways || 3, 3);
+  }
+
+  /**
+   * Estimates a beacon's position from the latest sighting by each gateway
+   * @param {Array<Object>} sightings - { gatewayId, gatewayName, gatewayLocation, rssi, distance, timestamp } per gateway
+   * @returns {Object|null} Position, or null if there are no sightings:
+   *   { method: 'trilateration'|'strongest-gateway', x, y | lat, lng, building, floor, room,
+   *     accuracy (m), timestamp, gatewayId (strongest), gateways: [{ gatewayId, gatewayName, rssi, distance, used }] }
+   */
+  locate(sightings) {
+    const usable = sightings.filter(sighting => typeof sighting.rssi === 'number');
+    if (usable.length === 0) {
+      return null;
+    }
+
+    const newest = Math.max(...usable.map(sighting => sighting.timestamp));
+    const simultaneous = usable
+      .filter(sighting => newest - sighting.timestamp <= this.windowMs)
+      .sort((a, b) => b.rssi - a.rssi);
+    const strongest = simultaneous[0];
+    const area = BeaconPositioner.coordinatesOf(strongest.gatewayLocation) || areaOf(strongest.gatewayLocation);
+
+    // Only gateways on the strongest one's building and floor, in one coordinate frame
+    const candidates = simultaneous
+      .map(sighting => ({ sighting, point: BeaconPositioner.coordinatesOf(sighting.gatewayLocation) }))
+      .filter(({ sighting, point }) => point && sameArea(point, area) &&
+        typeof sighting.distance === 'number' && sighting.distance > 0);
+    const frame = area.frame || candidates[0]?.point.frame;
+    const anchors = candidates.filter(({ point }) => point.frame === frame);
+
+    const base = {
+      building: area.building ?? null,
+      floor: area.floor ?? null,
+      room: strongest.gatewayLocation?.room ?? null,
+      timestamp: newest,
+      gatewayId: strongest.gatewayId,
+      gateways: simultaneous.map(sighting => ({
+        gatewayId: sighting.gatewayId,
+        gatewayName: sighting.gatewayName || sighting.gatewayId,
+        rssi: sighting.rssi,
+        distance: sighting.distance ?? null
+      }))
+    };
+
+    if (anchors.length >= this.minGateways) {
+      const solution = trilaterate(anchors);
+      if (solution) {
+        return {
+          method: 'trilateration',
+          ...solution,
+          ...base,
+          gateways: base.gateways.map(gateway => ({
+            ...gateway,
+            used: anchors.some(({ sighting }) => sighting.gatewayId === gateway.gatewayId)
+          }))
+        };
+      }
+    }
+
+    // Room-level fallback: the beacon is somewhere near the gateway hearing it best
+    const point = BeaconPositioner.coordinatesOf(strongest.gatewayLocation);
+    return {
+      method: 'strongest-gateway',
+      ...(point ? pointFields(point) : {}),
+      accuracy: typeof strongest.distance === 'number' ? round(strongest.distance) : null,
+      ...base
+    };
+  }
+
+  /**
+   * Reads the coordinates from a parsed gateway location
+   * @param {Object|string|null} location - Gateway location as parsed by BeaconStorage
+   * @returns {Object|null} { frame: 'xy'|'latlng', x, y | lat, lng, building, floor }, or null without coordinates
+   */
+  static coordinatesOf(location) {
+    if (!location || typeof location !== 'object') {
+      return null;
+    }
+    const { building = null, floor = null } = location;
+    const x = parseFloat(location.x);
+    const y = parseFloat(location.y);
+    if (isFiniteNumber(x) && isFiniteNumber(y)) {
+      return { frame: 'xy', x, y, building, floor };
+    }
+    const lat = parseFloat(location.lat);
+    const lng = parseFloat(location.lng);
+    if (isFiniteNumber(lat) && isFiniteNumber(lng)) {
+      return { frame: 'latlng', lat, lng, building, floor };
+    }
+    return null;
+  }
+}
+
+/**
+ * Weighted least-squares position from gateways with coordinates and distances
+ * Lat/lng gateways are projected onto a flat plane in meters around their centroid, which
+ * is accurate enough at building scale
+ * @param {Array<Object>} anchors - { sighting, point } with point from coordinatesOf()
+ * @returns {Object|null} { x, y | lat, lng, accuracy }, or null if the gateways are (nearly) on one line
+ */
+function trilaterate(anchors) {
+  const frame = anchors[0].point.frame;
+  const origin = frame === 'latlng'
+    ? { lat: mean(anchors.map(({ point }) => point.lat)), lng: mean(anchors.map(({ point }) => point.lng)) }
+    : null;
+  const toPlane = point => (frame === 'latlng'
+    ? {
+        x: (point.lng - origin.lng) * METERS_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180),
+        y: (point.lat - origin.lat) * METERS_PER_DEGREE
+      }
+    : { x: point.x, y: point.y });
+
+  const points = anchors.map(({ sighting, point }) => {
+    const distance = Math.max(sighting.distance, MIN_DISTANCE_M);
+    return { ...toPlane(point), distance, weight: 1 / (distance * distance) };
+  });
+
+  if (isCollinear(points)) {
+    return null;
+  }
+
+  // Start at the weighted centroid and refine with Gauss-Newton
+  const totalWeight = points.reduce((sum, p) => sum + p.weight, 0);
+  let x = points.reduce((sum, p) => sum + p.x * p.weight, 0) / totalWeight;
+  let y = points.reduce((sum, p) => sum + p.y * p.weight, 0) / totalWeight;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+    for (const p of points) {
+      const range = Math.hypot(x - p.x, y - p.y);
+      if (range < 1e-9) {
+        continue;
+      }
+      const jx = (x - p.x) / range;
+      const jy = (y - p.y) / range;
+      const residual = range - p.distance;
+      a11 += p.weight * jx * jx;
+      a12 += p.weight * jx * jy;
+      a22 += p.weight * jy * jy;
+      b1 -= p.weight * jx * residual;
+      b2 -= p.weight * jy * residual;
+    }
+    const det = a11 * a22 - a12 * a12;
+    if (Math.abs(det) < 1e-12) {
+      break;
+    }
+    const dx = (b1 * a22 - b2 * a12) / det;
+    const dy = (a11 * b2 - a12 * b1) / det;
+    x += dx;
+    y += dy;
+    if (Math.hypot(dx, dy) < CONVERGED_M) {
+      break;
+    }
+  }
+
+  // Weighted RMS of the distance residuals, in meters
+  const squaredError = points.reduce((sum, p) => sum + p.weight * Math.pow(Math.hypot(x - p.x, y - p.y) - p.distance, 2), 0);
+  const accuracy = round(Math.sqrt(squaredError / totalWeight));
+
+  if (frame === 'latlng') {
+    return {
+      lat: Math.round((origin.lat + y / METERS_PER_DEGREE) * 1e7) / 1e7,
+      lng: Math.round((origin.lng + x / (METERS_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180))) * 1e7) / 1e7,
+      accuracy
+    };
+  }
+  return { x: round(x), y: round(y), accuracy };
+}
+
+// Whether the gateways lie (nearly) on one line, where trilateration cannot tell which side the beacon is on
+function isCollinear(points) {
+  const cx = mean(points.map(p => p.x));
+  const cy = mean(points.map(p => p.y));
+  let sxx = 0, sxy = 0, syy = 0;
+  for (const p of points) {
+    sxx += (p.x - cx) * (p.x - cx);
+    sxy += (p.x - cx) * (p.y - cy);
+    syy += (p.y - cy) * (p.y - cy);
+  }
+  const trace = sxx + syy;
+  return trace === 0 || (sxx * syy - sxy * sxy) < 1e-4 * trace * trace;
+}
+
+// Building and floor of a location without coordinates
+function areaOf(location) {
+  return location && typeof location === 'object'
+    ? { frame: null, building: location.building ?? null, floor: location.floor ?? null }
+    : { frame: null, building: null, floor: null };
+}
+
+// Whether a gateway is on the strongest gateway's building and floor
+function sameArea(point, area) {
+  return String(point.building) === String(area.building) && String(point.floor) === String(area.floor);
+}
+
+// Position fields of a point from coordinatesOf()
+function pointFields(point) {
+  return point.frame === 'latlng' ? { lat: point.lat, lng: point.lng } : { x: point.x, y: point.y };
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = BeaconPositioner;
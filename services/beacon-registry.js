@@ -0,0 +1,326 @@
+/**
+ * Beacon Registry
+ * Maps beaconKey to a friendly name, asset type, owner and tags, shared by the scanners
+ * (which stamp them on records) and the dashboard (which edits them).
+ *
+ * With a storage backend that keeps the registry (DynamoDB), entries live in the table so
+ * gateways on other machines see them. Other backends keep a JSON file on the local machine:
+ *   {
+ *     "<beaconKey>": { "name": "Forklift 3", "assetType": "vehicle", "owner": "Warehouse", "tags": ["dock-a"] }
+ *   }
+ *
+ * Readers call watch() to pick up changes made by the dashboard.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_TEXT_LENGTH = 100;
+const MAX_TAGS = 20;
+
+// Changes are re-read this far back on each refresh, so writes from gateways whose clocks lag are not missed
+const REFRESH_OVERLAP_MS = 60000;
+
+class BeaconRegistry {
+  /**
+   * Creates a new BeaconRegistry instance and loads the file if it exists
+   * With a storage adapter that keeps the registry, entries are read by refresh() instead
+   * @param {Object} options - Registry options
+   * @param {string} options.filePath - Registry JSON file
+   * @param {StorageAdapter} options.storage - Storage adapter; used if its hasRegistry is set (optional)
+   * @throws {Error} If the file exists but cannot be parsed
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.storage = options.storage && options.storage.hasRegistry ? options.storage : null;
+    this.entries = {};
+    this.watching = false;
+    this.refreshTimer = null;
+    this.refreshedAt = null;
+    this.syncedUntil = 0;
+    this.saving = Promise.resolve();
+    if (!this.storage) {
+      this.load();
+    }
+  }
+
+  /**
+   * (Re)loads the registry file; a missing file is an empty registry
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  load() {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.entries = {};
+        return;
+      }
+      throw new Error(`Failed to load beacon registry from '${this.filePath}': ${error.message}`);
+    }
+
+    // Hand-edited entries may leave out optional fields
+    this.entries = Object.fromEntries(Object.entries(parsed && typeof parsed === 'object' ? parsed : {})
+      .map(([beaconKey, entry]) => [beaconKey, {
+        name: entry?.name || beaconKey,
+        assetType: entry?.assetType || null,
+        owner: entry?.owner || null,
+        tags: Array.isArray(entry?.tags) ? entry.tags : [],
+        updatedAt: entry?.updatedAt || null
+      }]));
+    console.log(`[BeaconRegistry] Loaded ${Object.keys(this.entries).length} registered beacon(s)`);
+  }
+
+  /**
+   * Reads the entries changed in storage since the last refresh
+   * Without storage (or if the backend cannot hold the registry yet) the file is reloaded instead
+   * @returns {Promise<void>}
+   * @throws {Error} If storage or the file cannot be read
+   */
+  async refresh() {
+    if (!this.storage) {
+      this.load();
+      return;
+    }
+
+    let changes;
+    try {
+      changes = await this.storage.readRegistry(Math.max(0, this.syncedUntil - REFRESH_OVERLAP_MS));
+    } catch (error) {
+      if (error.code !== 'ERR_REGISTRY_UNAVAILABLE') {
+        throw error;
+      }
+      console.warn(`[BeaconRegistry] ${error.message}; using ${this.filePath} until then`);
+      this._useFile();
+      return;
+    }
+
+    const entries = { ...this.entries };
+    for (const { beaconKey, deleted, ...entry } of changes) {
+      // A read that started before one of our own writes may return the older entry
+      if (entries[beaconKey] && entries[beaconKey].updatedAt > entry.updatedAt) {
+        continue;
+      }
+      if (deleted) {
+        delete entries[beaconKey];
+      } else {
+        entries[beaconKey] = entry;
+      }
+      this.syncedUntil = Math.max(this.syncedUntil, entry.updatedAt);
+    }
+    const first = this.refreshedAt === null;
+    this.entries = entries;
+    this.refreshedAt = Date.now();
+    if (first) {
+      console.log(`[BeaconRegistry] Loaded ${Object.keys(this.entries).length} registered beacon(s) from ${this.storage.name} storage`);
+    }
+  }
+
+  /**
+   * Picks up registry changes: polls storage, or reloads the file whenever it changes on disk
+   * A file that fails to parse (e.g. mid-edit by hand) or a failed read is logged and the previous entries are kept
+   * @param {number} intervalMs - Polling interval (default: 5000)
+   */
+  watch(intervalMs = 5000) {
+    if (this.watching) {
+      return;
+    }
+    this.watching = true;
+    this.watchIntervalMs = intervalMs;
+    if (this.storage) {
+      const refresh = () => this.refresh().catch(error => {
+        console.error(`[BeaconRegistry] Failed to refresh: ${error.message}`);
+      });
+      this.refreshTimer = setInterval(refresh, intervalMs);
+      this.refreshTimer.unref();
+      if (this.refreshedAt === null) {
+        refresh();
+      }
+      return;
+    }
+    fs.watchFile(this.filePath, { interval: intervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) {
+        return;
+      }
+      try {
+        this.load();
+      } catch (error) {
+        console.error(`[BeaconRegistry] ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Stops watching for registry changes
+   */
+  unwatch() {
+    if (this.watching) {
+      if (this.refreshTimer) {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+      } else {
+        fs.unwatchFile(this.filePath);
+      }
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Switches from storage to the registry file, keeping a running watch()
+   * @private
+   */
+  _useFile() {
+    const watching = this.watching;
+    this.unwatch();
+    this.storage = null;
+    try {
+      this.load();
+    } catch (error) {
+      console.error(`[BeaconRegistry] ${error.message}`);
+    }
+    if (watching) {
+      this.watch(this.watchIntervalMs);
+    }
+  }
+
+  /**
+   * Gets the entry for a beacon
+   * @param {string} beaconKey - Beacon key
+   * @returns {Object|null} { name, assetType, owner, tags, updatedAt } or null if unregistered
+   */
+  get(beaconKey) {
+    return this.entries[beaconKey] || null;
+  }
+
+  /**
+   * Lists registered beacons, sorted by name
+   * @param {Object} query - Query parameters (optional)
+   * @param {string} query.tag - Only beacons with this tag (optional)
+   * @returns {Array<Object>} Entries with their beaconKey
+   */
+  list({ tag } = {}) {
+    return Object.entries(this.entries)
+      .map(([beaconKey, entry]) => ({ beaconKey, ...entry }))
+      .filter(entry => !tag || entry.tags.includes(tag))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * All tags in use, sorted
+   * @returns {Array<string>} Tags
+   */
+  tags() {
+    const tags = new Set();
+    Object.values(this.entries).forEach(entry => entry.tags.forEach(tag => tags.add(tag)));
+    return Array.from(tags).sort();
+  }
+
+  /**
+   * Creates or replaces a beacon's entry and saves it
+   * @param {string} beaconKey - Beacon key
+   * @param {Object} fields - { name, assetType, owner, tags }; name is required
+   * @returns {Promise<Object>} Saved entry with its beaconKey
+   * @throws {Error} With code 'ERR_INVALID_REGISTRY_ENTRY' if the fields are invalid
+   */
+  async upsert(beaconKey, fields) {
+    const entry = { ...this._validate(beaconKey, fields), updatedAt: Date.now() };
+    if (this.storage) {
+      await this.storage.writeRegistryEntry(beaconKey, entry);
+    }
+    this.entries = { ...this.entries, [beaconKey]: entry };
+    if (!this.storage) {
+      await this._save();
+    }
+    return { beaconKey, ...entry };
+  }
+
+  /**
+   * Removes a beacon's entry and saves the change
+   * @param {string} beaconKey - Beacon key
+   * @returns {Promise<boolean>} True if the beacon was registered
+   */
+  async remove(beaconKey) {
+    if (!this.entries[beaconKey]) {
+      return false;
+    }
+    if (this.storage) {
+      await this.storage.writeRegistryEntry(beaconKey, null);
+    }
+    const { [beaconKey]: removed, ...rest } = this.entries;
+    this.entries = rest;
+    if (!this.storage) {
+      await this._save();
+    }
+    return true;
+  }
+
+  /**
+   * Checks and normalizes entry fields; tags are trimmed, lowercased and de-duplicated
+   * @param {string} beaconKey - Beacon key
+   * @param {Object} fields - Submitted fields
+   * @returns {Object} { name, assetType, owner, tags }
+   * @throws {Error} With code 'ERR_INVALID_REGISTRY_ENTRY' if a field is invalid
+   * @private
+   */
+  _validate(beaconKey, fields) {
+    const invalid = message => {
+      const error = new Error(message);
+      error.code = 'ERR_INVALID_REGISTRY_ENTRY';
+      return error;
+    };
+    const text = (name, value, required) => {
+      if (value === undefined || value === null || value === '') {
+        if (required) throw invalid(`\`${name}\` is required`);
+        return null;
+      }
+      if (typeof value !== 'string' || value.trim().length > MAX_TEXT_LENGTH) {
+        throw invalid(`\`${name}\` must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return value.trim() || null;
+    };
+
+    if (!beaconKey || beaconKey.length > 200) {
+      throw invalid('A beaconKey of at most 200 characters is required');
+    }
+    if (!fields || typeof fields !== 'object') {
+      throw invalid('Entry must be a JSON object');
+    }
+
+    const tags = fields.tags ?? [];
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS || tags.some(tag => typeof tag !== 'string')) {
+      throw invalid(`\`tags\` must be an array of at most ${MAX_TAGS} strings`);
+    }
+
+    const name = text('name', fields.name, true);
+    if (!name) {
+      throw invalid('`name` is required');
+    }
+
+    return {
+      name,
+      assetType: text('assetType', fields.assetType, false),
+      owner: text('owner', fields.owner, false),
+      tags: Array.from(new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean)))
+    };
+  }
+
+  /**
+   * Writes the registry atomically (temp file + rename) so readers never see a partial file
+   * Saves run one at a time; each writes the entries current when it starts
+   * @returns {Promise<void>}
+   * @private
+   */
+  _save() {
+    const save = this.saving.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(this.entries, null, 2) + '\n');
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    this.saving = save;
+    return save;
+  }
+}
+
+module.exports = BeaconRegistry;
@@ -1,44 +1,105 @@
 /**
  * Beacon Storage Service
- * Handles AWS DynamoDB interactions for storing beacon advertisement records
+ * Builds beacon advertisement records and writes them through the configured
+ * storage adapter (DynamoDB, file or memory), buffering failures on disk
  */
 
-const { DynamoDBClient, DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const OfflineQueue = require('./offline-queue');
+const BeaconParser = require('./beacon-parser');
+const SignalProcessor = require('./signal-processor');
+const BeaconRegistry = require('./beacon-registry');
+const { createStorageAdapter } = require('./storage');
+const StorageAdapter = require('./storage/storage-adapter');
+const { metrics } = require('./metrics');
 
-class BeaconStorage {
+/**
+ * Connectivity states reported by getStatus()
+ * - online: storage backend reachable and offline queue empty
+ * - degraded: storage backend reachable but queued records are still draining
+ * - offline: last write or health probe failed
+ */
+const STATUS = {
+  ONLINE: 'online',
+  DEGRADED: 'degraded',
+  OFFLINE: 'offline'
+};
+
+class BeaconStorage extends EventEmitter {
   /**
    * Creates a new BeaconStorage instance
    * @param {Object} config - AWS configuration object
+   * @param {string} config.storageBackend - Storage backend: 'dynamodb' (default), 'file', 'memory' or 'none'
+   * @param {string} config.dataDir - Record directory for the file backend
    * @param {string} config.region - AWS region
    * @param {Object} config.credentials - AWS credentials (optional)
    * @param {string} config.tableName - DynamoDB table name
    * @param {string} config.gatewayId - Unique gateway identifier
    * @param {string} config.gatewayName - Human-readable gateway name (optional)
    * @param {string} config.gatewayLocation - Gateway location info (optional)
+   * @param {string} config.queueDir - Directory for the offline queue journal
+   * @param {number} config.queueMaxRecords - Maximum records kept in the offline queue (optional)
+   * @param {number} config.queueMaxAgeMs - Maximum age of queued records in ms (optional)
+   * @param {number} config.flushIntervalMs - Background flush/probe interval in ms (optional)
+   * @param {number} config.flushBatchSize - Maximum records drained per background flush (optional)
+   * @param {number} config.batchMaxSize - Records per BatchWriteItem request, max 25 (optional)
+   * @param {number} config.batchWindowMs - Time window before a partial batch is sent (optional)
+   * @param {Object} config.signal - RSSI smoothing and distance options, see SignalProcessor (optional)
+   * @param {string} config.registryFile - Beacon registry JSON file, used unless the backend keeps the registry, see BeaconRegistry (optional)
+   * @param {Object} config.retention - Record retention (optional)
+   * @param {number} config.retention.recordTtlDays - Days until stored records expire; 0 keeps them forever (default: 0)
+   * @param {boolean} config.retention.storeRawData - Whether sightings keep the full advertisement in rawData (default: true)
    */
   constructor(config) {
+    super();
     this.config = config;
     this.tableName = config.tableName;
     this.gatewayId = config.gatewayId;
     this.gatewayName = config.gatewayName || config.gatewayId;
     this.gatewayLocation = config.gatewayLocation ? this._parseLocation(config.gatewayLocation) : null;
     
-    // Initialize DynamoDB client
-    const client = new DynamoDBClient({
-      region: config.region,
-      credentials: config.credentials
-    });
+    // Maps advertisements of each beacon type to record fields
+    this.parser = new BeaconParser();
+    
+    // Per-beacon RSSI smoothing and calibrated distance estimation
+    this.signalProcessor = new SignalProcessor(config.signal);
+    
+    // expiresAt and rawData handling for stored records
+    this.retention = config.retention || {};
     
-    // Initialize DocumentClient for simplified operations
-    this.docClient = DynamoDBDocumentClient.from(client);
+    // Storage backend selected by config.storageBackend
+    this.adapter = createStorageAdapter(config);
+    this.adapter.on('batch', report => this.emit('batch', report));
     
-    // Initialize buffer for offline resilience
-    this.buffer = [];
-    this.maxBufferSize = 100;
+    // Friendly names, owners and tags stamped on records (edited from the dashboard),
+    // kept in storage when the backend supports it
+    this.registry = config.registryFile ? new BeaconRegistry({ filePath: config.registryFile, storage: this.adapter }) : null;
+    
+    // Initialize durable on-disk buffer for offline resilience
+    this.queue = new OfflineQueue({
+      dir: config.queueDir,
+      maxRecords: config.queueMaxRecords,
+      maxAgeMs: config.queueMaxAgeMs
+    });
+    this.maxBufferSize = this.queue.maxRecords;
     this.isFlushing = false;
-    this.droppedRecordCount = 0;
+    
+    // Background flush loop and connectivity tracking
+    this.flushIntervalMs = config.flushIntervalMs || 30000;
+    this.flushBatchSize = config.flushBatchSize || 25;
+    this.autoFlushTimer = null;
+    this.status = STATUS.ONLINE;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Total records dropped from the offline queue (overflow or expiry)
+   * @returns {number} Dropped record count
+   */
+  get droppedRecordCount() {
+    return this.queue.getMetrics().dropped;
   }
 
   /**
@@ -66,114 +127,192 @@ class BeaconStorage {
   }
 
   /**
-   * Retry wrapper with exponential backoff
-   * @param {Function} operation - Async operation to retry
-   * @param {number} maxAttempts - Maximum retry attempts (default: 3)
-   * @returns {Promise<Object>} Result object with success status and data/error
+   * Builds a beacon record from an advertisement
+   * The same record shape is stored by storeRecord() and published by other sinks (e.g. MQTT)
+   * @param {Object} advertisement - Beacon advertisement data
+   * @returns {Object} Beacon record
    */
-  async _retryWithBackoff(operation, maxAttempts = 3) {
-    const retryableErrors = [
-      'ServiceUnavailable',
-      'ProvisionedThroughputExceededException',
-      'RequestTimeout',
-      'NetworkingError'
-    ];
+  buildRecord(advertisement) {
+    // Generate unique record ID
+    const recordId = uuidv4();
+    const timestamp = Date.now();
+    const detectedAt = new Date(timestamp).toISOString();
     
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        const result = await operation();
-        return { success: true, data: result };
-      } catch (error) {
-        const isRetryable = retryableErrors.some(errType => 
-          error.name === errType || error.code === errType
-        );
-        
-        if (!isRetryable || attempt === maxAttempts) {
-          console.error(`[BeaconStorage] Operation failed after ${attempt} attempt(s)`);
-          console.error(`[BeaconStorage] Error: ${error.message}`);
-          console.error(`[BeaconStorage] Retryable: ${isRetryable}`);
-          return { success: false, error };
-        }
-        
-        // Calculate exponential backoff delay: 1s, 2s, 4s
-        const delay = Math.pow(2, attempt - 1) * 1000;
-        console.warn(`[BeaconStorage] Retry attempt ${attempt}/${maxAttempts} after ${delay}ms delay`);
-        console.warn(`[BeaconStorage] Retry reason: ${error.name || error.code} - ${error.message}`);
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+    // Beacon type, key (e.g. uuid-major-minor) and type-specific fields
+    const beacon = this.parser.parse(advertisement);
+    
+    // Smoothed RSSI and distance; falls back to the scanner library's values if txPower is unknown
+    const signal = this.signalProcessor.process(beacon.beaconKey, advertisement.rssi, beacon.txPower, timestamp);
+
+    // Transform advertisement data to the beacon record schema
+    return {
+      recordId,
+      timestamp,
+      detectedAt,
+      recordType: 'sighting',
+      gatewayId: this.gatewayId,
+      gatewayName: this.gatewayName,
+      gatewayLocation: this.gatewayLocation,
+      beaconKey: beacon.beaconKey,
+      beaconType: beacon.beaconType,
+      uuid: beacon.uuid,
+      major: beacon.major,
+      minor: beacon.minor,
+      namespace: beacon.namespace,
+      instance: beacon.instance,
+      url: beacon.url,
+      altBeaconId: beacon.altBeaconId,
+      mfrId: beacon.mfrId,
+      telemetry: beacon.telemetry,
+      rssi: advertisement.rssi || null,
+      smoothedRssi: signal.smoothedRssi,
+      txPower: signal.txPower,
+      distance: signal.distance ?? beacon.distance,
+      proximity: signal.proximity ?? beacon.proximity,
+      address: advertisement.address || null,
+      ...this._registryFields(beacon.beaconKey),
+      rawData: advertisement
+    };
+  }
+
+  /**
+   * Builds a presence event record from a PresenceTracker 'presence' event
+   * Stored alongside sightings in the same table, told apart by recordType
+   * @param {Object} event - Presence event (eventType, beaconKey, timestamp, enteredAt, dwellSeconds, ...)
+   * @returns {Object} Presence record
+   */
+  buildPresenceRecord(event) {
+    return {
+      recordId: uuidv4(),
+      timestamp: event.timestamp,
+      detectedAt: new Date(event.timestamp).toISOString(),
+      recordType: 'presence',
+      gatewayId: this.gatewayId,
+      gatewayName: this.gatewayName,
+      gatewayLocation: this.gatewayLocation,
+      beaconKey: event.beaconKey,
+      beaconType: event.beaconType,
+      eventType: event.eventType,
+      enteredAt: event.enteredAt,
+      lastSeenAt: event.lastSeenAt,
+      dwellSeconds: event.dwellSeconds,
+      rssi: event.rssi ?? null,
+      ...this._registryFields(event.beaconKey)
+    };
+  }
+
+  /**
+   * Builds a heartbeat record from a GatewayHeartbeat 'heartbeat' event
+   * Heartbeats have no beaconKey; they are stored under the gateway like sightings
+   * @param {Object} heartbeat - Heartbeat (timestamp, uptimeSeconds, bufferSize, cpuTemperature, ...)
+   * @returns {Object} Heartbeat record
+   */
+  buildHeartbeatRecord(heartbeat) {
+    return {
+      ...heartbeat,
+      recordId: uuidv4(),
+      timestamp: heartbeat.timestamp,
+      detectedAt: new Date(heartbeat.timestamp).toISOString(),
+      recordType: 'heartbeat',
+      gatewayId: this.gatewayId,
+      gatewayName: this.gatewayName,
+      gatewayLocation: this.gatewayLocation
+    };
+  }
+
+  /**
+   * Registry fields stamped on a beacon's records
+   * @param {string} beaconKey - Beacon key
+   * @returns {Object} { beaconName, assetType, owner, tags }, or {} for unregistered beacons
+   * @private
+   */
+  _registryFields(beaconKey) {
+    const entry = this.registry && this.registry.get(beaconKey);
+    if (!entry) {
+      return {};
+    }
+    return {
+      beaconName: entry.name,
+      assetType: entry.assetType,
+      owner: entry.owner,
+      tags: entry.tags
+    };
+  }
+
+  /**
+   * Applies the retention settings to a record about to be stored
+   * Other sinks (e.g. MQTT) get the record from buildRecord() unchanged
+   * @param {Object} record - Beacon, presence or heartbeat record
+   * @returns {Object} The record with expiresAt (epoch seconds, for DynamoDB TTL) and without rawData, as configured
+   * @private
+   */
+  _applyRetention(record) {
+    const { recordTtlDays = 0, storeRawData = true } = this.retention;
+    let stored = record;
+    if (!storeRawData && stored.rawData !== undefined) {
+      const { rawData, ...rest } = stored;
+      stored = rest;
+    }
+    if (recordTtlDays > 0 && stored.expiresAt === undefined) {
+      stored = { ...stored, expiresAt: Math.floor(stored.timestamp / 1000) + Math.round(recordTtlDays * 86400) };
     }
+    return stored;
   }
 
   /**
-   * Stores a beacon advertisement record to DynamoDB
+   * Stores a beacon advertisement record through the storage adapter
    * @param {Object} advertisement - Beacon advertisement data
    * @returns {Promise<string>} Record ID if successful, null if failed
    */
   async storeBeaconRecord(advertisement) {
+    let record;
     try {
-      // Generate unique record ID
-      const recordId = uuidv4();
-      const timestamp = Date.now();
-      const detectedAt = new Date(timestamp).toISOString();
-      
-      // Create beacon key for querying (uuid-major-minor)
-      const beaconKey = advertisement.iBeacon 
-        ? `${advertisement.iBeacon.uuid}-${advertisement.iBeacon.major}-${advertisement.iBeacon.minor}`
-        : `unknown-${advertisement.id}`;
-
-      // Transform advertisement data to match DynamoDB schema
-      const record = {
-        recordId,
-        timestamp,
-        detectedAt,
-        gatewayId: this.gatewayId,
-        gatewayName: this.gatewayName,
-        gatewayLocation: this.gatewayLocation,
-        beaconKey,
-        uuid: advertisement.iBeacon?.uuid || null,
-        major: advertisement.iBeacon?.major || null,
-        minor: advertisement.iBeacon?.minor || null,
-        rssi: advertisement.rssi || null,
-        txPower: advertisement.iBeacon?.txPower || null,
-        distance: advertisement.iBeacon?.distance || null,
-        proximity: advertisement.iBeacon?.proximity || null,
-        address: advertisement.address || null,
-        rawData: advertisement
-      };
-      
-      // Attempt to store with retry logic
-      const operation = async () => {
-        const command = new PutCommand({
-          TableName: this.tableName,
-          Item: record
-        });
-        return await this.docClient.send(command);
-      };
-      
-      const result = await this._retryWithBackoff(operation);
+      record = this.buildRecord(advertisement);
+    } catch (error) {
+      console.error('[BeaconStorage] Unexpected error building beacon record');
+      console.error(`[BeaconStorage] Error Message: ${error.message}`);
+      return null;
+    }
+    return await this.storeRecord(record);
+  }
+
+  /**
+   * Stores a record built by buildRecord(), buildPresenceRecord() or buildHeartbeatRecord() through the storage adapter
+   * @param {Object} record - Beacon, presence or heartbeat record
+   * @returns {Promise<string>} Record ID if successful, null if failed
+   */
+  async storeRecord(record) {
+    const { recordId } = record;
+    record = this._applyRetention(record);
+    try {
+      // DynamoDB queues this for the next BatchWriteItem request (sent on size or time window)
+      const written = await this.adapter.store(record);
       
-      if (result.success) {
+      if (written) {
+        metrics.recordsStored.inc({ record_type: StorageAdapter.recordTypeOf(record) });
         console.log(`[BeaconStorage] Successfully stored beacon record: ${recordId}`);
-        console.log(`[BeaconStorage] Gateway: ${this.gatewayId}, Beacon: ${record.uuid}, RSSI: ${record.rssi}`);
+        if (record.recordType === 'presence') {
+          console.log(`[BeaconStorage] Gateway: ${this.gatewayId}, Beacon: ${record.beaconKey}, Presence: ${record.eventType}`);
+        } else if (record.recordType === 'heartbeat') {
+          console.log(`[BeaconStorage] Gateway: ${this.gatewayId}, Heartbeat (buffered: ${record.bufferSize})`);
+        } else {
+          console.log(`[BeaconStorage] Gateway: ${this.gatewayId}, Beacon: ${record.beaconKey} (${record.beaconType}), RSSI: ${record.rssi}`);
+        }
+        this._markReachable();
         return recordId;
       } else {
         // Storage failed after retries, add to buffer
-        console.error('[BeaconStorage] AWS Storage Service Error - Failed to store record after retries');
+        console.error('[BeaconStorage] Storage Service Error - Failed to store record after retries');
         console.error(`[BeaconStorage] Record ID: ${recordId}`);
-        console.error(`[BeaconStorage] Error Code: ${result.error.code || result.error.name || 'Unknown'}`);
-        console.error(`[BeaconStorage] Error Message: ${result.error.message}`);
-        console.error(`[BeaconStorage] Table Name: ${this.tableName}`);
-        console.error(`[BeaconStorage] Region: ${this.config.region}`);
-        if (result.error.stack) {
-          console.error(`[BeaconStorage] Stack Trace: ${result.error.stack}`);
-        }
+        console.error(`[BeaconStorage] Storage Backend: ${this.adapter.name}`);
+        metrics.recordsBuffered.inc({ record_type: StorageAdapter.recordTypeOf(record) });
         this._addToBuffer(record);
+        this._markUnreachable();
         return null;
       }
     } catch (error) {
       // Catch any unexpected errors to prevent propagation
-      console.error('[BeaconStorage] Unexpected error in storeBeaconRecord');
+      console.error('[BeaconStorage] Unexpected error in storeRecord');
       console.error(`[BeaconStorage] Error Type: ${error.constructor.name}`);
       console.error(`[BeaconStorage] Error Code: ${error.code || error.name || 'Unknown'}`);
       console.error(`[BeaconStorage] Error Message: ${error.message}`);
@@ -186,26 +325,22 @@ class BeaconStorage {
 
 
   /**
-   * Adds a record to the local buffer with FIFO overflow handling
+   * Adds a record to the on-disk offline queue with FIFO overflow handling
    * @param {Object} record - Beacon record to buffer
    * @private
    */
   _addToBuffer(record) {
-    // Check if buffer is full
-    if (this.buffer.length >= this.maxBufferSize) {
-      // Drop oldest record (FIFO)
-      const droppedRecord = this.buffer.shift();
-      this.droppedRecordCount++;
+    const droppedRecord = this.queue.enqueue(record);
+    if (droppedRecord) {
       console.warn(`[BeaconStorage] Buffer overflow - Dropped oldest record`);
       console.warn(`[BeaconStorage] Dropped Record ID: ${droppedRecord.recordId}`);
       console.warn(`[BeaconStorage] Dropped Record Timestamp: ${droppedRecord.detectedAt}`);
       console.warn(`[BeaconStorage] Total records dropped since startup: ${this.droppedRecordCount}`);
     }
     
-    this.buffer.push(record);
     console.log(`[BeaconStorage] Record added to local buffer`);
     console.log(`[BeaconStorage] Record ID: ${record.recordId}`);
-    console.log(`[BeaconStorage] Buffer size: ${this.buffer.length}/${this.maxBufferSize}`);
+    console.log(`[BeaconStorage] Buffer size: ${this.queue.size()}/${this.maxBufferSize}`);
   }
   
   /**
@@ -213,83 +348,98 @@ class BeaconStorage {
    * @returns {number} Number of records in buffer
    */
   getBufferSize() {
-    return this.buffer.length;
+    return this.queue.size();
   }
 
   /**
-   * Flushes buffered records to DynamoDB
+   * Gets offline queue metrics
+   * @returns {Object} Queued, replayed, delivered and dropped counters plus current depth
+   */
+  getBufferMetrics() {
+    return this.queue.getMetrics();
+  }
+
+  /**
+   * Flushes buffered records to the storage backend
    * Processes records in chronological order
+   * @param {Object} options - Flush options (optional)
+   * @param {number} options.limit - Maximum records to process in this flush
+   * @param {boolean} options.stopOnFailure - Stop at the first failed record to preserve ordering
    * @returns {Promise<Object>} Flush results with success/failure counts
    */
-  async flushBuffer() {
+  async flushBuffer(options = {}) {
+    const { limit = Infinity, stopOnFailure = false } = options;
+    
     // Prevent concurrent flushes
     if (this.isFlushing) {
       console.log('[BeaconStorage] Flush already in progress, skipping');
       return { success: 0, failed: 0, skipped: true };
     }
     
-    if (this.buffer.length === 0) {
+    if (this.queue.size() === 0) {
       console.log('[BeaconStorage] Buffer is empty, nothing to flush');
       return { success: 0, failed: 0, empty: true };
     }
     
     this.isFlushing = true;
     console.log(`[BeaconStorage] Starting buffer flush`);
-    console.log(`[BeaconStorage] Records to process: ${this.buffer.length}`);
+    console.log(`[BeaconStorage] Records to process: ${this.queue.size()}`);
     
     let successCount = 0;
     let failedCount = 0;
-    const recordsToProcess = [...this.buffer]; // Copy buffer
+    const recordsToProcess = this.queue.peekAll().slice(0, limit); // Snapshot of queued records
     
-    // Process records in chronological order (already in order due to FIFO)
-    for (const record of recordsToProcess) {
+    // Process records in chronological order (already in order due to FIFO),
+    // in chunks of flushBatchSize (DynamoDB splits these into BatchWriteItem requests)
+    const batchSize = this.flushBatchSize;
+    for (let i = 0; i < recordsToProcess.length; i += batchSize) {
+      const chunk = recordsToProcess.slice(i, i + batchSize);
       try {
-        const operation = async () => {
-          const command = new PutCommand({
-            TableName: this.tableName,
-            Item: record
-          });
-          return await this.docClient.send(command);
-        };
-        
-        const result = await this._retryWithBackoff(operation);
+        const result = await this.adapter.writeRecords(chunk);
         
-        if (result.success) {
+        // Remove successfully stored records from the on-disk queue
+        for (const record of result.written) {
+          this.queue.ack(record.recordId);
+          metrics.recordsStored.inc({ record_type: StorageAdapter.recordTypeOf(record) });
           successCount++;
-          console.log(`[BeaconStorage] Successfully flushed record: ${record.recordId}`);
-          // Remove successfully stored record from buffer
-          const index = this.buffer.findIndex(r => r.recordId === record.recordId);
-          if (index !== -1) {
-            this.buffer.splice(index, 1);
-          }
-        } else {
-          failedCount++;
+        }
+        
+        if (result.failed.length > 0) {
+          failedCount += result.failed.length;
           // Log error details for failed flush
-          console.error(`[BeaconStorage] Failed to flush buffered record`);
-          console.error(`[BeaconStorage] Record ID: ${record.recordId}`);
-          console.error(`[BeaconStorage] Record Timestamp: ${record.detectedAt}`);
-          console.error(`[BeaconStorage] Error Code: ${result.error.code || result.error.name || 'Unknown'}`);
-          console.error(`[BeaconStorage] Error Message: ${result.error.message}`);
+          console.error(`[BeaconStorage] Failed to flush ${result.failed.length} buffered record(s)`);
+          console.error(`[BeaconStorage] Oldest Failed Record ID: ${result.failed[0].recordId}`);
+          console.error(`[BeaconStorage] Oldest Failed Record Timestamp: ${result.failed[0].detectedAt}`);
+          if (stopOnFailure) {
+            break;
+          }
         }
       } catch (error) {
         // Catch any unexpected errors to prevent propagation
-        console.error(`[BeaconStorage] Unexpected error flushing buffered record`);
-        console.error(`[BeaconStorage] Record ID: ${record.recordId}`);
+        console.error(`[BeaconStorage] Unexpected error flushing buffered records`);
         console.error(`[BeaconStorage] Error Type: ${error.constructor.name}`);
         console.error(`[BeaconStorage] Error Code: ${error.code || error.name || 'Unknown'}`);
         console.error(`[BeaconStorage] Error Message: ${error.message}`);
         if (error.stack) {
           console.error(`[BeaconStorage] Stack Trace: ${error.stack}`);
         }
-        failedCount++;
+        failedCount += chunk.length;
+        if (stopOnFailure) {
+          break;
+        }
       }
     }
     
     this.isFlushing = false;
+    if (failedCount > 0) {
+      this._markUnreachable();
+    } else if (successCount > 0) {
+      this._markReachable();
+    }
     console.log(`[BeaconStorage] Buffer flush complete`);
     console.log(`[BeaconStorage] Successfully flushed: ${successCount} record(s)`);
     console.log(`[BeaconStorage] Failed to flush: ${failedCount} record(s)`);
-    console.log(`[BeaconStorage] Remaining in buffer: ${this.buffer.length} record(s)`);
+    console.log(`[BeaconStorage] Remaining in buffer: ${this.queue.size()} record(s)`);
     
     return { success: successCount, failed: failedCount };
   }
@@ -297,7 +447,7 @@ class BeaconStorage {
 
   /**
    * Initializes the storage service and validates configuration
-   * Tests DynamoDB connection
+   * Tests the storage backend connection
    * @returns {Promise<void>}
    * @throws {Error} If configuration is invalid or connection fails
    */
@@ -305,72 +455,188 @@ class BeaconStorage {
     console.log('[BeaconStorage] Initializing storage service...');
     
     // Validate configuration
-    if (!this.config.region) {
-      console.error('[BeaconStorage] Configuration validation failed: Missing AWS region');
-      throw new Error('AWS region is required in configuration');
-    }
-    
-    if (!this.tableName) {
-      console.error('[BeaconStorage] Configuration validation failed: Missing DynamoDB table name');
-      throw new Error('DynamoDB table name is required in configuration');
-    }
-    
     if (!this.gatewayId) {
       console.error('[BeaconStorage] Configuration validation failed: Missing gateway ID');
       throw new Error('Gateway ID is required in configuration');
     }
     
-    console.log(`[BeaconStorage] Configuration validated - Region: ${this.config.region}, Table: ${this.tableName}`);
+    console.log(`[BeaconStorage] Storage backend: ${this.adapter.name}`);
     console.log(`[BeaconStorage] Gateway ID: ${this.gatewayId}, Name: ${this.gatewayName}`);
     
-    // Test DynamoDB connection by describing the table
-    try {
-      const client = new DynamoDBClient({
-        region: this.config.region,
-        credentials: this.config.credentials
-      });
-      
-      const command = new DescribeTableCommand({
-        TableName: this.tableName
-      });
-      
-      console.log(`[BeaconStorage] Testing connection to DynamoDB table: ${this.tableName}`);
-      const response = await client.send(command);
-      console.log(`[BeaconStorage] Successfully connected to DynamoDB table: ${this.tableName}`);
-      console.log(`[BeaconStorage] Table status: ${response.Table.TableStatus}`);
-      console.log(`[BeaconStorage] Table item count: ${response.Table.ItemCount || 0}`);
-      
-      if (response.Table.TableStatus !== 'ACTIVE') {
-        console.error(`[BeaconStorage] Table is not in ACTIVE state: ${response.Table.TableStatus}`);
-        throw new Error(`Table ${this.tableName} is not in ACTIVE state: ${response.Table.TableStatus}`);
+    // Replay records left in the offline queue by a previous run
+    const replayed = this.queue.open();
+    if (replayed > 0) {
+      console.log(`[BeaconStorage] ${replayed} buffered record(s) recovered from offline queue`);
+    }
+    
+    // Test the backend connection (DynamoDB describes the table)
+    await this.adapter.initialize();
+    
+    // Load the registry, then pick up edits made from the dashboard
+    if (this.registry) {
+      try {
+        await this.registry.refresh();
+      } catch (error) {
+        console.warn(`[BeaconStorage] Beacon registry not loaded yet: ${error.message}`);
       }
-    } catch (error) {
-      console.error('[BeaconStorage] Failed to initialize storage service');
-      console.error(`[BeaconStorage] Error Type: ${error.constructor.name}`);
-      console.error(`[BeaconStorage] Error Code: ${error.code || error.name || 'Unknown'}`);
+      this.registry.watch();
+    }
+  }
+
+  /**
+   * Starts the background flush loop
+   * While offline, each tick probes the backend; once reachable, the buffer is
+   * drained in chronological order, at most flushBatchSize records per tick
+   */
+  startAutoFlush() {
+    if (this.autoFlushTimer) {
+      return;
+    }
+    
+    console.log(`[BeaconStorage] Background flush started - Interval: ${this.flushIntervalMs}ms, Batch: ${this.flushBatchSize}`);
+    this.autoFlushTimer = setInterval(() => this._runAutoFlushTick(), this.flushIntervalMs);
+    
+    // Do not keep the process alive just for the flush loop
+    this.autoFlushTimer.unref();
+    
+    // Drain records recovered from a previous run right away
+    if (this.queue.size() > 0) {
+      setImmediate(() => this._runAutoFlushTick());
+    }
+  }
+
+  /**
+   * Stops the background flush loop
+   */
+  stopAutoFlush() {
+    if (this.autoFlushTimer) {
+      clearInterval(this.autoFlushTimer);
+      this.autoFlushTimer = null;
+      console.log('[BeaconStorage] Background flush stopped');
+    }
+  }
+
+  /**
+   * Gets the current connectivity status
+   * @returns {Object} Status ('online' | 'degraded' | 'offline'), buffer size and last success/failure times
+   */
+  getStatus() {
+    return {
+      status: this.status,
+      bufferSize: this.queue.size(),
+      lastSuccessAt: this.lastSuccessAt,
+      lastFailureAt: this.lastFailureAt
+    };
+  }
+
+  /**
+   * Runs a background flush tick, logging instead of propagating errors
+   * @private
+   */
+  _runAutoFlushTick() {
+    this._autoFlushTick().catch(error => {
+      console.error('[BeaconStorage] Unexpected error in background flush');
       console.error(`[BeaconStorage] Error Message: ${error.message}`);
-      
-      if (error.name === 'ResourceNotFoundException') {
-        console.error(`[BeaconStorage] DynamoDB table '${this.tableName}' does not exist`);
-        console.error(`[BeaconStorage] Please create the table with the required schema`);
-        throw new Error(`DynamoDB table '${this.tableName}' does not exist. Please create the table first.`);
-      } else if (error.name === 'UnrecognizedClientException' || error.name === 'InvalidSignatureException') {
-        console.error('[BeaconStorage] Invalid AWS credentials detected');
-        console.error('[BeaconStorage] Please verify AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
-        throw new Error('Invalid AWS credentials. Please check your AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY.');
-      } else if (error.name === 'CredentialsProviderError') {
-        console.error('[BeaconStorage] AWS credentials not found');
-        console.error('[BeaconStorage] Please configure credentials via environment variables or AWS credential files');
-        throw new Error('AWS credentials not found. Please configure AWS credentials.');
-      } else {
-        console.error(`[BeaconStorage] Unexpected initialization error`);
-        if (error.stack) {
-          console.error(`[BeaconStorage] Stack Trace: ${error.stack}`);
-        }
-        throw new Error(`Failed to connect to DynamoDB: ${error.message}`);
+    });
+  }
+
+  /**
+   * Runs one iteration of the background flush loop
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _autoFlushTick() {
+    if (this.isFlushing) {
+      return;
+    }
+    
+    if (this.status === STATUS.OFFLINE) {
+      const reachable = await this._probeConnection();
+      if (!reachable) {
+        return;
       }
+      this._markReachable();
+    }
+    
+    if (this.queue.size() > 0) {
+      await this.flushBuffer({ limit: this.flushBatchSize, stopOnFailure: true });
     }
   }
+
+  /**
+   * Health probe against the storage backend
+   * @returns {Promise<boolean>} True if the backend is reachable
+   * @private
+   */
+  async _probeConnection() {
+    const reachable = await this.adapter.probe();
+    if (!reachable) {
+      this.lastFailureAt = Date.now();
+    }
+    return reachable;
+  }
+
+  /**
+   * Records a successful round trip to the storage backend
+   * @private
+   */
+  _markReachable() {
+    const wasOffline = this.status === STATUS.OFFLINE;
+    this.lastSuccessAt = Date.now();
+    this._setStatus(this.queue.size() > 0 ? STATUS.DEGRADED : STATUS.ONLINE);
+    
+    // Connectivity is back - start draining now instead of waiting for the next tick
+    if (wasOffline && this.autoFlushTimer && this.queue.size() > 0) {
+      setImmediate(() => this._runAutoFlushTick());
+    }
+  }
+
+  /**
+   * Records a failed round trip to the storage backend
+   * @private
+   */
+  _markUnreachable() {
+    this.lastFailureAt = Date.now();
+    this._setStatus(STATUS.OFFLINE);
+  }
+
+  /**
+   * Updates the connectivity status and emits 'status' on change
+   * @param {string} status - New status
+   * @private
+   */
+  _setStatus(status) {
+    if (status === this.status) {
+      return;
+    }
+    const previous = this.status;
+    this.status = status;
+    console.log(`[BeaconStorage] Storage status changed: ${previous} -> ${status}`);
+    this.emit('status', { status, previous, bufferSize: this.queue.size() });
+  }
+
+  /**
+   * Releases the offline queue journal
+   * Records still queued stay on disk and are replayed on next startup
+   */
+  close() {
+    this.stopAutoFlush();
+    if (this.registry) {
+      this.registry.unwatch();
+    }
+    this.queue.close();
+    this.adapter.close();
+  }
+
+  /**
+   * Sends any records waiting in the current micro-batch
+   * @returns {Promise<void>}
+   */
+  async flushPendingBatch() {
+    await this.adapter.flushPending();
+  }
 }
 
+BeaconStorage.STATUS = STATUS;
+
 module.exports = BeaconStorage;
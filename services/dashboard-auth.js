@@ -0,0 +1,351 @@
+/**
+ * Dashboard Authentication
+ * Local users (scrypt-hashed passwords) and API tokens for the dashboard server, kept in
+ * a JSON file managed with scripts/dashboard-users.js:
+ *   {
+ *     "users": { "alice": { "role": "admin", "passwordHash": "scrypt:<salt>:<hash>" } },
+ *     "tokens": { "<id>": { "name": "grafana", "role": "viewer", "hash": "<sha256>", "createdAt": 0 } }
+ *   }
+ *
+ * Browsers log in with a username and password and get a session cookie; scripts send
+ * `Authorization: Bearer <token>`. Only token hashes are stored, so a token is shown once
+ * when it is created. Sessions live in memory and end when the server restarts.
+ *
+ * Roles: 'viewer' can read everything, 'admin' can also change data (e.g. the beacon registry).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'admin'];
+const SESSION_COOKIE = 'beaconjs_session';
+const TOKEN_PREFIX = 'bjs';
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+class DashboardAuth {
+  /**
+   * Creates a new DashboardAuth instance and loads the file if it exists
+   * @param {Object} options - Authentication options
+   * @param {string} options.filePath - Users and tokens JSON file
+   * @param {number} options.sessionTtlMs - Session lifetime (default: 12 hours)
+   * @throws {Error} If the file exists but cannot be parsed
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.sessionTtlMs = options.sessionTtlMs || 12 * 60 * 60 * 1000;
+    this.users = {};
+    this.tokens = {};
+    this.sessions = new Map(); // sessionId -> { username, expiresAt }
+    this.watching = false;
+    this.saving = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * (Re)loads the users file; a missing file has no users
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  load() {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.users = {};
+        this.tokens = {};
+        return;
+      }
+      throw new Error(`Failed to load dashboard users from '${this.filePath}': ${error.message}`);
+    }
+
+    this.users = parsed?.users || {};
+    this.tokens = parsed?.tokens || {};
+    console.log(`[DashboardAuth] Loaded ${Object.keys(this.users).length} user(s), ${Object.keys(this.tokens).length} API token(s)`);
+  }
+
+  /**
+   * Reloads the file whenever it changes on disk, so users and tokens added or revoked
+   * with scripts/dashboard-users.js apply without a restart
+   * A file that fails to parse is logged and the previous users are kept
+   * @param {number} intervalMs - Polling interval (default: 5000)
+   */
+  watch(intervalMs = 5000) {
+    if (this.watching) {
+      return;
+    }
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: intervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) {
+        return;
+      }
+      try {
+        this.load();
+      } catch (error) {
+        console.error(`[DashboardAuth] ${error.message}; keeping the previous users`);
+      }
+    });
+  }
+
+  /**
+   * Stops watching the users file
+   */
+  unwatch() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Checks a username and password and starts a session
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} { sessionId, username, role, expiresAt }, or null if the credentials are wrong
+   */
+  async login(username, password) {
+    const user = typeof username === 'string' && Object.hasOwn(this.users, username) ? this.users[username] : null;
+    // Hash even for unknown users so response times do not reveal which usernames exist
+    const valid = await verifyPassword(String(password ?? ''), user?.passwordHash || DUMMY_HASH);
+    if (!user || !valid) {
+      return null;
+    }
+
+    this._pruneSessions();
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + this.sessionTtlMs;
+    this.sessions.set(sessionId, { username, expiresAt });
+    return { sessionId, username, role: user.role, expiresAt };
+  }
+
+  /**
+   * Ends a session
+   * @param {string} sessionId - Session ID
+   */
+  logout(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Identifies the caller of an HTTP request from its bearer token or session cookie
+   * Roles are looked up on every request, so removing a user or changing a role applies at once
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object|null} { username, role, via: 'token'|'session', sessionId }, or null if not authenticated
+   */
+  authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return this._verifyToken(authorization.slice('Bearer '.length).trim());
+    }
+
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    const user = this.users[session.username];
+    if (!user || session.expiresAt <= Date.now()) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    return { username: session.username, role: user.role, via: 'session', sessionId };
+  }
+
+  /**
+   * Lists users without their password hashes
+   * @returns {Array<Object>} { username, role, updatedAt }
+   */
+  listUsers() {
+    return Object.entries(this.users)
+      .map(([username, user]) => ({ username, role: user.role, updatedAt: user.updatedAt || null }))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  /**
+   * Lists API tokens without their hashes
+   * @returns {Array<Object>} { id, name, role, createdAt }
+   */
+  listTokens() {
+    return Object.entries(this.tokens)
+      .map(([id, token]) => ({ id, name: token.name, role: token.role, createdAt: token.createdAt || null }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Creates or replaces a user and saves the file
+   * @param {string} username - Username (letters, digits, '.', '_', '-', '@')
+   * @param {string} password - Password of at least 8 characters
+   * @param {string} role - 'viewer' or 'admin'
+   * @returns {Promise<void>}
+   * @throws {Error} If the username, password or role is invalid
+   */
+  async setUser(username, password, role) {
+    if (!/^[\w.@-]{1,64}$/.test(username || '')) {
+      throw new Error('Username must be 1-64 letters, digits or . _ - @');
+    }
+    checkRole(role);
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    this.users = { ...this.users, [username]: { role, passwordHash: await hashPassword(password), updatedAt: Date.now() } };
+    await this._save();
+  }
+
+  /**
+   * Removes a user and saves the file
+   * @param {string} username - Username
+   * @returns {Promise<boolean>} True if the user existed
+   */
+  async removeUser(username) {
+    if (!this.users[username]) {
+      return false;
+    }
+    const { [username]: removed, ...rest } = this.users;
+    this.users = rest;
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Creates an API token and saves the file
+   * @param {string} name - What the token is for, e.g. 'grafana'
+   * @param {string} role - 'viewer' or 'admin'
+   * @returns {Promise<Object>} { id, token } - the token is not stored and cannot be shown again
+   * @throws {Error} If the name or role is invalid
+   */
+  async createToken(name, role) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      throw new Error('Token name must be a string of 1-100 characters');
+    }
+    checkRole(role);
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    this.tokens = { ...this.tokens, [id]: { name: name.trim(), role, hash: sha256(secret), createdAt: Date.now() } };
+    await this._save();
+    return { id, token: `${TOKEN_PREFIX}_${id}_${secret}` };
+  }
+
+  /**
+   * Revokes an API token and saves the file
+   * @param {string} id - Token ID
+   * @returns {Promise<boolean>} True if the token existed
+   */
+  async revokeToken(id) {
+    if (!this.tokens[id]) {
+      return false;
+    }
+    const { [id]: removed, ...rest } = this.tokens;
+    this.tokens = rest;
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Looks up a bearer token ('bjs_<id>_<secret>') and compares its hash in constant time
+   * @param {string} token - Token from the Authorization header
+   * @returns {Object|null} Caller, or null if the token is unknown
+   * @private
+   */
+  _verifyToken(token) {
+    const match = /^([a-z]+)_([0-9a-f]+)_(.+)$/.exec(token);
+    const stored = match && match[1] === TOKEN_PREFIX && Object.hasOwn(this.tokens, match[2]) ? this.tokens[match[2]] : null;
+    if (!stored) {
+      return null;
+    }
+    const expected = Buffer.from(stored.hash, 'hex');
+    const actual = Buffer.from(sha256(match[3]), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return { username: `token:${stored.name}`, role: stored.role, via: 'token', tokenId: match[2] };
+  }
+
+  /**
+   * Drops expired sessions
+   * @private
+   */
+  _pruneSessions() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Writes the file atomically (temp file + rename) with owner-only permissions
+   * @returns {Promise<void>}
+   * @private
+   */
+  _save() {
+    const save = this.saving.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify({ users: this.users, tokens: this.tokens }, null, 2) + '\n', { mode: 0o600 });
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    this.saving = save;
+    return save;
+  }
+}
+
+// Hash a password as 'scrypt:<salt hex>:<hash hex>'
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+// Check a password against a stored 'scrypt:<salt>:<hash>' value
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Compared against when the username is unknown; no password matches it
+const DUMMY_HASH = `scrypt:${'00'.repeat(16)}:${'00'.repeat(KEY_LENGTH)}`;
+
+// Throw unless the role is one of ROLES
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+// Hex SHA-256 of a token secret; secrets are random, so no salt or slow hash is needed
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Parse a Cookie header into name -> value
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        // Ignore cookies set by other apps on the same host that are not URI-encoded
+      }
+    }
+  });
+  return cookies;
+}
+
+DashboardAuth.ROLES = ROLES;
+DashboardAuth.SESSION_COOKIE = SESSION_COOKIE;
+
+module.exports = DashboardAuth;
@@ -0,0 +1,355 @@
+/**
+ * Floor Plan Store
+ * Floor-plan images per site and the gateways pinned on them, edited from the dashboard.
+ * Plans and pins are kept in a JSON file, images next to it in imageDir:
+ *   {
+ *     "plans": { "<planId>": { "name": "HQ floor 2", "building": "A", "floor": 2, "widthMeters": 40, "heightMeters": 25,
+ *                              "imageFile": "<planId>.png", "imageType": "image/png" } },
+ *     "pins": { "<gatewayId>": { "planId": "<planId>", "x": 12.5, "y": 4 } }
+ *   }
+ *
+ * Plan coordinates are meters from the image's top-left corner (x right, y down). A pinned
+ * gateway is placed at the pin for positioning, instead of the coordinates in its GATEWAY_LOCATION.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_TEXT_LENGTH = 100;
+const MAX_PLAN_METERS = 10000;
+const PLAN_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// Accepted image types and the extension they are saved with
+const IMAGE_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/webp': '.webp'
+};
+
+class FloorPlanStore {
+  /**
+   * Creates a new FloorPlanStore instance and loads the file if it exists
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Plans and pins JSON file
+   * @param {string} options.imageDir - Directory for plan images (default: 'floor-plans' next to filePath)
+   * @throws {Error} If the file exists but cannot be parsed
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.imageDir = options.imageDir || path.join(path.dirname(this.filePath), 'floor-plans');
+    this.plans = {};
+    this.pins = {};
+    this.watching = false;
+    this.saving = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * (Re)loads the file; a missing file has no plans
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  load() {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.plans = {};
+        this.pins = {};
+        return;
+      }
+      throw new Error(`Failed to load floor plans from '${this.filePath}': ${error.message}`);
+    }
+
+    this.plans = parsed?.plans || {};
+    this.pins = parsed?.pins || {};
+    console.log(`[FloorPlanStore] Loaded ${Object.keys(this.plans).length} floor plan(s), ${Object.keys(this.pins).length} pinned gateway(s)`);
+  }
+
+  /**
+   * Reloads the file whenever it changes on disk
+   * A file that fails to parse is logged and the previous plans are kept
+   * @param {number} intervalMs - Polling interval (default: 5000)
+   */
+  watch(intervalMs = 5000) {
+    if (this.watching) {
+      return;
+    }
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: intervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) {
+        return;
+      }
+      try {
+        this.load();
+      } catch (error) {
+        console.error(`[FloorPlanStore] ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Stops watching the file
+   */
+  unwatch() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Lists floor plans, sorted by name
+   * @returns {Array<Object>} Plans with their planId and hasImage
+   */
+  listPlans() {
+    return Object.keys(this.plans)
+      .map(planId => this.getPlan(planId))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Gets a floor plan
+   * @param {string} planId - Plan ID
+   * @returns {Object|null} { planId, name, building, floor, widthMeters, heightMeters, hasImage, updatedAt } or null
+   */
+  getPlan(planId) {
+    const plan = Object.hasOwn(this.plans, planId) ? this.plans[planId] : null;
+    if (!plan) {
+      return null;
+    }
+    return {
+      planId,
+      name: plan.name || planId,
+      building: plan.building ?? null,
+      floor: plan.floor ?? null,
+      widthMeters: plan.widthMeters,
+      heightMeters: plan.heightMeters,
+      hasImage: Boolean(plan.imageFile),
+      updatedAt: plan.updatedAt || null
+    };
+  }
+
+  /**
+   * Creates or updates a floor plan's details and saves the file; an uploaded image is kept
+   * @param {string} planId - Plan ID (lowercase letters, digits and '-')
+   * @param {Object} fields - { name, building, floor, widthMeters, heightMeters }; name and both sizes are required
+   * @returns {Promise<Object>} Saved plan
+   * @throws {Error} With code 'ERR_INVALID_FLOOR_PLAN' if the fields are invalid
+   */
+  async upsertPlan(planId, fields) {
+    const plan = this._validatePlan(planId, fields);
+    const existing = Object.hasOwn(this.plans, planId) ? this.plans[planId] : {};
+    this.plans = {
+      ...this.plans,
+      [planId]: { ...plan, imageFile: existing.imageFile || null, imageType: existing.imageType || null, updatedAt: Date.now() }
+    };
+    await this._save();
+    return this.getPlan(planId);
+  }
+
+  /**
+   * Removes a floor plan, its image and the pins on it
+   * @param {string} planId - Plan ID
+   * @returns {Promise<boolean>} True if the plan existed
+   */
+  async removePlan(planId) {
+    if (!Object.hasOwn(this.plans, planId)) {
+      return false;
+    }
+    const { [planId]: removed, ...rest } = this.plans;
+    this.plans = rest;
+    this.pins = Object.fromEntries(Object.entries(this.pins).filter(([, pin]) => pin.planId !== planId));
+    await this._save();
+    if (removed.imageFile) {
+      await fs.promises.rm(path.join(this.imageDir, removed.imageFile), { force: true });
+    }
+    return true;
+  }
+
+  /**
+   * Stores a floor plan's image, replacing any previous one
+   * @param {string} planId - Plan ID of an existing plan
+   * @param {Buffer} data - Image bytes
+   * @param {string} contentType - 'image/png', 'image/jpeg' or 'image/webp'
+   * @returns {Promise<Object>} Updated plan
+   * @throws {Error} With code 'ERR_INVALID_FLOOR_PLAN' if the plan does not exist or the type is not accepted
+   */
+  async setImage(planId, data, contentType) {
+    const existing = Object.hasOwn(this.plans, planId) ? this.plans[planId] : null;
+    if (!existing) {
+      throw invalid(`Floor plan '${planId}' does not exist`);
+    }
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (!IMAGE_TYPES[type]) {
+      throw invalid(`Image must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}`);
+    }
+    if (!data || data.length === 0) {
+      throw invalid('Image is empty');
+    }
+
+    const imageFile = `${planId}${IMAGE_TYPES[type]}`;
+    await fs.promises.mkdir(this.imageDir, { recursive: true });
+    const tempPath = path.join(this.imageDir, `${imageFile}.${process.pid}.tmp`);
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, path.join(this.imageDir, imageFile));
+    if (existing.imageFile && existing.imageFile !== imageFile) {
+      await fs.promises.rm(path.join(this.imageDir, existing.imageFile), { force: true });
+    }
+
+    this.plans = { ...this.plans, [planId]: { ...existing, imageFile, imageType: type, updatedAt: Date.now() } };
+    await this._save();
+    return this.getPlan(planId);
+  }
+
+  /**
+   * Gets where a floor plan's image is stored
+   * @param {string} planId - Plan ID
+   * @returns {Object|null} { filePath, contentType }, or null if the plan has no image
+   */
+  getImage(planId) {
+    const plan = Object.hasOwn(this.plans, planId) ? this.plans[planId] : null;
+    if (!plan?.imageFile) {
+      return null;
+    }
+    return { filePath: path.join(this.imageDir, plan.imageFile), contentType: plan.imageType };
+  }
+
+  /**
+   * Lists pinned gateways
+   * @returns {Array<Object>} { gatewayId, planId, x, y, updatedAt }
+   */
+  listPins() {
+    return Object.entries(this.pins).map(([gatewayId, pin]) => ({ gatewayId, ...pin }));
+  }
+
+  /**
+   * Pins a gateway to a point on a floor plan and saves the file
+   * @param {string} gatewayId - Gateway ID
+   * @param {Object} fields - { planId, x, y } with x/y in meters inside the plan
+   * @returns {Promise<Object>} Saved pin
+   * @throws {Error} With code 'ERR_INVALID_FLOOR_PLAN' if the plan does not exist or the point is outside it
+   */
+  async pin(gatewayId, fields) {
+    if (!gatewayId || gatewayId.length > 200) {
+      throw invalid('A gatewayId of at most 200 characters is required');
+    }
+    const plan = this.getPlan(fields?.planId);
+    if (!plan) {
+      throw invalid(`Floor plan '${fields?.planId}' does not exist`);
+    }
+    const inRange = (value, max) => typeof value === 'number' && value >= 0 && value <= max;
+    if (!inRange(fields.x, plan.widthMeters) || !inRange(fields.y, plan.heightMeters)) {
+      throw invalid(`\`x\` and \`y\` must be meters within the plan (${plan.widthMeters} x ${plan.heightMeters})`);
+    }
+
+    const pin = { planId: plan.planId, x: fields.x, y: fields.y, updatedAt: Date.now() };
+    this.pins = { ...this.pins, [gatewayId]: pin };
+    await this._save();
+    return { gatewayId, ...pin };
+  }
+
+  /**
+   * Removes a gateway's pin and saves the file
+   * @param {string} gatewayId - Gateway ID
+   * @returns {Promise<boolean>} True if the gateway was pinned
+   */
+  async unpin(gatewayId) {
+    if (!Object.hasOwn(this.pins, gatewayId)) {
+      return false;
+    }
+    const { [gatewayId]: removed, ...rest } = this.pins;
+    this.pins = rest;
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Applies a gateway's pin to its location, for positioning
+   * The plan's building and floor replace the location's, so gateways pinned on one plan are positioned together
+   * @param {string} gatewayId - Gateway ID
+   * @param {Object|string|null} location - Gateway location from its records
+   * @returns {Object|string|null} Location with the pin's x/y, or the location unchanged if the gateway is not pinned
+   */
+  applyPin(gatewayId, location) {
+    const pin = Object.hasOwn(this.pins, gatewayId) ? this.pins[gatewayId] : null;
+    const plan = pin && this.getPlan(pin.planId);
+    if (!plan) {
+      return location;
+    }
+    const fields = location && typeof location === 'object' ? location : { description: location || undefined };
+    return { ...fields, building: plan.building, floor: plan.floor, x: pin.x, y: pin.y, planId: plan.planId };
+  }
+
+  /**
+   * Checks and normalizes plan fields
+   * @param {string} planId - Plan ID
+   * @param {Object} fields - Submitted fields
+   * @returns {Object} { name, building, floor, widthMeters, heightMeters }
+   * @throws {Error} With code 'ERR_INVALID_FLOOR_PLAN' if a field is invalid
+   * @private
+   */
+  _validatePlan(planId, fields) {
+    if (!PLAN_ID_PATTERN.test(planId || '')) {
+      throw invalid('Plan ID must be 1-64 lowercase letters, digits or -');
+    }
+    if (!fields || typeof fields !== 'object') {
+      throw invalid('Floor plan must be a JSON object');
+    }
+    const text = (name, value, required) => {
+      if (value === undefined || value === null || value === '') {
+        if (required) throw invalid(`\`${name}\` is required`);
+        return null;
+      }
+      if ((typeof value !== 'string' && typeof value !== 'number') || String(value).trim().length > MAX_TEXT_LENGTH) {
+        throw invalid(`\`${name}\` must be at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return typeof value === 'number' ? value : value.trim() || null;
+    };
+    const size = (name, value) => {
+      if (typeof value !== 'number' || !(value > 0) || value > MAX_PLAN_METERS) {
+        throw invalid(`\`${name}\` must be a number of meters between 0 and ${MAX_PLAN_METERS}`);
+      }
+      return value;
+    };
+
+    const name = text('name', fields.name, true);
+    if (!name) {
+      throw invalid('`name` is required');
+    }
+    return {
+      name: String(name),
+      building: text('building', fields.building, false),
+      floor: text('floor', fields.floor, false),
+      widthMeters: size('widthMeters', fields.widthMeters),
+      heightMeters: size('heightMeters', fields.heightMeters)
+    };
+  }
+
+  /**
+   * Writes the file atomically (temp file + rename)
+   * @returns {Promise<void>}
+   * @private
+   */
+  _save() {
+    const save = this.saving.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify({ plans: this.plans, pins: this.pins }, null, 2) + '\n');
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    this.saving = save;
+    return save;
+  }
+}
+
+// Validation error the dashboard answers with 400
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'ERR_INVALID_FLOOR_PLAN';
+  return error;
+}
+
+FloorPlanStore.IMAGE_TYPES = IMAGE_TYPES;
+
+module.exports = FloorPlanStore;
@@ -0,0 +1,123 @@
+/**
+ * Gateway Heartbeat
+ * Emits a 'heartbeat' event with this gateway's health every intervalMs, so the fleet view
+ * can tell a gateway that hears no beacons from one that has stopped:
+ *   uptime, advertisement and report rates over the last interval, offline queue size and
+ *   dropped records, storage status, CPU temperature and load, software and Node.js version
+ *
+ * The scanner stores each heartbeat as a 'heartbeat' record next to its sightings.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const { version: softwareVersion } = require('../package.json');
+
+// Raspberry Pi OS (and most Linux boards) report the SoC temperature here, in millidegrees
+const DEFAULT_TEMPERATURE_FILE = '/sys/class/thermal/thermal_zone0/temp';
+
+class GatewayHeartbeat extends EventEmitter {
+  /**
+   * Creates a new GatewayHeartbeat instance
+   * @param {Object} options - Heartbeat options
+   * @param {number} options.intervalMs - Time between heartbeats (default: 60000)
+   * @param {Object} options.storage - BeaconStorage, for buffer size, dropped records and status
+   * @param {string} options.temperatureFile - File holding the CPU temperature in millidegrees C (optional)
+   */
+  constructor(options) {
+    super();
+    this.intervalMs = options.intervalMs || 60000;
+    this.storage = options.storage;
+    this.temperatureFile = options.temperatureFile || DEFAULT_TEMPERATURE_FILE;
+    this.timer = null;
+    this.counts = { advertisements: 0, accepted: 0, reported: 0 };
+    this.countsSince = Date.now();
+  }
+
+  /**
+   * Counts an advertisement from the scanner
+   * @param {boolean} accepted - Whether the advertisement filter let it through
+   */
+  countAdvertisement(accepted) {
+    this.counts.advertisements++;
+    if (accepted) {
+      this.counts.accepted++;
+    }
+  }
+
+  /**
+   * Counts a sighting the reporting policy sent to storage
+   */
+  countReport() {
+    this.counts.reported++;
+  }
+
+  /**
+   * Emits a heartbeat now and then every intervalMs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.beat();
+    this.timer = setInterval(() => this.beat(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stops emitting heartbeats
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Collects the gateway's health, emits it as a 'heartbeat' event and starts a new counting interval
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {Object} Heartbeat
+   */
+  beat(now = Date.now()) {
+    const seconds = Math.max((now - this.countsSince) / 1000, 1);
+    const rate = count => Math.round((count / seconds) * 100) / 100;
+
+    const heartbeat = {
+      timestamp: now,
+      intervalSeconds: this.intervalMs / 1000,
+      uptimeSeconds: Math.floor(process.uptime()),
+      advertisementsPerSecond: rate(this.counts.advertisements),
+      acceptedPerSecond: rate(this.counts.accepted),
+      reportedPerSecond: rate(this.counts.reported),
+      bufferSize: this.storage.getBufferSize(),
+      droppedRecordCount: this.storage.droppedRecordCount,
+      storageStatus: this.storage.getStatus().status,
+      cpuTemperature: this._readTemperature(),
+      loadAverage: Math.round(os.loadavg()[0] * 100) / 100,
+      softwareVersion,
+      nodeVersion: process.version
+    };
+
+    this.counts = { advertisements: 0, accepted: 0, reported: 0 };
+    this.countsSince = now;
+    this.emit('heartbeat', heartbeat);
+    return heartbeat;
+  }
+
+  /**
+   * Reads the CPU temperature
+   * @returns {number|null} Degrees Celsius (one decimal), or null where the file does not exist
+   * @private
+   */
+  _readTemperature() {
+    try {
+      const milliDegrees = parseInt(fs.readFileSync(this.temperatureFile, 'utf8'), 10);
+      return Number.isNaN(milliDegrees) ? null : Math.round(milliDegrees / 100) / 10;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = GatewayHeartbeat;
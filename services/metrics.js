@@ -0,0 +1,171 @@
+/**
+ * Prometheus Metrics
+ * One registry per process. The scanner serves it with startMetricsServer() on METRICS_PORT;
+ * the dashboard server serves it at /metrics next to its API. Services update the metrics
+ * below directly, so both processes report the storage metrics of the adapter they use.
+ *
+ * Values that already exist as counters elsewhere (offline queue depth and drops) are read
+ * when Prometheus scrapes, from the sources registered with trackStorage().
+ */
+
+const http = require('http');
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// BeaconStorage instance read at scrape time (scanner only)
+let storage = null;
+
+const metrics = {
+  advertisementsReceived: new client.Counter({
+    name: 'beaconjs_advertisements_received_total',
+    help: 'Advertisements received from the BLE scanner',
+    registers: [register]
+  }),
+  advertisementsFiltered: new client.Counter({
+    name: 'beaconjs_advertisements_filtered_total',
+    help: 'Advertisements dropped by the advertisement filter',
+    registers: [register]
+  }),
+  recordsStored: new client.Counter({
+    name: 'beaconjs_records_stored_total',
+    help: 'Records written to the storage backend',
+    labelNames: ['record_type'],
+    registers: [register]
+  }),
+  recordsBuffered: new client.Counter({
+    name: 'beaconjs_records_buffered_total',
+    help: 'Records that failed to write and were added to the offline queue',
+    labelNames: ['record_type'],
+    registers: [register]
+  }),
+  bufferDepth: new client.Gauge({
+    name: 'beaconjs_buffer_depth',
+    help: 'Records waiting in the offline queue',
+    registers: [register],
+    collect() {
+      if (storage) {
+        this.set(storage.getBufferSize());
+      }
+    }
+  }),
+  bufferDropped: new client.Counter({
+    name: 'beaconjs_buffer_dropped_records_total',
+    help: 'Records dropped from the offline queue since startup',
+    labelNames: ['reason'],
+    registers: [register],
+    collect() {
+      if (storage) {
+        const { droppedOverflow, droppedExpired } = storage.getBufferMetrics();
+        this.reset();
+        this.inc({ reason: 'overflow' }, droppedOverflow);
+        this.inc({ reason: 'expired' }, droppedExpired);
+      }
+    }
+  }),
+  dynamodbRequestDuration: new client.Histogram({
+    name: 'beaconjs_dynamodb_request_duration_seconds',
+    help: 'DynamoDB request latency',
+    labelNames: ['operation', 'outcome'],
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+  }),
+  dynamodbRetries: new client.Counter({
+    name: 'beaconjs_dynamodb_retries_total',
+    help: 'DynamoDB requests retried after a retryable error',
+    labelNames: ['reason'],
+    registers: [register]
+  }),
+  dynamodbUnprocessedRetries: new client.Counter({
+    name: 'beaconjs_dynamodb_unprocessed_retries_total',
+    help: 'BatchWriteItem resubmissions of unprocessed items',
+    registers: [register]
+  }),
+  httpRequests: new client.Counter({
+    name: 'beaconjs_http_requests_total',
+    help: 'Dashboard server requests by route, method and status code',
+    labelNames: ['route', 'method', 'status'],
+    registers: [register]
+  }),
+  streamClients: new client.Gauge({
+    name: 'beaconjs_stream_clients',
+    help: 'Browsers connected to the live beacon stream',
+    registers: [register]
+  })
+};
+
+/**
+ * Reads offline queue depth and drops from a BeaconStorage instance when metrics are scraped
+ * @param {BeaconStorage} beaconStorage - Scanner storage service
+ */
+function trackStorage(beaconStorage) {
+  storage = beaconStorage;
+}
+
+/**
+ * Times an async DynamoDB request into beaconjs_dynamodb_request_duration_seconds
+ * @param {string} operation - DynamoDB operation, e.g. 'Query' or 'BatchWriteItem'
+ * @param {Function} request - Async function sending the request
+ * @returns {Promise<*>} The request's result
+ */
+async function timeDynamoDB(operation, request) {
+  const end = metrics.dynamodbRequestDuration.startTimer({ operation });
+  try {
+    const result = await request();
+    end({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    throw error;
+  }
+}
+
+/**
+ * Writes the registry in Prometheus text format
+ * @param {http.ServerResponse} res - Response
+ * @returns {Promise<void>}
+ */
+async function sendMetrics(res) {
+  try {
+    const body = await register.metrics();
+    res.writeHead(200, { 'Content-Type': register.contentType });
+    res.end(body);
+  } catch (error) {
+    console.error(`[Metrics] Failed to collect metrics: ${error.message}`);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Failed to collect metrics');
+  }
+}
+
+/**
+ * Starts an HTTP server that only serves GET /metrics (used by the scanner, which has no other server)
+ * @param {number} port - Port to listen on
+ * @returns {http.Server} The server; close() it on shutdown
+ */
+function startMetricsServer(port) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      sendMetrics(res);
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+  });
+  server.on('error', error => {
+    console.error(`[Metrics] Metrics server error: ${error.message}`);
+  });
+  server.listen(port, () => {
+    console.log(`[Metrics] Serving Prometheus metrics at http://localhost:${port}/metrics`);
+  });
+  return server;
+}
+
+module.exports = {
+  register,
+  metrics,
+  trackStorage,
+  timeDynamoDB,
+  sendMetrics,
+  startMetricsServer
+};
@@ -0,0 +1,175 @@
+/**
+ * MQTT Publisher
+ * Publishes accepted beacon records to an MQTT broker in real time
+ * - Topic per record from a template, e.g. beacons/{gatewayId}/{beaconKey}
+ * - Optional retained "last seen" message per beacon
+ * - Gateway status topic with a Last Will announcing the gateway going offline
+ */
+
+const mqtt = require('mqtt');
+
+class MqttPublisher {
+  /**
+   * Creates a new MqttPublisher instance
+   * @param {Object} config - MQTT configuration
+   * @param {string} config.mqttUrl - Broker URL (e.g. mqtt://localhost:1883)
+   * @param {string} config.mqttUsername - Broker username (optional)
+   * @param {string} config.mqttPassword - Broker password (optional)
+   * @param {string} config.mqttTopicTemplate - Record topic template (default: beacons/{gatewayId}/{beaconKey})
+   * @param {string} config.mqttStatusTopic - Gateway status topic template (default: beacons/{gatewayId}/status)
+   * @param {number} config.mqttQos - QoS level 0, 1 or 2 (default: 0)
+   * @param {boolean} config.mqttRetainLastSeen - Publish records as retained "last seen" messages (default: true)
+   * @param {string} config.gatewayId - Gateway identifier used in topics
+   */
+  constructor(config) {
+    this.url = config.mqttUrl;
+    this.username = config.mqttUsername;
+    this.password = config.mqttPassword;
+    this.topicTemplate = config.mqttTopicTemplate || 'beacons/{gatewayId}/{beaconKey}';
+    this.qos = [0, 1, 2].includes(config.mqttQos) ? config.mqttQos : 0;
+    this.retainLastSeen = config.mqttRetainLastSeen !== false;
+    this.gatewayId = config.gatewayId;
+    this.statusTopic = this._renderTopic(config.mqttStatusTopic || 'beacons/{gatewayId}/status', {
+      gatewayId: this.gatewayId
+    });
+
+    this.client = null;
+    this.publishedCount = 0;
+    this.failedCount = 0;
+  }
+
+  /**
+   * Connects to the broker and announces the gateway as online
+   * The broker publishes the Last Will ("offline") if the gateway disconnects unexpectedly.
+   * Resolves once connected or after connectTimeoutMs; the client keeps retrying in the
+   * background so a broker that is down at startup does not stop the scanner
+   * @param {number} connectTimeoutMs - How long to wait for the first connection (default: 5000)
+   * @returns {Promise<boolean>} True if connected before the timeout
+   */
+  async connect(connectTimeoutMs = 5000) {
+    console.log(`[MqttPublisher] Connecting to MQTT broker: ${this.url}`);
+
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      clientId: `beaconjs-${this.gatewayId}-${Math.random().toString(16).slice(2, 8)}`,
+      // QoS 0 sightings are real-time only; don't pile them up while disconnected
+      queueQoSZero: false,
+      will: {
+        topic: this.statusTopic,
+        payload: this._statusPayload('offline'),
+        qos: 1,
+        retain: true
+      }
+    });
+
+    this.client.on('connect', () => {
+      console.log(`[MqttPublisher] Connected - announcing gateway online on ${this.statusTopic}`);
+      this.client.publish(this.statusTopic, this._statusPayload('online'), { qos: 1, retain: true });
+    });
+    this.client.on('reconnect', () => {
+      console.warn('[MqttPublisher] Reconnecting to MQTT broker...');
+    });
+    this.client.on('error', error => {
+      console.error(`[MqttPublisher] MQTT error: ${error.message}`);
+    });
+
+    const connected = await new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.client.off('connect', onConnect);
+        resolve(false);
+      }, connectTimeoutMs);
+      const onConnect = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+      this.client.once('connect', onConnect);
+    });
+
+    if (!connected) {
+      console.warn(`[MqttPublisher] Broker not reachable after ${connectTimeoutMs}ms - messages will be queued until it connects`);
+    }
+    return connected;
+  }
+
+  /**
+   * Publishes a beacon record (same shape as BeaconStorage.buildRecord)
+   * While disconnected, QoS 1/2 messages are queued by the client and QoS 0 messages are dropped
+   * @param {Object} record - Beacon record
+   * @returns {Promise<boolean>} True if the broker accepted the message
+   */
+  async publishRecord(record) {
+    if (!this.client) {
+      return false;
+    }
+
+    const topic = this._renderTopic(this.topicTemplate, record);
+    try {
+      await this.client.publishAsync(topic, JSON.stringify(record), {
+        qos: this.qos,
+        retain: this.retainLastSeen
+      });
+      this.publishedCount++;
+      return true;
+    } catch (error) {
+      this.failedCount++;
+      console.error(`[MqttPublisher] Failed to publish to ${topic}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Announces the gateway as offline and disconnects cleanly
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.client) {
+      return;
+    }
+
+    if (this.client.connected) {
+      try {
+        await this.client.publishAsync(this.statusTopic, this._statusPayload('offline'), { qos: 1, retain: true });
+      } catch (error) {
+        console.error(`[MqttPublisher] Failed to publish offline status: ${error.message}`);
+      }
+    }
+    await this.client.endAsync(!this.client.connected);
+    this.client = null;
+    console.log(`[MqttPublisher] Disconnected - Published: ${this.publishedCount}, Failed: ${this.failedCount}`);
+  }
+
+  /**
+   * Fills {placeholders} in a topic template from record fields
+   * MQTT wildcard and separator characters in values are replaced with '_'
+   * @param {string} template - Topic template
+   * @param {Object} values - Values for placeholders
+   * @returns {string} Topic
+   * @private
+   */
+  _renderTopic(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, field) => {
+      const value = values[field];
+      if (value === undefined || value === null) {
+        return 'unknown';
+      }
+      return String(value).replace(/[+#/]/g, '_');
+    });
+  }
+
+  /**
+   * Builds the gateway status message
+   * @param {string} state - 'online' or 'offline'
+   * @returns {string} JSON payload
+   * @private
+   */
+  _statusPayload(state) {
+    return JSON.stringify({
+      gatewayId: this.gatewayId,
+      status: state,
+      timestamp: Date.now()
+    });
+  }
+}
+
+module.exports = MqttPublisher;
@@ -0,0 +1,255 @@
+/**
+ * Offline Queue
+ * Durable, append-only on-disk queue for beacon records that could not be
+ * written to DynamoDB. Survives process crashes and gateway reboots.
+ *
+ * Journal format (one JSON object per line):
+ *   {"op":"add","record":{...}}   - record queued
+ *   {"op":"ack","id":"<recordId>"} - record delivered or dropped
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_FILE = 'queue.jsonl';
+
+class OfflineQueue {
+  /**
+   * Creates a new OfflineQueue instance
+   * @param {Object} options - Queue options
+   * @param {string} options.dir - Directory holding the journal file
+   * @param {number} options.maxRecords - Maximum queued records before oldest are dropped (default: 10000)
+   * @param {number} options.maxAgeMs - Maximum record age before it is dropped (default: 7 days)
+   * @param {number} options.compactThreshold - Acknowledged entries tolerated before compaction (default: 1000)
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.journalPath = path.join(this.dir, JOURNAL_FILE);
+    this.maxRecords = options.maxRecords || 10000;
+    this.maxAgeMs = options.maxAgeMs || 7 * 24 * 60 * 60 * 1000;
+    this.compactThreshold = options.compactThreshold || 1000;
+
+    this.records = [];
+    this.fd = null;
+    this.staleEntries = 0;
+
+    this.metrics = {
+      queued: 0,
+      replayed: 0,
+      delivered: 0,
+      droppedOverflow: 0,
+      droppedExpired: 0
+    };
+  }
+
+  /**
+   * Opens the journal and replays any records left over from a previous run
+   * Tolerates a truncated final line caused by a crash mid-write
+   * @returns {number} Number of records replayed from disk
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const pending = new Map();
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+      let corrupt = 0;
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          corrupt++;
+          continue;
+        }
+        if (entry.op === 'add' && entry.record) {
+          pending.set(entry.record.recordId, entry.record);
+        } else if (entry.op === 'ack') {
+          pending.delete(entry.id);
+        }
+      }
+
+      if (corrupt > 0) {
+        console.warn(`[OfflineQueue] Skipped ${corrupt} corrupt journal line(s)`);
+      }
+    }
+
+    // Apply the age and size limits before rewriting the journal, oldest records dropped first,
+    // so a journal written with a larger BEACON_QUEUE_MAX_RECORDS cannot exceed the current cap
+    const cutoff = Date.now() - this.maxAgeMs;
+    const live = Array.from(pending.values())
+      .filter(record => record.timestamp >= cutoff)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const expired = pending.size - live.length;
+    const overflow = Math.max(0, live.length - this.maxRecords);
+    this.records = live.slice(overflow);
+    this.metrics.droppedExpired += expired;
+    this.metrics.droppedOverflow += overflow;
+    this.metrics.replayed = this.records.length;
+
+    if (expired > 0) {
+      console.warn(`[OfflineQueue] Dropped ${expired} expired record(s) from the journal`);
+    }
+    if (overflow > 0) {
+      console.warn(`[OfflineQueue] Dropped ${overflow} oldest record(s) from the journal (limit ${this.maxRecords})`);
+    }
+
+    // Rewrite the journal so it only holds live records, then append from there
+    this._compact();
+
+    console.log(`[OfflineQueue] Journal opened: ${this.journalPath}`);
+    console.log(`[OfflineQueue] Replayed ${this.metrics.replayed} pending record(s) from disk`);
+    return this.metrics.replayed;
+  }
+
+  /**
+   * Appends a record to the queue, dropping the oldest record on overflow
+   * @param {Object} record - Beacon record to queue
+   * @returns {Object|null} Dropped record if the queue overflowed, otherwise null
+   */
+  enqueue(record) {
+    this._pruneExpired();
+
+    let dropped = null;
+    if (this.records.length >= this.maxRecords) {
+      dropped = this.records.shift();
+      this._append({ op: 'ack', id: dropped.recordId });
+      this.metrics.droppedOverflow++;
+    }
+
+    this.records.push(record);
+    this._append({ op: 'add', record });
+    this.metrics.queued++;
+    this._compactIfStale();
+    return dropped;
+  }
+
+  /**
+   * Returns a snapshot of queued records in chronological order
+   * @returns {Array<Object>} Queued records
+   */
+  peekAll() {
+    this._pruneExpired();
+    return [...this.records];
+  }
+
+  /**
+   * Removes a delivered record from the queue
+   * @param {string} recordId - ID of the record to acknowledge
+   * @returns {boolean} True if the record was queued
+   */
+  ack(recordId) {
+    const index = this.records.findIndex(r => r.recordId === recordId);
+    if (index === -1) {
+      return false;
+    }
+
+    this.records.splice(index, 1);
+    this._append({ op: 'ack', id: recordId });
+    this.metrics.delivered++;
+    this._compactIfStale();
+    return true;
+  }
+
+  /**
+   * Gets the number of queued records
+   * @returns {number} Queue length
+   */
+  size() {
+    return this.records.length;
+  }
+
+  /**
+   * Gets queue counters
+   * @returns {Object} Queued/replayed/delivered/dropped counters and current depth
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      dropped: this.metrics.droppedOverflow + this.metrics.droppedExpired,
+      depth: this.records.length,
+      maxRecords: this.maxRecords
+    };
+  }
+
+  /**
+   * Compacts the journal and releases the file handle
+   */
+  close() {
+    if (this.fd === null) return;
+    this._compact();
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  /**
+   * Drops records older than maxAgeMs
+   * @private
+   */
+  _pruneExpired() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    while (this.records.length > 0 && this.records[0].timestamp < cutoff) {
+      const expired = this.records.shift();
+      this._append({ op: 'ack', id: expired.recordId });
+      this.metrics.droppedExpired++;
+      console.warn(`[OfflineQueue] Dropped expired record: ${expired.recordId} (${expired.detectedAt})`);
+    }
+    this._compactIfStale();
+  }
+
+  /**
+   * Writes a journal entry and syncs it to disk
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  _append(entry) {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.journalPath, 'a');
+    }
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+    fs.fsyncSync(this.fd);
+
+    if (entry.op === 'ack') {
+      // Each ack leaves behind its own line plus the matching add line
+      this.staleEntries += 2;
+    }
+  }
+
+  /**
+   * Compacts the journal once acks, expiries and overflow drops left compactThreshold stale entries
+   * @private
+   */
+  _compactIfStale() {
+    if (this.staleEntries >= this.compactThreshold) {
+      this._compact();
+    }
+  }
+
+  /**
+   * Rewrites the journal with only the live records
+   * Writes to a temporary file and renames it so a crash never leaves a partial journal
+   * @private
+   */
+  _compact() {
+    const tmpPath = `${this.journalPath}.tmp`;
+    const contents = this.records
+      .map(record => JSON.stringify({ op: 'add', record }) + '\n')
+      .join('');
+
+    const tmpFd = fs.openSync(tmpPath, 'w');
+    fs.writeSync(tmpFd, contents);
+    fs.fsyncSync(tmpFd);
+    fs.closeSync(tmpFd);
+
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+    fs.renameSync(tmpPath, this.journalPath);
+    this.fd = fs.openSync(this.journalPath, 'a');
+    this.staleEntries = 0;
+  }
+}
+
+module.exports = OfflineQueue;
@@ -0,0 +1,139 @@
+/**
+ * Presence Tracker
+ * Turns the stream of sightings into per-beacon presence events for this gateway's zone:
+ * - enter: smoothed RSSI rose to enterRssi or above while the beacon was absent
+ * - dwell: beacon still present, emitted every dwellIntervalMs with the time spent so far
+ * - exit:  no sighting at exitRssi or above for exitTimeoutMs
+ *
+ * enterRssi is stricter than exitRssi (hysteresis), so a beacon hovering at the
+ * zone edge doesn't flap between enter and exit.
+ */
+
+const { EventEmitter } = require('events');
+
+class PresenceTracker extends EventEmitter {
+  /**
+   * Creates a new PresenceTracker instance
+   * @param {Object} options - Presence options
+   * @param {number} options.enterRssi - Minimum RSSI (dBm) to count as entering (default: -80)
+   * @param {number} options.exitRssi - Minimum RSSI (dBm) to count as still present (default: -90)
+   * @param {number} options.exitTimeoutMs - Absence before an exit is emitted (default: 30000)
+   * @param {number} options.dwellIntervalMs - Interval between dwell events, 0 to disable (default: 300000)
+   * @param {number} options.checkIntervalMs - How often exits and dwells are checked (default: 1000)
+   */
+  constructor(options = {}) {
+    super();
+    this.enterRssi = options.enterRssi ?? -80;
+    this.exitRssi = Math.min(options.exitRssi ?? -90, this.enterRssi);
+    this.exitTimeoutMs = options.exitTimeoutMs ?? 30000;
+    this.dwellIntervalMs = options.dwellIntervalMs ?? 300000;
+    this.checkIntervalMs = options.checkIntervalMs ?? 1000;
+
+    // beaconKey -> { beaconType, enteredAt, lastSeenAt, lastDwellAt, rssi }
+    this.present = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Feeds a sighting (record built by BeaconStorage.buildRecord) into the state machine
+   * @param {Object} record - Beacon record
+   * @param {number} now - Current time in ms (default: record.timestamp)
+   */
+  observe(record, now = record.timestamp) {
+    const rssi = record.smoothedRssi ?? record.rssi;
+    if (typeof rssi !== 'number') {
+      return;
+    }
+
+    const state = this.present.get(record.beaconKey);
+    if (state) {
+      if (rssi >= this.exitRssi) {
+        state.lastSeenAt = now;
+        state.rssi = rssi;
+      }
+      return;
+    }
+
+    if (rssi >= this.enterRssi) {
+      const entered = {
+        beaconType: record.beaconType,
+        enteredAt: now,
+        lastSeenAt: now,
+        lastDwellAt: now,
+        rssi
+      };
+      this.present.set(record.beaconKey, entered);
+      this._emitEvent('enter', record.beaconKey, entered, now);
+    }
+  }
+
+  /**
+   * Emits exit events for beacons past exitTimeoutMs and dwell events for the rest
+   * @param {number} now - Current time in ms (default: Date.now())
+   */
+  check(now = Date.now()) {
+    for (const [beaconKey, state] of this.present) {
+      if (now - state.lastSeenAt >= this.exitTimeoutMs) {
+        this.present.delete(beaconKey);
+        this._emitEvent('exit', beaconKey, state, now);
+      } else if (this.dwellIntervalMs > 0 && now - state.lastDwellAt >= this.dwellIntervalMs) {
+        state.lastDwellAt = now;
+        this._emitEvent('dwell', beaconKey, state, now);
+      }
+    }
+  }
+
+  /**
+   * Starts periodic exit/dwell checks
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stops periodic checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Gets the beacons currently in the zone
+   * @returns {Array<Object>} { beaconKey, beaconType, enteredAt, lastSeenAt, rssi }
+   */
+  getPresent() {
+    return Array.from(this.present, ([beaconKey, state]) => ({ beaconKey, ...state }));
+  }
+
+  /**
+   * Emits a 'presence' event
+   * @param {string} eventType - 'enter', 'exit' or 'dwell'
+   * @param {string} beaconKey - Beacon identifier
+   * @param {Object} state - Presence state of the beacon
+   * @param {number} timestamp - Event time in ms
+   * @private
+   */
+  _emitEvent(eventType, beaconKey, state, timestamp) {
+    // An exit is detected exitTimeoutMs late; the dwell ends at the last sighting
+    const dwellEnd = eventType === 'exit' ? state.lastSeenAt : timestamp;
+    this.emit('presence', {
+      eventType,
+      beaconKey,
+      beaconType: state.beaconType,
+      timestamp,
+      enteredAt: state.enteredAt,
+      lastSeenAt: state.lastSeenAt,
+      dwellSeconds: Math.round((dwellEnd - state.enteredAt) / 1000),
+      rssi: state.rssi
+    });
+  }
+}
+
+module.exports = PresenceTracker;
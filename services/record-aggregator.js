@@ -0,0 +1,184 @@
+/**
+ * Record Aggregator
+ * Buckets stored records into time series and histograms for the dashboard charts.
+ * Records are read page by page and folded into buckets as they arrive, so only
+ * the aggregates are kept in memory and sent to the browser, never the raw rows.
+ */
+
+// Bucket sizes accepted by the aggregation endpoint
+const BUCKETS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+// Upper limit on buckets per series, e.g. 24 hours of minutes
+const MAX_BUCKETS = 1440;
+
+// Dwell-time histogram bins: upper bound in seconds (exclusive) and label
+const DWELL_BINS = [
+  { maxSeconds: 60, label: '< 1 min' },
+  { maxSeconds: 5 * 60, label: '1-5 min' },
+  { maxSeconds: 15 * 60, label: '5-15 min' },
+  { maxSeconds: 60 * 60, label: '15-60 min' },
+  { maxSeconds: 4 * 60 * 60, label: '1-4 h' },
+  { maxSeconds: Infinity, label: '4 h +' }
+];
+
+class RecordAggregator {
+  /**
+   * Creates a new RecordAggregator instance
+   * @param {Object} options - Aggregator options
+   * @param {StorageAdapter} options.storage - Storage adapter to read from
+   */
+  constructor(options) {
+    this.storage = options.storage;
+  }
+
+  /**
+   * Signal strength of one beacon over time, one series per gateway that heard it
+   * Uses smoothedRssi where stored, raw rssi otherwise
+   * @param {Object} query - Query parameters
+   * @param {string} query.beaconKey - Beacon to chart
+   * @param {string} query.gatewayId - Only this gateway (optional)
+   * @param {number} query.from - Start timestamp in ms (exclusive)
+   * @param {number} query.to - End timestamp in ms (inclusive)
+   * @param {number} query.bucketMs - Bucket size in ms
+   * @returns {Promise<Array<Object>>} [{ gatewayId, gatewayName, points: [{ t, count, avg, min, max }] }]
+   */
+  async rssiSeries({ beaconKey, gatewayId, from, to, bucketMs }) {
+    const series = new Map();
+
+    for await (const record of this.storage.iterateRecords({ beaconKey, gatewayId, from, to, recordType: 'sighting', newestFirst: false })) {
+      const rssi = record.smoothedRssi ?? record.rssi;
+      if (typeof rssi !== 'number') {
+        continue;
+      }
+
+      const buckets = this._seriesFor(series, record).buckets;
+      const t = this._bucketStart(record.timestamp, bucketMs);
+      const bucket = buckets.get(t);
+      if (bucket) {
+        bucket.count++;
+        bucket.sum += rssi;
+        bucket.min = Math.min(bucket.min, rssi);
+        bucket.max = Math.max(bucket.max, rssi);
+      } else {
+        buckets.set(t, { t, count: 1, sum: rssi, min: rssi, max: rssi });
+      }
+    }
+
+    return Array.from(series.values()).map(({ buckets, ...gateway }) => ({
+      ...gateway,
+      points: Array.from(buckets.values())
+        .sort((a, b) => a.t - b.t)
+        .map(({ sum, ...bucket }) => ({ ...bucket, avg: Math.round(sum / bucket.count * 10) / 10 }))
+    }));
+  }
+
+  /**
+   * Sightings and distinct beacons per time bucket, one series per gateway
+   * Every bucket in the range is returned, empty ones with zero counts
+   * @param {Object} query - Query parameters
+   * @param {Array<string>} query.gatewayIds - Gateways to chart
+   * @param {number} query.from - Start timestamp in ms (exclusive)
+   * @param {number} query.to - End timestamp in ms (inclusive)
+   * @param {number} query.bucketMs - Bucket size in ms
+   * @param {Object} query.filters - Attribute filters, see StorageAdapter.queryRecords (optional)
+   * @returns {Promise<Array<Object>>} [{ gatewayId, gatewayName, points: [{ t, count, beacons }] }]
+   */
+  async detectionSeries({ gatewayIds, from, to, bucketMs, filters }) {
+    const result = [];
+
+    for (const gatewayId of gatewayIds) {
+      const series = { gatewayId, gatewayName: gatewayId, buckets: new Map() };
+      for (let t = this._bucketStart(from + 1, bucketMs); t <= to; t += bucketMs) {
+        series.buckets.set(t, { t, count: 0, beaconKeys: new Set() });
+      }
+
+      for await (const record of this.storage.iterateRecords({ gatewayId, from, to, filters, recordType: 'sighting', newestFirst: false })) {
+        series.gatewayName = record.gatewayName || gatewayId;
+        const bucket = series.buckets.get(this._bucketStart(record.timestamp, bucketMs));
+        bucket.count++;
+        bucket.beaconKeys.add(record.beaconKey || `${record.uuid}-${record.major}-${record.minor}`);
+      }
+
+      result.push({
+        gatewayId,
+        gatewayName: series.gatewayName,
+        points: Array.from(series.buckets.values()).map(({ t, count, beaconKeys }) => ({ t, count, beacons: beaconKeys.size }))
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Histogram of completed visits (presence exit events) by dwell time
+   * @param {Object} query - Query parameters
+   * @param {Array<string>} query.gatewayIds - Gateways to include
+   * @param {number} query.from - Start timestamp in ms (exclusive)
+   * @param {number} query.to - End timestamp in ms (inclusive)
+   * @returns {Promise<Object>} { visits, averageSeconds, bins: [{ label, minSeconds, maxSeconds, count }] }
+   */
+  async dwellHistogram({ gatewayIds, from, to }) {
+    const counts = DWELL_BINS.map(() => 0);
+    let visits = 0;
+    let totalSeconds = 0;
+
+    for (const gatewayId of gatewayIds) {
+      for await (const event of this.storage.iterateRecords({ gatewayId, from, to, recordType: 'presence' })) {
+        if (event.eventType !== 'exit' || typeof event.dwellSeconds !== 'number') {
+          continue;
+        }
+        counts[DWELL_BINS.findIndex(bin => event.dwellSeconds < bin.maxSeconds)]++;
+        visits++;
+        totalSeconds += event.dwellSeconds;
+      }
+    }
+
+    return {
+      visits,
+      averageSeconds: visits > 0 ? Math.round(totalSeconds / visits) : null,
+      bins: DWELL_BINS.map((bin, index) => ({
+        label: bin.label,
+        minSeconds: index === 0 ? 0 : DWELL_BINS[index - 1].maxSeconds,
+        maxSeconds: Number.isFinite(bin.maxSeconds) ? bin.maxSeconds : null,
+        count: counts[index]
+      }))
+    };
+  }
+
+  /**
+   * Gets (or creates) the per-gateway series for a record
+   * @param {Map} series - gatewayId -> series
+   * @param {Object} record - Stored record
+   * @returns {Object} { gatewayId, gatewayName, buckets }
+   * @private
+   */
+  _seriesFor(series, record) {
+    if (!series.has(record.gatewayId)) {
+      series.set(record.gatewayId, {
+        gatewayId: record.gatewayId,
+        gatewayName: record.gatewayName || record.gatewayId,
+        buckets: new Map()
+      });
+    }
+    return series.get(record.gatewayId);
+  }
+
+  /**
+   * Start of the bucket holding a timestamp
+   * @param {number} timestamp - Timestamp in ms
+   * @param {number} bucketMs - Bucket size in ms
+   * @returns {number} Bucket start in ms
+   * @private
+   */
+  _bucketStart(timestamp, bucketMs) {
+    return Math.floor(timestamp / bucketMs) * bucketMs;
+  }
+}
+
+RecordAggregator.BUCKETS = BUCKETS;
+RecordAggregator.MAX_BUCKETS = MAX_BUCKETS;
+
+module.exports = RecordAggregator;
@@ -0,0 +1,288 @@
+/**
+ * Record Exporter
+ * Streams stored records for a time range and set of gateways as CSV, NDJSON or Parquet.
+ * Records are read one page at a time and written as they arrive, so an export
+ * never holds more than one page (Parquet: one row group) in memory.
+ *
+ * Every format uses the same flat row: gatewayLocation and telemetry are split
+ * into columns, registry tags are joined with commas, and only the selected
+ * rawData fields are kept.
+ */
+
+const parquet = require('parquetjs-lite');
+
+// Output formats: content type and file extension
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+// Flat columns in output order; type is the Parquet type
+const COLUMNS = [
+  { name: 'recordId', type: 'UTF8', value: record => record.recordId },
+  { name: 'timestamp', type: 'INT64', value: record => record.timestamp },
+  { name: 'detectedAt', type: 'UTF8', value: record => record.detectedAt },
+  { name: 'recordType', type: 'UTF8', value: record => record.recordType || 'sighting' },
+  { name: 'gatewayId', type: 'UTF8', value: record => record.gatewayId },
+  { name: 'gatewayName', type: 'UTF8', value: record => record.gatewayName },
+  { name: 'gatewayLocation_lat', type: 'DOUBLE', value: record => record.gatewayLocation?.lat },
+  { name: 'gatewayLocation_lng', type: 'DOUBLE', value: record => record.gatewayLocation?.lng },
+  { name: 'gatewayLocation_description', type: 'UTF8', value: record => describeLocation(record.gatewayLocation) },
+  { name: 'beaconKey', type: 'UTF8', value: record => record.beaconKey },
+  { name: 'beaconType', type: 'UTF8', value: record => record.beaconType },
+  { name: 'uuid', type: 'UTF8', value: record => record.uuid },
+  { name: 'major', type: 'INT32', value: record => record.major },
+  { name: 'minor', type: 'INT32', value: record => record.minor },
+  { name: 'namespace', type: 'UTF8', value: record => record.namespace },
+  { name: 'instance', type: 'UTF8', value: record => record.instance },
+  { name: 'url', type: 'UTF8', value: record => record.url },
+  { name: 'altBeaconId', type: 'UTF8', value: record => record.altBeaconId },
+  { name: 'mfrId', type: 'DOUBLE', value: record => record.mfrId },
+  { name: 'rssi', type: 'DOUBLE', value: record => record.rssi },
+  { name: 'smoothedRssi', type: 'DOUBLE', value: record => record.smoothedRssi },
+  { name: 'txPower', type: 'DOUBLE', value: record => record.txPower },
+  { name: 'distance', type: 'DOUBLE', value: record => record.distance },
+  { name: 'proximity', type: 'UTF8', value: record => record.proximity },
+  { name: 'address', type: 'UTF8', value: record => record.address },
+  { name: 'beaconName', type: 'UTF8', value: record => record.beaconName },
+  { name: 'assetType', type: 'UTF8', value: record => record.assetType },
+  { name: 'owner', type: 'UTF8', value: record => record.owner },
+  { name: 'tags', type: 'UTF8', value: record => record.tags?.join(',') },
+  { name: 'telemetry_batteryVoltage', type: 'DOUBLE', value: record => record.telemetry?.batteryVoltage },
+  { name: 'telemetry_temperature', type: 'DOUBLE', value: record => record.telemetry?.temperature },
+  { name: 'telemetry_advCount', type: 'DOUBLE', value: record => record.telemetry?.advCount },
+  { name: 'telemetry_uptime', type: 'DOUBLE', value: record => record.telemetry?.uptime },
+  { name: 'eventType', type: 'UTF8', value: record => record.eventType },
+  { name: 'enteredAt', type: 'INT64', value: record => record.enteredAt },
+  { name: 'lastSeenAt', type: 'INT64', value: record => record.lastSeenAt },
+  { name: 'dwellSeconds', type: 'DOUBLE', value: record => record.dwellSeconds },
+  { name: 'granularity', type: 'UTF8', value: record => record.granularity },
+  { name: 'periodEnd', type: 'INT64', value: record => record.periodEnd },
+  { name: 'sightingCount', type: 'INT64', value: record => record.sightingCount },
+  { name: 'rssiAvg', type: 'DOUBLE', value: record => record.rssiAvg },
+  { name: 'rssiMin', type: 'DOUBLE', value: record => record.rssiMin },
+  { name: 'rssiMax', type: 'DOUBLE', value: record => record.rssiMax },
+  { name: 'distanceAvg', type: 'DOUBLE', value: record => record.distanceAvg },
+  { name: 'distanceMin', type: 'DOUBLE', value: record => record.distanceMin }
+];
+
+// rawData (the scanner's advertisement) fields exported when none are selected
+const DEFAULT_RAW_DATA_FIELDS = ['id', 'localName', 'txPowerLevel'];
+
+const PARQUET_ROW_GROUP_SIZE = 5000;
+
+class RecordExporter {
+  /**
+   * Creates a new RecordExporter instance
+   * @param {Object} options - Export options
+   * @param {StorageAdapter} options.storage - Storage adapter to read from
+   * @param {Array<string>} options.rawDataFields - rawData fields to export; dotted paths reach
+   *   nested fields, e.g. 'iBeacon.txPower' (default: id, localName, txPowerLevel)
+   * @param {number} options.pageSize - Records read per storage query (default: 500)
+   */
+  constructor(options) {
+    this.storage = options.storage;
+    this.rawDataFields = options.rawDataFields || DEFAULT_RAW_DATA_FIELDS;
+    this.pageSize = options.pageSize || 500;
+
+    this.columns = [
+      ...COLUMNS,
+      ...this.rawDataFields.map(field => ({
+        name: `rawData_${field.replace(/\./g, '_')}`,
+        type: 'UTF8',
+        value: record => readPath(record.rawData, field)
+      }))
+    ];
+  }
+
+  /**
+   * Writes all matching records to a stream in the given format and ends the stream
+   * Gateways are exported one after another, each oldest first
+   * @param {stream.Writable} output - Destination (file, HTTP response, stdout)
+   * @param {Object} query - Export parameters
+   * @param {string} query.format - 'csv', 'ndjson' or 'parquet'
+   * @param {Array<string>} query.gatewayIds - Gateways to export
+   * @param {number} query.from - Start timestamp in ms (exclusive)
+   * @param {number} query.to - End timestamp in ms (inclusive)
+   * @param {string} query.recordType - Only 'sighting', 'presence', 'heartbeat' or 'summary' records (optional, default: all)
+   * @param {Object} query.filters - Attribute filters, see StorageAdapter.queryRecords (optional)
+   * @returns {Promise<number>} Number of records written
+   * @throws {Error} If the format is unknown, or reading or writing fails
+   */
+  async export(output, query) {
+    if (!FORMATS[query.format]) {
+      throw new Error(`Unknown export format '${query.format}'. Expected one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    if (query.format === 'parquet') {
+      return this._exportParquet(output, query);
+    }
+
+    let count = 0;
+    if (query.format === 'csv') {
+      await this._write(output, this.columns.map(column => column.name).join(',') + '\n');
+    }
+
+    for await (const record of this.records(query)) {
+      const row = this.flatten(record);
+      const line = query.format === 'csv'
+        ? this.columns.map(column => toCsvField(row[column.name])).join(',')
+        : JSON.stringify(row);
+      await this._write(output, line + '\n');
+      count++;
+    }
+
+    await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+    return count;
+  }
+
+  /**
+   * Reads matching records page by page
+   * @param {Object} query - See export()
+   * @yields {Object} Stored records, per gateway and oldest first
+   */
+  async *records({ gatewayIds, from, to, recordType, filters }) {
+    for (const gatewayId of gatewayIds) {
+      yield* this.storage.iterateRecords({
+        gatewayId,
+        from,
+        to,
+        recordType,
+        filters,
+        newestFirst: false,
+        limit: this.pageSize
+      });
+    }
+  }
+
+  /**
+   * Flattens a stored record to the export columns
+   * @param {Object} record - Stored record
+   * @returns {Object} Column name -> value (null when missing)
+   */
+  flatten(record) {
+    const row = {};
+    for (const column of this.columns) {
+      const value = column.value(record);
+      row[column.name] = value === undefined ? null : value;
+    }
+    return row;
+  }
+
+  /**
+   * Writes records as Parquet; rows are buffered one row group at a time
+   * @param {stream.Writable} output - Destination
+   * @param {Object} query - See export()
+   * @returns {Promise<number>} Number of records written
+   * @private
+   */
+  async _exportParquet(output, query) {
+    const schema = new parquet.ParquetSchema(Object.fromEntries(
+      this.columns.map(column => [column.name, { type: column.type, optional: true }])
+    ));
+    const writer = await parquet.ParquetWriter.openStream(schema, output, { rowGroupSize: PARQUET_ROW_GROUP_SIZE });
+
+    let count = 0;
+    for await (const record of this.records(query)) {
+      await writer.appendRow(this._toParquetRow(this.flatten(record)));
+      count++;
+    }
+
+    // Writes the last row group and the footer, then ends the stream
+    await writer.close();
+    return count;
+  }
+
+  /**
+   * Drops missing values and coerces the rest to the column's Parquet type
+   * @param {Object} row - Flattened row
+   * @returns {Object} Parquet row
+   * @private
+   */
+  _toParquetRow(row) {
+    const parquetRow = {};
+    for (const column of this.columns) {
+      const value = row[column.name];
+      if (value === null) {
+        continue;
+      }
+      if (column.type === 'UTF8') {
+        parquetRow[column.name] = String(value);
+      } else if (Number.isFinite(Number(value))) {
+        parquetRow[column.name] = column.type === 'INT64' ? Math.round(Number(value)) : Number(value);
+      }
+    }
+    return parquetRow;
+  }
+
+  /**
+   * Writes a chunk, waiting for the stream to drain when its buffer is full
+   * @param {stream.Writable} output - Destination
+   * @param {string} chunk - Data to write
+   * @returns {Promise<void>}
+   * @throws {Error} If the stream was closed (e.g. the HTTP client disconnected)
+   * @private
+   */
+  async _write(output, chunk) {
+    if (output.destroyed) {
+      throw new Error('Export output was closed');
+    }
+    if (output.write(chunk)) {
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const onDrain = () => {
+        output.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        output.off('drain', onDrain);
+        reject(new Error('Export output was closed'));
+      };
+      output.once('drain', onDrain);
+      output.once('close', onClose);
+    });
+  }
+}
+
+// Location description; objects without lat/lng/description are kept as JSON
+function describeLocation(location) {
+  if (!location) {
+    return null;
+  }
+  if (typeof location !== 'object') {
+    return String(location);
+  }
+  if (location.description !== undefined || location.lat !== undefined || location.lng !== undefined) {
+    return location.description ?? null;
+  }
+  return JSON.stringify(location);
+}
+
+// Read a dotted path from an object; nested objects are returned as JSON
+function readPath(object, dottedPath) {
+  let value = object;
+  for (const key of dottedPath.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return null;
+    }
+    value = value[key];
+  }
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// Quote a CSV field when it holds a delimiter, quote or line break
+function toCsvField(value) {
+  if (value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+RecordExporter.FORMATS = FORMATS;
+RecordExporter.DEFAULT_RAW_DATA_FIELDS = DEFAULT_RAW_DATA_FIELDS;
+
+module.exports = RecordExporter;
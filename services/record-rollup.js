@@ -0,0 +1,194 @@
+/**
+ * Record Rollup
+ * Rolls raw sightings up into one summary record per beacon, gateway and hour or UTC day, so
+ * history outlives the raw records' TTL (RECORD_TTL_DAYS). Summaries are stored next to the
+ * sightings with recordType 'summary' and the bucket start as timestamp, so GatewayIndex and
+ * BeaconIndex find them like any other record.
+ *
+ * Only complete buckets are rolled up and buckets that already have a summary are skipped, so
+ * the job can be run as often as convenient over overlapping time ranges.
+ */
+
+// Summary bucket sizes in ms
+const GRANULARITIES = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Beacon registry fields copied onto summaries
+const REGISTRY_FIELDS = ['beaconName', 'assetType', 'owner', 'tags'];
+
+// Summaries handed to the storage backend per write
+const WRITE_CHUNK = 100;
+
+class RecordRollup {
+  /**
+   * Creates a new RecordRollup instance
+   * @param {Object} options - Rollup options
+   * @param {StorageAdapter} options.storage - Storage adapter to read sightings from and write summaries to
+   * @param {number} options.summaryTtlDays - Days until summaries expire; 0 keeps them forever (default: 0)
+   */
+  constructor(options) {
+    this.storage = options.storage;
+    this.summaryTtlDays = options.summaryTtlDays || 0;
+  }
+
+  /**
+   * Rolls up one gateway's sightings in the complete buckets between from and to
+   * @param {Object} query - Rollup parameters
+   * @param {string} query.gatewayId - Gateway to roll up
+   * @param {number} query.from - Start timestamp in ms; rounded down to the start of its bucket
+   * @param {number} query.to - End timestamp in ms; the bucket it falls in is not complete yet and is left out
+   * @param {Array<string>} query.granularities - 'hour' and/or 'day' (default: both)
+   * @param {boolean} query.dryRun - Build the summaries without writing them (default: false)
+   * @returns {Promise<Object>} { sightings, summaries (built), skipped (already rolled up), written, failed }
+   */
+  async rollupGateway({ gatewayId, from, to, granularities = Object.keys(GRANULARITIES), dryRun = false }) {
+    const ranges = granularities.map(granularity => ({
+      granularity,
+      start: RecordRollup.bucketStart(from, granularity),
+      end: RecordRollup.bucketStart(to, granularity)
+    })).filter(range => range.end > range.start);
+
+    const result = { sightings: 0, summaries: 0, skipped: 0, written: 0, failed: 0 };
+    if (ranges.length === 0) {
+      return result;
+    }
+    const rangeFrom = Math.min(...ranges.map(range => range.start)) - 1;
+    const rangeTo = Math.max(...ranges.map(range => range.end)) - 1;
+
+    // Buckets rolled up by an earlier run
+    const existing = new Set();
+    for await (const summary of this.storage.iterateRecords({ gatewayId, from: rangeFrom, to: rangeTo, recordType: 'summary' })) {
+      if (granularities.includes(summary.granularity)) {
+        existing.add(bucketKey(summary.granularity, summary.beaconKey, summary.timestamp));
+      }
+    }
+
+    const buckets = new Map();
+    for await (const record of this.storage.iterateRecords({ gatewayId, from: rangeFrom, to: rangeTo, recordType: 'sighting', newestFirst: false })) {
+      if (!record.beaconKey) {
+        continue;
+      }
+      result.sightings++;
+      for (const { granularity, start, end } of ranges) {
+        if (record.timestamp < start || record.timestamp >= end) {
+          continue;
+        }
+        const key = bucketKey(granularity, record.beaconKey, RecordRollup.bucketStart(record.timestamp, granularity));
+        if (existing.has(key)) {
+          continue;
+        }
+        if (!buckets.has(key)) {
+          buckets.set(key, { granularity, start: RecordRollup.bucketStart(record.timestamp, granularity), records: 0 });
+        }
+        addToBucket(buckets.get(key), record);
+      }
+    }
+
+    result.skipped = existing.size;
+    const summaries = Array.from(buckets.values()).map(bucket => this._buildSummary(bucket));
+    result.summaries = summaries.length;
+    if (dryRun) {
+      return result;
+    }
+
+    for (let i = 0; i < summaries.length; i += WRITE_CHUNK) {
+      const { written, failed } = await this.storage.writeRecords(summaries.slice(i, i + WRITE_CHUNK));
+      result.written += written.length;
+      result.failed += failed.length;
+    }
+    return result;
+  }
+
+  /**
+   * Builds a summary record from a bucket
+   * The record ID is derived from the bucket, so writing the same summary twice replaces it in DynamoDB
+   * @param {Object} bucket - Bucket filled by addToBucket()
+   * @returns {Object} Summary record
+   * @private
+   */
+  _buildSummary(bucket) {
+    const { granularity, start, latest } = bucket;
+    const summary = {
+      recordId: `summary-${granularity}-${latest.gatewayId}-${latest.beaconKey}-${start}`,
+      timestamp: start,
+      detectedAt: new Date(start).toISOString(),
+      recordType: 'summary',
+      granularity,
+      periodEnd: start + GRANULARITIES[granularity],
+      gatewayId: latest.gatewayId,
+      gatewayName: latest.gatewayName ?? null,
+      gatewayLocation: latest.gatewayLocation ?? null,
+      beaconKey: latest.beaconKey,
+      beaconType: latest.beaconType ?? null,
+      ...registryFields(latest),
+      sightingCount: bucket.records,
+      firstSeen: bucket.firstSeen,
+      lastSeen: bucket.lastSeen,
+      rssiAvg: bucket.rssiCount > 0 ? round(bucket.rssiSum / bucket.rssiCount) : null,
+      rssiMin: bucket.rssiCount > 0 ? bucket.rssiMin : null,
+      rssiMax: bucket.rssiCount > 0 ? bucket.rssiMax : null,
+      distanceAvg: bucket.distanceCount > 0 ? round(bucket.distanceSum / bucket.distanceCount) : null,
+      distanceMin: bucket.distanceCount > 0 ? bucket.distanceMin : null
+    };
+    if (this.summaryTtlDays > 0) {
+      summary.expiresAt = Math.floor(summary.periodEnd / 1000) + Math.round(this.summaryTtlDays * 86400);
+    }
+    return summary;
+  }
+
+  /**
+   * Start of the hour or UTC day a timestamp falls in
+   * @param {number} timestamp - Timestamp in ms
+   * @param {string} granularity - 'hour' or 'day'
+   * @returns {number} Bucket start in ms
+   */
+  static bucketStart(timestamp, granularity) {
+    const size = GRANULARITIES[granularity];
+    return Math.floor(timestamp / size) * size;
+  }
+}
+
+// Identifies a summary by granularity, beacon and bucket start
+function bucketKey(granularity, beaconKey, start) {
+  return `${granularity}|${beaconKey}|${start}`;
+}
+
+// Folds a sighting into a bucket; uses smoothedRssi where stored, raw rssi otherwise
+function addToBucket(bucket, record) {
+  bucket.records++;
+  if (!bucket.latest || record.timestamp >= bucket.latest.timestamp) {
+    bucket.latest = record;
+  }
+  bucket.firstSeen = Math.min(bucket.firstSeen ?? record.timestamp, record.timestamp);
+  bucket.lastSeen = Math.max(bucket.lastSeen ?? record.timestamp, record.timestamp);
+
+  const rssi = record.smoothedRssi ?? record.rssi;
+  if (typeof rssi === 'number') {
+    bucket.rssiCount = (bucket.rssiCount || 0) + 1;
+    bucket.rssiSum = (bucket.rssiSum || 0) + rssi;
+    bucket.rssiMin = Math.min(bucket.rssiMin ?? rssi, rssi);
+    bucket.rssiMax = Math.max(bucket.rssiMax ?? rssi, rssi);
+  }
+  if (typeof record.distance === 'number') {
+    bucket.distanceCount = (bucket.distanceCount || 0) + 1;
+    bucket.distanceSum = (bucket.distanceSum || 0) + record.distance;
+    bucket.distanceMin = Math.min(bucket.distanceMin ?? record.distance, record.distance);
+  }
+}
+
+// Registry fields of the bucket's latest sighting; unregistered beacons have none
+function registryFields(record) {
+  return Object.fromEntries(REGISTRY_FIELDS
+    .filter(field => record[field] !== undefined)
+    .map(field => [field, record[field]]));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+RecordRollup.GRANULARITIES = GRANULARITIES;
+
+module.exports = RecordRollup;
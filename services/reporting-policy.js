@@ -0,0 +1,172 @@
+/**
+ * Reporting Policy
+ * Decides which advertisements become stored records, replacing the fixed
+ * once-per-5-seconds throttle with change-based (delta) reporting:
+ * - first sighting of a beacon (or after it was evicted) is reported immediately
+ * - significant RSSI or proximity changes are reported, at most once per minIntervalMs
+ * - unchanged beacons are re-reported every heartbeatMs
+ * - beacons not heard for evictAfterMs are forgotten, so their return counts as an arrival
+ *
+ * Intervals can be overridden per beaconKey or per iBeacon UUID from a JSON file:
+ *   {
+ *     "beacons": { "<beaconKey>": { "minIntervalMs": 500, "heartbeatMs": 10000 } },
+ *     "uuids":   { "<uuid>":      { "heartbeatMs": 300000, "rssiDelta": 15 } }
+ *   }
+ */
+
+const fs = require('fs');
+
+const DEFAULTS = {
+  minIntervalMs: 1000,
+  heartbeatMs: 60000,
+  rssiDelta: 8,
+  evictAfterMs: 5 * 60 * 1000
+};
+
+class ReportingPolicy {
+  /**
+   * Creates a new ReportingPolicy instance
+   * @param {Object} options - Policy options
+   * @param {number} options.minIntervalMs - Minimum time between reports of one beacon (default: 1000)
+   * @param {number} options.heartbeatMs - Report unchanged beacons this often (default: 60000)
+   * @param {number} options.rssiDelta - RSSI change in dB that counts as significant (default: 8)
+   * @param {number} options.evictAfterMs - Forget beacons not heard for this long (default: 5 minutes)
+   * @param {string} options.overridesFile - JSON file with per-beacon/per-UUID overrides (optional)
+   */
+  constructor(options = {}) {
+    this.defaults = {
+      minIntervalMs: options.minIntervalMs ?? DEFAULTS.minIntervalMs,
+      heartbeatMs: options.heartbeatMs ?? DEFAULTS.heartbeatMs,
+      rssiDelta: options.rssiDelta ?? DEFAULTS.rssiDelta
+    };
+    this.evictAfterMs = options.evictAfterMs ?? DEFAULTS.evictAfterMs;
+    this.overrides = { beacons: {}, uuids: {} };
+    if (options.overridesFile) {
+      this.loadOverrides(options.overridesFile);
+    }
+
+    // Stream key -> { reportedAt, rssi, proximity, lastHeardAt }
+    this.state = new Map();
+    this.lastEvictionAt = Date.now();
+    this.stats = { reported: 0, suppressed: 0, evicted: 0 };
+  }
+
+  /**
+   * Loads per-beacon and per-UUID overrides from a JSON file
+   * @param {string} filePath - Path to the overrides file
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  loadOverrides(filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load reporting policy overrides from '${filePath}': ${error.message}`);
+    }
+
+    this.overrides = {
+      beacons: parsed.beacons || {},
+      // UUIDs are matched case-insensitively
+      uuids: Object.fromEntries(Object.entries(parsed.uuids || {}).map(([uuid, rule]) => [uuid.toLowerCase(), rule]))
+    };
+    console.log(`[ReportingPolicy] Loaded overrides: ${Object.keys(this.overrides.beacons).length} beacon(s), ${Object.keys(this.overrides.uuids).length} UUID(s)`);
+  }
+
+  /**
+   * Decides whether a record should be reported, and remembers the decision
+   * @param {Object} record - Beacon record built by BeaconStorage.buildRecord
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {Object} { report: boolean, reason: 'arrival'|'rssi-change'|'proximity-change'|'heartbeat'|null }
+   */
+  evaluate(record, now = Date.now()) {
+    this._evictStale(now);
+
+    // Frame types are tracked separately so e.g. Eddystone TLM and UID frames from one device both get through
+    const streamKey = `${record.beaconKey}:${record.beaconType}`;
+    const rules = this.getRules(record);
+    const previous = this.state.get(streamKey);
+
+    let reason = null;
+    if (!previous) {
+      reason = 'arrival';
+    } else {
+      previous.lastHeardAt = now;
+      const sinceReport = now - previous.reportedAt;
+
+      if (sinceReport >= rules.heartbeatMs) {
+        reason = 'heartbeat';
+      } else if (sinceReport >= rules.minIntervalMs) {
+        const rssi = this._rssiOf(record);
+        if (rssi !== null && previous.rssi !== null && Math.abs(rssi - previous.rssi) >= rules.rssiDelta) {
+          reason = 'rssi-change';
+        } else if (record.proximity && record.proximity !== previous.proximity) {
+          reason = 'proximity-change';
+        }
+      }
+    }
+
+    if (!reason) {
+      this.stats.suppressed++;
+      return { report: false, reason: null };
+    }
+
+    this.state.set(streamKey, {
+      reportedAt: now,
+      rssi: this._rssiOf(record),
+      proximity: record.proximity,
+      lastHeardAt: now
+    });
+    this.stats.reported++;
+    return { report: true, reason };
+  }
+
+  /**
+   * Gets the effective rules for a record: beaconKey override, then UUID override, then defaults
+   * @param {Object} record - Beacon record
+   * @returns {Object} { minIntervalMs, heartbeatMs, rssiDelta }
+   */
+  getRules(record) {
+    const byUuid = record.uuid ? this.overrides.uuids[String(record.uuid).toLowerCase()] : null;
+    const byBeacon = this.overrides.beacons[record.beaconKey];
+    return { ...this.defaults, ...byUuid, ...byBeacon };
+  }
+
+  /**
+   * Gets decision counters and the number of tracked beacons
+   * @returns {Object} { reported, suppressed, evicted, tracked }
+   */
+  getStats() {
+    return { ...this.stats, tracked: this.state.size };
+  }
+
+  /**
+   * Gets the RSSI used for change detection - smoothed when available, to ignore noise
+   * @param {Object} record - Beacon record
+   * @returns {number|null} RSSI in dBm
+   * @private
+   */
+  _rssiOf(record) {
+    return record.smoothedRssi ?? record.rssi ?? null;
+  }
+
+  /**
+   * Forgets beacons not heard for evictAfterMs, at most once per minute of scanning
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  _evictStale(now) {
+    if (now - this.lastEvictionAt < Math.min(60000, this.evictAfterMs)) {
+      return;
+    }
+    this.lastEvictionAt = now;
+
+    for (const [key, entry] of this.state) {
+      if (now - entry.lastHeardAt >= this.evictAfterMs) {
+        this.state.delete(key);
+        this.stats.evicted++;
+      }
+    }
+  }
+}
+
+module.exports = ReportingPolicy;
@@ -0,0 +1,173 @@
+/**
+ * Signal Processor
+ * Smooths per-beacon RSSI and estimates distance with a calibrated log-distance
+ * path-loss model. Used by the gateway for every advertisement (so filters see the
+ * full signal, not just stored records) and by the dashboard server for records
+ * written before smoothing existed, so distance is computed the same way everywhere.
+ *
+ * Per-beacon calibration file (JSON), keyed by beaconKey:
+ *   { "<beaconKey>": { "txPower": -62, "pathLossExponent": 2.5 } }
+ */
+
+const fs = require('fs');
+
+// Proximity zone upper bounds in meters
+const IMMEDIATE_MAX_M = 0.5;
+const NEAR_MAX_M = 3;
+
+/**
+ * Estimates distance from RSSI using the log-distance path-loss model
+ * @param {number} rssi - Received signal strength in dBm
+ * @param {number} txPower - Expected RSSI at 1 m in dBm
+ * @param {number} pathLossExponent - Environment factor: 2 free space, 2.5-4 indoors (default: 2)
+ * @returns {number|null} Distance in meters, or null if inputs are missing
+ */
+function estimateDistance(rssi, txPower, pathLossExponent = 2) {
+  if (typeof rssi !== 'number' || typeof txPower !== 'number' || rssi === 0) {
+    return null;
+  }
+  const distance = Math.pow(10, (txPower - rssi) / (10 * pathLossExponent));
+  return Math.round(distance * 100) / 100;
+}
+
+/**
+ * Maps a distance to a proximity zone
+ * @param {number|null} distance - Distance in meters
+ * @returns {string|null} 'immediate', 'near', 'far' or null
+ */
+function proximityZone(distance) {
+  if (distance === null || distance === undefined) return null;
+  if (distance < IMMEDIATE_MAX_M) return 'immediate';
+  if (distance < NEAR_MAX_M) return 'near';
+  return 'far';
+}
+
+class SignalProcessor {
+  /**
+   * Creates a new SignalProcessor instance
+   * @param {Object} options - Signal processing options
+   * @param {string} options.filter - 'kalman' (default), 'ema' or 'none'
+   * @param {number} options.emaAlpha - EMA weight of the newest sample, 0-1 (default: 0.3)
+   * @param {number} options.kalmanProcessNoise - How fast true RSSI is expected to drift (default: 0.5)
+   * @param {number} options.kalmanMeasurementNoise - Variance of raw RSSI readings (default: 4)
+   * @param {number} options.pathLossExponent - Default path-loss exponent (default: 2)
+   * @param {string} options.calibrationFile - JSON file with per-beacon txPower/pathLossExponent (optional)
+   * @param {number} options.stateTtlMs - Reset a beacon's filter after this long without samples (default: 60000)
+   */
+  constructor(options = {}) {
+    this.filter = options.filter || 'kalman';
+    this.emaAlpha = options.emaAlpha ?? 0.3;
+    this.processNoise = options.kalmanProcessNoise ?? 0.5;
+    this.measurementNoise = options.kalmanMeasurementNoise ?? 4;
+    this.pathLossExponent = options.pathLossExponent ?? 2;
+    this.stateTtlMs = options.stateTtlMs ?? 60000;
+    this.calibration = {};
+    if (options.calibrationFile) {
+      this.loadCalibration(options.calibrationFile);
+    }
+
+    // beaconKey -> { estimate, errorCovariance, updatedAt }
+    this.filters = new Map();
+    this.lastPruneAt = Date.now();
+  }
+
+  /**
+   * Loads per-beacon calibration from a JSON file
+   * @param {string} filePath - Path to the calibration file
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  loadCalibration(filePath) {
+    try {
+      this.calibration = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load signal calibration from '${filePath}': ${error.message}`);
+    }
+    console.log(`[SignalProcessor] Loaded calibration for ${Object.keys(this.calibration).length} beacon(s)`);
+  }
+
+  /**
+   * Feeds a raw RSSI sample through the beacon's filter and estimates distance
+   * @param {string} beaconKey - Beacon identifier
+   * @param {number} rssi - Raw RSSI in dBm
+   * @param {number} txPower - Advertised txPower at 1 m (overridden by calibration)
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {Object} { smoothedRssi, distance, proximity, txPower, pathLossExponent }
+   */
+  process(beaconKey, rssi, txPower, now = Date.now()) {
+    this._pruneStale(now);
+
+    const calibration = this.calibration[beaconKey] || {};
+    const effectiveTxPower = calibration.txPower ?? txPower ?? null;
+    const pathLossExponent = calibration.pathLossExponent ?? this.pathLossExponent;
+
+    const smoothedRssi = typeof rssi === 'number' && rssi !== 0
+      ? this._smooth(beaconKey, rssi, now)
+      : null;
+    const distance = estimateDistance(smoothedRssi, effectiveTxPower, pathLossExponent);
+
+    return {
+      smoothedRssi,
+      distance,
+      proximity: proximityZone(distance),
+      txPower: effectiveTxPower,
+      pathLossExponent
+    };
+  }
+
+  /**
+   * Applies the configured filter to one sample
+   * @param {string} beaconKey - Beacon identifier
+   * @param {number} rssi - Raw RSSI
+   * @param {number} now - Current time in ms
+   * @returns {number} Smoothed RSSI rounded to 0.1 dB
+   * @private
+   */
+  _smooth(beaconKey, rssi, now) {
+    if (this.filter === 'none') {
+      return rssi;
+    }
+
+    let state = this.filters.get(beaconKey);
+    if (!state || now - state.updatedAt > this.stateTtlMs) {
+      // First sample (or beacon came back): start from the raw value
+      state = { estimate: rssi, errorCovariance: this.measurementNoise, updatedAt: now };
+      this.filters.set(beaconKey, state);
+      return rssi;
+    }
+
+    if (this.filter === 'ema') {
+      state.estimate = this.emaAlpha * rssi + (1 - this.emaAlpha) * state.estimate;
+    } else {
+      // 1-D Kalman filter with a constant-signal model
+      const predictedCovariance = state.errorCovariance + this.processNoise;
+      const gain = predictedCovariance / (predictedCovariance + this.measurementNoise);
+      state.estimate = state.estimate + gain * (rssi - state.estimate);
+      state.errorCovariance = (1 - gain) * predictedCovariance;
+    }
+    state.updatedAt = now;
+
+    return Math.round(state.estimate * 10) / 10;
+  }
+
+  /**
+   * Drops filter state for beacons that went quiet, at most once per stateTtlMs
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  _pruneStale(now) {
+    if (now - this.lastPruneAt < this.stateTtlMs) {
+      return;
+    }
+    this.lastPruneAt = now;
+    for (const [key, state] of this.filters) {
+      if (now - state.updatedAt > this.stateTtlMs) {
+        this.filters.delete(key);
+      }
+    }
+  }
+}
+
+SignalProcessor.estimateDistance = estimateDistance;
+SignalProcessor.proximityZone = proximityZone;
+
+module.exports = SignalProcessor;
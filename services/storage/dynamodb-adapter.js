@@ -0,0 +1,591 @@
+/**
+ * DynamoDB Storage Adapter
+ * Stores beacon records in an AWS DynamoDB table and queries them through GatewayIndex and BeaconIndex
+ * Keeps the beacon registry and one status item per gateway in the same table (see dynamodb-schema.js), so every
+ * gateway reads the registry and gateways are listed through FleetIndex
+ */
+
+const { DynamoDBClient, DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand, ScanCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const StorageAdapter = require('./storage-adapter');
+const BatchWriter = require('../batch-writer');
+const DynamoDBSchema = require('./dynamodb-schema');
+const { metrics, timeDynamoDB } = require('../metrics');
+
+// How often a gateway's status item is refreshed while its records are written
+// (the dashboard shows a gateway offline after DASHBOARD_GATEWAY_ONLINE_SECONDS, default 120)
+const GATEWAY_STATUS_INTERVAL_MS = 30000;
+
+class DynamoDBAdapter extends StorageAdapter {
+  /**
+   * Creates a new DynamoDBAdapter instance
+   * @param {Object} config - AWS configuration object
+   * @param {string} config.region - AWS region
+   * @param {Object} config.credentials - AWS credentials (optional)
+   * @param {string} config.tableName - DynamoDB table name
+   * @param {string} config.dynamodbEndpoint - Endpoint URL, e.g. DynamoDB Local (optional)
+   * @param {number} config.batchMaxSize - Records per BatchWriteItem request, max 25 (optional)
+   * @param {number} config.batchWindowMs - Time window before a partial batch is sent (optional)
+   */
+  constructor(config) {
+    super('dynamodb');
+    this.config = config;
+    this.tableName = config.tableName;
+
+    // Initialize DynamoDB client
+    this.client = new DynamoDBClient({
+      region: config.region,
+      credentials: config.credentials,
+      endpoint: config.dynamodbEndpoint || undefined
+    });
+
+    // Initialize DocumentClient for simplified operations
+    this.docClient = DynamoDBDocumentClient.from(this.client);
+
+    // Micro-batching writer: groups records into BatchWriteItem requests
+    this.batchWriter = new BatchWriter({
+      docClient: this.docClient,
+      tableName: this.tableName,
+      retry: operation => this._retryWithBackoff(operation),
+      maxBatchSize: config.batchMaxSize,
+      maxWaitMs: config.batchWindowMs
+    });
+    this.batchWriter.on('batch', report => this.emit('batch', report));
+
+    // gatewayId -> { gateway, writtenAt, writing } for the gateway status items
+    this.gatewayStatus = new Map();
+    this.fleetIndexMissing = false;
+
+    // The beacon registry is kept in the table (RegistryIndex) so every gateway reads it
+    this.hasRegistry = true;
+  }
+
+  /**
+   * Retry wrapper with exponential backoff
+   * @param {Function} operation - Async operation to retry
+   * @param {number} maxAttempts - Maximum retry attempts (default: 3)
+   * @returns {Promise<Object>} Result object with success status and data/error
+   */
+  async _retryWithBackoff(operation, maxAttempts = 3) {
+    const retryableErrors = [
+      'ServiceUnavailable',
+      'ProvisionedThroughputExceededException',
+      'RequestTimeout',
+      'NetworkingError'
+    ];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const result = await operation();
+        return { success: true, data: result };
+      } catch (error) {
+        const isRetryable = retryableErrors.some(errType =>
+          error.name === errType || error.code === errType
+        );
+
+        if (!isRetryable || attempt === maxAttempts) {
+          console.error(`[DynamoDBAdapter] Operation failed after ${attempt} attempt(s)`);
+          console.error(`[DynamoDBAdapter] Error: ${error.message}`);
+          console.error(`[DynamoDBAdapter] Retryable: ${isRetryable}`);
+          return { success: false, error };
+        }
+
+        // Calculate exponential backoff delay: 1s, 2s, 4s
+        const delay = Math.pow(2, attempt - 1) * 1000;
+        metrics.dynamodbRetries.inc({ reason: error.name || error.code });
+        console.warn(`[DynamoDBAdapter] Retry attempt ${attempt}/${maxAttempts} after ${delay}ms delay`);
+        console.warn(`[DynamoDBAdapter] Retry reason: ${error.name || error.code} - ${error.message}`);
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Validates configuration and tests the connection by describing the table
+   * @returns {Promise<void>}
+   * @throws {Error} If configuration is invalid or connection fails
+   */
+  async initialize() {
+    if (!this.config.region) {
+      console.error('[DynamoDBAdapter] Configuration validation failed: Missing AWS region');
+      throw new Error('AWS region is required in configuration');
+    }
+
+    if (!this.tableName) {
+      console.error('[DynamoDBAdapter] Configuration validation failed: Missing DynamoDB table name');
+      throw new Error('DynamoDB table name is required in configuration');
+    }
+
+    console.log(`[DynamoDBAdapter] Configuration validated - Region: ${this.config.region}, Table: ${this.tableName}`);
+
+    try {
+      const command = new DescribeTableCommand({
+        TableName: this.tableName
+      });
+
+      console.log(`[DynamoDBAdapter] Testing connection to DynamoDB table: ${this.tableName}`);
+      const response = await timeDynamoDB('DescribeTable', () => this.client.send(command));
+      console.log(`[DynamoDBAdapter] Successfully connected to DynamoDB table: ${this.tableName}`);
+      console.log(`[DynamoDBAdapter] Table status: ${response.Table.TableStatus}`);
+      console.log(`[DynamoDBAdapter] Table item count: ${response.Table.ItemCount || 0}`);
+
+      if (response.Table.TableStatus !== 'ACTIVE') {
+        console.error(`[DynamoDBAdapter] Table is not in ACTIVE state: ${response.Table.TableStatus}`);
+        throw new Error(`Table ${this.tableName} is not in ACTIVE state: ${response.Table.TableStatus}`);
+      }
+
+      // Writes still work without the indexes, but the dashboard and scripts query through them
+      const problems = [
+        ...DynamoDBSchema.missingIndexes(response.Table).map(indexName => `${indexName} is missing`),
+        ...DynamoDBSchema.verifyTable(response.Table)
+      ];
+      if (problems.length > 0) {
+        problems.forEach(problem => console.warn(`[DynamoDBAdapter] Warning: ${problem}`));
+        console.warn('[DynamoDBAdapter] Check the table with: node scripts/beaconjs.js db status');
+      }
+    } catch (error) {
+      console.error('[DynamoDBAdapter] Failed to initialize storage backend');
+      console.error(`[DynamoDBAdapter] Error Type: ${error.constructor.name}`);
+      console.error(`[DynamoDBAdapter] Error Code: ${error.code || error.name || 'Unknown'}`);
+      console.error(`[DynamoDBAdapter] Error Message: ${error.message}`);
+
+      if (error.name === 'ResourceNotFoundException') {
+        console.error(`[DynamoDBAdapter] DynamoDB table '${this.tableName}' does not exist`);
+        console.error('[DynamoDBAdapter] Create it with: node scripts/beaconjs.js db init');
+        throw new Error(`DynamoDB table '${this.tableName}' does not exist. Please create the table first (node scripts/beaconjs.js db init).`);
+      } else if (error.name === 'UnrecognizedClientException' || error.name === 'InvalidSignatureException') {
+        console.error('[DynamoDBAdapter] Invalid AWS credentials detected');
+        console.error('[DynamoDBAdapter] Please verify AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
+        throw new Error('Invalid AWS credentials. Please check your AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY.');
+      } else if (error.name === 'CredentialsProviderError') {
+        console.error('[DynamoDBAdapter] AWS credentials not found');
+        console.error('[DynamoDBAdapter] Please configure credentials via environment variables or AWS credential files');
+        throw new Error('AWS credentials not found. Please configure AWS credentials.');
+      } else {
+        console.error(`[DynamoDBAdapter] Unexpected initialization error`);
+        if (error.stack) {
+          console.error(`[DynamoDBAdapter] Stack Trace: ${error.stack}`);
+        }
+        throw new Error(`Failed to connect to DynamoDB: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Queues a record for the next BatchWriteItem request
+   * @param {Object} record - Beacon record
+   * @returns {Promise<boolean>} True once written, false if the write failed
+   */
+  async store(record) {
+    const stored = await this.batchWriter.add(record);
+    if (stored) {
+      this._noteGateways([record]);
+    }
+    return stored;
+  }
+
+  /**
+   * Writes records immediately in BatchWriteItem requests of up to 25 items
+   * @param {Array<Object>} records - Beacon records
+   * @returns {Promise<Object>} { written, failed, batches }
+   */
+  async writeRecords(records) {
+    const outcome = await this.batchWriter.writeRecords(records);
+    this._noteGateways(outcome.written);
+    return outcome;
+  }
+
+  /**
+   * Deletes records by key in BatchWriteItem requests of up to 25 items
+   * @param {Array<Object>} records - Records to delete (at least recordId and timestamp)
+   * @returns {Promise<Object>} { deleted, failed, batches }
+   */
+  async deleteRecords(records) {
+    return await this.batchWriter.deleteRecords(records);
+  }
+
+  /**
+   * Sends any records waiting in the current micro-batch
+   * @returns {Promise<void>}
+   */
+  async flushPending() {
+    await this.batchWriter.flush();
+  }
+
+  /**
+   * Health probe against the DynamoDB table
+   * @returns {Promise<boolean>} True if the table is reachable and ACTIVE
+   */
+  async probe() {
+    try {
+      const response = await timeDynamoDB('DescribeTable', () => this.client.send(new DescribeTableCommand({
+        TableName: this.tableName
+      })));
+      return response.Table.TableStatus === 'ACTIVE';
+    } catch (error) {
+      console.warn(`[DynamoDBAdapter] Health probe failed: ${error.name || error.code} - ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Queries records for a gateway via GatewayIndex, or for a beacon via BeaconIndex
+   * @param {Object} query - See StorageAdapter.queryRecords
+   * @returns {Promise<Array<Object>>} Matching records
+   */
+  async queryRecords(query) {
+    return (await this._queryMatching(query)).items;
+  }
+
+  /**
+   * Queries one page of records; the cursor wraps DynamoDB's LastEvaluatedKey
+   * @param {Object} query - See StorageAdapter.queryRecordsPage
+   * @returns {Promise<Object>} { records, cursor }
+   */
+  async queryRecordsPage(query) {
+    const { items, lastKey } = await this._queryMatching(query, query.cursor ? this._decodeCursor(query.cursor) : undefined);
+    return {
+      records: items,
+      cursor: lastKey ? this._encodeCursor(lastKey) : null
+    };
+  }
+
+  /**
+   * Counts records for a gateway via GatewayIndex
+   * A count query stops after 1 MB of scanned items, so it continues from LastEvaluatedKey until done
+   * @param {Object} query - See StorageAdapter.countRecords
+   * @returns {Promise<number>} Record count
+   */
+  async countRecords({ gatewayId, from, to, recordType }) {
+    const condition = this._keyCondition({ gatewayId, from, to, recordType });
+    let count = 0;
+    let exclusiveStartKey;
+
+    do {
+      const response = await timeDynamoDB('Query', () => this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        ...condition,
+        Select: 'COUNT',
+        ExclusiveStartKey: exclusiveStartKey
+      })));
+      count += response.Count || 0;
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return count;
+  }
+
+  /**
+   * Lists gateways with records since query.from from their status items in FleetIndex
+   * Tables not yet migrated (no FleetIndex) are scanned instead, reading only the gateway attributes
+   * @param {Object} query - See StorageAdapter.listGateways
+   * @returns {Promise<Array<Object>>} Gateway summaries
+   */
+  async listGateways({ from }) {
+    if (!this.fleetIndexMissing) {
+      try {
+        return await this._queryGatewayStatus(from);
+      } catch (error) {
+        if (error.name !== 'ValidationException' || !/index/i.test(error.message)) {
+          throw error;
+        }
+        this.fleetIndexMissing = true;
+        console.warn('[DynamoDBAdapter] FleetIndex is missing; listing gateways scans the table until it is added (node scripts/beaconjs.js db migrate)');
+      }
+    }
+    return await this._scanGateways(from);
+  }
+
+  /**
+   * Reads the beacon registry entries changed since a point in time from RegistryIndex
+   * @param {number} since - See StorageAdapter.readRegistry
+   * @returns {Promise<Array<Object>>} Registry entries, oldest change first
+   */
+  async readRegistry(since) {
+    const entries = [];
+    let exclusiveStartKey;
+
+    do {
+      const response = await this._registryRequest(() => timeDynamoDB('Query', () => this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        IndexName: 'RegistryIndex',
+        KeyConditionExpression: 'registry = :registry AND registryUpdatedAt > :since',
+        ExpressionAttributeValues: { ':registry': DynamoDBSchema.REGISTRY_KEY, ':since': since },
+        ExclusiveStartKey: exclusiveStartKey
+      }))));
+      for (const item of response.Items || []) {
+        entries.push({
+          beaconKey: item.registryBeaconKey,
+          name: item.name || item.registryBeaconKey,
+          assetType: item.assetType || null,
+          owner: item.owner || null,
+          tags: item.tags || [],
+          updatedAt: item.registryUpdatedAt,
+          deleted: item.deleted === true
+        });
+      }
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return entries;
+  }
+
+  /**
+   * Writes a beacon registry item; a removed entry is written as a tombstone
+   * @param {string} beaconKey - See StorageAdapter.writeRegistryEntry
+   * @param {Object|null} entry - See StorageAdapter.writeRegistryEntry
+   * @returns {Promise<void>}
+   */
+  async writeRegistryEntry(beaconKey, entry) {
+    const item = DynamoDBSchema.registryItem(beaconKey, entry || { updatedAt: Date.now(), deleted: true });
+    await this._registryRequest(() => timeDynamoDB('PutItem', () => this.docClient.send(new PutCommand({
+      TableName: this.tableName,
+      Item: item
+    }))));
+  }
+
+  /**
+   * Runs a registry request, reporting a table without RegistryIndex as ERR_REGISTRY_UNAVAILABLE
+   * @param {Function} request - Async function sending the request
+   * @returns {Promise<*>} The request's result
+   * @private
+   */
+  async _registryRequest(request) {
+    try {
+      return await request();
+    } catch (error) {
+      if (error.name === 'ValidationException' && /index/i.test(error.message)) {
+        const unavailable = new Error(`Table ${this.tableName} has no RegistryIndex yet (node scripts/beaconjs.js db migrate)`);
+        unavailable.code = 'ERR_REGISTRY_UNAVAILABLE';
+        throw unavailable;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the gateway status items updated since a point in time
+   * @param {number} from - Start timestamp in ms (exclusive)
+   * @returns {Promise<Array<Object>>} Gateway summaries, most recent first
+   * @private
+   */
+  async _queryGatewayStatus(from) {
+    const gateways = [];
+    let exclusiveStartKey;
+
+    do {
+      const response = await timeDynamoDB('Query', () => this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        IndexName: 'FleetIndex',
+        KeyConditionExpression: 'fleet = :fleet AND lastSeen > :from',
+        ExpressionAttributeValues: { ':fleet': DynamoDBSchema.FLEET_KEY, ':from': from },
+        ScanIndexForward: false,
+        ExclusiveStartKey: exclusiveStartKey
+      })));
+      for (const item of response.Items || []) {
+        gateways.push({
+          gatewayId: item.statusGatewayId,
+          gatewayName: item.gatewayName || item.statusGatewayId,
+          gatewayLocation: item.gatewayLocation || null,
+          lastSeen: item.lastSeen
+        });
+      }
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return gateways;
+  }
+
+  /**
+   * Lists gateways by scanning the whole table; only used without FleetIndex
+   * @param {number} from - Start timestamp in ms (exclusive)
+   * @returns {Promise<Array<Object>>} Gateway summaries
+   * @private
+   */
+  async _scanGateways(from) {
+    const items = [];
+    let exclusiveStartKey;
+
+    do {
+      const response = await timeDynamoDB('Scan', () => this.docClient.send(new ScanCommand({
+        TableName: this.tableName,
+        ProjectionExpression: 'gatewayId, gatewayName, gatewayLocation, #ts',
+        FilterExpression: '#ts > :from',
+        ExpressionAttributeNames: { '#ts': 'timestamp' },
+        ExpressionAttributeValues: { ':from': from },
+        ExclusiveStartKey: exclusiveStartKey
+      })));
+      items.push(...(response.Items || []));
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return this._summarizeGateways(items);
+  }
+
+  /**
+   * Refreshes the status items of the gateways of written records
+   * Each gateway's item is written at most every GATEWAY_STATUS_INTERVAL_MS, in the background;
+   * a failed write is retried with the next record
+   * @param {Array<Object>} records - Records that were written
+   * @private
+   */
+  _noteGateways(records) {
+    const now = Date.now();
+    for (const record of records) {
+      if (!record.gatewayId) {
+        continue;
+      }
+      let status = this.gatewayStatus.get(record.gatewayId);
+      if (!status) {
+        status = { gateway: null, writtenAt: 0, writing: false };
+        this.gatewayStatus.set(record.gatewayId, status);
+      }
+      if (!status.gateway || record.timestamp > status.gateway.lastSeen) {
+        status.gateway = {
+          gatewayId: record.gatewayId,
+          gatewayName: record.gatewayName,
+          gatewayLocation: record.gatewayLocation,
+          lastSeen: record.timestamp
+        };
+      }
+      if (!status.writing && now - status.writtenAt >= GATEWAY_STATUS_INTERVAL_MS) {
+        this._writeGatewayStatus(status, now);
+      }
+    }
+  }
+
+  /**
+   * Writes one gateway status item
+   * @param {Object} status - Entry of this.gatewayStatus
+   * @param {number} now - Current time in ms
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeGatewayStatus(status, now) {
+    status.writing = true;
+    try {
+      await timeDynamoDB('PutItem', () => this.docClient.send(new PutCommand(
+        DynamoDBSchema.gatewayStatusPut(this.tableName, status.gateway)
+      )));
+      status.writtenAt = now;
+    } catch (error) {
+      // A newer status is already stored (e.g. while the offline queue replays older records)
+      if (error.name === 'ConditionalCheckFailedException') {
+        status.writtenAt = now;
+      } else {
+        console.warn(`[DynamoDBAdapter] Failed to update gateway status for ${status.gateway.gatewayId}: ${error.name || error.code} - ${error.message}`);
+      }
+    } finally {
+      status.writing = false;
+    }
+  }
+
+  /**
+   * Queries until `limit` records match or the time range is exhausted
+   * DynamoDB applies Limit before FilterExpression, so one request can return fewer matches
+   * than asked for when presence, heartbeat or summary records share the index with sightings
+   * @param {Object} query - See StorageAdapter.queryRecords
+   * @param {Object} startKey - ExclusiveStartKey to continue from (optional)
+   * @returns {Promise<Object>} { items, lastKey }; lastKey is null once the range is exhausted
+   * @private
+   */
+  async _queryMatching(query, startKey) {
+    const { limit, newestFirst = true } = query;
+    const condition = this._keyCondition(query);
+    const items = [];
+    let lastKey = startKey;
+
+    do {
+      const response = await timeDynamoDB('Query', () => this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        ...condition,
+        ScanIndexForward: !newestFirst,
+        Limit: limit,
+        ExclusiveStartKey: lastKey
+      })));
+      items.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey && (!limit || items.length < limit));
+
+    if (limit && items.length > limit) {
+      // Continue after the last record returned, not after the last one read
+      items.length = limit;
+      const last = items[limit - 1];
+      const partitionKey = query.beaconKey !== undefined ? 'beaconKey' : 'gatewayId';
+      lastKey = { recordId: last.recordId, timestamp: last.timestamp, [partitionKey]: last[partitionKey] };
+    }
+    return { items, lastKey: lastKey || null };
+  }
+
+  /**
+   * Builds the index key condition for a gateway or beacon and time range
+   * BeaconIndex is used when beaconKey is set; gatewayId then becomes a filter
+   * @param {Object} query - gatewayId, beaconKey, from (exclusive), to (inclusive, optional),
+   *   recordType (optional), filters (optional: uuid, major, minor, minRssi, maxRssi)
+   * @returns {Object} IndexName, KeyConditionExpression, FilterExpression and attribute maps
+   * @private
+   */
+  _keyCondition({ gatewayId, beaconKey, from, to, recordType, filters: attributes = {} }) {
+    const byBeacon = beaconKey !== undefined;
+    const partitionKey = byBeacon ? 'beaconKey' : 'gatewayId';
+    const filters = [];
+    const condition = {
+      IndexName: byBeacon ? 'BeaconIndex' : 'GatewayIndex',
+      KeyConditionExpression: `${partitionKey} = :pk AND #ts > :from`,
+      ExpressionAttributeNames: {
+        '#ts': 'timestamp'
+      },
+      ExpressionAttributeValues: {
+        ':pk': byBeacon ? beaconKey : gatewayId,
+        ':from': from
+      }
+    };
+
+    if (to !== undefined) {
+      // BETWEEN is inclusive on both ends; +1 keeps `from` exclusive
+      condition.KeyConditionExpression = `${partitionKey} = :pk AND #ts BETWEEN :from AND :to`;
+      condition.ExpressionAttributeValues[':from'] = from + 1;
+      condition.ExpressionAttributeValues[':to'] = to;
+    }
+
+    if (byBeacon && gatewayId !== undefined) {
+      filters.push('gatewayId = :gid');
+      condition.ExpressionAttributeValues[':gid'] = gatewayId;
+    }
+
+    if (recordType) {
+      // Sightings written before presence events existed have no recordType
+      filters.push(recordType === 'sighting'
+        ? '(attribute_not_exists(#rt) OR #rt = :rt)'
+        : '#rt = :rt');
+      condition.ExpressionAttributeNames['#rt'] = 'recordType';
+      condition.ExpressionAttributeValues[':rt'] = recordType;
+    }
+
+    // Attribute filters: [query field, record attribute, operator]
+    const attributeFilters = [
+      ['uuid', 'uuid', '='],
+      ['major', 'major', '='],
+      ['minor', 'minor', '='],
+      ['minRssi', 'rssi', '>='],
+      ['maxRssi', 'rssi', '<=']
+    ];
+    for (const [field, attribute, operator] of attributeFilters) {
+      if (attributes[field] !== undefined) {
+        filters.push(`#${attribute} ${operator} :${field}`);
+        condition.ExpressionAttributeNames[`#${attribute}`] = attribute;
+        condition.ExpressionAttributeValues[`:${field}`] = attributes[field];
+      }
+    }
+
+    if (filters.length > 0) {
+      // Filters apply after Limit; _queryMatching keeps reading until `limit` records match
+      condition.FilterExpression = filters.join(' AND ');
+    }
+
+    return condition;
+  }
+}
+
+module.exports = DynamoDBAdapter;
@@ -0,0 +1,576 @@
+/**
+ * DynamoDB Table Schema
+ * Creates the table the DynamoDB adapter writes to, checks an existing table against the
+ * keys and indexes the code queries, and applies versioned migrations to bring older tables
+ * up to date. Used by `beaconjs db init|status|migrate` (scripts/beaconjs.js).
+ *
+ * The applied schema version is kept in the table itself, in an item with recordId
+ * SCHEMA_RECORD_ID and timestamp 0; it has none of the index keys, so no index holds it.
+ * Each migration also checks the table itself before changing it, so tables created by hand
+ * (e.g. with the AWS CLI commands in the docs) are recognized and only what is missing is added.
+ *
+ * Beacon registry entries are kept in the table too (recordId REGISTRY_RECORD_PREFIX + beaconKey,
+ * timestamp 0). Only they have the RegistryIndex keys, which order them by change time so
+ * gateways only read what changed.
+ * Each gateway also has a status item (recordId GATEWAY_RECORD_PREFIX + gatewayId, timestamp 0)
+ * with the time of its latest record. Only these items have the FleetIndex keys, so the
+ * dashboard lists gateways by querying that sparse index instead of scanning the table.
+ */
+
+const {
+  DynamoDBClient,
+  DescribeTableCommand,
+  CreateTableCommand,
+  UpdateTableCommand,
+  DescribeTimeToLiveCommand,
+  UpdateTimeToLiveCommand
+} = require('@aws-sdk/client-dynamodb');
+const fs = require('fs');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Attribute types of every table and index key
+const KEY_ATTRIBUTES = {
+  recordId: 'S',
+  timestamp: 'N',
+  gatewayId: 'S',
+  beaconKey: 'S',
+  registry: 'S',
+  registryUpdatedAt: 'N',
+  fleet: 'S',
+  lastSeen: 'N'
+};
+
+// Table key, then index keys: [partition key, sort key]
+const TABLE_KEY = ['recordId', 'timestamp'];
+const INDEXES = {
+  GatewayIndex: ['gatewayId', 'timestamp'],
+  BeaconIndex: ['beaconKey', 'timestamp'],
+  RegistryIndex: ['registry', 'registryUpdatedAt'],
+  FleetIndex: ['fleet', 'lastSeen']
+};
+
+// Attribute holding the expiry time set from RECORD_TTL_DAYS / SUMMARY_TTL_DAYS
+const TTL_ATTRIBUTE = 'expiresAt';
+
+// Key of the item that records the applied schema version
+const SCHEMA_RECORD_ID = '_beaconjs_schema';
+
+// Beacon registry items: recordId prefix and the RegistryIndex partition they all share
+const REGISTRY_RECORD_PREFIX = '_beaconjs_registry#';
+const REGISTRY_KEY = 'beacons';
+
+// Gateway status items: recordId prefix and the FleetIndex partition they all share
+const GATEWAY_RECORD_PREFIX = '_beaconjs_gateway#';
+const FLEET_KEY = 'gateways';
+
+// Version 0 is the table with its key only; `init` creates the latest version directly
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add GatewayIndex (records by gateway and time)',
+    isApplied: ({ table }) => hasIndex(table, 'GatewayIndex'),
+    apply: schema => schema.addIndex('GatewayIndex')
+  },
+  {
+    version: 2,
+    description: 'Add BeaconIndex (records by beacon and time)',
+    isApplied: ({ table }) => hasIndex(table, 'BeaconIndex'),
+    apply: schema => schema.addIndex('BeaconIndex')
+  },
+  {
+    version: 3,
+    description: `Enable TTL on ${TTL_ATTRIBUTE} (RECORD_TTL_DAYS, SUMMARY_TTL_DAYS)`,
+    isApplied: ({ ttl }) => ttl.AttributeName === TTL_ATTRIBUTE && ['ENABLED', 'ENABLING'].includes(ttl.TimeToLiveStatus),
+    apply: schema => schema.enableTtl()
+  },
+  {
+    version: 4,
+    description: 'Add RegistryIndex (beacon registry shared by all gateways) and import BEACON_REGISTRY_FILE',
+    isApplied: ({ table }) => hasIndex(table, 'RegistryIndex'),
+    apply: async schema => {
+      await schema.addIndex('RegistryIndex');
+      await schema.importRegistryFile();
+    }
+  },
+  {
+    version: 5,
+    description: 'Add FleetIndex (gateway list) and a status item per gateway',
+    isApplied: ({ table }) => hasIndex(table, 'FleetIndex'),
+    apply: async schema => {
+      await schema.addIndex('FleetIndex');
+      await schema.backfillGatewayStatus();
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+class DynamoDBSchema {
+  /**
+   * Creates a new DynamoDBSchema instance
+   * @param {Object} config - Configuration object from getAWSConfig()
+   * @param {string} config.region - AWS region
+   * @param {Object} config.credentials - AWS credentials (optional)
+   * @param {string} config.tableName - DynamoDB table name
+   * @param {string} config.dynamodbEndpoint - Endpoint URL, e.g. DynamoDB Local (optional)
+   * @param {string} config.registryFile - Beacon registry JSON file imported by migration 4 (optional)
+   * @param {Object} options - Waiting options
+   * @param {number} options.pollIntervalMs - How often table and index status is checked (default: 5000)
+   * @param {number} options.timeoutMs - Longest wait for a table or index to become active (default: 30 minutes)
+   */
+  constructor(config, options = {}) {
+    this.tableName = config.tableName;
+    this.registryFile = config.registryFile || null;
+    this.client = new DynamoDBClient({
+      region: config.region,
+      credentials: config.credentials,
+      endpoint: config.dynamodbEndpoint || undefined
+    });
+    this.docClient = DynamoDBDocumentClient.from(this.client);
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.timeoutMs = options.timeoutMs || 30 * 60 * 1000;
+  }
+
+  /**
+   * Reads the table description, TTL setting and applied schema version
+   * @returns {Promise<Object>} { table, ttl, version }; table is null if the table does not exist
+   */
+  async getState() {
+    let table;
+    try {
+      table = (await this.client.send(new DescribeTableCommand({ TableName: this.tableName }))).Table;
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return { table: null, ttl: null, version: null };
+      }
+      throw error;
+    }
+
+    const ttl = (await this.client.send(new DescribeTimeToLiveCommand({ TableName: this.tableName }))).TimeToLiveDescription || {};
+    const item = (await this.docClient.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { recordId: SCHEMA_RECORD_ID, timestamp: 0 }
+    }))).Item;
+    return { table, ttl, version: item ? item.schemaVersion : 0 };
+  }
+
+  /**
+   * Describes the table and how it differs from what the code expects
+   * @returns {Promise<Object>} { exists, table, ttl, version, latestVersion, problems, pending };
+   *   problems cannot be fixed by migrations, pending lists the migrations still to apply
+   *   as { version, description, changed } (changed is false if only the version is recorded)
+   */
+  async status() {
+    const state = await this.getState();
+    if (!state.table) {
+      return { exists: false, latestVersion: LATEST_VERSION, problems: [], pending: [] };
+    }
+    return {
+      exists: true,
+      ...state,
+      latestVersion: LATEST_VERSION,
+      problems: verifyState(state),
+      pending: pendingMigrations(state)
+    };
+  }
+
+  /**
+   * Creates the table with all indexes if it does not exist, then applies any pending migrations
+   * Safe to run again; an existing table is only migrated
+   * @param {Object} options - Table options
+   * @param {number} options.readCapacity - Provisioned read capacity; omit with writeCapacity for on-demand
+   * @param {number} options.writeCapacity - Provisioned write capacity
+   * @returns {Promise<Object>} { created, from, to, applied } (see migrate())
+   * @throws {Error} If the existing table's keys or indexes do not match, or a wait times out
+   */
+  async init({ readCapacity, writeCapacity } = {}) {
+    let created = false;
+    if (!(await this.getState()).table) {
+      await this._createTable({ readCapacity, writeCapacity });
+      created = true;
+    }
+    return { created, ...(await this.migrate()) };
+  }
+
+  /**
+   * Applies the migrations after the table's recorded schema version, in order
+   * Migrations the table already satisfies are recorded without changing the table
+   * @param {Object} options - Migration options
+   * @param {boolean} options.dryRun - Report the pending migrations without applying them (default: false)
+   * @returns {Promise<Object>} { from, to, applied: [{ version, description, changed }] }
+   * @throws {Error} If the table does not exist, its keys or indexes do not match, or a migration fails
+   */
+  async migrate({ dryRun = false } = {}) {
+    const state = await this.getState();
+    if (!state.table) {
+      throw new Error(`Table '${this.tableName}' does not exist. Create it with: beaconjs db init`);
+    }
+    const problems = verifyState(state);
+    if (problems.length > 0) {
+      throw new Error(`Table '${this.tableName}' cannot be migrated:\n  ${problems.join('\n  ')}`);
+    }
+
+    const from = state.version;
+    const pending = pendingMigrations(state);
+    if (dryRun) {
+      return { from, to: from, applied: pending };
+    }
+    for (const { version, description, changed } of pending) {
+      if (changed) {
+        console.log(`[DynamoDBSchema] Applying migration ${version}: ${description}`);
+        await MIGRATIONS.find(migration => migration.version === version).apply(this);
+      }
+      // A migration re-applied after its index was deleted does not lower the version
+      state.version = Math.max(state.version, version);
+      await this._recordVersion(state.version);
+    }
+    return { from, to: state.version, applied: pending };
+  }
+
+  /**
+   * Adds a global secondary index and waits until it is active (existing records are backfilled first)
+   * @param {string} indexName - Name of an index in INDEXES
+   * @returns {Promise<void>}
+   */
+  async addIndex(indexName) {
+    const { table } = await this.getState();
+    const index = indexDefinition(indexName);
+    if (isProvisioned(table)) {
+      index.ProvisionedThroughput = {
+        ReadCapacityUnits: table.ProvisionedThroughput.ReadCapacityUnits,
+        WriteCapacityUnits: table.ProvisionedThroughput.WriteCapacityUnits
+      };
+    }
+    await this.client.send(new UpdateTableCommand({
+      TableName: this.tableName,
+      AttributeDefinitions: attributeDefinitions(INDEXES[indexName]),
+      GlobalSecondaryIndexUpdates: [{ Create: index }]
+    }));
+    await this._waitUntil(`${indexName} to become active`, updated => {
+      const created = (updated.GlobalSecondaryIndexes || []).find(candidate => candidate.IndexName === indexName);
+      return created && created.IndexStatus === 'ACTIVE' && !created.Backfilling;
+    });
+  }
+
+  /**
+   * Writes a status item for every gateway with records in the table
+   * Scans the table once; afterwards the DynamoDB adapter keeps the items current as it writes
+   * @returns {Promise<number>} Number of gateways found
+   */
+  async backfillGatewayStatus() {
+    const gateways = new Map();
+    let exclusiveStartKey;
+    do {
+      const response = await this.docClient.send(new ScanCommand({
+        TableName: this.tableName,
+        ProjectionExpression: 'gatewayId, gatewayName, gatewayLocation, #ts',
+        FilterExpression: 'attribute_exists(gatewayId)',
+        ExpressionAttributeNames: { '#ts': 'timestamp' },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      for (const item of response.Items || []) {
+        const gateway = gateways.get(item.gatewayId);
+        if (!gateway || item.timestamp > gateway.lastSeen) {
+          gateways.set(item.gatewayId, { ...item, lastSeen: item.timestamp });
+        }
+      }
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    for (const gateway of gateways.values()) {
+      try {
+        await this.docClient.send(new PutCommand(DynamoDBSchema.gatewayStatusPut(this.tableName, gateway)));
+      } catch (error) {
+        // A scanner already stored a newer status for this gateway
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+    console.log(`[DynamoDBSchema] Stored status items for ${gateways.size} gateway(s)`);
+    return gateways.size;
+  }
+
+  /**
+   * Copies the entries of the registry file into the table; entries already in the table are kept
+   * @returns {Promise<number>} Number of entries imported
+   */
+  async importRegistryFile() {
+    let entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(this.registryFile, 'utf8'));
+    } catch (error) {
+      if (!this.registryFile || error.code === 'ENOENT') {
+        return 0;
+      }
+      throw new Error(`Failed to read beacon registry '${this.registryFile}': ${error.message}`);
+    }
+
+    let imported = 0;
+    for (const [beaconKey, entry] of Object.entries(entries || {})) {
+      try {
+        await this.docClient.send(new PutCommand({
+          TableName: this.tableName,
+          Item: DynamoDBSchema.registryItem(beaconKey, {
+            name: entry?.name || beaconKey,
+            assetType: entry?.assetType || null,
+            owner: entry?.owner || null,
+            tags: Array.isArray(entry?.tags) ? entry.tags : [],
+            updatedAt: entry?.updatedAt || Date.now()
+          }),
+          ConditionExpression: 'attribute_not_exists(recordId)'
+        }));
+        imported++;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+    console.log(`[DynamoDBSchema] Imported ${imported} beacon registry entr${imported === 1 ? 'y' : 'ies'} from ${this.registryFile}`);
+    return imported;
+  }
+
+  /**
+   * Turns on DynamoDB TTL for the expiresAt attribute
+   * @returns {Promise<void>}
+   */
+  async enableTtl() {
+    await this.client.send(new UpdateTimeToLiveCommand({
+      TableName: this.tableName,
+      TimeToLiveSpecification: { AttributeName: TTL_ATTRIBUTE, Enabled: true }
+    }));
+  }
+
+  /**
+   * Closes the DynamoDB client
+   */
+  close() {
+    this.client.destroy();
+  }
+
+  /**
+   * Creates the table with all indexes and waits until it is active
+   * @param {Object} capacity - readCapacity and writeCapacity for a provisioned table, or neither for on-demand
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _createTable({ readCapacity, writeCapacity }) {
+    const provisioned = readCapacity !== undefined || writeCapacity !== undefined;
+    const throughput = provisioned ? { ReadCapacityUnits: readCapacity || 5, WriteCapacityUnits: writeCapacity || 5 } : undefined;
+    console.log(`[DynamoDBSchema] Creating table ${this.tableName} (${provisioned ? `provisioned ${throughput.ReadCapacityUnits}/${throughput.WriteCapacityUnits} RCU/WCU` : 'on-demand'})`);
+
+    try {
+      await this.client.send(new CreateTableCommand({
+        TableName: this.tableName,
+        AttributeDefinitions: attributeDefinitions([...TABLE_KEY, ...Object.values(INDEXES).flat()]),
+        KeySchema: keySchema(TABLE_KEY),
+        GlobalSecondaryIndexes: Object.keys(INDEXES).map(indexName => ({
+          ...indexDefinition(indexName),
+          ...(provisioned ? { ProvisionedThroughput: throughput } : {})
+        })),
+        BillingMode: provisioned ? 'PROVISIONED' : 'PAY_PER_REQUEST',
+        ProvisionedThroughput: throughput
+      }));
+    } catch (error) {
+      // Created meanwhile by another run; wait for it like our own
+      if (error.name !== 'ResourceInUseException') {
+        throw error;
+      }
+    }
+    await this._waitUntil('the table to become active', table => table.TableStatus === 'ACTIVE' &&
+      (table.GlobalSecondaryIndexes || []).every(index => index.IndexStatus === 'ACTIVE'));
+  }
+
+  /**
+   * Stores the applied schema version in the table
+   * @param {number} version - Schema version
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordVersion(version) {
+    await this.docClient.send(new PutCommand({
+      TableName: this.tableName,
+      Item: {
+        recordId: SCHEMA_RECORD_ID,
+        timestamp: 0,
+        recordType: 'schema',
+        schemaVersion: version,
+        migratedAt: new Date().toISOString()
+      }
+    }));
+  }
+
+  /**
+   * Polls the table description until a condition holds
+   * @param {string} what - What is waited for, used in log and error messages
+   * @param {Function} isDone - Called with the table description
+   * @returns {Promise<void>}
+   * @throws {Error} If the condition does not hold within timeoutMs
+   * @private
+   */
+  async _waitUntil(what, isDone) {
+    const deadline = Date.now() + this.timeoutMs;
+    for (;;) {
+      const { table } = await this.getState();
+      if (table && isDone(table)) {
+        return;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for ${what} on table '${this.tableName}'`);
+      }
+      console.log(`[DynamoDBSchema] Waiting for ${what}...`);
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Checks a table description against the keys and indexes the code expects
+   * Missing indexes are not reported; they are added by migrations (see missingIndexes())
+   * @param {Object} table - Table description from DescribeTable
+   * @returns {Array<string>} Problems that need a new table or manual changes; empty if the table matches
+   */
+  static verifyTable(table) {
+    const problems = [];
+    const checkKey = (label, keys, expected) => {
+      if (describeKeys(keys) !== describeKeys(keySchema(expected))) {
+        problems.push(`${label} key is ${describeKeys(keys)}, expected ${describeKeys(keySchema(expected))}`);
+      }
+    };
+
+    checkKey('Table', table.KeySchema, TABLE_KEY);
+    for (const index of table.GlobalSecondaryIndexes || []) {
+      if (!INDEXES[index.IndexName]) {
+        continue;
+      }
+      checkKey(index.IndexName, index.KeySchema, INDEXES[index.IndexName]);
+      if (index.Projection && index.Projection.ProjectionType !== 'ALL') {
+        problems.push(`${index.IndexName} projects ${index.Projection.ProjectionType}, expected ALL (queries read whole records)`);
+      }
+    }
+    const types = Object.fromEntries((table.AttributeDefinitions || []).map(definition => [definition.AttributeName, definition.AttributeType]));
+    for (const [name, type] of Object.entries(types)) {
+      if (KEY_ATTRIBUTES[name] && type !== KEY_ATTRIBUTES[name]) {
+        problems.push(`Attribute ${name} has type ${type}, expected ${KEY_ATTRIBUTES[name]}`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Builds the PutItem input that stores a gateway's status item
+   * The write is conditional, so a status replayed from an older record does not move lastSeen back
+   * @param {string} tableName - DynamoDB table name
+   * @param {Object} gateway - { gatewayId, gatewayName, gatewayLocation, lastSeen }
+   * @returns {Object} PutCommand input; fails with ConditionalCheckFailedException if a newer status is stored
+   */
+  static gatewayStatusPut(tableName, { gatewayId, gatewayName, gatewayLocation, lastSeen }) {
+    return {
+      TableName: tableName,
+      Item: {
+        recordId: GATEWAY_RECORD_PREFIX + gatewayId,
+        timestamp: 0,
+        recordType: 'gateway',
+        fleet: FLEET_KEY,
+        lastSeen,
+        // Not stored as gatewayId, which would put the item in GatewayIndex
+        statusGatewayId: gatewayId,
+        gatewayName: gatewayName || gatewayId,
+        gatewayLocation: gatewayLocation || null
+      },
+      ConditionExpression: 'attribute_not_exists(lastSeen) OR lastSeen < :lastSeen',
+      ExpressionAttributeValues: { ':lastSeen': lastSeen }
+    };
+  }
+
+  /**
+   * Builds the item that stores a beacon registry entry
+   * A removed entry is kept as a tombstone (deleted: true) so gateways reading changes see the removal
+   * @param {string} beaconKey - Beacon key
+   * @param {Object} entry - { name, assetType, owner, tags, updatedAt }, or { updatedAt, deleted: true }
+   * @returns {Object} Item
+   */
+  static registryItem(beaconKey, entry) {
+    return {
+      recordId: REGISTRY_RECORD_PREFIX + beaconKey,
+      timestamp: 0,
+      recordType: 'registry',
+      registry: REGISTRY_KEY,
+      registryUpdatedAt: entry.updatedAt,
+      // Not stored as beaconKey, which would put the item in BeaconIndex
+      registryBeaconKey: beaconKey,
+      ...(entry.deleted
+        ? { deleted: true }
+        : { name: entry.name, assetType: entry.assetType || null, owner: entry.owner || null, tags: entry.tags || [] })
+    };
+  }
+
+  /**
+   * Names of the indexes the code queries that a table does not have
+   * @param {Object} table - Table description from DescribeTable
+   * @returns {Array<string>} Missing index names
+   */
+  static missingIndexes(table) {
+    return Object.keys(INDEXES).filter(indexName => !hasIndex(table, indexName));
+  }
+}
+
+// Migrations after the recorded version, and earlier ones the table no longer satisfies
+function pendingMigrations(state) {
+  return MIGRATIONS
+    .filter(migration => migration.version > state.version || !migration.isApplied(state))
+    .map(migration => ({ version: migration.version, description: migration.description, changed: !migration.isApplied(state) }));
+}
+
+// Problems migrations cannot fix; TTL on another attribute has to be turned off by hand first
+function verifyState({ table, ttl }) {
+  const problems = DynamoDBSchema.verifyTable(table);
+  if (ttl && ttl.AttributeName && ttl.AttributeName !== TTL_ATTRIBUTE && ['ENABLED', 'ENABLING'].includes(ttl.TimeToLiveStatus)) {
+    problems.push(`TTL is enabled on ${ttl.AttributeName}, expected ${TTL_ATTRIBUTE}; disable it first (DynamoDB allows one TTL attribute)`);
+  }
+  return problems;
+}
+
+function hasIndex(table, indexName) {
+  return (table.GlobalSecondaryIndexes || []).some(index => index.IndexName === indexName);
+}
+
+function isProvisioned(table) {
+  if (table.BillingModeSummary) {
+    return table.BillingModeSummary.BillingMode === 'PROVISIONED';
+  }
+  return (table.ProvisionedThroughput?.ReadCapacityUnits || 0) > 0;
+}
+
+function indexDefinition(indexName) {
+  return {
+    IndexName: indexName,
+    KeySchema: keySchema(INDEXES[indexName]),
+    Projection: { ProjectionType: 'ALL' }
+  };
+}
+
+function keySchema([partitionKey, sortKey]) {
+  return [
+    { AttributeName: partitionKey, KeyType: 'HASH' },
+    { AttributeName: sortKey, KeyType: 'RANGE' }
+  ];
+}
+
+function attributeDefinitions(names) {
+  return Array.from(new Set(names)).map(name => ({ AttributeName: name, AttributeType: KEY_ATTRIBUTES[name] }));
+}
+
+// e.g. "recordId (HASH) + timestamp (RANGE)"
+function describeKeys(keys = []) {
+  return keys.map(key => `${key.AttributeName} (${key.KeyType})`).join(' + ') || 'none';
+}
+
+DynamoDBSchema.MIGRATIONS = MIGRATIONS;
+DynamoDBSchema.LATEST_VERSION = LATEST_VERSION;
+DynamoDBSchema.INDEXES = INDEXES;
+DynamoDBSchema.SCHEMA_RECORD_ID = SCHEMA_RECORD_ID;
+DynamoDBSchema.FLEET_KEY = FLEET_KEY;
+DynamoDBSchema.REGISTRY_KEY = REGISTRY_KEY;
+
+module.exports = DynamoDBSchema;
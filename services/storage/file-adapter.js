@@ -0,0 +1,357 @@
+/**
+ * File Storage Adapter
+ * Stores beacon records as newline-delimited JSON on the local disk, one file per UTC day
+ * (records-YYYY-MM-DD.jsonl). Lets gateways run without AWS; the dashboard server
+ * reads the same directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const StorageAdapter = require('./storage-adapter');
+
+const FILE_PATTERN = /^records-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Times a day file is re-read when the scanner appends to it during a delete
+const REWRITE_ATTEMPTS = 5;
+
+// Times of the first and last day a day file name can hold (4-digit years)
+const FIRST_FILE_TIME = Date.parse('0000-01-01T00:00:00.000Z');
+const LAST_FILE_TIME = Date.parse('9999-12-31T23:59:59.999Z');
+
+class FileAdapter extends StorageAdapter {
+  /**
+   * Creates a new FileAdapter instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.dataDir - Directory holding the record files
+   */
+  constructor(config) {
+    super('file');
+    this.dataDir = config.dataDir;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Creates the data directory and checks it is writable
+   * @returns {Promise<void>}
+   * @throws {Error} If the directory cannot be created or written
+   */
+  async initialize() {
+    if (!this.dataDir) {
+      console.error('[FileAdapter] Configuration validation failed: Missing data directory');
+      throw new Error('Data directory is required for the file storage backend');
+    }
+
+    try {
+      await fs.promises.mkdir(this.dataDir, { recursive: true });
+      await fs.promises.access(this.dataDir, fs.constants.W_OK);
+    } catch (error) {
+      console.error(`[FileAdapter] Data directory is not writable: ${this.dataDir}`);
+      throw new Error(`Cannot write to data directory '${this.dataDir}': ${error.message}`);
+    }
+
+    console.log(`[FileAdapter] Storing records in: ${this.dataDir}`);
+  }
+
+  /**
+   * Appends records to the file for their UTC day
+   * @param {Array<Object>} records - Beacon records
+   * @returns {Promise<Object>} { written, failed }
+   */
+  async writeRecords(records) {
+    const byDay = new Map();
+    for (const record of records) {
+      const file = this._fileFor(record.timestamp);
+      if (!byDay.has(file)) byDay.set(file, []);
+      byDay.get(file).push(record);
+    }
+
+    const written = [];
+    const failed = [];
+    for (const [file, dayRecords] of byDay) {
+      try {
+        const lines = dayRecords.map(record => JSON.stringify(record) + '\n').join('');
+        await this._inOrder(() => fs.promises.appendFile(file, lines));
+        written.push(...dayRecords);
+      } catch (error) {
+        console.error(`[FileAdapter] Failed to write ${dayRecords.length} record(s) to ${file}`);
+        console.error(`[FileAdapter] Error Message: ${error.message}`);
+        failed.push(...dayRecords);
+      }
+    }
+
+    return { written, failed };
+  }
+
+  /**
+   * Removes records by rewriting the day files that hold them
+   * Each file is rewritten through a temporary file after this adapter's pending appends; if another
+   * process (the scanner) appends to it meanwhile, the rewrite starts over so the new lines are kept
+   * @param {Array<Object>} records - Records to delete (matched by recordId)
+   * @returns {Promise<Object>} { deleted, failed }
+   */
+  async deleteRecords(records) {
+    const byDay = new Map();
+    for (const record of records) {
+      const file = this._fileFor(record.timestamp);
+      if (!byDay.has(file)) byDay.set(file, []);
+      byDay.get(file).push(record);
+    }
+
+    const deleted = [];
+    const failed = [];
+    for (const [file, dayRecords] of byDay) {
+      try {
+        await this._inOrder(() => this._removeLines(file, new Set(dayRecords.map(record => record.recordId))));
+        deleted.push(...dayRecords);
+      } catch (error) {
+        console.error(`[FileAdapter] Failed to delete ${dayRecords.length} record(s) from ${file}`);
+        console.error(`[FileAdapter] Error Message: ${error.message}`);
+        failed.push(...dayRecords);
+      }
+    }
+
+    return { deleted, failed };
+  }
+
+  /**
+   * Checks the data directory is still writable
+   * @returns {Promise<boolean>} True if writable
+   */
+  async probe() {
+    try {
+      await fs.promises.access(this.dataDir, fs.constants.W_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Queries records, reading only the day files that overlap the time range
+   * @param {Object} query - See StorageAdapter.queryRecords
+   * @returns {Promise<Array<Object>>} Matching records
+   */
+  async queryRecords(query) {
+    const records = await this._readRange(query.from, query.to);
+    return this._applyQuery(records, query);
+  }
+
+  /**
+   * Queries one page of records, reading only the day files that overlap the time range
+   * @param {Object} query - See StorageAdapter.queryRecordsPage
+   * @returns {Promise<Object>} { records, cursor }
+   */
+  async queryRecordsPage(query) {
+    const records = await this._readRange(query.from, query.to);
+    return this._applyPage(records, query);
+  }
+
+  /**
+   * Iterates over matching records, streaming the day files that overlap the time range line by line
+   * Each file is read once, so exports and aggregations do not re-read the range for every page or
+   * hold it in memory. Oldest first yields each day's records in the order they were stored (records
+   * replayed from the offline queue can follow newer ones); newest first sorts one day's matches at a time
+   * @param {Object} query - See StorageAdapter.iterateRecords; limit is ignored
+   * @yields {Object} Matching records
+   */
+  async *iterateRecords(query) {
+    const newestFirst = query.newestFirst !== false;
+    const files = await this._dayFiles(query.from, query.to);
+    if (newestFirst) {
+      files.reverse();
+    }
+
+    for (const file of files) {
+      if (!newestFirst) {
+        for await (const record of this._readLines(file)) {
+          if (this._matches(record, query)) {
+            yield record;
+          }
+        }
+        continue;
+      }
+
+      const matches = [];
+      for await (const record of this._readLines(file)) {
+        if (this._matches(record, query)) {
+          matches.push(record);
+        }
+      }
+      yield* this._matchAndSort(matches, query);
+    }
+  }
+
+  /**
+   * Counts records, reading only the day files that overlap the time range
+   * @param {Object} query - See StorageAdapter.countRecords
+   * @returns {Promise<number>} Record count
+   */
+  async countRecords(query) {
+    const records = await this._readRange(query.from, query.to);
+    return this._applyQuery(records, query).length;
+  }
+
+  /**
+   * Lists gateways with records in the day files since query.from
+   * @param {Object} query - See StorageAdapter.listGateways
+   * @returns {Promise<Array<Object>>} Gateway summaries
+   */
+  async listGateways(query) {
+    const records = await this._readRange(query.from);
+    return this._summarizeGateways(records.filter(record => record.timestamp > query.from));
+  }
+
+  /**
+   * Reads all records from day files overlapping [from, to]
+   * @param {number} from - Start timestamp
+   * @param {number} to - End timestamp (optional, defaults to now)
+   * @returns {Promise<Array<Object>>} Records
+   * @private
+   */
+  async _readRange(from, to) {
+    const records = [];
+    for (const file of await this._dayFiles(from, to)) {
+      for await (const record of this._readLines(file)) {
+        records.push(record);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Lists the day files overlapping [from, to], oldest first
+   * @param {number} from - Start timestamp
+   * @param {number} to - End timestamp (optional, defaults to now)
+   * @returns {Promise<Array<string>>} File paths
+   * @private
+   */
+  async _dayFiles(from, to = Date.now()) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    // Clamped to the days file names can hold: toISOString throws beyond what a Date can hold,
+    // and writes years outside 0-9999 with a sign that does not compare with the file names
+    const firstDay = new Date(Math.min(Math.max(from, FIRST_FILE_TIME), LAST_FILE_TIME)).toISOString().slice(0, 10);
+    const lastDay = new Date(Math.min(Math.max(to, FIRST_FILE_TIME), LAST_FILE_TIME)).toISOString().slice(0, 10);
+    return files
+      .filter(file => {
+        const match = FILE_PATTERN.exec(file);
+        return match && match[1] >= firstDay && match[1] <= lastDay;
+      })
+      .sort()
+      .map(file => path.join(this.dataDir, file));
+  }
+
+  /**
+   * Reads the records of a day file one line at a time
+   * @param {string} file - Day file
+   * @yields {Object} Records; nothing if the file was removed meanwhile (e.g. by a purge)
+   * @private
+   */
+  async *_readLines(file) {
+    const input = fs.createReadStream(file, { encoding: 'utf8' });
+    try {
+      await once(input, 'open');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          // Partial line from an interrupted write - skip it
+          continue;
+        }
+        yield record;
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+
+  /**
+   * Rewrites a day file without the lines of the given records; removes the file if nothing is left
+   * @param {string} file - Day file
+   * @param {Set<string>} recordIds - IDs of the records to remove
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeLines(file, recordIds) {
+    for (let attempt = 1; attempt <= REWRITE_ATTEMPTS; attempt++) {
+      let contents;
+      try {
+        contents = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      const kept = contents.split('\n').filter(line => {
+        if (!line) return false;
+        try {
+          return !recordIds.has(JSON.parse(line).recordId);
+        } catch {
+          // Partial line from an interrupted write - drop it with the rewrite
+          return false;
+        }
+      });
+
+      // Only replace the file if nothing was appended since it was read
+      const tempFile = `${file}.${process.pid}.tmp`;
+      if (kept.length > 0) {
+        await fs.promises.writeFile(tempFile, kept.map(line => line + '\n').join(''));
+      }
+      const { size } = await fs.promises.stat(file);
+      if (size !== Buffer.byteLength(contents)) {
+        await fs.promises.rm(tempFile, { force: true });
+        continue;
+      }
+      if (kept.length === 0) {
+        await fs.promises.unlink(file);
+      } else {
+        await fs.promises.rename(tempFile, file);
+      }
+      return;
+    }
+    throw new Error(`${file} kept changing while records were deleted; try again`);
+  }
+
+  /**
+   * Runs appends and rewrites one at a time, so a rewrite never drops lines appended by this process
+   * @param {Function} operation - Async file operation
+   * @returns {Promise<*>} Result of the operation
+   * @private
+   */
+  _inOrder(operation) {
+    const run = this.writing.catch(() => {}).then(operation);
+    this.writing = run;
+    return run;
+  }
+
+  /**
+   * Gets the file path for a record timestamp
+   * @param {number} timestamp - Record timestamp
+   * @returns {string} File path
+   * @private
+   */
+  _fileFor(timestamp) {
+    const day = new Date(timestamp).toISOString().slice(0, 10);
+    return path.join(this.dataDir, `records-${day}.jsonl`);
+  }
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,37 @@
+/**
+ * Storage Backends
+ * Selects the storage adapter named by config.storageBackend
+ */
+
+const DynamoDBAdapter = require('./dynamodb-adapter');
+const FileAdapter = require('./file-adapter');
+const MemoryAdapter = require('./memory-adapter');
+const NullAdapter = require('./null-adapter');
+
+const BACKENDS = {
+  dynamodb: DynamoDBAdapter,
+  file: FileAdapter,
+  memory: MemoryAdapter,
+  none: NullAdapter
+};
+
+/**
+ * Creates the storage adapter selected by configuration
+ * @param {Object} config - Configuration object from getAWSConfig()
+ * @param {string} config.storageBackend - 'dynamodb' (default), 'file', 'memory' or 'none'
+ * @returns {StorageAdapter} Storage adapter instance
+ * @throws {Error} If the backend name is unknown
+ */
+function createStorageAdapter(config) {
+  const backend = config.storageBackend || 'dynamodb';
+  const Adapter = BACKENDS[backend];
+  if (!Adapter) {
+    throw new Error(`Unknown storage backend '${backend}'. Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return new Adapter(config);
+}
+
+module.exports = {
+  createStorageAdapter,
+  BACKENDS
+};
@@ -0,0 +1,91 @@
+/**
+ * Memory Storage Adapter
+ * Keeps beacon records in process memory - for development and testing
+ * Records are not shared between processes and are lost on restart
+ */
+
+const StorageAdapter = require('./storage-adapter');
+
+class MemoryAdapter extends StorageAdapter {
+  /**
+   * Creates a new MemoryAdapter instance
+   * @param {Object} config - Configuration object
+   * @param {number} config.memoryMaxRecords - Records kept before the oldest are discarded (default: 10000)
+   */
+  constructor(config = {}) {
+    super('memory');
+    this.maxRecords = config.memoryMaxRecords || 10000;
+    this.records = [];
+  }
+
+  /**
+   * Nothing to prepare for the in-memory backend
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    console.log(`[MemoryAdapter] Using in-memory storage (max ${this.maxRecords} records, not persisted)`);
+  }
+
+  /**
+   * Appends records, discarding the oldest beyond maxRecords
+   * @param {Array<Object>} records - Beacon records
+   * @returns {Promise<Object>} { written, failed }
+   */
+  async writeRecords(records) {
+    this.records.push(...records);
+    if (this.records.length > this.maxRecords) {
+      this.records.splice(0, this.records.length - this.maxRecords);
+    }
+    return { written: records, failed: [] };
+  }
+
+  /**
+   * Removes stored records
+   * @param {Array<Object>} records - Records to delete (matched by recordId)
+   * @returns {Promise<Object>} { deleted, failed }
+   */
+  async deleteRecords(records) {
+    const ids = new Set(records.map(record => record.recordId));
+    this.records = this.records.filter(record => !ids.has(record.recordId));
+    return { deleted: records, failed: [] };
+  }
+
+  /**
+   * Queries stored records
+   * @param {Object} query - See StorageAdapter.queryRecords
+   * @returns {Promise<Array<Object>>} Matching records
+   */
+  async queryRecords(query) {
+    return this._applyQuery(this.records, query);
+  }
+
+  /**
+   * Queries one page of stored records
+   * @param {Object} query - See StorageAdapter.queryRecordsPage
+   * @returns {Promise<Object>} { records, cursor }
+   */
+  async queryRecordsPage(query) {
+    return this._applyPage(this.records, query);
+  }
+
+  /**
+   * Counts stored records
+   * @param {Object} query - See StorageAdapter.countRecords
+   * @returns {Promise<number>} Record count
+   */
+  async countRecords(query) {
+    return this._applyQuery(this.records, query).length;
+  }
+
+  /**
+   * Lists gateways with stored records
+   * @param {Object} query - See StorageAdapter.listGateways
+   * @returns {Promise<Array<Object>>} Gateway summaries
+   */
+  async listGateways(query) {
+    const records = this.records.filter(record => record.timestamp > query.from);
+    return this._summarizeGateways(records);
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,72 @@
+/**
+ * Null Storage Adapter
+ * Discards beacon records - for gateways that only publish to other sinks (e.g. MQTT)
+ */
+
+const StorageAdapter = require('./storage-adapter');
+
+class NullAdapter extends StorageAdapter {
+  constructor() {
+    super('none');
+  }
+
+  /**
+   * Nothing to prepare when storage is disabled
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    console.log('[NullAdapter] Record storage disabled - records are not persisted');
+  }
+
+  /**
+   * Accepts and discards records
+   * @param {Array<Object>} records - Beacon records
+   * @returns {Promise<Object>} { written, failed }
+   */
+  async writeRecords(records) {
+    return { written: records, failed: [] };
+  }
+
+  /**
+   * No records are ever stored, so there is nothing to delete
+   * @param {Array<Object>} records - Records to delete
+   * @returns {Promise<Object>} { deleted, failed }
+   */
+  async deleteRecords(records) {
+    return { deleted: records, failed: [] };
+  }
+
+  /**
+   * No records are ever stored
+   * @returns {Promise<Array<Object>>} Empty list
+   */
+  async queryRecords() {
+    return [];
+  }
+
+  /**
+   * No records are ever stored
+   * @returns {Promise<Object>} Empty page
+   */
+  async queryRecordsPage() {
+    return { records: [], cursor: null };
+  }
+
+  /**
+   * No records are ever stored
+   * @returns {Promise<number>} Zero
+   */
+  async countRecords() {
+    return 0;
+  }
+
+  /**
+   * No records are ever stored
+   * @returns {Promise<Array<Object>>} Empty list
+   */
+  async listGateways() {
+    return [];
+  }
+}
+
+module.exports = NullAdapter;
@@ -0,0 +1,318 @@
+/**
+ * Storage Adapter
+ * Base class for beacon record storage backends
+ * Both the scanner (writer) and the dashboard server (reader) talk to storage
+ * exclusively through this interface
+ */
+
+const { EventEmitter } = require('events');
+
+class StorageAdapter extends EventEmitter {
+  /**
+   * Creates a new StorageAdapter instance
+   * @param {string} name - Backend name used in logs (e.g. 'dynamodb')
+   */
+  constructor(name) {
+    super();
+    this.name = name;
+    // Backends that set this keep the beacon registry, see readRegistry()
+    this.hasRegistry = false;
+  }
+
+  /**
+   * Prepares the backend and verifies it is usable
+   * @returns {Promise<void>}
+   * @throws {Error} If the backend cannot be used
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  /**
+   * Stores a single record; backends may delay the write to batch it
+   * @param {Object} record - Beacon record
+   * @returns {Promise<boolean>} True once written, false if the write failed
+   */
+  async store(record) {
+    const result = await this.writeRecords([record]);
+    return result.failed.length === 0;
+  }
+
+  /**
+   * Writes a list of records immediately
+   * @param {Array<Object>} records - Beacon records
+   * @returns {Promise<Object>} { written: Array<Object>, failed: Array<Object> }
+   */
+  async writeRecords(records) {
+    throw new Error(`${this.constructor.name} does not implement writeRecords()`);
+  }
+
+  /**
+   * Deletes records, for the purge command
+   * @param {Array<Object>} records - Records to delete, as returned by queries (matched by recordId and timestamp)
+   * @returns {Promise<Object>} { deleted: Array<Object>, failed: Array<Object> }
+   */
+  async deleteRecords(records) {
+    throw new Error(`${this.constructor.name} does not implement deleteRecords()`);
+  }
+
+  /**
+   * Sends any writes the backend is holding back for batching
+   * @returns {Promise<void>}
+   */
+  async flushPending() {}
+
+  /**
+   * Health probe
+   * @returns {Promise<boolean>} True if the backend is reachable
+   */
+  async probe() {
+    return true;
+  }
+
+  /**
+   * Queries records for a gateway or a beacon within a time range
+   * @param {Object} query - Query parameters
+   * @param {string} query.gatewayId - Gateway to query (required unless beaconKey is set)
+   * @param {string} query.beaconKey - Beacon to query across all gateways (optional)
+   * @param {number} query.from - Start timestamp in ms (exclusive)
+   * @param {number} query.to - End timestamp in ms (inclusive, optional)
+   * @param {number} query.limit - Maximum records to return (optional)
+   * @param {boolean} query.newestFirst - Sort order (default: true)
+   * @param {string} query.recordType - Only 'sighting', 'presence', 'heartbeat' or 'summary' records (optional, default: all)
+   * @param {Object} query.filters - Attribute filters: uuid, major, minor, minRssi, maxRssi (optional)
+   * @returns {Promise<Array<Object>>} Matching records
+   */
+  async queryRecords(query) {
+    throw new Error(`${this.constructor.name} does not implement queryRecords()`);
+  }
+
+  /**
+   * Queries one page of records; takes the queryRecords parameters plus a cursor
+   * A page may hold fewer than `limit` records even when more follow - keep
+   * requesting until the returned cursor is null
+   * @param {Object} query - See queryRecords
+   * @param {string} query.cursor - Cursor returned with the previous page (optional)
+   * @returns {Promise<Object>} { records: Array<Object>, cursor: string|null }
+   * @throws {Error} With code 'ERR_INVALID_CURSOR' if the cursor cannot be decoded
+   */
+  async queryRecordsPage(query) {
+    throw new Error(`${this.constructor.name} does not implement queryRecordsPage()`);
+  }
+
+  /**
+   * Iterates over all matching records, reading one page at a time
+   * @param {Object} query - See queryRecords; limit is the page size (default: 500)
+   * @yields {Object} Matching records
+   */
+  async *iterateRecords(query) {
+    let cursor;
+    do {
+      const page = await this.queryRecordsPage({ limit: 500, ...query, cursor });
+      yield* page.records;
+      cursor = page.cursor;
+    } while (cursor);
+  }
+
+  /**
+   * Counts records for a gateway within a time range
+   * @param {Object} query - Query parameters
+   * @param {string} query.gatewayId - Gateway to count
+   * @param {number} query.from - Start timestamp in ms (exclusive)
+   * @param {number} query.to - End timestamp in ms (inclusive, optional)
+   * @param {string} query.recordType - Only 'sighting', 'presence', 'heartbeat' or 'summary' records (optional, default: all)
+   * @returns {Promise<number>} Record count
+   */
+  async countRecords(query) {
+    throw new Error(`${this.constructor.name} does not implement countRecords()`);
+  }
+
+  /**
+   * Lists gateways that stored records since a point in time
+   * @param {Object} query - Query parameters
+   * @param {number} query.from - Start timestamp in ms (exclusive)
+   * @returns {Promise<Array<Object>>} { gatewayId, gatewayName, gatewayLocation, lastSeen }, most recent first
+   */
+  async listGateways(query) {
+    throw new Error(`${this.constructor.name} does not implement listGateways()`);
+  }
+
+  /**
+   * Reads the beacon registry entries changed since a point in time
+   * Only available when hasRegistry is set; other backends leave the registry in BEACON_REGISTRY_FILE
+   * @param {number} since - Change time in ms (exclusive); 0 reads the whole registry
+   * @returns {Promise<Array<Object>>} { beaconKey, name, assetType, owner, tags, updatedAt, deleted }, oldest change first
+   * @throws {Error} With code 'ERR_REGISTRY_UNAVAILABLE' if the backend cannot hold the registry yet
+   */
+  async readRegistry(since) {
+    throw new Error(`${this.constructor.name} does not implement readRegistry()`);
+  }
+
+  /**
+   * Creates, replaces or removes a beacon registry entry
+   * @param {string} beaconKey - Beacon key
+   * @param {Object|null} entry - { name, assetType, owner, tags, updatedAt }, or null to remove the entry
+   * @returns {Promise<void>}
+   * @throws {Error} With code 'ERR_REGISTRY_UNAVAILABLE' if the backend cannot hold the registry yet
+   */
+  async writeRegistryEntry(beaconKey, entry) {
+    throw new Error(`${this.constructor.name} does not implement writeRegistryEntry()`);
+  }
+
+  /**
+   * Releases backend resources
+   */
+  close() {}
+
+  /**
+   * Applies a query to an in-process list of records
+   * Shared by backends that cannot push filtering down to a database
+   * @param {Array<Object>} records - Candidate records
+   * @param {Object} query - See queryRecords
+   * @returns {Array<Object>} Matching records, sorted and limited
+   * @protected
+   */
+  _applyQuery(records, query) {
+    const matches = this._matchAndSort(records, query);
+    return query.limit ? matches.slice(0, query.limit) : matches;
+  }
+
+  /**
+   * Applies a paged query to an in-process list of records
+   * The cursor holds the position (timestamp, recordId) of the last record returned
+   * @param {Array<Object>} records - Candidate records
+   * @param {Object} query - See queryRecordsPage
+   * @returns {Object} { records, cursor }
+   * @protected
+   */
+  _applyPage(records, query) {
+    let matches = this._matchAndSort(records, query);
+
+    if (query.cursor) {
+      const after = this._decodeCursor(query.cursor);
+      matches = matches.filter(record => this._comesAfter(record, after, query.newestFirst !== false));
+    }
+
+    const page = query.limit ? matches.slice(0, query.limit) : matches;
+    const last = page[page.length - 1];
+    return {
+      records: page,
+      cursor: page.length < matches.length ? this._encodeCursor({ timestamp: last.timestamp, recordId: last.recordId }) : null
+    };
+  }
+
+  /**
+   * Filters records by query and sorts them by timestamp, then recordId
+   * @param {Array<Object>} records - Candidate records
+   * @param {Object} query - See queryRecords
+   * @returns {Array<Object>} Matching records
+   * @protected
+   */
+  _matchAndSort(records, query) {
+    const newestFirst = query.newestFirst !== false;
+    const matches = records.filter(record => this._matches(record, query));
+    matches.sort((a, b) => this._comesAfter(a, b, newestFirst) ? 1 : -1);
+    return matches;
+  }
+
+  /**
+   * Tells whether a record matches a query's gateway, beacon, time range, type and filters
+   * @param {Object} record - Stored record
+   * @param {Object} query - See queryRecords
+   * @returns {boolean} True if the record matches
+   * @protected
+   */
+  _matches(record, { gatewayId, beaconKey, from, to, recordType, filters = {} }) {
+    return (gatewayId === undefined || record.gatewayId === gatewayId) &&
+      (beaconKey === undefined || record.beaconKey === beaconKey) &&
+      record.timestamp > from &&
+      (to === undefined || record.timestamp <= to) &&
+      (!recordType || StorageAdapter.recordTypeOf(record) === recordType) &&
+      (filters.uuid === undefined || record.uuid === filters.uuid) &&
+      (filters.major === undefined || record.major === filters.major) &&
+      (filters.minor === undefined || record.minor === filters.minor) &&
+      (filters.minRssi === undefined || record.rssi >= filters.minRssi) &&
+      (filters.maxRssi === undefined || record.rssi <= filters.maxRssi);
+  }
+
+  /**
+   * Tells whether record a sorts after position b
+   * @param {Object} a - Record
+   * @param {Object} b - Record or cursor position { timestamp, recordId }
+   * @param {boolean} newestFirst - Sort order
+   * @returns {boolean} True if a comes after b
+   * @private
+   */
+  _comesAfter(a, b, newestFirst) {
+    if (a.timestamp === b.timestamp && String(a.recordId) === String(b.recordId)) {
+      return false;
+    }
+    const ascending = a.timestamp !== b.timestamp
+      ? a.timestamp > b.timestamp
+      : String(a.recordId) > String(b.recordId);
+    return newestFirst ? !ascending : ascending;
+  }
+
+  /**
+   * Encodes a pagination position as an opaque URL-safe cursor
+   * @param {Object} position - Backend-specific position
+   * @returns {string} Cursor
+   * @protected
+   */
+  _encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor created by _encodeCursor
+   * @param {string} cursor - Cursor
+   * @returns {Object} Position
+   * @throws {Error} With code 'ERR_INVALID_CURSOR' if the cursor is malformed
+   * @protected
+   */
+  _decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (position && typeof position === 'object') {
+        return position;
+      }
+    } catch {
+      // Fall through to the error below
+    }
+    const error = new Error('Invalid pagination cursor');
+    error.code = 'ERR_INVALID_CURSOR';
+    throw error;
+  }
+
+  /**
+   * Reduces records to one entry per gateway with its most recent record time
+   * @param {Array<Object>} records - Records (at least gatewayId, gatewayName, gatewayLocation, timestamp)
+   * @returns {Array<Object>} { gatewayId, gatewayName, gatewayLocation, lastSeen }, most recent first
+   * @protected
+   */
+  _summarizeGateways(records) {
+    const gateways = new Map();
+    for (const record of records) {
+      if (!record.gatewayId) continue;
+      const existing = gateways.get(record.gatewayId);
+      if (!existing || record.timestamp > existing.lastSeen) {
+        gateways.set(record.gatewayId, {
+          gatewayId: record.gatewayId,
+          gatewayName: record.gatewayName || record.gatewayId,
+          gatewayLocation: record.gatewayLocation || null,
+          lastSeen: record.timestamp
+        });
+      }
+    }
+    return Array.from(gateways.values()).sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+}
+
+/**
+ * Gets a record's type; records written before presence events existed have none
+ * @param {Object} record - Stored record
+ * @returns {string} 'sighting', 'presence', 'heartbeat' or 'summary'
+ */
+StorageAdapter.recordTypeOf = record => record.recordType || 'sighting';
+
+module.exports = StorageAdapter;
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdvertisementFilter = require('../services/advertisement-filter');
+
+const UUID = 'fda50693-a4e2-4fb1-afcf-c6eb07647825';
+
+// Filter loaded from a rules file in a fresh temporary directory
+function createFilter(t, rules) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-filter-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'advertisement-filter.json');
+  fs.writeFileSync(filePath, typeof rules === 'string' ? rules : JSON.stringify(rules));
+  return new AdvertisementFilter({ filePath });
+}
+
+function iBeacon(major, minor, fields = {}) {
+  return { beaconType: 'iBeacon', address: 'aa:bb:cc:dd:ee:ff', rssi: -60, iBeacon: { uuid: UUID, major, minor }, ...fields };
+}
+
+test('accepts everything without a rules file', () => {
+  const filter = new AdvertisementFilter();
+
+  assert.strictEqual(filter.accepts({ rssi: -100 }), true);
+});
+
+test('deny rules win over allow rules', t => {
+  const filter = createFilter(t, {
+    allow: [{ uuid: UUID.toUpperCase() }],
+    deny: [{ uuid: UUID, minor: 19641 }]
+  });
+
+  assert.strictEqual(filter.accepts(iBeacon(1, 1)), true);
+  assert.strictEqual(filter.accepts(iBeacon(1, 19641)), false);
+  // Not allowed at all
+  assert.strictEqual(filter.accepts({ ...iBeacon(1, 1), iBeacon: { uuid: 'other', major: 1, minor: 1 } }), false);
+  assert.deepStrictEqual(filter.getStats(), { accepted: 1, dropped: 2 });
+});
+
+test('matches major and minor ranges inclusively', t => {
+  const filter = createFilter(t, { allow: [{ major: [10000, 10999], minor: 5 }] });
+
+  assert.strictEqual(filter.accepts(iBeacon(10000, 5)), true);
+  assert.strictEqual(filter.accepts(iBeacon(10999, 5)), true);
+  assert.strictEqual(filter.accepts(iBeacon(11000, 5)), false);
+  assert.strictEqual(filter.accepts(iBeacon(10500, 6)), false);
+  // Frames without iBeacon fields never match a range
+  assert.strictEqual(filter.accepts({ beaconType: 'eddystoneUid', rssi: -60 }), false);
+});
+
+test('normalizes address prefixes', t => {
+  const filter = createFilter(t, { allow: [{ addressPrefix: ['C4:7C:8D', 'a0-b1'] }] });
+
+  assert.strictEqual(filter.accepts({ address: 'c4:7c:8d:11:22:33' }), true);
+  assert.strictEqual(filter.accepts({ address: 'C47C8D112233' }), true);
+  assert.strictEqual(filter.accepts({ address: 'a0:b1:00:00:00:00' }), true);
+  assert.strictEqual(filter.accepts({ address: 'c4:7c:8e:11:22:33' }), false);
+  assert.strictEqual(filter.accepts({}), false);
+});
+
+test('applies the global and per-rule RSSI floors', t => {
+  const filter = createFilter(t, { minRssi: -90, allow: [{ beaconType: 'iBeacon', minRssi: -70 }, { beaconType: 'altBeacon' }] });
+
+  assert.strictEqual(filter.accepts(iBeacon(1, 1, { rssi: -70 })), true);
+  assert.strictEqual(filter.accepts(iBeacon(1, 1, { rssi: -71 })), false);
+  assert.strictEqual(filter.accepts({ beaconType: 'altBeacon', rssi: -90 }), true);
+  assert.strictEqual(filter.accepts({ beaconType: 'altBeacon', rssi: -91 }), false);
+  assert.strictEqual(filter.accepts({ beaconType: 'altBeacon' }), false);
+});
+
+test('rejects invalid rule files', t => {
+  const invalid = [
+    ['{"allow": ', /Unexpected end of JSON input/],
+    [[], /must be a JSON object/],
+    [{ minRssi: '-90' }, /`minRssi` must be a number/],
+    [{ allow: {} }, /`allow` must be an array of rules/],
+    [{ deny: [{}] }, /deny\[0\] is empty/],
+    [{ allow: [{ uuids: UUID }] }, /allow\[0\] has unknown field\(s\): uuids/],
+    [{ allow: [{ major: [10, 5] }] }, /allow\[0\]\.major must be an integer or an inclusive \[min, max\] range/],
+    [{ allow: [{ minor: [1, 2, 3] }] }, /allow\[0\]\.minor must be/],
+    [{ allow: [{ addressPrefix: [] }] }, /allow\[0\]\.addressPrefix must be a string or a list of strings/],
+    [{ deny: [{ beaconType: 'iBeacon' }, { minRssi: 'low' }] }, /deny\[1\]\.minRssi must be a number/]
+  ];
+
+  for (const [rules, pattern] of invalid) {
+    assert.throws(() => createFilter(t, rules), error => {
+      assert.match(error.message, /^Failed to load advertisement filter from '.*advertisement-filter\.json': /);
+      assert.match(error.message, pattern);
+      return true;
+    });
+  }
+});
+
+test('keeps the previous rules when a reload fails', t => {
+  const filter = createFilter(t, { deny: [{ beaconType: 'altBeacon' }] });
+  fs.writeFileSync(filter.filePath, '{"deny": [{}]}');
+
+  assert.throws(() => filter.load(), /is empty/);
+  assert.strictEqual(filter.accepts({ beaconType: 'altBeacon' }), false);
+});
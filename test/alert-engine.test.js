@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AlertEngine = require('../services/alert-engine');
+
+const MINUTE = 60000;
+const CHANNELS = { ops: { type: 'webhook', url: 'http://localhost:9000/alerts' } };
+
+// Engine for gateway gw-1 that started at time 0; collects the alerts it raises
+function createEngine(rules, options = {}) {
+  const engine = new AlertEngine({ rules: { channels: CHANNELS, rules }, gatewayId: 'gw-1', ...options });
+  engine.startedAt = 0;
+  const alerts = [];
+  engine.on('alert', alert => alerts.push(alert));
+  return { engine, alerts };
+}
+
+function sighting(beaconKey, timestamp, fields = {}) {
+  return { beaconKey, gatewayId: 'gw-1', timestamp, rssi: -60, ...fields };
+}
+
+test('rejects invalid rules', () => {
+  const invalid = [
+    [[{ type: 'low-battery' }], /Alert rule #1: `id` is required/],
+    [[{ id: 'r', type: 'door-open', channels: ['ops'] }], /`type` must be one of beacon-missing, /],
+    [[{ id: 'r', type: 'low-battery', channels: [], belowMillivolts: 2500 }], /`channels` must be a non-empty list/],
+    [[{ id: 'r', type: 'low-battery', channels: ['pager'], belowMillivolts: 2500 }], /unknown channel\(s\) pager/],
+    [[{ id: 'r', type: 'beacon-missing', channels: ['ops'], gateways: ['gw-1'], minutes: 0 }], /Alert rule 'r': `minutes` must be a positive number/],
+    [[{ id: 'r', type: 'beacon-missing', channels: ['ops'], minutes: 10 }], /Alert rule 'r': `gateways` is required for beacon-missing rules/],
+    [[{ id: 'r', type: 'unexpected-gateway', channels: ['ops'], expectedGateways: 'gw-1' }], /`expectedGateways` must be a non-empty list/],
+    [[{ id: 'r', type: 'buffer-growth', channels: ['ops'], checks: 2.5 }], /`checks` must be a whole number/],
+    [[{ id: 'r', type: 'low-battery', channels: ['ops'], belowMillivolts: 2500, cooldownMinutes: -1 }], /`cooldownMinutes` must be a positive number/],
+    [[
+      { id: 'r', type: 'low-battery', channels: ['ops'], belowMillivolts: 2500 },
+      { id: 'r', type: 'low-battery', channels: ['ops'], belowMillivolts: 2400 }
+    ], /Alert rule 'r' is defined more than once/]
+  ];
+
+  for (const [rules, pattern] of invalid) {
+    assert.throws(() => createEngine(rules), pattern);
+  }
+});
+
+test('fires once per rule and subject within the cool-down', () => {
+  const { engine, alerts } = createEngine([
+    { id: 'battery', type: 'low-battery', channels: ['ops'], belowMillivolts: 2500, cooldownMinutes: 10 },
+    { id: 'battery-critical', type: 'low-battery', channels: ['ops'], belowMillivolts: 2200 }
+  ]);
+  const low = { telemetry: { batteryVoltage: 2100 } };
+
+  engine.observe(sighting('b1', 0, low));
+  engine.observe(sighting('b1', 9 * MINUTE, low));
+  engine.observe(sighting('b2', 9 * MINUTE, low));
+  engine.observe(sighting('b1', 10 * MINUTE, low));
+
+  assert.deepStrictEqual(alerts.map(alert => [alert.ruleId, alert.subject, alert.timestamp]), [
+    ['battery', 'b1', 0],
+    ['battery-critical', 'b1', 0],
+    ['battery', 'b2', 9 * MINUTE],
+    ['battery-critical', 'b2', 9 * MINUTE],
+    ['battery', 'b1', 10 * MINUTE]
+  ]);
+});
+
+test('ignores externally powered beacons and voltages above the limit', () => {
+  const { engine, alerts } = createEngine([{ id: 'battery', type: 'low-battery', channels: ['ops'], belowMillivolts: 2500 }]);
+
+  engine.observe(sighting('b1', 0, { telemetry: { batteryVoltage: 0 } }));
+  engine.observe(sighting('b1', 0, { telemetry: { batteryVoltage: 2500 } }));
+  engine.observe(sighting('b1', 0));
+
+  assert.deepStrictEqual(alerts, []);
+});
+
+test('reports beacons not seen for the rule window', () => {
+  const { engine, alerts } = createEngine([{ id: 'missing', type: 'beacon-missing', channels: ['ops'], gateways: ['gw-1'], beacons: ['b1', 'b2'], minutes: 10, cooldownMinutes: 60 }]);
+
+  engine.observe(sighting('b1', 5 * MINUTE));
+  engine.check(10 * MINUTE - 1);
+  assert.deepStrictEqual(alerts, []);
+
+  // b2 was never seen, so its window counts from startup
+  engine.check(10 * MINUTE);
+  assert.deepStrictEqual(alerts.map(alert => [alert.subject, alert.details.lastSeen]), [['b2', null]]);
+
+  engine.check(15 * MINUTE);
+  assert.deepStrictEqual(alerts.map(alert => alert.subject), ['b2', 'b1']);
+  assert.strictEqual(alerts[1].message, 'b1 not seen by gw-1 for 10 minute(s)');
+
+  // A sighting resets the window, but the cool-down still holds
+  engine.observe(sighting('b1', 16 * MINUTE));
+  engine.check(26 * MINUTE);
+  assert.strictEqual(alerts.length, 2);
+});
+
+test('selects beacons by registry tag and names them in messages', () => {
+  const entries = { b1: { name: 'Forklift 3', tags: ['forklift'] }, b2: { name: 'Cart', tags: [] } };
+  const registry = {
+    get: beaconKey => entries[beaconKey] || null,
+    list: ({ tag }) => Object.entries(entries).filter(([, entry]) => entry.tags.includes(tag)).map(([beaconKey]) => ({ beaconKey }))
+  };
+  const { engine, alerts } = createEngine([
+    { id: 'missing', type: 'beacon-missing', channels: ['ops'], gateways: ['gw-1'], tag: 'Forklift', minutes: 1 },
+    { id: 'wrong-gateway', type: 'unexpected-gateway', channels: ['ops'], tag: 'forklift', expectedGateways: ['gw-2'] }
+  ], { registry });
+
+  engine.observe(sighting('b2', 0));
+  engine.observe(sighting('b1', 0, { gatewayName: 'Dock' }));
+  engine.check(2 * MINUTE);
+
+  assert.deepStrictEqual(alerts.map(alert => alert.message), [
+    'Forklift 3 (b1) heard by unexpected gateway Dock',
+    'Forklift 3 (b1) not seen by gw-1 for 2 minute(s)'
+  ]);
+});
+
+test('only keeps rules for this gateway', () => {
+  const { engine } = createEngine([
+    { id: 'here', type: 'low-battery', channels: ['ops'], belowMillivolts: 2500, gateways: ['gw-1'] },
+    { id: 'elsewhere', type: 'low-battery', channels: ['ops'], belowMillivolts: 2500, gateways: ['gw-2'] }
+  ]);
+
+  assert.deepStrictEqual(engine.rules.map(rule => rule.id), ['here']);
+});
+
+test('reports a buffer that grew on the given number of checks in a row', () => {
+  const depths = [0, 5, 10, 8, 12, 20, 30, 40];
+  let depth;
+  const { engine, alerts } = createEngine(
+    [{ id: 'buffer', type: 'buffer-growth', channels: ['ops'], checks: 3, minRecords: 10, cooldownMinutes: 1 }],
+    { getBufferSize: () => depth }
+  );
+
+  const firedAt = [];
+  depths.forEach((value, i) => {
+    depth = value;
+    const before = alerts.length;
+    engine.check(i * MINUTE);
+    if (alerts.length > before) {
+      firedAt.push(value);
+    }
+  });
+
+  // 0 -> 5 -> 10 reaches minRecords after only two increases; the drop to 8 restarts the streak
+  assert.deepStrictEqual(firedAt, [30, 40]);
+  assert.deepStrictEqual(alerts[0].details, { bufferSize: 30, history: [8, 12, 20, 30], minRecords: 10 });
+  assert.strictEqual(alerts[0].subject, 'gw-1');
+});
+
+test('hands alerts to the notifier and logs delivery failures', async t => {
+  const sends = [];
+  const notifier = {
+    send: async (alert, channels) => {
+      sends.push([alert.ruleId, channels]);
+      throw new Error('connection refused');
+    }
+  };
+  const errors = t.mock.method(console, 'error', () => {});
+  const { engine } = createEngine([{ id: 'battery', type: 'low-battery', channels: ['ops'], belowMillivolts: 2500 }], { notifier });
+
+  engine.observe(sighting('b1', 0, { telemetry: { batteryVoltage: 2000 } }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepStrictEqual(sends, [['battery', ['ops']]]);
+  assert.match(errors.mock.calls[0].arguments[0], /Failed to deliver alert 'battery': connection refused/);
+});
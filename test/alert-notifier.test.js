@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const AlertNotifier = require('../services/alert-notifier');
+
+const ALERT = { ruleId: 'battery', type: 'low-battery', gatewayId: 'gw-1', subject: 'b1', message: 'b1 battery low: 2100 mV', details: {}, firedAt: '2026-01-01T00:00:00.000Z' };
+
+// Local webhook receiver answering with the given status; collects the requests it gets
+async function createReceiver(t, status) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/alerts`, requests };
+}
+
+test('rejects invalid channels', () => {
+  const invalid = [
+    [{ pager: { type: 'sms' } }, /Alert channel 'pager' must have a type of webhook or email/],
+    [{ hook: { type: 'webhook', url: 'ftp://example.com' } }, /needs an http\(s\) url/],
+    [{ hook: { type: 'webhook', url: 'http://example.com', headers: ['x'] } }, /headers must be an object/],
+    [{ mail: { type: 'email', to: ['ops'] } }, /needs one or more `to` addresses/],
+    [{ mail: { type: 'email', to: 'ops@example.com' } }, /sends email but SMTP_HOST is not set/]
+  ];
+
+  for (const [channels, pattern] of invalid) {
+    assert.throws(() => new AlertNotifier({ channels }), pattern);
+  }
+});
+
+test('POSTs alerts as JSON to webhooks', async t => {
+  const receiver = await createReceiver(t, 204);
+  const notifier = new AlertNotifier({ channels: { hook: { type: 'webhook', url: receiver.url, headers: { 'X-Token': 'secret' } } } });
+
+  assert.deepStrictEqual(await notifier.send(ALERT, ['hook']), { sent: 1, failed: 0 });
+  assert.deepStrictEqual(receiver.requests[0].body, ALERT);
+  assert.strictEqual(receiver.requests[0].headers['x-token'], 'secret');
+});
+
+test('counts a failed channel without stopping the others', async t => {
+  t.mock.method(console, 'error', () => {});
+  const ok = await createReceiver(t, 200);
+  const broken = await createReceiver(t, 500);
+  const notifier = new AlertNotifier({
+    channels: {
+      ok: { type: 'webhook', url: ok.url },
+      broken: { type: 'webhook', url: broken.url },
+      mail: { type: 'email', to: 'ops@example.com' }
+    },
+    smtp: { host: 'smtp.example.com', from: 'beaconjs@example.com' }
+  });
+  const mails = [];
+  notifier.transport = {
+    sendMail: async mail => {
+      mails.push(mail);
+      throw new Error('535 authentication failed');
+    }
+  };
+
+  assert.deepStrictEqual(await notifier.send(ALERT, ['ok', 'broken', 'mail', 'missing']), { sent: 1, failed: 3 });
+  assert.strictEqual(ok.requests.length, 1);
+  assert.strictEqual(mails[0].subject, '[beaconjs] b1 battery low: 2100 mV');
+  assert.deepStrictEqual(notifier.getStats(), { sent: 1, failed: 3 });
+
+  const messages = console.error.mock.calls.map(call => call.arguments[0]);
+  assert.ok(messages.some(message => message.includes("'broken': Webhook responded with HTTP 500")));
+  assert.ok(messages.some(message => message.includes("'mail': 535 authentication failed")));
+  assert.ok(messages.some(message => message.includes("Unknown alert channel 'missing'")));
+});
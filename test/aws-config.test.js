@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getAWSConfig } = require('../config/aws-config');
+const schema = require('../config/config-schema.json');
+
+// Every environment variable the loader reads, as named in the schema descriptions
+const ENV_NAMES = new Set(['CONFIG_FILE', 'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY']);
+JSON.stringify(schema).replace(/\(env: ([A-Z0-9_]+)/g, (match, name) => ENV_NAMES.add(name));
+
+// Runs the loader with only the given environment variables and config file contents
+function load(t, { env = {}, file = '{}\n', fileName = 'beaconjs.yaml' } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-config-'));
+  const saved = {};
+  t.after(() => {
+    for (const name of ENV_NAMES) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const name of ENV_NAMES) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  const configFile = path.join(dir, fileName);
+  fs.writeFileSync(configFile, file);
+  Object.assign(process.env, { CONFIG_FILE: configFile }, env);
+  return { configFile, dir, get: () => getAWSConfig() };
+}
+
+test('uses the defaults for settings that are not set', t => {
+  const { configFile, get } = load(t);
+  const config = get();
+
+  assert.strictEqual(config.configFile, configFile);
+  assert.strictEqual(config.storageBackend, 'dynamodb');
+  assert.strictEqual(config.tableName, 'BeaconRecords');
+  assert.deepStrictEqual(config.reportingPolicy, { minIntervalMs: 1000, heartbeatMs: 60000, rssiDelta: 8, evictAfterMs: 300000, overridesFile: null });
+  assert.strictEqual(config.credentials, undefined);
+});
+
+test('layers defaults, then the config file, then environment variables', t => {
+  const { get } = load(t, {
+    file: 'tableName: FromFile\nregion: eu-west-1\nreportingPolicy:\n  rssiDelta: 5\n  heartbeatMs: 10000\n',
+    env: { BEACON_TABLE_NAME: 'FromEnv', REPORT_HEARTBEAT_SECONDS: '30', GATEWAY_NAME: '' }
+  });
+  const config = get();
+
+  assert.strictEqual(config.tableName, 'FromEnv');
+  assert.strictEqual(config.region, 'eu-west-1');
+  // Sections are merged key by key; *_SECONDS variables are converted to ms
+  assert.strictEqual(config.reportingPolicy.rssiDelta, 5);
+  assert.strictEqual(config.reportingPolicy.heartbeatMs, 30000);
+  assert.strictEqual(config.reportingPolicy.minIntervalMs, 1000);
+  // Empty variables count as unset
+  assert.strictEqual(config.gatewayName, null);
+});
+
+test('reads JSON config files and resolves their relative paths against the file', t => {
+  const { dir, get } = load(t, {
+    fileName: 'beaconjs.json',
+    file: JSON.stringify({ queueDir: 'queue', dashboard: { authFile: '../auth.json' } })
+  });
+  const config = get();
+
+  assert.strictEqual(config.queueDir, path.join(dir, 'queue'));
+  assert.strictEqual(config.dashboard.authFile, path.join(path.dirname(dir), 'auth.json'));
+});
+
+test('takes credentials only from the environment', t => {
+  const { get } = load(t, { env: { AWS_ACCESS_KEY_ID: 'id', AWS_SECRET_ACCESS_KEY: 'secret' } });
+
+  assert.deepStrictEqual(get().credentials, { accessKeyId: 'id', secretAccessKey: 'secret' });
+});
+
+test('reports every invalid setting with where it came from', t => {
+  const { get } = load(t, {
+    file: 'tableNmae: Typo\nsignal:\n  filter: fancy\n',
+    env: { DASHBOARD_PORT: 'eighty' }
+  });
+
+  assert.throws(get, error => {
+    assert.strictEqual(error.code, 'ERR_INVALID_CONFIG');
+    assert.strictEqual(error.errors.length, 3);
+    assert.match(error.errors.find(message => message.startsWith('tableNmae')), /is not a known setting \(got "Typo" in .*beaconjs\.yaml\)/);
+    assert.match(error.errors.find(message => message.startsWith('signal.filter')), /must be one of: kalman, ema, none/);
+    assert.match(error.errors.find(message => message.startsWith('dashboard.port')), /DASHBOARD_PORT=eighty/);
+    return true;
+  });
+});
+
+test('checks rules between settings', t => {
+  const { get } = load(t, { env: { SCAN_INTERVAL_MS: '100', SCAN_WINDOW_MS: '200' } });
+
+  assert.throws(get, error => {
+    assert.deepStrictEqual(error.errors, ['scanner.windowMs (SCAN_WINDOW_MS=200) must not be above scanner.intervalMs (SCAN_INTERVAL_MS=100)']);
+    return true;
+  });
+});
+
+test('treats an empty or comment-only YAML file as no settings', t => {
+  const { configFile, get } = load(t, { file: '' });
+  assert.strictEqual(get().tableName, 'BeaconRecords');
+
+  fs.writeFileSync(configFile, '# Settings go here\n#tableName: Other\n');
+  assert.strictEqual(get().tableName, 'BeaconRecords');
+
+  fs.writeFileSync(configFile, 'tableName: One\n---\ntableName: Two\n');
+  assert.throws(get, /beaconjs\.yaml: expected a single document, but found more/);
+});
+
+test('reports a config file that does not parse or is missing', t => {
+  const { get } = load(t, { file: 'tableName: [unclosed\n' });
+  assert.throws(get, /beaconjs\.yaml: /);
+
+  process.env.CONFIG_FILE = path.join(os.tmpdir(), 'beaconjs-missing.yaml');
+  assert.throws(get, /CONFIG_FILE .* does not exist/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BatchWriter = require('../services/batch-writer');
+
+// Same contract as DynamoDBAdapter._retryWithBackoff, without the retries
+const noRetry = async operation => {
+  try {
+    return { success: true, data: await operation() };
+  } catch (error) {
+    return { success: false, error };
+  }
+};
+
+// DocumentClient stand-in; respond(requestItems, call) returns the BatchWriteItem response
+function createWriter(respond, options = {}) {
+  const requests = [];
+  const docClient = {
+    send: async command => {
+      const items = command.input.RequestItems.Records;
+      requests.push(items);
+      return respond(items, requests.length);
+    }
+  };
+  const writer = new BatchWriter({ docClient, tableName: 'Records', retry: noRetry, ...options });
+  return { writer, requests };
+}
+
+function records(count) {
+  return Array.from({ length: count }, (_, i) => ({ recordId: `r${i}`, timestamp: i }));
+}
+
+test('splits records into batches of at most 25', async () => {
+  const { writer, requests } = createWriter(() => ({}));
+  const outcome = await writer.writeRecords(records(30));
+
+  assert.deepStrictEqual(requests.map(items => items.length), [25, 5]);
+  assert.strictEqual(outcome.written.length, 30);
+  assert.strictEqual(outcome.failed.length, 0);
+});
+
+test('resubmits UnprocessedItems until they are written', async () => {
+  const { writer, requests } = createWriter((items, call) => (call === 1
+    ? { UnprocessedItems: { Records: items.slice(1) } }
+    : {}));
+  const reports = [];
+  writer.on('batch', report => reports.push(report));
+
+  const outcome = await writer.writeRecords(records(3));
+
+  assert.deepStrictEqual(requests.map(items => items.map(item => item.PutRequest.Item.recordId)), [['r0', 'r1', 'r2'], ['r1', 'r2']]);
+  assert.strictEqual(outcome.written.length, 3);
+  assert.strictEqual(reports[0].unprocessedRetries, 1);
+});
+
+test('reports items still unprocessed after the last retry as failed', async () => {
+  const { writer, requests } = createWriter(items => ({ UnprocessedItems: { Records: items.slice(-1) } }), { maxUnprocessedRetries: 1 });
+  const outcome = await writer.writeRecords(records(2));
+
+  assert.strictEqual(requests.length, 2);
+  assert.deepStrictEqual(outcome.written.map(r => r.recordId), ['r0']);
+  assert.deepStrictEqual(outcome.failed.map(r => r.recordId), ['r1']);
+});
+
+test('reports the whole batch as failed when the request fails', async () => {
+  const { writer } = createWriter(() => {
+    const error = new Error('denied');
+    error.name = 'AccessDeniedException';
+    throw error;
+  });
+  const reports = [];
+  writer.on('batch', report => reports.push(report));
+
+  const outcome = await writer.writeRecords(records(2));
+
+  assert.strictEqual(outcome.failed.length, 2);
+  assert.strictEqual(reports[0].error, 'AccessDeniedException');
+});
+
+test('add() resolves per record once its batch is sent', async () => {
+  const { writer, requests } = createWriter(items => ({ UnprocessedItems: { Records: items.filter(item => item.PutRequest.Item.recordId === 'r1') } }),
+    { maxWaitMs: 10, maxUnprocessedRetries: 0 });
+
+  const results = await Promise.all(records(2).map(r => writer.add(r)));
+
+  assert.strictEqual(requests.length, 1);
+  assert.deepStrictEqual(results, [true, false]);
+});
+
+test('deleteRecords sends delete requests by key', async () => {
+  const { writer, requests } = createWriter(() => ({}));
+  const outcome = await writer.deleteRecords([{ recordId: 'r1', timestamp: 5, beaconKey: 'b1' }]);
+
+  assert.deepStrictEqual(requests[0], [{ DeleteRequest: { Key: { recordId: 'r1', timestamp: 5 } } }]);
+  assert.strictEqual(outcome.deleted.length, 1);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BeaconParser = require('../services/beacon-parser');
+
+const UUID = 'fda50693-a4e2-4fb1-afcf-c6eb07647825';
+
+test('decodes iBeacon frames', () => {
+  const fields = new BeaconParser().parse({
+    id: 'dev1',
+    beaconType: 'iBeacon',
+    iBeacon: { uuid: UUID, major: 10001, minor: 19641, txPower: -59, distance: 1.2, proximity: 'near' }
+  });
+
+  assert.strictEqual(fields.beaconType, 'iBeacon');
+  assert.strictEqual(fields.beaconKey, `${UUID}-10001-19641`);
+  assert.deepStrictEqual([fields.major, fields.minor, fields.txPower, fields.distance, fields.proximity], [10001, 19641, -59, 1.2, 'near']);
+  assert.strictEqual(fields.namespace, null);
+});
+
+test('decodes Eddystone UID frames and converts txPower to 1 m', () => {
+  const fields = new BeaconParser().parse({
+    id: 'dev1',
+    eddystoneUid: { namespace: 'ns', instance: 'in', txPower: -18 }
+  });
+
+  assert.strictEqual(fields.beaconType, 'eddystoneUid');
+  assert.strictEqual(fields.beaconKey, 'eddystone-uid-ns-in');
+  assert.strictEqual(fields.txPower, -59);
+});
+
+test('decodes Eddystone URL frames keyed by address', () => {
+  const fields = new BeaconParser().parse({
+    id: 'dev1',
+    address: 'aa:bb:cc:dd:ee:ff',
+    eddystoneUrl: { url: 'https://example.com', txPower: -20 }
+  });
+
+  assert.strictEqual(fields.beaconKey, 'eddystone-url-aa:bb:cc:dd:ee:ff');
+  assert.strictEqual(fields.url, 'https://example.com');
+  assert.strictEqual(fields.txPower, -61);
+});
+
+test('pairs Eddystone TLM frames with the UID frame of the same device', () => {
+  const parser = new BeaconParser();
+  const tlm = { eddystoneTlm: { batteryVoltage: 3000, temperature: 21.5, advCnt: 42, secCnt: 1234 } };
+
+  const before = parser.parse({ id: 'dev1', address: 'aa', ...tlm });
+  assert.strictEqual(before.beaconKey, 'eddystone-tlm-aa');
+  assert.strictEqual(before.telemetry.uptime, 123);
+
+  parser.parse({ id: 'dev1', eddystoneUid: { namespace: 'ns', instance: 'in', txPower: -18 } });
+  const after = parser.parse({ id: 'dev1', address: 'aa', ...tlm });
+  assert.strictEqual(after.beaconType, 'eddystoneTlm');
+  assert.strictEqual(after.beaconKey, 'eddystone-uid-ns-in');
+  assert.strictEqual(after.namespace, 'ns');
+
+  // The next UID frame carries the latest telemetry
+  const uid = parser.parse({ id: 'dev1', eddystoneUid: { namespace: 'ns', instance: 'in' } });
+  assert.strictEqual(uid.telemetry.batteryVoltage, 3000);
+  assert.strictEqual(uid.txPower, null);
+});
+
+test('decodes AltBeacon frames', () => {
+  const fields = new BeaconParser().parse({
+    id: 'dev1',
+    altBeacon: { beaconId: 'abcd', mfrId: 280, txPower: -60 }
+  });
+
+  assert.strictEqual(fields.beaconKey, 'altbeacon-abcd');
+  assert.deepStrictEqual([fields.altBeaconId, fields.mfrId, fields.txPower], ['abcd', 280, -60]);
+});
+
+test('keys unrecognized advertisements by device id', () => {
+  const fields = new BeaconParser().parse({ id: 'dev9' });
+
+  assert.strictEqual(fields.beaconType, 'unknown');
+  assert.strictEqual(fields.beaconKey, 'unknown-dev9');
+});
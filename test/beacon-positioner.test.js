@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BeaconPositioner = require('../services/beacon-positioner');
+
+// Sighting by a gateway at (x, y) on floor 1 of building A, with the distance from there to the beacon
+function sighting(gatewayId, x, y, distance, fields = {}) {
+  return {
+    gatewayId,
+    gatewayLocation: { building: 'A', floor: 1, room: `room-${gatewayId}`, x, y },
+    rssi: -60 - distance,
+    distance,
+    timestamp: 1000,
+    ...fields
+  };
+}
+
+// Sightings of a beacon at (bx, by) with exact distances
+function exactSightings(bx, by, gateways) {
+  return gateways.map(([gatewayId, x, y]) => sighting(gatewayId, x, y, Math.hypot(bx - x, by - y)));
+}
+
+const SQUARE = [['gw-1', 0, 0], ['gw-2', 10, 0], ['gw-3', 0, 10], ['gw-4', 10, 10]];
+
+test('returns null without RSSI readings', () => {
+  const positioner = new BeaconPositioner();
+
+  assert.strictEqual(positioner.locate([]), null);
+  assert.strictEqual(positioner.locate([{ ...sighting('gw-1', 0, 0, 1), rssi: null }]), null);
+});
+
+test('trilaterates exact distances to the beacon position', () => {
+  const positioner = new BeaconPositioner();
+
+  const position = positioner.locate(exactSightings(3, 4, SQUARE.slice(0, 3)));
+
+  assert.strictEqual(position.method, 'trilateration');
+  assert.deepStrictEqual([position.x, position.y, position.accuracy], [3, 4, 0]);
+  assert.deepStrictEqual([position.building, position.floor, position.room, position.gatewayId], ['A', 1, 'room-gw-1', 'gw-1']);
+  assert.deepStrictEqual(position.gateways.map(gateway => [gateway.gatewayId, gateway.used]), [['gw-1', true], ['gw-3', true], ['gw-2', true]]);
+});
+
+test('weights close gateways more than distant ones', () => {
+  const positioner = new BeaconPositioner();
+  const sightings = exactSightings(2, 2, SQUARE);
+  // The far gateway overestimates its distance by 3 m
+  sightings[3].distance += 3;
+
+  const position = positioner.locate(sightings);
+  const error = ([, x, y], distance) => Math.abs(Math.hypot(position.x - x, position.y - y) - distance);
+
+  assert.strictEqual(position.method, 'trilateration');
+  assert.ok(Math.hypot(position.x - 2, position.y - 2) < 0.2, 'stays near the true position');
+  assert.ok(error(SQUARE[0], sightings[0].distance) < 0.2, 'near gateway fits its distance');
+  assert.ok(error(SQUARE[3], sightings[3].distance) > 2, 'far gateway absorbs most of the error');
+  assert.ok(position.accuracy > 0);
+});
+
+test('trilaterates gateways placed by latitude and longitude', () => {
+  const positioner = new BeaconPositioner();
+  const origin = { lat: 52.52, lng: 13.405 };
+  const metersPerLng = 111320 * Math.cos(origin.lat * Math.PI / 180);
+  // Gateways 20 m apart around the origin, the beacon 5 m east and 5 m north of it
+  const offsets = [['gw-1', -10, -10], ['gw-2', 10, -10], ['gw-3', -10, 10], ['gw-4', 10, 10]];
+  const sightings = offsets.map(([gatewayId, east, north]) => ({
+    gatewayId,
+    gatewayLocation: { building: 'A', floor: 1, lat: origin.lat + north / 111320, lng: origin.lng + east / metersPerLng },
+    rssi: -70,
+    distance: Math.hypot(5 - east, 5 - north),
+    timestamp: 1000
+  }));
+
+  const position = positioner.locate(sightings);
+
+  assert.strictEqual(position.method, 'trilateration');
+  assert.ok(Math.abs(position.lat - (origin.lat + 5 / 111320)) < 1e-6);
+  assert.ok(Math.abs(position.lng - (origin.lng + 5 / metersPerLng)) < 1e-6);
+});
+
+test('falls back to the strongest gateway when trilateration is not possible', () => {
+  const positioner = new BeaconPositioner();
+  const fallback = sightings => {
+    const position = positioner.locate(sightings);
+    return [position.method, position.gatewayId, position.x, position.y, position.accuracy];
+  };
+
+  // Too few gateways
+  assert.deepStrictEqual(fallback(exactSightings(3, 4, SQUARE.slice(0, 2))), ['strongest-gateway', 'gw-1', 0, 0, 5]);
+  // Gateways on one line
+  assert.deepStrictEqual(fallback(exactSightings(3, 4, [['gw-1', 0, 0], ['gw-2', 5, 0], ['gw-3', 10, 0]])), ['strongest-gateway', 'gw-2', 5, 0, 4.47]);
+  // One of three gateways is on another floor
+  const sightings = exactSightings(3, 4, SQUARE.slice(0, 3));
+  sightings[2].gatewayLocation = { ...sightings[2].gatewayLocation, floor: 2 };
+  assert.deepStrictEqual(fallback(sightings), ['strongest-gateway', 'gw-1', 0, 0, 5]);
+  // A gateway without coordinates is placed by its room only
+  const roomOnly = positioner.locate([{ gatewayId: 'gw-9', gatewayLocation: { building: 'B', room: 'Lobby' }, rssi: -50, timestamp: 1000 }]);
+  assert.deepStrictEqual([roomOnly.method, roomOnly.x, roomOnly.room, roomOnly.accuracy], ['strongest-gateway', undefined, 'Lobby', null]);
+});
+
+test('only combines sightings within the time window', () => {
+  const positioner = new BeaconPositioner({ windowMs: 5000 });
+  const sightings = exactSightings(3, 4, SQUARE.slice(0, 3));
+  sightings[1].timestamp = 1000 - 5001;
+
+  const position = positioner.locate(sightings);
+
+  assert.strictEqual(position.method, 'strongest-gateway');
+  assert.deepStrictEqual(position.gateways.map(gateway => gateway.gatewayId), ['gw-1', 'gw-3']);
+});
+
+test('reads coordinates from gateway locations', () => {
+  assert.deepStrictEqual(BeaconPositioner.coordinatesOf({ x: '1.5', y: 2, floor: 3 }), { frame: 'xy', x: 1.5, y: 2, building: null, floor: 3 });
+  assert.deepStrictEqual(BeaconPositioner.coordinatesOf({ lat: 52.5, lng: '13.4' }), { frame: 'latlng', lat: 52.5, lng: 13.4, building: null, floor: null });
+  assert.strictEqual(BeaconPositioner.coordinatesOf({ x: 1 }), null);
+  assert.strictEqual(BeaconPositioner.coordinatesOf('Dock A'), null);
+});
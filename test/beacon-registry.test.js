@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BeaconRegistry = require('../services/beacon-registry');
+
+// Path of a registry file in a fresh temporary directory, removed after the test
+function registryFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-registry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'beacon-registry.json');
+}
+
+// Storage backend that keeps registry items in memory, like the DynamoDB adapter
+function createStorage() {
+  const storage = {
+    name: 'fake',
+    hasRegistry: true,
+    items: new Map(),
+    async readRegistry(since) {
+      return [...storage.items.entries()]
+        .map(([beaconKey, entry]) => ({ beaconKey, deleted: false, ...entry }))
+        .filter(entry => entry.updatedAt > since)
+        .sort((a, b) => a.updatedAt - b.updatedAt);
+    },
+    async writeRegistryEntry(beaconKey, entry) {
+      storage.items.set(beaconKey, entry || { updatedAt: Date.now(), deleted: true });
+    }
+  };
+  return storage;
+}
+
+test('saves entries to the file and reads them back', async t => {
+  const filePath = registryFile(t);
+  const registry = new BeaconRegistry({ filePath });
+
+  const saved = await registry.upsert('b1', { name: ' Forklift 3 ', tags: ['Dock-A', 'dock-a', ' '] });
+  await registry.upsert('b2', { name: 'Cart', tags: ['yard'] });
+  assert.deepStrictEqual([saved.name, saved.tags, saved.assetType], ['Forklift 3', ['dock-a'], null]);
+  assert.strictEqual(await registry.remove('b2'), true);
+  assert.strictEqual(await registry.remove('b2'), false);
+
+  const reloaded = new BeaconRegistry({ filePath });
+  assert.deepStrictEqual(reloaded.list().map(entry => entry.beaconKey), ['b1']);
+  assert.deepStrictEqual(reloaded.tags(), ['dock-a']);
+});
+
+test('rejects invalid entries', async t => {
+  const registry = new BeaconRegistry({ filePath: registryFile(t) });
+  const rejects = (fields, pattern) => assert.rejects(registry.upsert('b1', fields), error => {
+    assert.strictEqual(error.code, 'ERR_INVALID_REGISTRY_ENTRY');
+    assert.match(error.message, pattern);
+    return true;
+  });
+
+  await rejects({ name: '  ' }, /`name` is required/);
+  await rejects({ name: 'x'.repeat(101) }, /at most 100 characters/);
+  await rejects({ name: 'Cart', tags: 'dock' }, /`tags` must be an array/);
+  assert.deepStrictEqual(registry.list(), []);
+});
+
+test('reads entries from storage and applies later changes and removals', async t => {
+  const storage = createStorage();
+  storage.items.set('b1', { name: 'Forklift', assetType: null, owner: null, tags: [], updatedAt: 1000 });
+  storage.items.set('b2', { name: 'Cart', assetType: null, owner: null, tags: [], updatedAt: 2000 });
+  const filePath = registryFile(t);
+  const registry = new BeaconRegistry({ filePath, storage });
+  await registry.refresh();
+  assert.deepStrictEqual(registry.list().map(entry => entry.name), ['Cart', 'Forklift']);
+
+  // Another dashboard renames b1 and removes b2
+  storage.items.set('b1', { name: 'Forklift 3', assetType: null, owner: null, tags: [], updatedAt: 3000 });
+  storage.items.set('b2', { updatedAt: 4000, deleted: true });
+  await registry.refresh();
+
+  assert.deepStrictEqual(registry.list().map(entry => [entry.beaconKey, entry.name]), [['b1', 'Forklift 3']]);
+  // Storage mode never writes the file
+  await registry.upsert('b3', { name: 'Pallet' });
+  assert.strictEqual(storage.items.get('b3').name, 'Pallet');
+  assert.ok(!fs.existsSync(filePath));
+});
+
+test('keeps a local write newer than the entry a refresh returns', async t => {
+  const storage = createStorage();
+  const registry = new BeaconRegistry({ filePath: registryFile(t), storage });
+  await registry.upsert('b1', { name: 'New name' });
+  const written = storage.items.get('b1');
+  storage.items.set('b1', { ...written, name: 'Old name', updatedAt: written.updatedAt - 1 });
+
+  await registry.refresh();
+
+  assert.strictEqual(registry.get('b1').name, 'New name');
+});
+
+test('falls back to the file while the backend cannot hold the registry', async t => {
+  const filePath = registryFile(t);
+  fs.writeFileSync(filePath, JSON.stringify({ b1: { name: 'Forklift' } }));
+  const storage = createStorage();
+  storage.readRegistry = async () => {
+    const error = new Error('Table BeaconRecords has no RegistryIndex yet');
+    error.code = 'ERR_REGISTRY_UNAVAILABLE';
+    throw error;
+  };
+  const registry = new BeaconRegistry({ filePath, storage });
+
+  await registry.refresh();
+  await registry.upsert('b2', { name: 'Cart' });
+
+  assert.strictEqual(registry.get('b1').name, 'Forklift');
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8'))), ['b1', 'b2']);
+  assert.strictEqual(storage.items.size, 0);
+});
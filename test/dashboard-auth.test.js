@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DashboardAuth = require('../services/dashboard-auth');
+
+// Auth backed by a users file in a fresh temporary directory
+function createAuth(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-auth-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new DashboardAuth({ filePath: path.join(dir, 'dashboard-users.json'), ...options });
+}
+
+// Request carrying the given headers
+function request(headers) {
+  return { headers };
+}
+
+test('stores scrypt password hashes and checks passwords against them', async t => {
+  const auth = createAuth(t);
+  await auth.setUser('alice', 'correct horse', 'admin');
+
+  const stored = JSON.parse(fs.readFileSync(auth.filePath, 'utf8')).users.alice;
+  assert.match(stored.passwordHash, /^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+  assert.ok(!JSON.stringify(stored).includes('correct horse'));
+
+  assert.strictEqual(await auth.login('alice', 'wrong horse'), null);
+  assert.strictEqual(await auth.login('bob', 'correct horse'), null);
+  assert.strictEqual(await auth.login('alice', undefined), null);
+  const session = await auth.login('alice', 'correct horse');
+  assert.strictEqual(session.role, 'admin');
+
+  // Another instance reading the same file accepts the same password
+  const reloaded = new DashboardAuth({ filePath: auth.filePath });
+  assert.ok(await reloaded.login('alice', 'correct horse'));
+});
+
+test('rejects invalid users', async t => {
+  const auth = createAuth(t);
+
+  await assert.rejects(auth.setUser('al ice', 'long enough', 'admin'), /Username must be/);
+  await assert.rejects(auth.setUser('alice', 'short', 'admin'), /at least 8 characters/);
+  await assert.rejects(auth.setUser('alice', 'long enough', 'root'), /Role must be one of: viewer, admin/);
+});
+
+test('authenticates session cookies until they expire', async t => {
+  const auth = createAuth(t, { sessionTtlMs: 60000 });
+  await auth.setUser('alice', 'correct horse', 'viewer');
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const { sessionId } = await auth.login('alice', 'correct horse');
+  const req = request({ cookie: `other=%zz; ${DashboardAuth.SESSION_COOKIE}=${sessionId}` });
+
+  assert.deepStrictEqual(auth.authenticate(req), { username: 'alice', role: 'viewer', via: 'session', sessionId });
+
+  Date.now.mock.mockImplementation(() => now + 60000);
+  assert.strictEqual(auth.authenticate(req), null);
+  assert.strictEqual(auth.sessions.size, 0);
+});
+
+test('ends sessions on logout and when the user is removed', async t => {
+  const auth = createAuth(t);
+  await auth.setUser('alice', 'correct horse', 'admin');
+  await auth.setUser('bob', 'battery staple', 'viewer');
+  const alice = await auth.login('alice', 'correct horse');
+  const bob = await auth.login('bob', 'battery staple');
+
+  auth.logout(alice.sessionId);
+  await auth.removeUser('bob');
+
+  assert.strictEqual(auth.authenticate(request({ cookie: `${DashboardAuth.SESSION_COOKIE}=${alice.sessionId}` })), null);
+  assert.strictEqual(auth.authenticate(request({ cookie: `${DashboardAuth.SESSION_COOKIE}=${bob.sessionId}` })), null);
+  assert.strictEqual(auth.authenticate(request({ cookie: `${DashboardAuth.SESSION_COOKIE}=unknown` })), null);
+});
+
+test('accepts API tokens until they are revoked and stores only their hashes', async t => {
+  const auth = createAuth(t);
+  const { id, token } = await auth.createToken('grafana', 'viewer');
+  const bearer = value => request({ authorization: `Bearer ${value}` });
+
+  assert.ok(!fs.readFileSync(auth.filePath, 'utf8').includes(token.slice(`bjs_${id}_`.length)));
+  assert.deepStrictEqual(auth.authenticate(bearer(token)), { username: 'token:grafana', role: 'viewer', via: 'token', tokenId: id });
+  assert.strictEqual(auth.authenticate(bearer(`${token}x`)), null);
+  assert.strictEqual(auth.authenticate(bearer(token.replace(id, 'ffffffffffff'))), null);
+  assert.strictEqual(auth.authenticate(bearer('not-a-token')), null);
+
+  assert.strictEqual(await auth.revokeToken(id), true);
+  assert.strictEqual(auth.authenticate(bearer(token)), null);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const DashboardAuth = require('../services/dashboard-auth');
+
+const PORT = 39301;
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const ALLOWED_ORIGIN = 'https://ops.example.com';
+
+// Starts the dashboard on the memory backend with the given users file; stopped after the test
+async function startServer(t, env) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-dashboard-'));
+  const child = spawn(process.execPath, ['dashboard-server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      STORAGE_BACKEND: 'memory',
+      GATEWAY_ID: 'gw-test',
+      DASHBOARD_PORT: String(PORT),
+      BEACON_REGISTRY_FILE: path.join(dir, 'beacon-registry.json'),
+      DASHBOARD_CORS_ORIGINS: ALLOWED_ORIGIN,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  t.after(async () => {
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill();
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => reject(new Error(`Dashboard exited with code ${code}:\n${output}`)));
+  });
+}
+
+// Users file with an admin, a viewer and a viewer API token
+async function createUsers(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-users-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const auth = new DashboardAuth({ filePath: path.join(dir, 'dashboard-users.json') });
+  await auth.setUser('admin', 'admin password', 'admin');
+  await auth.setUser('viewer', 'viewer password', 'viewer');
+  const { token } = await auth.createToken('grafana', 'viewer');
+  return { filePath: auth.filePath, viewerToken: token };
+}
+
+function login(username, password) {
+  return fetch(`${BASE_URL}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+}
+
+test('dashboard authentication', async t => {
+  const users = await createUsers(t);
+  await startServer(t, { DASHBOARD_AUTH_FILE: users.filePath });
+
+  await t.test('rejects requests without valid credentials', async () => {
+    assert.strictEqual((await fetch(`${BASE_URL}/api/beacons`)).status, 401);
+    assert.strictEqual((await fetch(`${BASE_URL}/api/beacons`, { headers: { Authorization: `Bearer ${users.viewerToken}x` } })).status, 401);
+    assert.strictEqual((await login('admin', 'wrong password')).status, 401);
+
+    const page = await fetch(`${BASE_URL}/registry.html`, { redirect: 'manual' });
+    assert.strictEqual(page.status, 302);
+    assert.strictEqual(page.headers.get('location'), '/login?next=%2Fregistry.html');
+  });
+
+  await t.test('logs in with a session cookie', async () => {
+    const response = await login('admin', 'admin password');
+    assert.strictEqual(response.status, 200);
+    const cookie = response.headers.get('set-cookie');
+    assert.match(cookie, /^beaconjs_session=[\w-]+; Path=\/; Max-Age=\d+; HttpOnly; SameSite=Strict/);
+
+    const me = await fetch(`${BASE_URL}/api/me`, { headers: { Cookie: cookie.split(';')[0] } });
+    assert.deepStrictEqual(await me.json(), { authEnabled: true, username: 'admin', role: 'admin', via: 'session' });
+  });
+
+  await t.test('lets viewers read but not change data', async () => {
+    const headers = { Authorization: `Bearer ${users.viewerToken}`, 'Content-Type': 'application/json' };
+
+    assert.strictEqual((await fetch(`${BASE_URL}/api/registry`, { headers })).status, 200);
+    for (const method of ['PUT', 'DELETE', 'POST']) {
+      const response = await fetch(`${BASE_URL}/api/registry/b1`, { method, headers, body: method === 'DELETE' ? undefined : '{"name":"Cart"}' });
+      assert.strictEqual(response.status, 403, method);
+    }
+
+    const cookie = (await login('admin', 'admin password')).headers.get('set-cookie').split(';')[0];
+    const response = await fetch(`${BASE_URL}/api/registry/b1`, { method: 'PUT', headers: { Cookie: cookie, 'Content-Type': 'application/json' }, body: '{"name":"Cart"}' });
+    assert.strictEqual(response.status, 200);
+  });
+
+  await t.test('sends CORS headers only to allowed origins', async () => {
+    const headers = { Authorization: `Bearer ${users.viewerToken}` };
+
+    const allowed = await fetch(`${BASE_URL}/api/registry`, { headers: { ...headers, Origin: ALLOWED_ORIGIN } });
+    assert.strictEqual(allowed.headers.get('access-control-allow-origin'), ALLOWED_ORIGIN);
+
+    const other = await fetch(`${BASE_URL}/api/registry`, { headers: { ...headers, Origin: 'https://evil.example.com' } });
+    assert.strictEqual(other.headers.get('access-control-allow-origin'), null);
+    const preflight = await fetch(`${BASE_URL}/api/registry/b1`, { method: 'OPTIONS', headers: { Origin: 'https://evil.example.com', 'Access-Control-Request-Method': 'PUT' } });
+    assert.strictEqual(preflight.headers.get('access-control-allow-origin'), null);
+  });
+});
+
+test('dashboard without login', async t => {
+  const update = () => fetch(`${BASE_URL}/api/registry/b1`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: '{"name":"Cart"}' });
+
+  await t.test('lets anyone read but not change data', async t => {
+    await startServer(t, { DASHBOARD_AUTH_FILE: '' });
+
+    assert.strictEqual((await fetch(`${BASE_URL}/api/registry`)).status, 200);
+    assert.deepStrictEqual(await (await fetch(`${BASE_URL}/api/me`)).json(), { authEnabled: false, username: null, role: 'viewer', via: 'none' });
+    assert.strictEqual((await update()).status, 403);
+  });
+
+  await t.test('rejects history times a date cannot hold', async t => {
+    await startServer(t, { DASHBOARD_AUTH_FILE: '' });
+
+    assert.strictEqual((await fetch(`${BASE_URL}/api/records?from=0&to=8640000000000000`)).status, 200);
+    for (const query of ['to=8640000000000001', 'to=-271821-04-20T00:00:00Z', 'from=0&to=99999999999999999999']) {
+      const response = await fetch(`${BASE_URL}/api/records?${query}`);
+      assert.strictEqual(response.status, 400, query);
+      assert.match((await response.json()).message, /`from` and `to` must be/);
+    }
+    assert.strictEqual((await fetch(`${BASE_URL}/api/export?format=csv&to=9000000000000000`)).status, 400);
+  });
+
+  await t.test('lets anyone change data when open admin is turned on', async t => {
+    await startServer(t, { DASHBOARD_AUTH_FILE: '', DASHBOARD_OPEN_ADMIN: 'true' });
+
+    assert.strictEqual((await update()).status, 200);
+  });
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DynamoDBAdapter = require('../services/storage/dynamodb-adapter');
+
+// Adapter whose DocumentClient answers with respond(command, call) instead of calling AWS
+function createAdapter(t, respond) {
+  const adapter = new DynamoDBAdapter({ region: 'eu-west-1', tableName: 'BeaconRecords' });
+  const commands = [];
+  t.mock.method(adapter.docClient, 'send', async command => {
+    commands.push(command);
+    return respond(command, commands.length);
+  });
+  return { adapter, commands };
+}
+
+test('counts records across every page of a count query', async t => {
+  const pages = [{ Count: 1200, LastEvaluatedKey: { recordId: 'r1' } }, { Count: 800, LastEvaluatedKey: { recordId: 'r2' } }, { Count: 5 }];
+  const { adapter, commands } = createAdapter(t, (command, call) => pages[call - 1]);
+
+  const count = await adapter.countRecords({ gatewayId: 'gw-1', from: 1000, to: 2000 });
+
+  assert.strictEqual(count, 2005);
+  assert.deepStrictEqual(commands.map(command => [command.input.Select, command.input.ExclusiveStartKey]), [
+    ['COUNT', undefined],
+    ['COUNT', { recordId: 'r1' }],
+    ['COUNT', { recordId: 'r2' }]
+  ]);
+  assert.strictEqual(commands[0].input.IndexName, 'GatewayIndex');
+});
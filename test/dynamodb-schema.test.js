@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DynamoDBSchema = require('../services/storage/dynamodb-schema');
+
+// In-memory stand-in for the DynamoDB table: description, TTL and items, plus the commands sent
+function createTable({ indexes = [], version = null, ttl = {}, items = [] } = {}) {
+  const table = {
+    exists: true,
+    description: {
+      TableName: 'BeaconRecords',
+      TableStatus: 'ACTIVE',
+      KeySchema: [{ AttributeName: 'recordId', KeyType: 'HASH' }, { AttributeName: 'timestamp', KeyType: 'RANGE' }],
+      BillingModeSummary: { BillingMode: 'PAY_PER_REQUEST' },
+      GlobalSecondaryIndexes: indexes.map(indexName => gsi(indexName))
+    },
+    ttl,
+    items: new Map(items.map(item => [item.recordId, item])),
+    commands: []
+  };
+  if (version !== null) {
+    table.items.set('_beaconjs_schema', { recordId: '_beaconjs_schema', timestamp: 0, schemaVersion: version });
+  }
+
+  table.send = async command => {
+    const name = command.constructor.name;
+    const input = command.input;
+    table.commands.push(name);
+    switch (name) {
+      case 'DescribeTableCommand':
+        if (!table.exists) {
+          const error = new Error('Requested resource not found');
+          error.name = 'ResourceNotFoundException';
+          throw error;
+        }
+        return { Table: table.description };
+      case 'DescribeTimeToLiveCommand':
+        return { TimeToLiveDescription: table.ttl };
+      case 'CreateTableCommand':
+        table.exists = true;
+        table.description.GlobalSecondaryIndexes = input.GlobalSecondaryIndexes.map(index => ({ ...index, IndexStatus: 'ACTIVE' }));
+        return {};
+      case 'UpdateTableCommand':
+        table.description.GlobalSecondaryIndexes.push({ ...input.GlobalSecondaryIndexUpdates[0].Create, IndexStatus: 'ACTIVE' });
+        return {};
+      case 'UpdateTimeToLiveCommand':
+        table.ttl = { AttributeName: input.TimeToLiveSpecification.AttributeName, TimeToLiveStatus: 'ENABLED' };
+        return {};
+      case 'GetCommand':
+        return { Item: table.items.get(input.Key.recordId) };
+      case 'ScanCommand':
+        return { Items: [...table.items.values()].filter(item => item.gatewayId) };
+      case 'PutCommand':
+        if (input.ConditionExpression === 'attribute_not_exists(recordId)' && table.items.has(input.Item.recordId)) {
+          const error = new Error('The conditional request failed');
+          error.name = 'ConditionalCheckFailedException';
+          throw error;
+        }
+        table.items.set(input.Item.recordId, input.Item);
+        return {};
+      default:
+        throw new Error(`Unexpected command ${name}`);
+    }
+  };
+  return table;
+}
+
+function gsi(indexName) {
+  const [partitionKey, sortKey] = DynamoDBSchema.INDEXES[indexName];
+  return {
+    IndexName: indexName,
+    KeySchema: [{ AttributeName: partitionKey, KeyType: 'HASH' }, { AttributeName: sortKey, KeyType: 'RANGE' }],
+    Projection: { ProjectionType: 'ALL' },
+    IndexStatus: 'ACTIVE'
+  };
+}
+
+function createSchema(table, config = {}) {
+  const schema = new DynamoDBSchema({ region: 'us-east-1', tableName: 'BeaconRecords', ...config }, { pollIntervalMs: 1 });
+  schema.client.send = table.send;
+  schema.docClient.send = table.send;
+  return schema;
+}
+
+test('lists every migration for a table with its key only', async () => {
+  const status = await createSchema(createTable()).status();
+
+  assert.strictEqual(status.version, 0);
+  assert.deepStrictEqual(status.pending.map(migration => migration.version), DynamoDBSchema.MIGRATIONS.map(migration => migration.version));
+  assert.ok(status.pending.every(migration => migration.changed));
+});
+
+test('migrates an unversioned table to the latest version', async () => {
+  const table = createTable({
+    items: [
+      { recordId: 'r1', timestamp: 10, gatewayId: 'gw-1', gatewayName: 'Dock' },
+      { recordId: 'r2', timestamp: 20, gatewayId: 'gw-1', gatewayName: 'Dock' }
+    ]
+  });
+  const result = await createSchema(table).migrate();
+
+  assert.strictEqual(result.from, 0);
+  assert.strictEqual(result.to, DynamoDBSchema.LATEST_VERSION);
+  assert.deepStrictEqual(table.description.GlobalSecondaryIndexes.map(index => index.IndexName), Object.keys(DynamoDBSchema.INDEXES));
+  assert.strictEqual(table.ttl.AttributeName, 'expiresAt');
+  assert.strictEqual(table.items.get('_beaconjs_schema').schemaVersion, DynamoDBSchema.LATEST_VERSION);
+  // Migration 5 creates a status item per gateway with its latest record time
+  const status = table.items.get('_beaconjs_gateway#gw-1');
+  assert.strictEqual(status.lastSeen, 20);
+  assert.strictEqual(status.fleet, DynamoDBSchema.FLEET_KEY);
+});
+
+test('records migrations a hand-made table already satisfies without changing it', async () => {
+  const table = createTable({ indexes: ['GatewayIndex', 'BeaconIndex'], ttl: { AttributeName: 'expiresAt', TimeToLiveStatus: 'ENABLED' } });
+  const schema = createSchema(table);
+
+  const { pending } = await schema.status();
+  assert.deepStrictEqual(pending.map(({ version, changed }) => [version, changed]), [[1, false], [2, false], [3, false], [4, true], [5, true]]);
+
+  await schema.migrate();
+  assert.strictEqual(table.commands.filter(name => name === 'UpdateTableCommand').length, 2);
+  assert.ok(!table.commands.includes('UpdateTimeToLiveCommand'));
+});
+
+test('does not change the table on a dry run', async () => {
+  const table = createTable({ version: 2, indexes: ['GatewayIndex', 'BeaconIndex'] });
+  const result = await createSchema(table).migrate({ dryRun: true });
+
+  assert.deepStrictEqual(result.applied.map(migration => migration.version), [3, 4, 5]);
+  assert.strictEqual(result.to, 2);
+  assert.ok(!table.commands.includes('UpdateTableCommand'));
+  assert.ok(!table.commands.includes('PutCommand'));
+});
+
+test('has nothing pending at the latest version', async () => {
+  const table = createTable({
+    version: DynamoDBSchema.LATEST_VERSION,
+    indexes: Object.keys(DynamoDBSchema.INDEXES),
+    ttl: { AttributeName: 'expiresAt', TimeToLiveStatus: 'ENABLED' }
+  });
+  const result = await createSchema(table).migrate();
+
+  assert.deepStrictEqual(result.applied, []);
+  assert.strictEqual(result.to, DynamoDBSchema.LATEST_VERSION);
+});
+
+test('imports the registry file without replacing entries already in the table', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-schema-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const registryFile = path.join(dir, 'beacon-registry.json');
+  fs.writeFileSync(registryFile, JSON.stringify({ b1: { name: 'Forklift', tags: ['dock'] }, b2: { name: 'Cart' } }));
+  const existing = DynamoDBSchema.registryItem('b2', { name: 'Cart 2', updatedAt: 1 });
+  const table = createTable({ version: 3, indexes: ['GatewayIndex', 'BeaconIndex'], ttl: { AttributeName: 'expiresAt', TimeToLiveStatus: 'ENABLED' }, items: [existing] });
+
+  await createSchema(table, { registryFile }).migrate();
+
+  const imported = table.items.get('_beaconjs_registry#b1');
+  assert.deepStrictEqual([imported.registryBeaconKey, imported.name, imported.tags], ['b1', 'Forklift', ['dock']]);
+  assert.strictEqual(imported.beaconKey, undefined);
+  assert.strictEqual(table.items.get('_beaconjs_registry#b2').name, 'Cart 2');
+});
+
+test('refuses to migrate a table with different keys', async () => {
+  const table = createTable();
+  table.description.KeySchema = [{ AttributeName: 'id', KeyType: 'HASH' }];
+
+  await assert.rejects(createSchema(table).migrate(), /cannot be migrated/);
+});
+
+test('init creates a missing table with every index', async () => {
+  const table = createTable();
+  table.exists = false;
+  table.description.GlobalSecondaryIndexes = [];
+
+  const result = await createSchema(table).init();
+
+  assert.strictEqual(result.created, true);
+  assert.deepStrictEqual(table.description.GlobalSecondaryIndexes.map(index => index.IndexName), Object.keys(DynamoDBSchema.INDEXES));
+  assert.strictEqual(result.to, DynamoDBSchema.LATEST_VERSION);
+  assert.ok(!table.commands.includes('UpdateTableCommand'));
+});
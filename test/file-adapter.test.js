@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileAdapter = require('../services/storage/file-adapter');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Adapter storing in a fresh temporary directory, removed after the test
+async function createAdapter(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-file-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  const adapter = new FileAdapter({ dataDir: path.join(dir, 'records') });
+  await adapter.initialize();
+  return adapter;
+}
+
+function record(id, timestamp) {
+  return { recordId: id, timestamp, gatewayId: 'gw-1', beaconKey: 'b1', recordType: 'sighting' };
+}
+
+test('stores records in one file per UTC day', async t => {
+  const adapter = await createAdapter(t);
+  await adapter.writeRecords([record('r1', 1000), record('r2', DAY + 1000), record('r3', 2000)]);
+
+  assert.deepStrictEqual(fs.readdirSync(adapter.dataDir).sort(), ['records-1970-01-01.jsonl', 'records-1970-01-02.jsonl']);
+  const records = await adapter.queryRecords({ gatewayId: 'gw-1', from: 0, to: DAY });
+  assert.deepStrictEqual(records.map(found => found.recordId), ['r3', 'r1']);
+});
+
+test('queries time ranges beyond the days file names can hold', async t => {
+  const adapter = await createAdapter(t);
+  await adapter.writeRecords([record('r1', 1000), record('r2', DAY + 1000)]);
+  const ids = async query => {
+    const found = [];
+    for await (const next of adapter.iterateRecords({ gatewayId: 'gw-1', newestFirst: false, ...query })) {
+      found.push(next.recordId);
+    }
+    return found;
+  };
+
+  assert.deepStrictEqual(await ids({ from: -Infinity, to: Infinity }), ['r1', 'r2']);
+  assert.deepStrictEqual(await ids({ from: -9e15, to: 9e15 }), ['r1', 'r2']);
+  // Within what a Date can hold, but outside the 4-digit years of the file names
+  assert.deepStrictEqual(await ids({ from: -1e14, to: 3e14 }), ['r1', 'r2']);
+  assert.deepStrictEqual((await adapter.queryRecords({ gatewayId: 'gw-1', from: 1000, to: 9e15 })).map(found => found.recordId), ['r2']);
+});
+
+test('keeps records appended while a day file is rewritten', async t => {
+  const adapter = await createAdapter(t);
+  await adapter.writeRecords([record('r1', 1000), record('r2', 2000)]);
+
+  // Append right after the rewrite checked the file size, just before it renames the temporary file over it
+  const stat = fs.promises.stat;
+  let appended;
+  t.mock.method(fs.promises, 'stat', async (...args) => {
+    const stats = await stat(...args);
+    appended = appended || adapter.writeRecords([record('r3', 3000)]);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return stats;
+  });
+  const { deleted } = await adapter.deleteRecords([record('r1', 1000)]);
+  await appended;
+
+  assert.strictEqual(deleted.length, 1);
+  const records = await adapter.queryRecords({ gatewayId: 'gw-1', from: 0, newestFirst: false });
+  assert.deepStrictEqual(records.map(found => found.recordId), ['r2', 'r3']);
+  assert.deepStrictEqual(fs.readdirSync(adapter.dataDir), ['records-1970-01-01.jsonl']);
+});
+
+test('removes a day file once its last record is deleted', async t => {
+  const adapter = await createAdapter(t);
+  await adapter.writeRecords([record('r1', 1000), record('r2', DAY + 1000)]);
+
+  const { deleted, failed } = await adapter.deleteRecords([record('r1', 1000), record('missing', DAY + 5000)]);
+
+  assert.deepStrictEqual([deleted.length, failed.length], [2, 0]);
+  assert.deepStrictEqual(fs.readdirSync(adapter.dataDir), ['records-1970-01-02.jsonl']);
+});
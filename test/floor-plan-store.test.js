@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FloorPlanStore = require('../services/floor-plan-store');
+
+const PLAN = { name: 'HQ floor 2', building: 'A', floor: 2, widthMeters: 40, heightMeters: 25 };
+
+// Store in a fresh temporary directory, removed after the test
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-floorplans-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new FloorPlanStore({ filePath: path.join(dir, 'floor-plans.json') });
+}
+
+// Asserts that a promise rejects with a validation error matching the pattern
+function rejectsInvalid(promise, pattern) {
+  return assert.rejects(promise, error => {
+    assert.strictEqual(error.code, 'ERR_INVALID_FLOOR_PLAN');
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('saves plans and pins to the file and reads them back', async t => {
+  const store = createStore(t);
+  const saved = await store.upsertPlan('hq-2', { ...PLAN, name: ' HQ floor 2 ', building: ' ' });
+  await store.pin('gw-1', { planId: 'hq-2', x: 12.5, y: 4 });
+
+  assert.deepStrictEqual([saved.name, saved.building, saved.floor, saved.hasImage], ['HQ floor 2', null, 2, false]);
+  const reloaded = new FloorPlanStore({ filePath: store.filePath });
+  assert.deepStrictEqual(reloaded.listPlans().map(plan => plan.planId), ['hq-2']);
+  assert.deepStrictEqual(reloaded.listPins().map(({ gatewayId, planId, x, y }) => [gatewayId, planId, x, y]), [['gw-1', 'hq-2', 12.5, 4]]);
+});
+
+test('rejects invalid plan IDs and fields', async t => {
+  const store = createStore(t);
+
+  for (const planId of ['', 'HQ', '-hq', 'hq_2', 'hq/2', '../hq', 'a'.repeat(65), '__proto__']) {
+    await rejectsInvalid(store.upsertPlan(planId, PLAN), /Plan ID must be 1-64 lowercase letters, digits or -/);
+  }
+  await rejectsInvalid(store.upsertPlan('hq', null), /must be a JSON object/);
+  await rejectsInvalid(store.upsertPlan('hq', { ...PLAN, name: '  ' }), /`name` is required/);
+  await rejectsInvalid(store.upsertPlan('hq', { ...PLAN, building: 'x'.repeat(101) }), /`building` must be at most 100 characters/);
+  await rejectsInvalid(store.upsertPlan('hq', { ...PLAN, widthMeters: 0 }), /`widthMeters` must be a number of meters between 0 and 10000/);
+  await rejectsInvalid(store.upsertPlan('hq', { ...PLAN, heightMeters: '25' }), /`heightMeters` must be a number/);
+  const longest = await store.upsertPlan('a'.repeat(64), PLAN);
+  assert.deepStrictEqual(store.listPlans().map(plan => plan.planId), [longest.planId]);
+});
+
+test('only pins gateways inside an existing plan', async t => {
+  const store = createStore(t);
+  await store.upsertPlan('hq-2', PLAN);
+
+  await rejectsInvalid(store.pin('', { planId: 'hq-2', x: 1, y: 1 }), /A gatewayId of at most 200 characters is required/);
+  await rejectsInvalid(store.pin('gw-1', { planId: 'lab', x: 1, y: 1 }), /Floor plan 'lab' does not exist/);
+  await rejectsInvalid(store.pin('gw-1', { planId: 'hq-2', x: 40.1, y: 1 }), /within the plan \(40 x 25\)/);
+  await rejectsInvalid(store.pin('gw-1', { planId: 'hq-2', x: 1, y: -1 }), /within the plan/);
+  await rejectsInvalid(store.pin('gw-1', { planId: 'hq-2', x: '1', y: 1 }), /within the plan/);
+
+  await store.pin('gw-1', { planId: 'hq-2', x: 40, y: 0 });
+  assert.strictEqual(await store.unpin('gw-1'), true);
+  assert.strictEqual(await store.unpin('gw-1'), false);
+});
+
+test('places pinned gateways on their plan for positioning', async t => {
+  const store = createStore(t);
+  await store.upsertPlan('hq-2', PLAN);
+  await store.pin('gw-1', { planId: 'hq-2', x: 12.5, y: 4 });
+
+  assert.deepStrictEqual(store.applyPin('gw-1', { building: 'B', room: '201', x: 1, y: 1 }), { building: 'A', floor: 2, room: '201', x: 12.5, y: 4, planId: 'hq-2' });
+  assert.deepStrictEqual(store.applyPin('gw-1', 'Dock A'), { description: 'Dock A', building: 'A', floor: 2, x: 12.5, y: 4, planId: 'hq-2' });
+  assert.strictEqual(store.applyPin('gw-2', 'Dock A'), 'Dock A');
+
+  // Removing the plan removes its pins
+  assert.strictEqual(await store.removePlan('hq-2'), true);
+  assert.deepStrictEqual(store.listPins(), []);
+  assert.strictEqual(store.applyPin('gw-1', 'Dock A'), 'Dock A');
+});
+
+test('stores images of the accepted types only', async t => {
+  const store = createStore(t);
+  await store.upsertPlan('hq-2', PLAN);
+
+  await rejectsInvalid(store.setImage('lab', Buffer.from('png'), 'image/png'), /Floor plan 'lab' does not exist/);
+  await rejectsInvalid(store.setImage('hq-2', Buffer.from('<svg/>'), 'image/svg+xml'), /Image must be one of: image\/png, image\/jpeg, image\/webp/);
+  await rejectsInvalid(store.setImage('hq-2', Buffer.from('gif'), undefined), /Image must be one of/);
+  await rejectsInvalid(store.setImage('hq-2', Buffer.alloc(0), 'image/png'), /Image is empty/);
+  assert.strictEqual(store.getImage('hq-2'), null);
+
+  await store.setImage('hq-2', Buffer.from('png'), 'image/png');
+  const jpeg = await store.setImage('hq-2', Buffer.from('jpeg'), 'Image/JPEG; charset=binary');
+  const image = store.getImage('hq-2');
+
+  assert.strictEqual(jpeg.hasImage, true);
+  assert.deepStrictEqual([path.basename(image.filePath), image.contentType], ['hq-2.jpg', 'image/jpeg']);
+  assert.deepStrictEqual(fs.readdirSync(store.imageDir), ['hq-2.jpg']);
+
+  // Updating the details keeps the image; removing the plan deletes it
+  await store.upsertPlan('hq-2', { ...PLAN, name: 'HQ 2' });
+  assert.strictEqual(store.getImage('hq-2').contentType, 'image/jpeg');
+  await store.removePlan('hq-2');
+  assert.deepStrictEqual(fs.readdirSync(store.imageDir), []);
+});
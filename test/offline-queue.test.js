@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OfflineQueue = require('../services/offline-queue');
+
+// A queue in a fresh temporary directory, removed after the test
+function createQueue(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-queue-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new OfflineQueue({ dir, ...options });
+}
+
+function record(id, timestamp = Date.now()) {
+  return { recordId: id, timestamp, beaconKey: 'b1' };
+}
+
+function journalLines(queue) {
+  return fs.readFileSync(queue.journalPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('replays records that were queued but not acknowledged', t => {
+  const queue = createQueue(t);
+  queue.open();
+  const now = Date.now();
+  queue.enqueue(record('r1', now - 3000));
+  queue.enqueue(record('r2', now - 2000));
+  queue.enqueue(record('r3', now - 1000));
+  queue.ack('r2');
+  queue.close();
+
+  const reopened = new OfflineQueue({ dir: queue.dir });
+  assert.strictEqual(reopened.open(), 2);
+  assert.deepStrictEqual(reopened.peekAll().map(r => r.recordId), ['r1', 'r3']);
+  reopened.close();
+});
+
+test('replays in timestamp order and skips a truncated last line', t => {
+  const queue = createQueue(t);
+  const now = Date.now();
+  fs.mkdirSync(queue.dir, { recursive: true });
+  fs.writeFileSync(queue.journalPath, [
+    JSON.stringify({ op: 'add', record: record('late', now - 1000) }),
+    JSON.stringify({ op: 'add', record: record('early', now - 5000) }),
+    '{"op":"add","record":{"recordId":"cut'
+  ].join('\n'));
+
+  assert.strictEqual(queue.open(), 2);
+  assert.deepStrictEqual(queue.peekAll().map(r => r.recordId), ['early', 'late']);
+  queue.close();
+});
+
+test('ack removes a record and reports unknown ids', t => {
+  const queue = createQueue(t);
+  queue.open();
+  queue.enqueue(record('r1'));
+
+  assert.strictEqual(queue.ack('r1'), true);
+  assert.strictEqual(queue.ack('r1'), false);
+  assert.strictEqual(queue.size(), 0);
+  assert.strictEqual(queue.getMetrics().delivered, 1);
+  queue.close();
+});
+
+test('drops the oldest record when full', t => {
+  const queue = createQueue(t, { maxRecords: 2 });
+  queue.open();
+  const now = Date.now();
+  queue.enqueue(record('r1', now - 3000));
+  queue.enqueue(record('r2', now - 2000));
+  const dropped = queue.enqueue(record('r3', now - 1000));
+
+  assert.strictEqual(dropped.recordId, 'r1');
+  assert.deepStrictEqual(queue.peekAll().map(r => r.recordId), ['r2', 'r3']);
+  assert.strictEqual(queue.getMetrics().droppedOverflow, 1);
+  queue.close();
+});
+
+test('caps replayed records at maxRecords, oldest first, and drops expired ones', t => {
+  const queue = createQueue(t, { maxRecords: 2, maxAgeMs: 60000 });
+  const now = Date.now();
+  fs.mkdirSync(queue.dir, { recursive: true });
+  fs.writeFileSync(queue.journalPath, ['expired', 'r1', 'r2', 'r3']
+    .map((id, i) => JSON.stringify({ op: 'add', record: record(id, id === 'expired' ? now - 120000 : now - 4000 + i * 1000) }))
+    .join('\n') + '\n');
+
+  assert.strictEqual(queue.open(), 2);
+  assert.deepStrictEqual(queue.peekAll().map(r => r.recordId), ['r2', 'r3']);
+  const metrics = queue.getMetrics();
+  assert.strictEqual(metrics.droppedOverflow, 1);
+  assert.strictEqual(metrics.droppedExpired, 1);
+
+  // The journal is rewritten without the dropped records
+  assert.deepStrictEqual(journalLines(queue).map(entry => entry.record.recordId), ['r2', 'r3']);
+  queue.close();
+});
+
+test('compacts the journal once enough entries are acknowledged', t => {
+  const queue = createQueue(t, { compactThreshold: 4 });
+  queue.open();
+  for (const id of ['r1', 'r2', 'r3']) {
+    queue.enqueue(record(id));
+  }
+  queue.ack('r1');
+  assert.strictEqual(journalLines(queue).length, 4);
+
+  queue.ack('r2');
+  assert.deepStrictEqual(journalLines(queue), [{ op: 'add', record: queue.peekAll()[0] }]);
+  assert.strictEqual(queue.staleEntries, 0);
+  queue.close();
+});
+
+test('compacts the journal once enough records are dropped for overflow or age', t => {
+  const queue = createQueue(t, { maxRecords: 2, maxAgeMs: 60000, compactThreshold: 4 });
+  queue.open();
+  const now = Date.now();
+  for (const id of ['r1', 'r2', 'r3']) {
+    queue.enqueue(record(id, now - 50000));
+  }
+  assert.strictEqual(journalLines(queue).length, 4);
+
+  // r2 and r3 expire; the pending ack lines reach the threshold without any delivery
+  t.mock.method(Date, 'now', () => now + 20000);
+  assert.deepStrictEqual(queue.peekAll(), []);
+  assert.deepStrictEqual(journalLines(queue), []);
+  assert.strictEqual(queue.staleEntries, 0);
+
+  queue.enqueue(record('r4', now));
+  queue.enqueue(record('r5', now));
+  queue.enqueue(record('r6', now));
+  queue.enqueue(record('r7', now));
+  assert.deepStrictEqual(journalLines(queue).map(entry => entry.record.recordId), ['r6', 'r7']);
+  queue.close();
+});
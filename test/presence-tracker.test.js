@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PresenceTracker = require('../services/presence-tracker');
+
+// Tracker with -80/-90 dBm thresholds, 30 s exit timeout and 60 s dwell interval; collects its events
+function createTracker() {
+  const tracker = new PresenceTracker({ enterRssi: -80, exitRssi: -90, exitTimeoutMs: 30000, dwellIntervalMs: 60000 });
+  const events = [];
+  tracker.on('presence', event => events.push(event));
+  return { tracker, events };
+}
+
+function sighting(rssi, timestamp) {
+  return { beaconKey: 'b1', beaconType: 'iBeacon', rssi, timestamp };
+}
+
+test('enters only at enterRssi or above', () => {
+  const { tracker, events } = createTracker();
+  tracker.observe(sighting(-85, 0));
+  assert.strictEqual(events.length, 0);
+
+  tracker.observe(sighting(-80, 1000));
+  assert.deepStrictEqual(events.map(event => [event.eventType, event.timestamp]), [['enter', 1000]]);
+  assert.deepStrictEqual(tracker.getPresent().map(state => state.beaconKey), ['b1']);
+});
+
+test('emits dwell events while present', () => {
+  const { tracker, events } = createTracker();
+  tracker.observe(sighting(-70, 0));
+  tracker.observe(sighting(-70, 50000));
+
+  tracker.check(59999);
+  tracker.check(60000);
+
+  assert.deepStrictEqual(events.map(event => event.eventType), ['enter', 'dwell']);
+  assert.strictEqual(events[1].dwellSeconds, 60);
+});
+
+test('exits after exitTimeoutMs without a sighting at exitRssi or above', () => {
+  const { tracker, events } = createTracker();
+  tracker.observe(sighting(-70, 0));
+  // Between the thresholds: keeps the beacon present
+  tracker.observe(sighting(-88, 20000));
+  // Below exitRssi: ignored
+  tracker.observe(sighting(-95, 40000));
+
+  tracker.check(49999);
+  assert.strictEqual(events.length, 1);
+
+  tracker.check(50000);
+  const exit = events[1];
+  assert.strictEqual(exit.eventType, 'exit');
+  // The dwell ends at the last sighting, not when the exit was detected
+  assert.strictEqual(exit.lastSeenAt, 20000);
+  assert.strictEqual(exit.dwellSeconds, 20);
+  assert.deepStrictEqual(tracker.getPresent(), []);
+});
+
+test('prefers smoothedRssi and ignores records without RSSI', () => {
+  const { tracker, events } = createTracker();
+  tracker.observe({ beaconKey: 'b1', beaconType: 'iBeacon', timestamp: 0 });
+  tracker.observe({ ...sighting(-70, 0), smoothedRssi: -85 });
+  assert.strictEqual(events.length, 0);
+
+  tracker.observe({ ...sighting(-85, 1000), smoothedRssi: -75 });
+  assert.strictEqual(events[0].rssi, -75);
+});
+
+test('keeps exitRssi at or below enterRssi', () => {
+  const tracker = new PresenceTracker({ enterRssi: -80, exitRssi: -70 });
+  assert.strictEqual(tracker.exitRssi, -80);
+});
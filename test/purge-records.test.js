@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildQueries } = require('../scripts/purge-records');
+const MemoryAdapter = require('../services/storage/memory-adapter');
+
+function record(id, gatewayId, timestamp, beaconKey = 'b1') {
+  return { recordId: id, timestamp, gatewayId, beaconKey, recordType: 'sighting' };
+}
+
+// IDs of the records the queries select
+async function selected(storage, queries) {
+  const ids = [];
+  for (const query of queries) {
+    for await (const found of storage.iterateRecords(query)) {
+      ids.push(found.recordId);
+    }
+  }
+  return ids.sort();
+}
+
+test('selects records from --from to --to, both inclusive', async () => {
+  const storage = new MemoryAdapter();
+  await storage.writeRecords([
+    record('before', 'gw-1', 999),
+    record('from', 'gw-1', 1000),
+    record('to', 'gw-1', 2000),
+    record('after', 'gw-1', 2001),
+    // Only seen at --from, so listing the gateways must include it too
+    record('other-from', 'gw-2', 1000)
+  ]);
+
+  const queries = await buildQueries(storage, { from: 1000, to: 2000 });
+
+  assert.deepStrictEqual(queries.map(query => query.gatewayId).sort(), ['gw-1', 'gw-2']);
+  assert.deepStrictEqual(await selected(storage, queries), ['from', 'other-from', 'to']);
+});
+
+test('queries each beacon on each selected gateway', async () => {
+  const storage = new MemoryAdapter();
+  await storage.writeRecords([
+    record('b1-gw-1', 'gw-1', 1000, 'b1'),
+    record('b1-gw-2', 'gw-2', 1000, 'b1'),
+    record('b2-gw-1', 'gw-1', 1000, 'b2'),
+    record('b3-gw-1', 'gw-1', 1000, 'b3')
+  ]);
+
+  const all = await buildQueries(storage, { beaconKeys: ['b1', 'b2'], from: 1000, to: 1000 });
+  const onGateway = await buildQueries(storage, { beaconKeys: ['b1'], gatewayIds: ['gw-2'], from: 0, to: 1000, recordType: 'sighting' });
+
+  assert.deepStrictEqual(await selected(storage, all), ['b1-gw-1', 'b1-gw-2', 'b2-gw-1']);
+  assert.deepStrictEqual(onGateway, [{ beaconKey: 'b1', gatewayId: 'gw-2', from: -1, to: 1000, recordType: 'sighting' }]);
+  assert.deepStrictEqual(await selected(storage, onGateway), ['b1-gw-2']);
+});
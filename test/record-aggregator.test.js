@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RecordAggregator = require('../services/record-aggregator');
+const MemoryAdapter = require('../services/storage/memory-adapter');
+
+const MINUTE = RecordAggregator.BUCKETS.minute;
+// A whole hour, so minute buckets start at multiples of MINUTE from here
+const START = 1700000000000 - 1700000000000 % (60 * MINUTE);
+
+// Aggregator over memory storage holding the given records
+async function createAggregator(records) {
+  const storage = new MemoryAdapter();
+  await storage.writeRecords(records.map((record, i) => ({ recordId: `r${i}`, recordType: 'sighting', ...record })));
+  return new RecordAggregator({ storage });
+}
+
+test('averages RSSI per bucket and gateway, preferring smoothedRssi', async () => {
+  const aggregator = await createAggregator([
+    { gatewayId: 'gw-1', gatewayName: 'Dock', beaconKey: 'b1', timestamp: START + 1000, rssi: -60 },
+    { gatewayId: 'gw-1', gatewayName: 'Dock', beaconKey: 'b1', timestamp: START + 59999, rssi: -90, smoothedRssi: -65 },
+    { gatewayId: 'gw-1', gatewayName: 'Dock', beaconKey: 'b1', timestamp: START + MINUTE, rssi: -70 },
+    { gatewayId: 'gw-2', beaconKey: 'b1', timestamp: START + 2000, rssi: -80 },
+    { gatewayId: 'gw-1', beaconKey: 'b2', timestamp: START + 3000, rssi: -50 }
+  ]);
+
+  const series = await aggregator.rssiSeries({ beaconKey: 'b1', from: START, to: START + 2 * MINUTE, bucketMs: MINUTE });
+
+  assert.deepStrictEqual(series.find(s => s.gatewayId === 'gw-1'), {
+    gatewayId: 'gw-1',
+    gatewayName: 'Dock',
+    points: [
+      { t: START, count: 2, min: -65, max: -60, avg: -62.5 },
+      { t: START + MINUTE, count: 1, min: -70, max: -70, avg: -70 }
+    ]
+  });
+  assert.deepStrictEqual(series.find(s => s.gatewayId === 'gw-2').points.map(point => point.avg), [-80]);
+});
+
+test('counts sightings and distinct beacons in every bucket of the range', async () => {
+  const aggregator = await createAggregator([
+    { gatewayId: 'gw-1', beaconKey: 'b1', timestamp: START + 1000 },
+    { gatewayId: 'gw-1', beaconKey: 'b1', timestamp: START + 2000 },
+    { gatewayId: 'gw-1', beaconKey: 'b2', timestamp: START + 3000 },
+    { gatewayId: 'gw-1', beaconKey: 'b1', timestamp: START + 2 * MINUTE },
+    { gatewayId: 'gw-1', recordType: 'presence', eventType: 'enter', beaconKey: 'b3', timestamp: START + 4000 }
+  ]);
+
+  const [series] = await aggregator.detectionSeries({ gatewayIds: ['gw-1'], from: START, to: START + 3 * MINUTE - 1, bucketMs: MINUTE });
+
+  assert.deepStrictEqual(series.points, [
+    { t: START, count: 3, beacons: 2 },
+    { t: START + MINUTE, count: 0, beacons: 0 },
+    { t: START + 2 * MINUTE, count: 1, beacons: 1 }
+  ]);
+});
+
+test('starts at the bucket holding the first millisecond after from', async () => {
+  const aggregator = await createAggregator([]);
+  const bucketStarts = async from => {
+    const [series] = await aggregator.detectionSeries({ gatewayIds: ['gw-1'], from, to: START + 2 * MINUTE, bucketMs: MINUTE });
+    return series.points.map(point => point.t);
+  };
+
+  assert.deepStrictEqual(await bucketStarts(START), [START, START + MINUTE, START + 2 * MINUTE]);
+  assert.deepStrictEqual(await bucketStarts(START + MINUTE - 1), [START + MINUTE, START + 2 * MINUTE]);
+});
+
+test('bins completed visits by dwell time', async () => {
+  const visit = (gatewayId, dwellSeconds, eventType = 'exit') => ({ gatewayId, recordType: 'presence', eventType, dwellSeconds, timestamp: START + 1000 });
+  const aggregator = await createAggregator([
+    visit('gw-1', 30),
+    visit('gw-1', 60),
+    visit('gw-2', 299),
+    visit('gw-2', 5 * 3600),
+    visit('gw-1', 100, 'dwell')
+  ]);
+
+  const histogram = await aggregator.dwellHistogram({ gatewayIds: ['gw-1', 'gw-2'], from: START, to: START + MINUTE });
+
+  assert.strictEqual(histogram.visits, 4);
+  assert.strictEqual(histogram.averageSeconds, Math.round((30 + 60 + 299 + 5 * 3600) / 4));
+  assert.deepStrictEqual(histogram.bins.map(bin => bin.count), [1, 2, 0, 0, 0, 1]);
+  assert.deepStrictEqual(histogram.bins[1], { label: '1-5 min', minSeconds: 60, maxSeconds: 300, count: 2 });
+  assert.strictEqual(histogram.bins[5].maxSeconds, null);
+});
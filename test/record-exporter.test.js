@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const parquet = require('parquetjs-lite');
+const RecordExporter = require('../services/record-exporter');
+const MemoryAdapter = require('../services/storage/memory-adapter');
+
+// Memory storage holding the given records
+async function createStorage(records) {
+  const storage = new MemoryAdapter();
+  await storage.writeRecords(records);
+  return storage;
+}
+
+// Writable that keeps everything written to it
+function collect() {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  output.text = () => Buffer.concat(chunks).toString('utf8');
+  return output;
+}
+
+function sighting(id, gatewayId, timestamp, fields = {}) {
+  return {
+    recordId: id,
+    timestamp,
+    detectedAt: new Date(timestamp).toISOString(),
+    gatewayId,
+    beaconKey: 'b1',
+    beaconType: 'iBeacon',
+    rssi: -60,
+    ...fields
+  };
+}
+
+test('writes a CSV header and one row per record, per gateway and oldest first', async () => {
+  const storage = await createStorage([
+    sighting('r3', 'gw-1', 3000),
+    sighting('r1', 'gw-1', 1000),
+    sighting('r2', 'gw-2', 2000),
+    sighting('r4', 'gw-1', 4000)
+  ]);
+  const exporter = new RecordExporter({ storage, pageSize: 2 });
+  const output = collect();
+
+  const count = await exporter.export(output, { format: 'csv', gatewayIds: ['gw-1', 'gw-2'], from: 0, to: 5000 });
+
+  const lines = output.text().trimEnd().split('\n');
+  assert.strictEqual(count, 4);
+  assert.strictEqual(lines[0], exporter.columns.map(column => column.name).join(','));
+  assert.deepStrictEqual(lines.slice(1).map(line => line.split(',')[0]), ['r1', 'r3', 'r4', 'r2']);
+});
+
+test('excludes from and includes to', async () => {
+  const storage = await createStorage([sighting('r1', 'gw-1', 1000), sighting('r2', 'gw-1', 2000), sighting('r3', 'gw-1', 3000)]);
+  const output = collect();
+
+  await new RecordExporter({ storage }).export(output, { format: 'ndjson', gatewayIds: ['gw-1'], from: 1000, to: 2000 });
+
+  assert.deepStrictEqual(output.text().trimEnd().split('\n').map(line => JSON.parse(line).recordId), ['r2']);
+});
+
+test('flattens locations, telemetry and the selected rawData fields', async () => {
+  const storage = await createStorage([sighting('r1', 'gw-1', 1000, {
+    gatewayName: 'Dock, "north"',
+    gatewayLocation: { lat: 51.5, lng: -0.1, description: 'Bay 1' },
+    telemetry: { batteryVoltage: 3000, temperature: 21.5 },
+    rawData: { id: 'dev1', iBeacon: { txPower: -59 }, manufacturerData: 'ff' }
+  })]);
+  const exporter = new RecordExporter({ storage, rawDataFields: ['id', 'iBeacon.txPower'] });
+  const output = collect();
+
+  await exporter.export(output, { format: 'csv', gatewayIds: ['gw-1'], from: 0, to: 2000 });
+
+  const [header, line] = output.text().trimEnd().split('\n');
+  const columns = header.split(',');
+  assert.deepStrictEqual(columns.slice(-2), ['rawData_id', 'rawData_iBeacon_txPower']);
+  assert.ok(!columns.includes('rawData_manufacturerData'));
+  // Fields with quotes or commas are quoted, missing values are empty
+  assert.ok(line.includes(',"Dock, ""north""",51.5,-0.1,Bay 1,'));
+  assert.ok(line.includes(',3000,21.5,,'));
+  assert.ok(line.endsWith(',dev1,-59'));
+});
+
+test('writes Parquet rows with typed columns', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-export-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'records.parquet');
+  const storage = await createStorage([
+    sighting('r1', 'gw-1', 1000, { major: 7, rawData: { id: 'dev1' } }),
+    sighting('r2', 'gw-1', 2000, { rssi: -71.5 })
+  ]);
+
+  const count = await new RecordExporter({ storage }).export(fs.createWriteStream(file), { format: 'parquet', gatewayIds: ['gw-1'], from: 0, to: 3000 });
+
+  const reader = await parquet.ParquetReader.openFile(file);
+  const cursor = reader.getCursor();
+  const rows = [];
+  let row;
+  while ((row = await cursor.next())) {
+    rows.push(row);
+  }
+  await reader.close();
+
+  assert.strictEqual(count, 2);
+  assert.deepStrictEqual(rows.map(r => [r.recordId, Number(r.timestamp), r.rssi]), [['r1', 1000, -60], ['r2', 2000, -71.5]]);
+  assert.strictEqual(rows[0].major, 7);
+  assert.strictEqual(rows[0].rawData_id, 'dev1');
+  assert.strictEqual(rows[1].major, undefined);
+});
+
+test('rejects unknown formats', async () => {
+  const exporter = new RecordExporter({ storage: await createStorage([]) });
+
+  await assert.rejects(exporter.export(collect(), { format: 'xml', gatewayIds: [], from: 0, to: 1 }), /Unknown export format 'xml'/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RecordRollup = require('../services/record-rollup');
+const MemoryAdapter = require('../services/storage/memory-adapter');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// A UTC midnight
+const START = Date.UTC(2026, 0, 5);
+
+function sighting(id, beaconKey, timestamp, rssi) {
+  return { recordId: id, timestamp, gatewayId: 'gw-1', gatewayName: 'Dock', beaconKey, beaconType: 'iBeacon', recordType: 'sighting', rssi };
+}
+
+// Rollup over memory storage holding the given records
+async function createRollup(records) {
+  const storage = new MemoryAdapter();
+  await storage.writeRecords(records);
+  return { storage, rollup: new RecordRollup({ storage }) };
+}
+
+function summaries(storage) {
+  return storage.records.filter(record => record.recordType === 'summary');
+}
+
+test('rounds timestamps down to the start of their bucket', () => {
+  assert.strictEqual(RecordRollup.bucketStart(START + HOUR - 1, 'hour'), START);
+  assert.strictEqual(RecordRollup.bucketStart(START + HOUR, 'hour'), START + HOUR);
+  assert.strictEqual(RecordRollup.bucketStart(START + DAY - 1, 'day'), START);
+});
+
+test('summarizes complete buckets only', async () => {
+  const { storage, rollup } = await createRollup([
+    sighting('s1', 'b1', START + 1000, -60),
+    sighting('s2', 'b1', START + HOUR - 1, -70),
+    sighting('s3', 'b2', START + HOUR, -50),
+    // In the bucket `to` falls in, which is not complete yet
+    sighting('s4', 'b1', START + 2 * HOUR, -40)
+  ]);
+
+  const result = await rollup.rollupGateway({ gatewayId: 'gw-1', from: START, to: START + 2 * HOUR + 1, granularities: ['hour'] });
+
+  assert.deepStrictEqual(result, { sightings: 3, summaries: 2, skipped: 0, written: 2, failed: 0 });
+  const [first] = summaries(storage).filter(summary => summary.beaconKey === 'b1');
+  assert.deepStrictEqual(
+    [first.recordId, first.timestamp, first.periodEnd, first.sightingCount, first.rssiAvg, first.rssiMin, first.rssiMax, first.firstSeen, first.lastSeen],
+    [`summary-hour-gw-1-b1-${START}`, START, START + HOUR, 2, -65, -70, -60, START + 1000, START + HOUR - 1]
+  );
+});
+
+test('skips buckets an earlier run already rolled up', async () => {
+  const { storage, rollup } = await createRollup([
+    sighting('s1', 'b1', START + 1000, -60),
+    sighting('s2', 'b1', START + HOUR + 1000, -60)
+  ]);
+
+  await rollup.rollupGateway({ gatewayId: 'gw-1', from: START, to: START + HOUR, granularities: ['hour'] });
+  const first = summaries(storage).map(summary => summary.recordId);
+  // Overlapping run: only the second hour is new
+  const second = await rollup.rollupGateway({ gatewayId: 'gw-1', from: START, to: START + 2 * HOUR, granularities: ['hour'] });
+  const again = await rollup.rollupGateway({ gatewayId: 'gw-1', from: START, to: START + 2 * HOUR, granularities: ['hour'] });
+
+  assert.deepStrictEqual(first, [`summary-hour-gw-1-b1-${START}`]);
+  assert.deepStrictEqual([second.written, second.skipped], [1, 1]);
+  assert.deepStrictEqual([again.written, again.skipped], [0, 2]);
+  assert.deepStrictEqual(summaries(storage).map(summary => summary.recordId), [
+    `summary-hour-gw-1-b1-${START}`,
+    `summary-hour-gw-1-b1-${START + HOUR}`
+  ]);
+});
+
+test('derives the summary record ID from the bucket so rewrites replace it', async () => {
+  const records = [sighting('s1', 'b1', START + 1000, -60)];
+  const first = await createRollup(records);
+  const second = await createRollup(records);
+
+  await first.rollup.rollupGateway({ gatewayId: 'gw-1', from: START, to: START + DAY, granularities: ['hour', 'day'] });
+  await second.rollup.rollupGateway({ gatewayId: 'gw-1', from: START, to: START + DAY, granularities: ['hour', 'day'] });
+
+  const ids = storage => summaries(storage).map(summary => summary.recordId).sort();
+  assert.deepStrictEqual(ids(first.storage), [`summary-day-gw-1-b1-${START}`, `summary-hour-gw-1-b1-${START}`]);
+  assert.deepStrictEqual(ids(second.storage), ids(first.storage));
+});
+
+test('writes nothing on a dry run', async () => {
+  const { storage, rollup } = await createRollup([sighting('s1', 'b1', START + 1000, -60)]);
+
+  const result = await rollup.rollupGateway({ gatewayId: 'gw-1', from: START, to: START + HOUR, dryRun: true });
+
+  assert.deepStrictEqual([result.summaries, result.written], [1, 0]);
+  assert.deepStrictEqual(summaries(storage), []);
+});
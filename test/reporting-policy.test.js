@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReportingPolicy = require('../services/reporting-policy');
+
+const START = 1000000;
+
+function sighting(fields = {}) {
+  return { beaconKey: 'b1', beaconType: 'iBeacon', uuid: 'ABC', rssi: -60, proximity: 'near', ...fields };
+}
+
+test('reports the first sighting as an arrival and suppresses unchanged repeats', () => {
+  const policy = new ReportingPolicy();
+
+  assert.deepStrictEqual(policy.evaluate(sighting(), START), { report: true, reason: 'arrival' });
+  assert.deepStrictEqual(policy.evaluate(sighting(), START + 5000), { report: false, reason: null });
+  assert.deepStrictEqual(policy.getStats(), { reported: 1, suppressed: 1, evicted: 0, tracked: 1 });
+});
+
+test('reports RSSI and proximity changes, but not within minIntervalMs', () => {
+  const policy = new ReportingPolicy({ minIntervalMs: 1000, rssiDelta: 8 });
+  policy.evaluate(sighting(), START);
+
+  assert.strictEqual(policy.evaluate(sighting({ rssi: -75 }), START + 500).report, false);
+  assert.strictEqual(policy.evaluate(sighting({ rssi: -75 }), START + 1000).reason, 'rssi-change');
+  assert.strictEqual(policy.evaluate(sighting({ rssi: -70 }), START + 2000).report, false);
+  assert.strictEqual(policy.evaluate(sighting({ rssi: -70, proximity: 'far' }), START + 3000).reason, 'proximity-change');
+});
+
+test('prefers smoothedRssi for change detection', () => {
+  const policy = new ReportingPolicy();
+  policy.evaluate(sighting({ rssi: -60, smoothedRssi: -60 }), START);
+
+  assert.strictEqual(policy.evaluate(sighting({ rssi: -90, smoothedRssi: -62 }), START + 2000).report, false);
+});
+
+test('re-reports unchanged beacons every heartbeatMs', () => {
+  const policy = new ReportingPolicy({ heartbeatMs: 60000 });
+  policy.evaluate(sighting(), START);
+
+  assert.strictEqual(policy.evaluate(sighting(), START + 59999).report, false);
+  assert.strictEqual(policy.evaluate(sighting(), START + 60000).reason, 'heartbeat');
+});
+
+test('tracks frame types of one beacon separately', () => {
+  const policy = new ReportingPolicy();
+  policy.evaluate(sighting({ beaconType: 'eddystoneUid' }), START);
+
+  assert.strictEqual(policy.evaluate(sighting({ beaconType: 'eddystoneTlm' }), START + 10).reason, 'arrival');
+});
+
+test('forgets beacons not heard for evictAfterMs', () => {
+  const policy = new ReportingPolicy({ evictAfterMs: 10000 });
+  policy.lastEvictionAt = START;
+  policy.evaluate(sighting(), START);
+  policy.evaluate(sighting({ beaconKey: 'b2' }), START + 10000);
+
+  assert.strictEqual(policy.getStats().evicted, 1);
+  assert.strictEqual(policy.evaluate(sighting(), START + 10001).reason, 'arrival');
+});
+
+test('applies beaconKey overrides over UUID overrides over defaults', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-policy-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'policy.json');
+  fs.writeFileSync(file, JSON.stringify({
+    beacons: { b1: { heartbeatMs: 5000 } },
+    uuids: { abc: { heartbeatMs: 20000, rssiDelta: 3 } }
+  }));
+
+  const policy = new ReportingPolicy({ overridesFile: file });
+
+  assert.deepStrictEqual(policy.getRules(sighting()), { minIntervalMs: 1000, heartbeatMs: 5000, rssiDelta: 3 });
+  assert.deepStrictEqual(policy.getRules(sighting({ beaconKey: 'b2' })), { minIntervalMs: 1000, heartbeatMs: 20000, rssiDelta: 3 });
+  assert.deepStrictEqual(policy.getRules(sighting({ beaconKey: 'b2', uuid: 'other' })), { minIntervalMs: 1000, heartbeatMs: 60000, rssiDelta: 8 });
+});
+
+test('rejects an overrides file that does not parse', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beaconjs-policy-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'policy.json');
+  fs.writeFileSync(file, '{ not json');
+
+  assert.throws(() => new ReportingPolicy({ overridesFile: file }), /Failed to load reporting policy overrides/);
+});